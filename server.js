@@ -19,6 +19,30 @@ const axios = require('axios');
 const moment = require('moment-timezone');
 const NodeCache = require('node-cache');
 const { TimezoneEngine } = require('./src/timezone-engine');
+const { DST_POLICIES, isValidDstPolicy } = require('./src/dst-resolver');
+const { DEADLINE_POLICIES, isValidDeadlinePolicy, parseDeadline } = require('./src/send-deadline');
+const { FALLBACK_BEHAVIORS, isValidFallbackBehavior, getAdjustmentReason } = require('./src/fallback-behavior');
+const {
+    SLOT_GRANULARITIES,
+    WEEKDAYS,
+    getWindowBounds,
+    getWindowDuration,
+    getWeekdayIndex,
+    isValidSlotGranularity
+} = require('./src/timewindow/time-of-day');
+const { normalizeWeekendDays } = require('./src/weekend-days');
+const BlackoutCalendar = require('./src/blackout-calendar');
+const { EngagementScorer } = require('./src/engagement-scorer');
+const { SlotAllocator, createAllocationStore } = require('./src/capacity');
+const {
+    PROVIDER_TYPES,
+    HOLIDAY_TYPES,
+    normalizeHolidayTypes,
+    createCacheBackend,
+    HolidayRefresher,
+    toICalendar
+} = require('./src/holiday');
+const HolidayChecker = require('./src/holiday-checker');
 require('dotenv').config();
 
 const app = express();
@@ -45,21 +69,88 @@ const sfmcConfig = {
 // STO-specific configuration
 const stoConfig = {
     defaultTimezone: process.env.STO_DEFAULT_TIMEZONE || 'America/Chicago',
+    sfmcTimezone: process.env.STO_SFMC_TIMEZONE, // SFMC stack timezone, fixed CST (UTC-6) when unset
     holidayApiUrl: process.env.STO_HOLIDAY_API_URL || 'https://date.nager.at/api/v3',
     holidayApiEnabled: process.env.STO_HOLIDAY_API_ENABLED === 'true',
+    // Holiday sources in priority order: nager (API), static (bundled dataset), ics (calendar files)
+    holidayProviders: (process.env.STO_HOLIDAY_PROVIDERS || 'nager,static')
+        .split(',')
+        .map(type => type.trim().toLowerCase())
+        .filter(Boolean),
+    holidayDataPath: process.env.STO_HOLIDAY_DATA_PATH,
+    holidayIcsFiles: process.env.STO_HOLIDAY_ICS_FILES, // e.g. US=./calendars/us.ics,GB-SCT=./calendars/scotland.ics
     cacheTimeout: parseInt(process.env.STO_CACHE_TIMEOUT) || 3600, // 1 hour in seconds
+    // Shared store behind the per-process holiday cache: none, file (snapshot on disk) or redis
+    holidayCacheBackend: (process.env.STO_HOLIDAY_CACHE_BACKEND || 'none').trim().toLowerCase(),
+    holidayCacheFile: process.env.STO_HOLIDAY_CACHE_FILE || path.join(__dirname, 'data', 'holiday-cache.json'),
+    // Cron schedule (UTC) for re-pulling cached holidays; 'off' disables the refresher
+    holidayRefreshSchedule: process.env.STO_HOLIDAY_REFRESH_SCHEDULE || '0 3 * * *',
+    holidayRefreshCountries: (process.env.STO_HOLIDAY_REFRESH_COUNTRIES || '')
+        .split(',')
+        .map(countryCode => countryCode.trim().toUpperCase())
+        .filter(Boolean),
+    redis: {
+        url: process.env.REDIS_URL,
+        host: process.env.REDIS_HOST,
+        port: parseInt(process.env.REDIS_PORT) || 6379,
+        password: process.env.REDIS_PASSWORD,
+        db: parseInt(process.env.REDIS_DB) || 0
+    },
     maxRetries: parseInt(process.env.STO_MAX_RETRIES) || 3,
-    retryDelay: parseInt(process.env.STO_RETRY_DELAY) || 1000
+    retryDelay: parseInt(process.env.STO_RETRY_DELAY) || 1000,
+    blackoutFile: process.env.STO_BLACKOUT_FILE || path.join(__dirname, 'data', 'blackouts.json'),
+    // Open/click tracking extract (CSV or JSON) the per-contact preferred send times are learned from
+    engagementHistoryFile: process.env.STO_ENGAGEMENT_HISTORY_FILE,
+    engagementMinEvents: parseInt(process.env.STO_ENGAGEMENT_MIN_EVENTS) || 5,
+    engagementMinCohortEvents: parseInt(process.env.STO_ENGAGEMENT_MIN_COHORT_EVENTS) || 20,
+    // Store of the per-slot send counters behind maxSendsPerSlot: memory or file (shared between processes)
+    slotAllocationStore: (process.env.STO_SLOT_ALLOCATION_STORE || 'memory').trim().toLowerCase(),
+    slotAllocationFile: process.env.STO_SLOT_ALLOCATION_FILE || path.join(__dirname, 'data', 'slot-allocations.json')
 };
 
+// Longest date range the calendar endpoint returns (three years)
+const MAX_CALENDAR_DAYS = 1096;
+
 // Initialize cache for holiday data
 const holidayCache = new NodeCache({ stdTTL: stoConfig.cacheTimeout });
 
+// Holiday provider configurations for the contact processors
+const holidayProviderConfigs = buildHolidayProviderConfigs();
+
+// Shared holiday cache backend, reused by every contact processor
+const holidayCacheBackend = buildHolidayCacheBackend();
+
+// Initialize blackout calendar (company-defined non-sending days)
+const blackoutCalendar = new BlackoutCalendar({ filePath: stoConfig.blackoutFile });
+
+// Holiday checker for the calendar endpoints and the scheduled refresh; it reaches
+// the contact processors' caches through the shared cache backend and, like them, checks
+// holidays only when STO_HOLIDAY_API_ENABLED is set
+const holidayChecker = new HolidayChecker({
+    enabled: stoConfig.holidayApiEnabled,
+    fallbackBehavior: 'ignore',
+    maxLookAheadDays: 30,
+    api: { baseUrl: stoConfig.holidayApiUrl, timeout: 5000 },
+    cache: { ttl: stoConfig.cacheTimeout, backend: holidayCacheBackend },
+    providers: holidayProviderConfigs,
+    blackoutCalendar
+});
+
+// Scheduled holiday refresh, reporting holidays added or removed since they were cached
+const holidayRefresher = buildHolidayRefresher();
+
+// Engagement history behind the per-contact preferred send times
+const engagementScorer = buildEngagementScorer();
+
+// Per-slot send counters shared by every /execute call
+const slotAllocator = buildSlotAllocator();
+
 // Initialize timezone engine
 const timezoneEngine = new TimezoneEngine(console, {
     defaultFallbackCountry: stoConfig.defaultTimezone.includes('America') ? 'US' : 'US',
     logValidationIssues: true,
-    enableDetailedLogging: process.env.NODE_ENV === 'development'
+    enableDetailedLogging: process.env.NODE_ENV === 'development',
+    sfmcTimezone: stoConfig.sfmcTimezone
 });
 
 // =============================================================================
@@ -77,6 +168,207 @@ app.use(express.static(path.join(__dirname, 'public')));
 // UTILITY FUNCTIONS
 // =============================================================================
 
+/**
+ * Builds the holiday provider chain from the STO configuration
+ * Unknown provider types are skipped with a warning.
+ */
+function buildHolidayProviderConfigs() {
+    return stoConfig.holidayProviders
+        .filter(type => {
+            if (!PROVIDER_TYPES[type]) {
+                console.warn(`Ignoring unknown holiday provider "${type}"`);
+                return false;
+            }
+            return true;
+        })
+        .map(type => {
+            switch (type) {
+                case 'nager':
+                    return {
+                        type,
+                        baseURL: stoConfig.holidayApiUrl,
+                        timeout: 5000,
+                        retryAttempts: stoConfig.maxRetries,
+                        retryDelay: stoConfig.retryDelay
+                    };
+                case 'static':
+                    return { type, dataPath: stoConfig.holidayDataPath };
+                default:
+                    return { type, calendars: parseIcsCalendars(stoConfig.holidayIcsFiles) };
+            }
+        });
+}
+
+/**
+ * Builds the holiday cache backend from the STO configuration
+ * Returns null (local caching only) when disabled or misconfigured.
+ */
+function buildHolidayCacheBackend() {
+    const type = stoConfig.holidayCacheBackend;
+    if (!type || type === 'none') {
+        return null;
+    }
+
+    try {
+        switch (type) {
+            case 'file':
+                return createCacheBackend({ type, filePath: stoConfig.holidayCacheFile });
+            case 'redis':
+                return createCacheBackend({ type, ...stoConfig.redis });
+            default:
+                return createCacheBackend({ type });
+        }
+    } catch (error) {
+        console.warn(`Holiday cache backend disabled: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Builds the engagement scorer from the configured tracking extract
+ * Returns null when no file is configured or it cannot be imported.
+ */
+function buildEngagementScorer() {
+    if (!stoConfig.engagementHistoryFile) {
+        return null;
+    }
+
+    try {
+        const scorer = new EngagementScorer({
+            minEvents: stoConfig.engagementMinEvents,
+            minCohortEvents: stoConfig.engagementMinCohortEvents
+        });
+        const results = scorer.importFile(stoConfig.engagementHistoryFile);
+        console.log(`Imported ${results.imported} engagement events (${results.skipped} skipped) from ${stoConfig.engagementHistoryFile}`);
+        return scorer;
+    } catch (error) {
+        console.warn(`Engagement history disabled: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Builds the slot allocator enforcing the activities' maxSendsPerSlot
+ * Returns null when the store is misconfigured; sends are then not capped.
+ */
+function buildSlotAllocator() {
+    try {
+        const store = createAllocationStore({
+            type: stoConfig.slotAllocationStore,
+            filePath: stoConfig.slotAllocationFile
+        });
+        return new SlotAllocator({ store });
+    } catch (error) {
+        console.warn(`Slot capacity limits disabled: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Builds the scheduled holiday refresher from the STO configuration
+ * Returns null when disabled, misconfigured or holiday checking is off.
+ */
+function buildHolidayRefresher() {
+    const schedule = stoConfig.holidayRefreshSchedule.trim();
+    if (!stoConfig.holidayApiEnabled || !schedule || schedule.toLowerCase() === 'off') {
+        return null;
+    }
+
+    try {
+        const refresher = new HolidayRefresher({
+            schedule,
+            countries: stoConfig.holidayRefreshCountries,
+            holidayChecker
+        });
+
+        refresher.on('holidaysChanged', change => {
+            console.warn(`Holidays changed for ${change.countryCode} ${change.year}:`, {
+                added: change.added.map(holiday => `${holiday.date} ${holiday.name}`),
+                removed: change.removed.map(holiday => `${holiday.date} ${holiday.name}`)
+            });
+        });
+
+        return refresher;
+    } catch (error) {
+        console.warn(`Holiday refresher disabled: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Parses calendar file settings of the form CC=path or CC-SUB=path, comma separated
+ */
+function parseIcsCalendars(value) {
+    if (!value) {
+        return [];
+    }
+
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(entry => entry.includes('='))
+        .map(entry => {
+            const separator = entry.indexOf('=');
+            const region = entry.slice(0, separator).trim().toUpperCase();
+            return {
+                countryCode: region.split('-')[0],
+                counties: region.includes('-') ? [region] : null,
+                path: path.resolve(__dirname, entry.slice(separator + 1).trim())
+            };
+        });
+}
+
+/**
+ * Parses the query of the calendar inspection endpoints
+ * Dates are YYYY-MM-DD; lists (holidayTypes, weekendDays) are comma separated.
+ * @returns {Object} { errors, options } with dates as midnight UTC
+ */
+function parseCalendarQuery(query) {
+    const errors = [];
+    const parseDay = (name, fallback) => {
+        const value = query[name];
+        if (value === undefined || value === '') {
+            return fallback;
+        }
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00Z`) : null;
+        if (!date || isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== value) {
+            errors.push(`${name} must be a date in YYYY-MM-DD format`);
+            return null;
+        }
+        return date;
+    };
+    const parseList = name => (query[name] ? String(query[name]).split(',').map(item => item.trim()).filter(Boolean) : null);
+
+    const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+    const options = {
+        date: parseDay('date', today),
+        from: parseDay('from', new Date(Date.UTC(today.getUTCFullYear(), 0, 1))),
+        subdivision: query.subdivision || null,
+        journeyId: query.journeyId || undefined,
+        holidayTypes: parseList('holidayTypes'),
+        weekendDays: parseList('weekendDays'),
+        skipWeekends: query.skipWeekends !== 'false',
+        skipHolidays: query.skipHolidays !== 'false'
+    };
+    options.to = parseDay('to', options.from ? new Date(Date.UTC(options.from.getUTCFullYear(), 11, 31)) : null);
+
+    if (options.from && options.to) {
+        const days = (options.to - options.from) / (24 * 60 * 60 * 1000);
+        if (days < 0) {
+            errors.push('to must not be before from');
+        } else if (days >= MAX_CALENDAR_DAYS) {
+            errors.push(`The date range must not exceed ${MAX_CALENDAR_DAYS} days`);
+        }
+    }
+    if (options.holidayTypes && !normalizeHolidayTypes(options.holidayTypes)) {
+        errors.push(`holidayTypes must be a comma-separated list of: ${HOLIDAY_TYPES.join(', ')}`);
+    }
+    if (options.weekendDays && !normalizeWeekendDays(options.weekendDays)) {
+        errors.push('weekendDays must be a comma-separated list of weekday names');
+    }
+
+    return { errors, options };
+}
+
 /**
  * Validates JWT token from SFMC
  */
@@ -107,6 +399,59 @@ function logRequest(req, res, next) {
     next();
 }
 
+/**
+ * Validates the structure and bounds of each window in a list
+ */
+function validateTimeWindowList(windows, label, errors) {
+    windows.forEach((window, index) => {
+        // Bounds are startHour/endHour (0-23) or HH:mm startTime/endTime; an end
+        // before the start is an overnight window that crosses midnight
+        const bounds = getWindowBounds(window);
+        if (!bounds || typeof window.enabled !== 'boolean') {
+            errors.push(`${label} ${index + 1} has invalid structure`);
+        } else if ((window.startTime === undefined && (window.startHour < 0 || window.startHour > 23)) ||
+                  (window.endTime === undefined && (window.endHour < 0 || window.endHour > 23)) ||
+                  bounds.start === bounds.end) {
+            const start = window.startTime !== undefined ? window.startTime : window.startHour;
+            const end = window.endTime !== undefined ? window.endTime : window.endHour;
+            errors.push(`${label} ${index + 1} has invalid hours (${start}-${end})`);
+        }
+    });
+}
+
+/**
+ * Validates a weekly schedule of windows keyed by weekday name
+ */
+function validateWeeklySchedule(weeklySchedule, errors) {
+    if (!weeklySchedule || typeof weeklySchedule !== 'object' || Array.isArray(weeklySchedule)) {
+        errors.push('weeklySchedule must be an object keyed by weekday');
+        return;
+    }
+
+    const closedDays = [];
+    Object.entries(weeklySchedule).forEach(([dayName, windows]) => {
+        if (getWeekdayIndex(dayName) === -1) {
+            errors.push(`weeklySchedule has unknown weekday "${dayName}"`);
+            return;
+        }
+
+        const dayLabel = dayName.charAt(0).toUpperCase() + dayName.slice(1).toLowerCase();
+        if (!Array.isArray(windows)) {
+            errors.push(`${dayLabel} time windows must be an array`);
+            return;
+        }
+
+        validateTimeWindowList(windows, `${dayLabel} time window`, errors);
+        if (!windows.some(window => window && window.enabled)) {
+            closedDays.push(dayName);
+        }
+    });
+
+    if (closedDays.length === WEEKDAYS.length) {
+        errors.push('weeklySchedule must have at least one day with an enabled time window');
+    }
+}
+
 /**
  * Validates activity configuration for Journey Builder
  */
@@ -121,22 +466,15 @@ function validateActivityConfiguration(config) {
             return { valid: false, errors, warnings };
         }
         
-        // Validate time windows (required)
+        // Validate time windows (required unless a weekly schedule is configured)
+        const hasWeeklySchedule = config.weeklySchedule !== undefined;
         if (!Array.isArray(config.timeWindows) || config.timeWindows.length === 0) {
-            errors.push('At least one time window must be selected');
+            if (!hasWeeklySchedule) {
+                errors.push('At least one time window must be selected');
+            }
         } else {
             // Validate each time window
-            config.timeWindows.forEach((window, index) => {
-                if (typeof window.startHour !== 'number' || 
-                    typeof window.endHour !== 'number' || 
-                    typeof window.enabled !== 'boolean') {
-                    errors.push(`Time window ${index + 1} has invalid structure`);
-                } else if (window.startHour < 0 || window.startHour > 23 || 
-                          window.endHour < 0 || window.endHour > 23 || 
-                          window.startHour >= window.endHour) {
-                    errors.push(`Time window ${index + 1} has invalid hours (${window.startHour}-${window.endHour})`);
-                }
-            });
+            validateTimeWindowList(config.timeWindows, 'Time window', errors);
             
             // Check for enabled time windows
             const enabledWindows = config.timeWindows.filter(w => w.enabled);
@@ -147,6 +485,11 @@ function validateActivityConfiguration(config) {
             }
         }
         
+        // Validate per-weekday windows; days left out use timeWindows
+        if (hasWeeklySchedule) {
+            validateWeeklySchedule(config.weeklySchedule, errors);
+        }
+        
         // Validate boolean flags
         if (config.skipWeekends !== undefined && typeof config.skipWeekends !== 'boolean') {
             errors.push('skipWeekends must be a boolean value');
@@ -156,6 +499,25 @@ function validateActivityConfiguration(config) {
             errors.push('skipHolidays must be a boolean value');
         }
         
+        if (config.useEngagementHistory !== undefined && typeof config.useEngagementHistory !== 'boolean') {
+            errors.push('useEngagementHistory must be a boolean value');
+        }
+        
+        // Validate weekend override; every day being a weekend leaves no sending day
+        if (config.weekendDays !== undefined) {
+            const weekendDays = normalizeWeekendDays(config.weekendDays);
+            if (!weekendDays) {
+                errors.push('weekendDays must be an array of weekday names');
+            } else if (weekendDays.length === 7) {
+                errors.push('weekendDays cannot include every day of the week');
+            }
+        }
+        
+        // Validate the holiday types that block sends
+        if (config.holidayTypes !== undefined && !normalizeHolidayTypes(config.holidayTypes)) {
+            errors.push(`holidayTypes must be a non-empty array of: ${HOLIDAY_TYPES.join(', ')}`);
+        }
+        
         // Validate default timezone
         if (config.defaultTimezone && typeof config.defaultTimezone !== 'string') {
             errors.push('defaultTimezone must be a string');
@@ -167,9 +529,38 @@ function validateActivityConfiguration(config) {
         }
         
         // Validate fallback behavior
-        if (config.fallbackBehavior && 
-            !['next_business_day', 'immediate', 'default_time'].includes(config.fallbackBehavior)) {
-            errors.push('fallbackBehavior must be one of: next_business_day, immediate, default_time');
+        if (config.fallbackBehavior && !isValidFallbackBehavior(config.fallbackBehavior)) {
+            errors.push(`fallbackBehavior must be one of: ${FALLBACK_BEHAVIORS.join(', ')}`);
+        }
+        
+        // Validate DST policy
+        if (config.dstPolicy && !isValidDstPolicy(config.dstPolicy)) {
+            errors.push(`dstPolicy must be one of: ${DST_POLICIES.join(', ')}`);
+        }
+        
+        // Validate slot granularity
+        if (config.slotGranularity !== undefined && !isValidSlotGranularity(config.slotGranularity)) {
+            errors.push(`slotGranularity must be one of: ${SLOT_GRANULARITIES.join(', ')}`);
+        }
+        
+        // Validate per-slot send capacity
+        if (config.maxSendsPerSlot !== undefined &&
+            (!Number.isInteger(config.maxSendsPerSlot) || config.maxSendsPerSlot < 1)) {
+            errors.push('maxSendsPerSlot must be a positive integer');
+        }
+        
+        // Validate send time jitter range
+        if (config.jitterMinutes !== undefined &&
+            (!Number.isInteger(config.jitterMinutes) || config.jitterMinutes < 0 || config.jitterMinutes > 60)) {
+            errors.push('jitterMinutes must be an integer between 0 and 60');
+        }
+        
+        // Validate send deadline and the policy applied when it cannot be met
+        if (config.sendBefore !== undefined && config.sendBefore !== '' && !parseDeadline(config.sendBefore, 'UTC')) {
+            errors.push('sendBefore must be a date or date-time');
+        }
+        if (config.deadlinePolicy !== undefined && !isValidDeadlinePolicy(config.deadlinePolicy)) {
+            errors.push(`deadlinePolicy must be one of: ${DEADLINE_POLICIES.join(', ')}`);
         }
         
         // Add warnings for potentially problematic configurations
@@ -222,7 +613,7 @@ function validateJourneyContext(payload) {
         } else {
             // Check for required data bindings
             const dataArg = payload.inArguments.find(arg => 
-                arg.contactKey || arg.subscriberKey || arg.geosegment
+                arg.contactKey || arg.subscriberKey || arg.geosegment || arg.timezone
             );
             
             if (!dataArg) {
@@ -232,8 +623,8 @@ function validateJourneyContext(payload) {
                     warnings.push('Missing subscriberKey or contactKey binding');
                 }
                 
-                if (!dataArg.geosegment) {
-                    warnings.push('Missing geosegment binding - timezone calculation may use defaults');
+                if (!dataArg.geosegment && !dataArg.timezone) {
+                    warnings.push('Missing geosegment and timezone bindings - timezone calculation will use defaults');
                 }
             }
         }
@@ -265,7 +656,7 @@ async function performPublishChecks(config) {
     
     try {
         // Check external dependencies
-        if (config.skipHolidays && stoConfig.holidayApiEnabled) {
+        if (config.skipHolidays && stoConfig.holidayApiEnabled && stoConfig.holidayProviders.includes('nager')) {
             try {
                 // Test holiday API connectivity
                 const testResponse = await axios.get(
@@ -314,9 +705,12 @@ async function performPublishChecks(config) {
             }
             
             // Check for gaps in time coverage
-            const sortedWindows = enabledWindows.sort((a, b) => a.startHour - b.startHour);
-            for (let i = 1; i < sortedWindows.length; i++) {
-                if (sortedWindows[i].startHour > sortedWindows[i-1].endHour) {
+            const sortedBounds = enabledWindows
+                .map(getWindowBounds)
+                .filter(Boolean)
+                .sort((a, b) => a.start - b.start);
+            for (let i = 1; i < sortedBounds.length; i++) {
+                if (sortedBounds[i].start > sortedBounds[i-1].start + getWindowDuration(sortedBounds[i-1])) {
                     warnings.push('Time window gaps detected - some optimal send times may be skipped');
                     break;
                 }
@@ -375,10 +769,11 @@ monitoringSystem.registerHealthCheck('timezone-engine', async () => {
 
 monitoringSystem.registerHealthCheck('contact-processor', async () => {
     try {
-        const ContactProcessor = require('./src/execution/contact-processor');
+        const { ContactProcessor } = require('./src/execution');
         const processor = new ContactProcessor({
             defaultTimezone: stoConfig.defaultTimezone,
             holidayApiEnabled: stoConfig.holidayApiEnabled,
+            enableResourceMonitoring: false, // Per-check processor, no monitoring interval
             sfmc: sfmcConfig,
             holidayApi: {
                 baseUrl: stoConfig.holidayApiUrl,
@@ -407,6 +802,13 @@ monitoringSystem.registerHealthCheck('holiday-api', async () => {
         };
     }
 
+    if (!stoConfig.holidayProviders.includes('nager')) {
+        return {
+            status: HealthStatus.HEALTHY,
+            details: { message: 'Holiday API not in provider chain', providers: stoConfig.holidayProviders }
+        };
+    }
+
     try {
         const axios = require('axios');
         const response = await axios.get(`${stoConfig.holidayApiUrl}/PublicHolidays/2024/US`, {
@@ -566,6 +968,22 @@ app.get('/performance', (req, res) => {
     }
 });
 
+// Holiday refresh endpoint: schedule and report of the last refresh
+app.get('/holidays/refresh', (req, res) => {
+    if (!holidayRefresher) {
+        return res.json({
+            enabled: false,
+            timestamp: new Date().toISOString()
+        });
+    }
+
+    res.json({
+        enabled: true,
+        ...holidayRefresher.getStatus(),
+        timestamp: new Date().toISOString()
+    });
+});
+
 // Serve configuration UI
 app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
@@ -657,7 +1075,7 @@ app.post('/execute', logRequest, validateJWT, async (req, res) => {
         
         // Parse inArguments to extract contact data and activity configuration
         const contactData = inArguments.find(arg => arg.contactKey || arg.subscriberKey) || {};
-        const activityConfig = inArguments.find(arg => arg.timeWindows || arg.skipWeekends !== undefined) || {};
+        const activityConfig = inArguments.find(arg => arg.timeWindows || arg.weeklySchedule || arg.skipWeekends !== undefined) || {};
         
         // Validate required data
         if (!contactData.subscriberKey && !contactData.contactKey) {
@@ -671,6 +1089,12 @@ app.post('/execute', logRequest, validateJWT, async (req, res) => {
         const contact = {
             subscriberKey: contactData.subscriberKey || contactData.contactKey,
             geosegment: contactData.geosegment || contactData.Geosegment,
+            region: contactData.region || contactData.Region,
+            postalCode: contactData.postalCode || contactData.PostalCode,
+            timezone: contactData.timezone || contactData.Timezone,
+            preferredHour: contactData.preferredHour !== undefined ? contactData.preferredHour : contactData.PreferredHour,
+            preferredMinute: contactData.preferredMinute !== undefined ? contactData.preferredMinute : contactData.PreferredMinute,
+            sendDeadline: contactData.sendDeadline || contactData.SendDeadline,
             emailAddress: contactData.emailAddress || contactData.EmailAddress,
             entryTime: new Date() // Use current time as entry time
         };
@@ -684,21 +1108,29 @@ app.post('/execute', logRequest, validateJWT, async (req, res) => {
             jwt: req.jwt
         };
 
-        // Initialize contact processor with current configuration
-        const ContactProcessor = require('./src/execution/contact-processor');
+        // Initialize contact processor with current configuration; the send time
+        // calculator behind it runs the full workflow (fallbacks, capacity, deadlines)
+        const { ContactProcessor } = require('./src/execution');
         const processor = new ContactProcessor({
             defaultTimezone: stoConfig.defaultTimezone,
+            sfmcTimezone: stoConfig.sfmcTimezone,
             holidayApiEnabled: stoConfig.holidayApiEnabled,
             maxRetries: stoConfig.maxRetries,
             retryDelay: stoConfig.retryDelay,
+            enableResourceMonitoring: false, // Per-request processor, no monitoring interval
             sfmc: sfmcConfig,
             holidayApi: {
                 baseUrl: stoConfig.holidayApiUrl,
                 timeout: 5000
             },
             holidayCache: {
-                ttl: stoConfig.cacheTimeout
-            }
+                ttl: stoConfig.cacheTimeout,
+                backend: holidayCacheBackend
+            },
+            holidayProviders: holidayProviderConfigs,
+            blackoutCalendar,
+            engagementScorer,
+            slotAllocator
         }, console);
 
         // Process the contact
@@ -715,6 +1147,9 @@ app.post('/execute', logRequest, validateJWT, async (req, res) => {
                 success: true,
                 subscriberKey: result.subscriberKey,
                 convertedTime: result.convertedTime,
+                processingStatus: result.processingStatus || 'completed',
+                adjustmentReason: result.adjustmentReason || getAdjustmentReason(result.adjustments),
+                fallback: result.fallback || null,
                 adjustments: result.adjustments,
                 processingTime: result.processingTime
             });
@@ -754,20 +1189,27 @@ app.post('/execute/batch', logRequest, validateJWT, async (req, res) => {
         }
 
         // Initialize contact processor
-        const ContactProcessor = require('./src/execution/contact-processor');
+        const { ContactProcessor } = require('./src/execution');
         const processor = new ContactProcessor({
             defaultTimezone: stoConfig.defaultTimezone,
+            sfmcTimezone: stoConfig.sfmcTimezone,
             holidayApiEnabled: stoConfig.holidayApiEnabled,
             maxRetries: stoConfig.maxRetries,
             retryDelay: stoConfig.retryDelay,
+            enableResourceMonitoring: false, // Per-request processor, no monitoring interval
             sfmc: sfmcConfig,
             holidayApi: {
                 baseUrl: stoConfig.holidayApiUrl,
                 timeout: 5000
             },
             holidayCache: {
-                ttl: stoConfig.cacheTimeout
-            }
+                ttl: stoConfig.cacheTimeout,
+                backend: holidayCacheBackend
+            },
+            holidayProviders: holidayProviderConfigs,
+            blackoutCalendar,
+            engagementScorer,
+            slotAllocator
         }, console);
 
         // Process batch
@@ -798,10 +1240,11 @@ app.post('/execute/batch', logRequest, validateJWT, async (req, res) => {
 // Contact processor statistics endpoint
 app.get('/stats', (req, res) => {
     try {
-        const ContactProcessor = require('./src/execution/contact-processor');
+        const { ContactProcessor } = require('./src/execution');
         const processor = new ContactProcessor({
             defaultTimezone: stoConfig.defaultTimezone,
             holidayApiEnabled: stoConfig.holidayApiEnabled,
+            enableResourceMonitoring: false, // Per-request processor, no monitoring interval
             sfmc: sfmcConfig
         }, console);
 
@@ -881,9 +1324,205 @@ app.post('/lifecycle/cleanup', (req, res) => {
     }
 });
 
+// Blackout calendar endpoints
+app.get('/blackouts', (req, res) => {
+    try {
+        const entries = blackoutCalendar.list({
+            journeyId: req.query.journeyId,
+            countryCode: req.query.countryCode
+        });
+
+        res.json({
+            success: true,
+            count: entries.length,
+            entries
+        });
+
+    } catch (error) {
+        console.error('Blackout list error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to list blackout entries',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+app.get('/blackouts/:id', (req, res) => {
+    const entry = blackoutCalendar.get(req.params.id);
+
+    if (!entry) {
+        return res.status(404).json({
+            success: false,
+            error: 'Blackout entry not found',
+            id: req.params.id
+        });
+    }
+
+    res.json({
+        success: true,
+        entry
+    });
+});
+
+app.post('/blackouts', logRequest, validateJWT, async (req, res) => {
+    try {
+        const result = await blackoutCalendar.create(req.body || {});
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.status(201).json(result);
+
+    } catch (error) {
+        console.error('Blackout create error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to create blackout entry',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+app.put('/blackouts/:id', logRequest, validateJWT, async (req, res) => {
+    try {
+        const result = await blackoutCalendar.update(req.params.id, req.body || {});
+
+        if (!result.success) {
+            return res.status(result.details ? 400 : 404).json(result);
+        }
+
+        res.json(result);
+
+    } catch (error) {
+        console.error('Blackout update error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to update blackout entry',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+app.delete('/blackouts/:id', logRequest, validateJWT, async (req, res) => {
+    try {
+        const removed = await blackoutCalendar.remove(req.params.id);
+
+        if (!removed) {
+            return res.status(404).json({
+                success: false,
+                error: 'Blackout entry not found',
+                id: req.params.id
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Blackout entry deleted',
+            id: req.params.id
+        });
+
+    } catch (error) {
+        console.error('Blackout delete error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to delete blackout entry',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// Holiday calendar inspection endpoints (read-only)
+app.get('/calendar/:countryCode', async (req, res) => {
+    const countryCode = req.params.countryCode.toUpperCase();
+    const { errors, options } = parseCalendarQuery(req.query);
+
+    if (!/^[A-Z]{2}$/.test(countryCode)) {
+        errors.unshift('countryCode must be an ISO 3166-1 alpha-2 code');
+    }
+    if (req.query.format && !['json', 'ics'].includes(req.query.format)) {
+        errors.push('format must be json or ics');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid calendar request', details: errors });
+    }
+
+    try {
+        const entries = await holidayChecker.getCalendar(countryCode, options.from, options.to, options);
+        const from = options.from.toISOString().slice(0, 10);
+        const to = options.to.toISOString().slice(0, 10);
+
+        if (req.query.format === 'ics') {
+            const region = options.subdivision ? options.subdivision.toUpperCase() : countryCode;
+            res.set('Content-Type', 'text/calendar; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="calendar-${region}-${from}-${to}.ics"`);
+            return res.send(toICalendar(entries, { name: `Non-sending days ${region}` }));
+        }
+
+        res.json({
+            success: true,
+            countryCode,
+            subdivision: options.subdivision,
+            journeyId: options.journeyId || null,
+            from,
+            to,
+            count: entries.length,
+            entries
+        });
+
+    } catch (error) {
+        console.error('Calendar endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to build calendar',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+app.get('/calendar/:countryCode/next-business-day', async (req, res) => {
+    const countryCode = req.params.countryCode.toUpperCase();
+    const { errors, options } = parseCalendarQuery(req.query);
+
+    if (!/^[A-Z]{2}$/.test(countryCode)) {
+        errors.unshift('countryCode must be an ISO 3166-1 alpha-2 code');
+    }
+    if (errors.length > 0) {
+        return res.status(400).json({ success: false, error: 'Invalid business day request', details: errors });
+    }
+
+    try {
+        const result = await holidayChecker.explainNextBusinessDay(
+            options.date,
+            countryCode,
+            options.skipWeekends,
+            options.skipHolidays,
+            options
+        );
+
+        res.json({
+            success: true,
+            countryCode,
+            subdivision: options.subdivision,
+            journeyId: options.journeyId || null,
+            ...result
+        });
+
+    } catch (error) {
+        console.error('Next business day endpoint error:', error);
+        res.status(500).json({
+            success: false,
+            error: 'Failed to find the next business day',
+            details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // Timezone testing endpoint (for development/testing)
 app.get('/timezone/test/:countryCode?', (req, res) => {
     const countryCode = req.params.countryCode || 'US';
+    const location = { region: req.query.region, postalCode: req.query.postalCode };
     const testTime = new Date();
     
     try {
@@ -891,10 +1530,10 @@ app.get('/timezone/test/:countryCode?', (req, res) => {
         const timezoneInfo = timezoneEngine.getTimezoneInfo(countryCode, {
             endpoint: 'timezone-test',
             timestamp: testTime.toISOString()
-        });
+        }, location);
         
         // Test time conversions
-        const toSFMC = timezoneEngine.convertToSFMCTime(testTime, countryCode);
+        const toSFMC = timezoneEngine.convertToSFMCTime(testTime, countryCode, {}, location);
         const fromSFMC = timezoneEngine.convertFromSFMCTime(testTime, countryCode);
         
         // Get comprehensive summary
@@ -1020,14 +1659,25 @@ setInterval(() => {
     } catch (error) {
         console.error('Periodic cleanup error:', error);
     }
-}, 60 * 60 * 1000); // Run every hour
-
-app.listen(PORT, () => {
-    console.log(`Send Time Optimization Activity server running on port ${PORT}`);
-    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-    console.log(`Holiday API enabled: ${stoConfig.holidayApiEnabled}`);
-    console.log(`Default timezone: ${stoConfig.defaultTimezone}`);
-    console.log(`Lifecycle management initialized`);
-});
+}, 60 * 60 * 1000).unref(); // Run every hour
+
+// Re-pull cached holidays on the configured schedule
+if (holidayRefresher) {
+    holidayRefresher.start();
+}
+
+// Only listen when run directly; tests and other entry points mount the exported app
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`Send Time Optimization Activity server running on port ${PORT}`);
+        console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+        console.log(`Holiday API enabled: ${stoConfig.holidayApiEnabled}`);
+        console.log(`Default timezone: ${stoConfig.defaultTimezone}`);
+        console.log(`Lifecycle management initialized`);
+        if (holidayRefresher) {
+            console.log(`Holiday refresh scheduled (${holidayRefresher.schedule.expression} UTC), next run ${holidayRefresher.getStatus().nextRunAt}`);
+        }
+    });
+}
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,360 @@
+/**
+ * Blackout Calendar
+ * Company-defined non-sending days (shutdowns, quiet days, launch embargoes) that are
+ * checked alongside public holidays. Entries are single dates, date ranges or
+ * recurrences, optionally limited to countries and to one journey, and are persisted
+ * to a local JSON file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { getWeekdayIndex } = require('./timewindow/time-of-day');
+
+const BLACKOUT_TYPES = ['date', 'range', 'recurring'];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+class BlackoutCalendar {
+    /**
+     * @param {Object} options - Calendar options
+     * @param {string} options.filePath - JSON file the entries are persisted to (optional)
+     * @param {Array} options.entries - Initial entries when no file is used (optional)
+     */
+    constructor(options = {}) {
+        this.filePath = options.filePath || null;
+        this.entries = new Map();
+        this._writeQueue = Promise.resolve();
+
+        const initialEntries = this.filePath ? this._readFile() : (options.entries || []);
+        initialEntries.forEach(entry => {
+            const normalized = this._normalizeEntry(entry);
+            if (this.validateEntry(normalized).length === 0) {
+                this.entries.set(normalized.id, normalized);
+            } else {
+                console.warn(`Ignoring invalid blackout entry ${entry?.id || entry?.name || ''}`.trim());
+            }
+        });
+    }
+
+    /**
+     * List entries, optionally only those that can apply to a journey or country
+     * @param {Object} filter - Filter options
+     * @param {string} filter.journeyId - Journey ID; global entries are always included
+     * @param {string} filter.countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {Array} Blackout entries
+     */
+    list(filter = {}) {
+        return [...this.entries.values()].filter(entry =>
+            this._inScope(entry, filter.countryCode, filter.journeyId)
+        );
+    }
+
+    /**
+     * Get an entry by ID
+     * @param {string} id - Entry ID
+     * @returns {Object|null} Blackout entry or null if not found
+     */
+    get(id) {
+        return this.entries.get(id) || null;
+    }
+
+    /**
+     * Create an entry and persist it
+     * @param {Object} data - Entry data
+     * @returns {Promise<Object>} Result with the created entry, or validation errors
+     */
+    async create(data) {
+        const now = new Date().toISOString();
+        const entry = this._normalizeEntry({
+            ...data,
+            id: crypto.randomUUID(),
+            createdAt: now,
+            updatedAt: now
+        });
+
+        const errors = this.validateEntry(entry);
+        if (errors.length > 0) {
+            return { success: false, error: 'Invalid blackout entry', details: errors };
+        }
+
+        this.entries.set(entry.id, entry);
+        await this._persist();
+        return { success: true, entry };
+    }
+
+    /**
+     * Replace the fields of an entry and persist it
+     * @param {string} id - Entry ID
+     * @param {Object} data - Fields to change
+     * @returns {Promise<Object>} Result with the updated entry, or an error
+     */
+    async update(id, data) {
+        const existing = this.entries.get(id);
+        if (!existing) {
+            return { success: false, error: 'Blackout entry not found' };
+        }
+
+        const entry = this._normalizeEntry({
+            ...existing,
+            ...data,
+            id,
+            createdAt: existing.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+
+        const errors = this.validateEntry(entry);
+        if (errors.length > 0) {
+            return { success: false, error: 'Invalid blackout entry', details: errors };
+        }
+
+        this.entries.set(id, entry);
+        await this._persist();
+        return { success: true, entry };
+    }
+
+    /**
+     * Delete an entry and persist the change
+     * @param {string} id - Entry ID
+     * @returns {Promise<boolean>} True if the entry existed
+     */
+    async remove(id) {
+        if (!this.entries.delete(id)) {
+            return false;
+        }
+
+        await this._persist();
+        return true;
+    }
+
+    /**
+     * Get the entries that black out a calendar date
+     * Calendar dates are read from the Date's UTC fields, like HolidayChecker
+     * @param {Date|string} date - Date (midnight UTC of the calendar date) or YYYY-MM-DD
+     * @param {Object} scope - Scope of the check
+     * @param {string} scope.countryCode - Contact's country code
+     * @param {string} scope.journeyId - Journey ID; without one only global entries apply
+     * @returns {Array} Matching blackout entries
+     */
+    getBlackouts(date, scope = {}) {
+        const day = this._parseDate(date);
+        if (!day) {
+            return [];
+        }
+
+        return this.list(scope).filter(entry =>
+            this._coversDay(entry, day) && (entry.journeyId === null || entry.journeyId === scope.journeyId)
+        );
+    }
+
+    /**
+     * Check whether a calendar date is blacked out
+     * @param {Date|string} date - Date (midnight UTC of the calendar date) or YYYY-MM-DD
+     * @param {Object} scope - Scope of the check (countryCode, journeyId)
+     * @returns {boolean} True if any entry covers the date
+     */
+    isBlackout(date, scope = {}) {
+        return this.getBlackouts(date, scope).length > 0;
+    }
+
+    /**
+     * Validate an entry
+     * @param {Object} entry - Normalized entry
+     * @returns {Array} Error messages, empty when valid
+     */
+    validateEntry(entry) {
+        const errors = [];
+
+        if (!entry.name || typeof entry.name !== 'string') {
+            errors.push('name is required');
+        }
+
+        if (!BLACKOUT_TYPES.includes(entry.type)) {
+            errors.push(`type must be one of: ${BLACKOUT_TYPES.join(', ')}`);
+        } else if (entry.type === 'date') {
+            if (!this._parseDate(entry.date)) {
+                errors.push('date must be a valid date in YYYY-MM-DD format');
+            }
+        } else if (entry.type === 'range') {
+            const start = this._parseDate(entry.startDate);
+            const end = this._parseDate(entry.endDate);
+            if (!start || !end) {
+                errors.push('startDate and endDate must be valid dates in YYYY-MM-DD format');
+            } else if (start.key > end.key) {
+                errors.push('startDate must not be after endDate');
+            }
+        } else {
+            errors.push(...this._validateRecurrence(entry.recurrence));
+        }
+
+        if (entry.countries !== null &&
+            (!Array.isArray(entry.countries) || entry.countries.some(code => !/^[A-Z]{2}$/.test(code)))) {
+            errors.push('countries must be an array of ISO 3166-1 alpha-2 codes');
+        }
+
+        if (entry.journeyId !== null && typeof entry.journeyId !== 'string') {
+            errors.push('journeyId must be a string');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Validate a recurrence: the nth or last weekday of every month (or one month),
+     * every such weekday, or a fixed month and day each year
+     * @private
+     */
+    _validateRecurrence(recurrence) {
+        if (!recurrence || typeof recurrence !== 'object') {
+            return ['recurrence is required for recurring entries'];
+        }
+
+        const errors = [];
+        const { weekday, week, month, day } = recurrence;
+
+        if (month !== undefined && !(Number.isInteger(month) && month >= 1 && month <= 12)) {
+            errors.push('recurrence.month must be between 1 and 12');
+        }
+
+        if (weekday === undefined) {
+            if (month === undefined || !(Number.isInteger(day) && day >= 1 && day <= 31)) {
+                errors.push('recurrence needs a weekday, or a month and day');
+            }
+        } else {
+            if (getWeekdayIndex(weekday) === -1) {
+                errors.push('recurrence.weekday must be a weekday name');
+            }
+            if (week !== undefined && week !== 'last' && !(Number.isInteger(week) && week >= 1 && week <= 5)) {
+                errors.push('recurrence.week must be 1-5 or "last"');
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check whether an entry covers a parsed day
+     * @private
+     */
+    _coversDay(entry, day) {
+        switch (entry.type) {
+            case 'date':
+                return entry.date === day.key;
+            case 'range':
+                return entry.startDate <= day.key && day.key <= entry.endDate;
+            default: {
+                const { weekday, week, month, day: dayOfMonth } = entry.recurrence;
+                if (month !== undefined && month !== day.month) {
+                    return false;
+                }
+                if (weekday === undefined) {
+                    return dayOfMonth === day.day;
+                }
+                if (getWeekdayIndex(weekday) !== day.weekday) {
+                    return false;
+                }
+                if (week === 'last') {
+                    return day.day + 7 > day.daysInMonth;
+                }
+                return week === undefined || Math.ceil(day.day / 7) === week;
+            }
+        }
+    }
+
+    /**
+     * Check whether an entry can apply to a country and journey
+     * @private
+     */
+    _inScope(entry, countryCode, journeyId) {
+        if (journeyId !== undefined && entry.journeyId !== null && entry.journeyId !== journeyId) {
+            return false;
+        }
+        if (countryCode && entry.countries && !entry.countries.includes(countryCode.toUpperCase())) {
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Normalize entry fields: country codes upper-case, empty scopes as null
+     * @private
+     */
+    _normalizeEntry(data) {
+        const entry = { ...data };
+        entry.countries = Array.isArray(data.countries) && data.countries.length > 0
+            ? data.countries.map(code => (typeof code === 'string' ? code.trim().toUpperCase() : code))
+            : (data.countries === undefined || Array.isArray(data.countries) ? null : data.countries);
+        entry.journeyId = data.journeyId === undefined || data.journeyId === '' ? null : data.journeyId;
+        return entry;
+    }
+
+    /**
+     * Parse a Date (UTC fields) or YYYY-MM-DD string into calendar parts
+     * @private
+     */
+    _parseDate(value) {
+        let date;
+        if (value instanceof Date) {
+            date = new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+        } else if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+            date = new Date(`${value}T00:00:00Z`);
+        } else {
+            return null;
+        }
+
+        if (isNaN(date.getTime()) || (typeof value === 'string' && date.toISOString().slice(0, 10) !== value)) {
+            return null;
+        }
+
+        const year = date.getUTCFullYear();
+        const month = date.getUTCMonth() + 1;
+        return {
+            key: date.toISOString().slice(0, 10),
+            month,
+            day: date.getUTCDate(),
+            weekday: date.getUTCDay(),
+            daysInMonth: new Date(Date.UTC(year, month, 0)).getUTCDate()
+        };
+    }
+
+    /**
+     * Read entries from the store file; a missing file is an empty calendar
+     * @private
+     */
+    _readFile() {
+        try {
+            const content = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            return Array.isArray(content.entries) ? content.entries : [];
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read blackout calendar ${this.filePath}:`, error.message);
+            }
+            return [];
+        }
+    }
+
+    /**
+     * Write all entries to the store file. Writes are queued so concurrent changes
+     * are stored in order, and go through a temporary file so a crash cannot leave
+     * a partial file behind.
+     * @private
+     */
+    _persist() {
+        if (!this.filePath) {
+            return Promise.resolve();
+        }
+
+        const content = JSON.stringify({ entries: [...this.entries.values()] }, null, 2);
+        const write = async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, content, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        };
+
+        this._writeQueue = this._writeQueue.then(write, write);
+        return this._writeQueue;
+    }
+}
+
+module.exports = BlackoutCalendar;
@@ -0,0 +1,63 @@
+/**
+ * Allocation Store
+ * Base class for the counters behind SlotAllocator: how many sends have been placed
+ * in each slot of each journey. Every /execute call reserves through the same store,
+ * so a store shared between processes spreads a journey's contacts across slots no
+ * matter which replica handles them. A counter is dropped once its expiry has passed.
+ */
+
+class AllocationStore {
+    /**
+     * @param {string} name - Store name, used in logs and statistics
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Count one send in a slot if the slot has capacity left. The check and the
+     * increment must be atomic for every caller sharing the store.
+     * @param {string} key - Slot key
+     * @param {number} capacity - Maximum sends in the slot
+     * @param {number} expiresAt - Time (ms since epoch) after which the counter can be dropped
+     * @returns {Promise<Object>} Whether the send was counted, and the slot's count
+     */
+    async reserve(key, capacity, expiresAt) {
+        throw new Error(`Allocation store ${this.name} does not implement reserve`);
+    }
+
+    /**
+     * Give back one send counted in a slot
+     * @param {string} key - Slot key
+     * @returns {Promise<number>} Remaining count of the slot
+     */
+    async release(key) {
+        throw new Error(`Allocation store ${this.name} does not implement release`);
+    }
+
+    /**
+     * Get the unexpired counters
+     * @param {string} prefix - Only return slot keys starting with this prefix (optional)
+     * @returns {Promise<Object>} Count per slot key
+     */
+    async getCounts(prefix = '') {
+        throw new Error(`Allocation store ${this.name} does not implement getCounts`);
+    }
+
+    /**
+     * Drop all counters
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        throw new Error(`Allocation store ${this.name} does not implement clear`);
+    }
+
+    /**
+     * Release file handles or pending writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+    }
+}
+
+module.exports = AllocationStore;
@@ -0,0 +1,193 @@
+/**
+ * File Allocation Store
+ * Keeps the slot counters in a JSON file, so processes sharing a volume share them.
+ * Every change re-reads the file under a lock file, so two processes reserving the
+ * last send of a slot cannot both get it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AllocationStore = require('./allocation-store');
+
+class FileAllocationStore extends AllocationStore {
+    /**
+     * @param {Object} options - Store options
+     * @param {string} options.filePath - Counter file
+     * @param {number} options.lockTimeout - Milliseconds to wait for the lock (default 5000)
+     * @param {number} options.staleLockAge - Age in milliseconds after which a lock left by a crashed process is broken (default 10000)
+     */
+    constructor(options = {}) {
+        super('file');
+        if (!options.filePath) {
+            throw new Error('File allocation store requires a filePath');
+        }
+        this.filePath = options.filePath;
+        this.lockPath = `${options.filePath}.lock`;
+        this.lockTimeout = options.lockTimeout || 5000;
+        this.staleLockAge = options.staleLockAge || 10000;
+        this._queue = Promise.resolve();
+    }
+
+    /**
+     * Count one send in a slot if the slot has capacity left
+     * @param {string} key - Slot key
+     * @param {number} capacity - Maximum sends in the slot
+     * @param {number} expiresAt - Time (ms since epoch) after which the counter can be dropped
+     * @returns {Promise<Object>} Whether the send was counted, and the slot's count
+     */
+    async reserve(key, capacity, expiresAt) {
+        return this._update(counters => {
+            const count = counters[key] ? counters[key].count : 0;
+            if (count >= capacity) {
+                return { result: { reserved: false, count }, changed: false };
+            }
+            counters[key] = { count: count + 1, expiresAt };
+            return { result: { reserved: true, count: count + 1 }, changed: true };
+        });
+    }
+
+    /**
+     * Give back one send counted in a slot
+     * @param {string} key - Slot key
+     * @returns {Promise<number>} Remaining count of the slot
+     */
+    async release(key) {
+        return this._update(counters => {
+            if (!counters[key]) {
+                return { result: 0, changed: false };
+            }
+            counters[key].count = Math.max(0, counters[key].count - 1);
+            return { result: counters[key].count, changed: true };
+        });
+    }
+
+    /**
+     * Get the unexpired counters
+     * @param {string} prefix - Only return slot keys starting with this prefix (optional)
+     * @returns {Promise<Object>} Count per slot key
+     */
+    async getCounts(prefix = '') {
+        const counters = await this._read();
+        const counts = {};
+        Object.entries(counters).forEach(([key, counter]) => {
+            if (key.startsWith(prefix)) {
+                counts[key] = counter.count;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Drop all counters
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this._update(counters => {
+            Object.keys(counters).forEach(key => delete counters[key]);
+            return { result: undefined, changed: true };
+        });
+    }
+
+    /**
+     * Wait for pending changes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this._queue.catch(() => {});
+    }
+
+    /**
+     * Apply a change to the counters under the lock. Changes of this process are
+     * queued so they do not compete with each other for the lock.
+     * @private
+     */
+    _update(change) {
+        const run = async () => {
+            await this._acquireLock();
+            try {
+                const counters = await this._read();
+                const { result, changed } = change(counters);
+                if (changed) {
+                    await this._write(counters);
+                }
+                return result;
+            } finally {
+                await fs.promises.unlink(this.lockPath).catch(() => {});
+            }
+        };
+
+        const update = this._queue.then(run, run);
+        this._queue = update.catch(() => {});
+        return update;
+    }
+
+    /**
+     * Create the lock file, waiting while another process holds it
+     * @private
+     */
+    async _acquireLock() {
+        const deadline = Date.now() + this.lockTimeout;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        for (;;) {
+            try {
+                const handle = await fs.promises.open(this.lockPath, 'wx');
+                await handle.close();
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') {
+                    throw error;
+                }
+            }
+
+            const stats = await fs.promises.stat(this.lockPath).catch(() => null);
+            if (stats && Date.now() - stats.mtimeMs > this.staleLockAge) {
+                await fs.promises.unlink(this.lockPath).catch(() => {});
+                continue;
+            }
+            if (Date.now() >= deadline) {
+                throw new Error(`Timed out waiting for slot allocation lock ${this.lockPath}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 10 + Math.random() * 20));
+        }
+    }
+
+    /**
+     * Read the unexpired counters; a missing file has none
+     * @private
+     */
+    async _read() {
+        let counters = {};
+        try {
+            const content = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            if (content && typeof content.counters === 'object' && content.counters !== null) {
+                counters = content.counters;
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`Failed to read slot allocations ${this.filePath}:`, error.message);
+            }
+        }
+
+        const now = Date.now();
+        Object.keys(counters).forEach(key => {
+            if (!counters[key] || counters[key].expiresAt <= now) {
+                delete counters[key];
+            }
+        });
+        return counters;
+    }
+
+    /**
+     * Write the counters through a temporary file so readers never see a partial file
+     * @private
+     */
+    async _write(counters) {
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        const content = JSON.stringify({ version: 1, savedAt: new Date().toISOString(), counters });
+        await fs.promises.writeFile(tempPath, content, 'utf8');
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+}
+
+module.exports = FileAllocationStore;
@@ -0,0 +1,41 @@
+/**
+ * Send Capacity
+ * Per-slot send limits of journeys and the stores their counters are kept in
+ */
+
+const AllocationStore = require('./allocation-store');
+const MemoryAllocationStore = require('./memory-allocation-store');
+const FileAllocationStore = require('./file-allocation-store');
+const SlotAllocator = require('./slot-allocator');
+
+// Allocation store types by configuration name
+const ALLOCATION_STORE_TYPES = {
+    memory: MemoryAllocationStore,
+    file: FileAllocationStore
+};
+
+/**
+ * Creates an allocation store from its configuration
+ * @param {Object} config - Store configuration with a type (memory or file), or a store instance
+ * @returns {AllocationStore} Allocation store
+ */
+function createAllocationStore(config) {
+    if (typeof config?.reserve === 'function' && typeof config?.release === 'function') {
+        return config;
+    }
+
+    const Store = ALLOCATION_STORE_TYPES[config?.type];
+    if (!Store) {
+        throw new Error(`Unknown allocation store type: ${config?.type}`);
+    }
+    return new Store(config);
+}
+
+module.exports = {
+    AllocationStore,
+    MemoryAllocationStore,
+    FileAllocationStore,
+    SlotAllocator,
+    ALLOCATION_STORE_TYPES,
+    createAllocationStore
+};
@@ -0,0 +1,86 @@
+/**
+ * Memory Allocation Store
+ * Keeps the slot counters in a Map. Every /execute call of the process shares it, but
+ * replicas each count on their own; use the file store to share counters between them.
+ */
+
+const AllocationStore = require('./allocation-store');
+
+class MemoryAllocationStore extends AllocationStore {
+    constructor() {
+        super('memory');
+        this.counters = new Map();
+    }
+
+    /**
+     * Count one send in a slot if the slot has capacity left
+     * @param {string} key - Slot key
+     * @param {number} capacity - Maximum sends in the slot
+     * @param {number} expiresAt - Time (ms since epoch) after which the counter can be dropped
+     * @returns {Promise<Object>} Whether the send was counted, and the slot's count
+     */
+    async reserve(key, capacity, expiresAt) {
+        const counter = this._getCounter(key);
+        const count = counter ? counter.count : 0;
+        if (count >= capacity) {
+            return { reserved: false, count };
+        }
+
+        this.counters.set(key, { count: count + 1, expiresAt });
+        return { reserved: true, count: count + 1 };
+    }
+
+    /**
+     * Give back one send counted in a slot
+     * @param {string} key - Slot key
+     * @returns {Promise<number>} Remaining count of the slot
+     */
+    async release(key) {
+        const counter = this._getCounter(key);
+        if (!counter) {
+            return 0;
+        }
+
+        counter.count = Math.max(0, counter.count - 1);
+        return counter.count;
+    }
+
+    /**
+     * Get the unexpired counters
+     * @param {string} prefix - Only return slot keys starting with this prefix (optional)
+     * @returns {Promise<Object>} Count per slot key
+     */
+    async getCounts(prefix = '') {
+        const counts = {};
+        [...this.counters.keys()].forEach(key => {
+            const counter = this._getCounter(key);
+            if (counter && key.startsWith(prefix)) {
+                counts[key] = counter.count;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Drop all counters
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.counters.clear();
+    }
+
+    /**
+     * Get a counter, dropping it when expired
+     * @private
+     */
+    _getCounter(key) {
+        const counter = this.counters.get(key);
+        if (counter && counter.expiresAt <= Date.now()) {
+            this.counters.delete(key);
+            return null;
+        }
+        return counter || null;
+    }
+}
+
+module.exports = MemoryAllocationStore;
@@ -0,0 +1,269 @@
+/**
+ * Slot Allocator
+ * Caps the sends per time slot of a journey. Slots are chosen with
+ * TimeSlotSelector.findNextAvailableSlot; a slot that is full is marked unavailable
+ * and the search continues with the next slot, then the next day, so a large journey
+ * entering at once is spread over the following slots instead of landing on the first.
+ * Slots found full are remembered, so later searches skip them without a store call;
+ * a slot freed by another process is only seen again once its counter expires.
+ */
+
+const TimeSlotSelector = require('../timewindow/time-slot-selector');
+const {
+    DEFAULT_SLOT_GRANULARITY,
+    MINUTES_PER_DAY,
+    getWindowBounds,
+    getWindowDuration,
+    getSlotBounds
+} = require('../timewindow/time-of-day');
+
+// Counters are kept for a day after their slot, then dropped by the store
+const COUNTER_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+class SlotAllocator {
+    /**
+     * @param {Object} options - Allocator options
+     * @param {Object} options.store - AllocationStore holding the slot counters
+     * @param {number} options.maxPerSlot - Default maximum sends per slot (optional)
+     * @param {number} options.maxDaysToCheck - Days to search for a slot with capacity (default 14)
+     */
+    constructor(options = {}) {
+        if (!options.store) {
+            throw new Error('Slot allocator requires an allocation store');
+        }
+
+        this.store = options.store;
+        this.maxPerSlot = options.maxPerSlot || null;
+        this.maxDaysToCheck = options.maxDaysToCheck || 14;
+        this.selector = options.selector || new TimeSlotSelector();
+
+        // Count of each slot known to be full, by key, until its counter expires
+        this.fullSlots = new Map();
+    }
+
+    /**
+     * Reserve a send in the first slot with capacity left
+     * @param {Date} targetDate - Date to start the search on
+     * @param {Array|Function} timeWindows - Time windows, or a function returning the windows of a date
+     * @param {Object} options - findNextAvailableSlot options, plus:
+     * @param {string} options.journeyId - Journey the capacity applies to
+     * @param {number} options.maxPerSlot - Maximum sends per slot (defaults to the allocator's)
+     * @param {Date} options.notBefore - Earliest send time; the slot containing it is used from that time
+     * @param {Function} options.isDayExcluded - Async check of dates to skip, e.g. holidays (optional)
+     * @returns {Promise<Object>} Selected slot with sendTime and allocation details, or an error
+     */
+    async allocate(targetDate, timeWindows, options = {}) {
+        const capacity = this._resolveCapacity(options.maxPerSlot);
+        const journeyId = options.journeyId || 'default';
+        const notBefore = options.notBefore ? new Date(options.notBefore).getTime() : null;
+        const maxDaysToCheck = options.maxDaysToCheck || this.maxDaysToCheck;
+        const unavailableSlots = [...(options.unavailableSlots || [])];
+        const currentDate = new Date(targetDate);
+        let slotsFull = 0;
+
+        for (let dayOffset = 0; dayOffset < maxDaysToCheck; dayOffset++) {
+            const excluded = dayOffset > 0 && options.isDayExcluded
+                ? await options.isDayExcluded(new Date(currentDate))
+                : false;
+            const windows = typeof timeWindows === 'function' ? timeWindows(new Date(currentDate)) : timeWindows;
+
+            while (!excluded) {
+                const result = this.selector.findNextAvailableSlot(currentDate, windows, unavailableSlots, {
+                    ...options,
+                    maxDaysToCheck: 1
+                });
+                if (!result.success) {
+                    break;
+                }
+
+                const slot = result.selectedSlot;
+                const markUnavailable = () => unavailableSlots.push({
+                    date: result.slotDate,
+                    hour: slot.hour,
+                    minute: slot.minute,
+                    dayOffset: slot.dayOffset
+                });
+
+                // Slots that end before the earliest send time are not candidates
+                const slotStart = slot.datetime.getTime();
+                const slotEnd = slotStart + this._getSlotLength(slot, windows, options.slotGranularity);
+                if (notBefore !== null && slotEnd <= notBefore) {
+                    markUnavailable();
+                    continue;
+                }
+
+                const key = this.getSlotKey(journeyId, slot.datetime);
+                const reservation = this._isKnownFull(key, capacity)
+                    ? { reserved: false }
+                    : await this._reserve(key, capacity, slotStart + COUNTER_RETENTION_MS);
+                if (reservation.reserved) {
+                    return {
+                        ...result,
+                        daysAdjusted: dayOffset,
+                        originalDate: targetDate,
+                        sendTime: new Date(notBefore !== null ? Math.max(slotStart, notBefore) : slotStart),
+                        allocation: {
+                            key,
+                            journeyId,
+                            slotStart: slot.datetime,
+                            slotEnd: new Date(slotEnd),
+                            count: reservation.count,
+                            capacity,
+                            slotsFull
+                        }
+                    };
+                }
+
+                slotsFull++;
+                markUnavailable();
+            }
+
+            currentDate.setDate(currentDate.getDate() + 1);
+        }
+
+        return {
+            success: false,
+            error: `No slot with capacity left within ${maxDaysToCheck} days`,
+            daysChecked: maxDaysToCheck,
+            slotsFull
+        };
+    }
+
+    /**
+     * Reserve a send in one slot, without moving to another one when it is full
+     * The slot must be keyed like allocate keys it: by its start on the window's slot
+     * grid (see getSlotBounds in time-of-day.js)
+     * @param {Date} slotStart - Start of the slot
+     * @param {Object} options - Reservation options
+     * @param {string} options.journeyId - Journey the capacity applies to
+     * @param {number} options.maxPerSlot - Maximum sends per slot (defaults to the allocator's)
+     * @param {Date} options.slotEnd - End of the slot (defaults to slotStart plus slotGranularity)
+     * @param {number} options.slotGranularity - Slot length in minutes (default 60)
+     * @returns {Promise<Object>} Allocation details, or an error when the slot is full
+     */
+    async reserve(slotStart, options = {}) {
+        const capacity = this._resolveCapacity(options.maxPerSlot);
+        const journeyId = options.journeyId || 'default';
+        const start = new Date(slotStart);
+        const end = options.slotEnd
+            ? new Date(options.slotEnd)
+            : new Date(start.getTime() + (options.slotGranularity || DEFAULT_SLOT_GRANULARITY) * 60 * 1000);
+        const key = this.getSlotKey(journeyId, start);
+
+        const reservation = this._isKnownFull(key, capacity)
+            ? { reserved: false }
+            : await this._reserve(key, capacity, start.getTime() + COUNTER_RETENTION_MS);
+        if (!reservation.reserved) {
+            return {
+                success: false,
+                error: `Slot ${start.toISOString()} has no capacity left`
+            };
+        }
+
+        return {
+            success: true,
+            allocation: {
+                key,
+                journeyId,
+                slotStart: start,
+                slotEnd: end,
+                count: reservation.count,
+                capacity,
+                slotsFull: 0
+            }
+        };
+    }
+
+    /**
+     * Give back a reserved send, e.g. when the contact is not sent after all
+     * @param {Object} allocation - Allocation returned by allocate
+     * @returns {Promise<number>} Remaining count of the slot
+     */
+    async release(allocation) {
+        this.fullSlots.delete(allocation.key);
+        return this.store.release(allocation.key);
+    }
+
+    /**
+     * Get the sends counted per slot of a journey
+     * @param {string} journeyId - Journey ID
+     * @returns {Promise<Object>} Count per slot start (ISO 8601)
+     */
+    async getUsage(journeyId) {
+        const prefix = `${journeyId || 'default'}|`;
+        const counts = await this.store.getCounts(prefix);
+        const usage = {};
+        Object.entries(counts).forEach(([key, count]) => {
+            usage[key.slice(prefix.length)] = count;
+        });
+        return usage;
+    }
+
+    /**
+     * Gets the counter key of a journey's slot
+     * @param {string} journeyId - Journey ID
+     * @param {Date} slotStart - Start of the slot
+     * @returns {string} Slot key
+     */
+    getSlotKey(journeyId, slotStart) {
+        return `${journeyId}|${slotStart.toISOString()}`;
+    }
+
+    /**
+     * Reserves a send in the store and remembers the slot when it is full afterwards
+     * @private
+     */
+    async _reserve(key, capacity, expiresAt) {
+        const reservation = await this.store.reserve(key, capacity, expiresAt);
+        if (reservation.count >= capacity) {
+            this.fullSlots.set(key, { count: reservation.count, expiresAt });
+        }
+        return reservation;
+    }
+
+    /**
+     * Checks whether a slot is known to have no capacity left, dropping expired entries
+     * @private
+     */
+    _isKnownFull(key, capacity) {
+        const full = this.fullSlots.get(key);
+        if (!full) {
+            return false;
+        }
+        if (full.expiresAt <= Date.now()) {
+            this.fullSlots.delete(key);
+            return false;
+        }
+        return full.count >= capacity;
+    }
+
+    /**
+     * Gets the length of a selected slot in milliseconds: up to the next grid point,
+     * or the end of its window when that comes first
+     * @private
+     */
+    _getSlotLength(slot, windows, slotGranularity) {
+        const granularity = slotGranularity || DEFAULT_SLOT_GRANULARITY;
+        const window = windows.filter(candidate => candidate.enabled === true)[slot.window];
+        const bounds = getWindowBounds(window);
+        const minute = (slot.dayOffset || 0) * MINUTES_PER_DAY + slot.hour * 60 + slot.minute;
+        const slotBounds = getSlotBounds(minute, granularity, bounds
+            ? { start: bounds.start, end: bounds.start + getWindowDuration(bounds) }
+            : null);
+        return (slotBounds.end - slotBounds.start) * 60 * 1000;
+    }
+
+    /**
+     * Gets the maximum sends per slot, validated
+     * @private
+     */
+    _resolveCapacity(maxPerSlot) {
+        const capacity = maxPerSlot !== undefined && maxPerSlot !== null ? maxPerSlot : this.maxPerSlot;
+        if (!Number.isInteger(capacity) || capacity < 1) {
+            throw new Error('Maximum sends per slot must be a positive integer');
+        }
+        return capacity;
+    }
+}
+
+module.exports = SlotAllocator;
@@ -0,0 +1,179 @@
+/**
+ * Country Code Normalizer Module
+ *
+ * Maps the country representations commonly found in source systems (ISO 3166-1
+ * alpha-3 and numeric codes, English and local country names, and well-known
+ * aliases such as "UK") to ISO 3166-1 alpha-2 codes before validation.
+ */
+
+const DEFAULT_DATASET = require('./data/iso-3166-1.json');
+
+/**
+ * Folds a name into a comparison key: accents removed, lowercase, punctuation
+ * collapsed to single spaces and "&" spelled out
+ * @param {string} value - Name to fold
+ * @returns {string} Comparison key
+ */
+function foldName(value) {
+    return String(value)
+        .normalize('NFD')
+        .replace(/\p{M}/gu, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        .replace(/['’]/g, '')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+/**
+ * Normalizer for geosegment values that are not ISO 3166-1 alpha-2 codes
+ */
+class CountryCodeNormalizer {
+    /**
+     * @param {Object} options - Normalizer options
+     * @param {Object} options.dataset - Dataset to use instead of the bundled one
+     * @param {Object} options.aliases - Additional aliases (name or code -> alpha-2)
+     */
+    constructor(options = {}) {
+        this.dataset = options.dataset || DEFAULT_DATASET;
+        this.countries = this.dataset.countries || {};
+        this.alpha3Index = {};
+        this.numericIndex = {};
+
+        Object.entries(this.countries).forEach(([alpha2, codes]) => {
+            this.alpha3Index[codes.alpha3] = alpha2;
+            this.numericIndex[codes.numeric] = alpha2;
+        });
+
+        this.aliasIndex = {};
+        Object.entries({ ...(this.dataset.aliases || {}), ...(options.aliases || {}) })
+            .forEach(([alias, alpha2]) => {
+                this.aliasIndex[foldName(alias)] = String(alpha2).toUpperCase();
+            });
+
+        // Built on first name lookup; Intl.DisplayNames is comparatively slow
+        this.nameIndex = null;
+    }
+
+    /**
+     * Normalizes a geosegment value to an ISO 3166-1 alpha-2 code
+     * Values that already look like alpha-2 codes are left to the validator,
+     * except for aliases such as "UK" and "EL"
+     * @param {string|number} value - Raw geosegment value
+     * @returns {Object|null} Normalization details, or null when no mapping applies
+     */
+    normalize(value) {
+        if (typeof value === 'number') {
+            return Number.isInteger(value) && value > 0
+                ? this._match(value, this.numericIndex[String(value).padStart(3, '0')], 'numeric')
+                : null;
+        }
+
+        if (typeof value !== 'string') {
+            return null;
+        }
+
+        const trimmed = value.trim();
+        if (trimmed.length === 0) {
+            return null;
+        }
+
+        const upper = trimmed.toUpperCase();
+        const folded = foldName(trimmed);
+
+        if (/^[A-Z]{2}$/.test(upper)) {
+            return this._match(value, this.aliasIndex[folded], 'alias');
+        }
+
+        if (/^\d{3}$/.test(upper)) {
+            return this._match(value, this.numericIndex[upper], 'numeric');
+        }
+
+        if (/^[A-Z]{3}$/.test(upper) && this.alpha3Index[upper]) {
+            return this._match(value, this.alpha3Index[upper], 'alpha3');
+        }
+
+        if (this.aliasIndex[folded]) {
+            return this._match(value, this.aliasIndex[folded], 'alias');
+        }
+
+        return this._match(value, this._getNameIndex()[folded], 'name');
+    }
+
+    /**
+     * Gets the ISO 3166-1 codes for an alpha-2 country code
+     * @param {string} alpha2 - ISO 3166-1 alpha-2 country code
+     * @returns {Object|null} Object with alpha2, alpha3 and numeric codes
+     */
+    getCodes(alpha2) {
+        if (!alpha2 || typeof alpha2 !== 'string') {
+            return null;
+        }
+        const code = alpha2.trim().toUpperCase();
+        const codes = this.countries[code];
+        return codes ? { alpha2: code, ...codes } : null;
+    }
+
+    /**
+     * Builds a normalization result
+     * @private
+     */
+    _match(original, alpha2, method) {
+        if (!alpha2) {
+            return null;
+        }
+        return {
+            original,
+            normalized: alpha2,
+            method
+        };
+    }
+
+    /**
+     * Builds the folded name index from English names (long and short forms)
+     * and each country's name in its most likely local language
+     * @private
+     */
+    _getNameIndex() {
+        if (this.nameIndex) {
+            return this.nameIndex;
+        }
+
+        const index = {};
+        const add = (name, alpha2) => {
+            const key = name ? foldName(name) : '';
+            // Keep the first mapping so English names win over local collisions
+            if (key && !index[key]) {
+                index[key] = alpha2;
+            }
+        };
+
+        const englishNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        const shortNames = new Intl.DisplayNames(['en'], { type: 'region', style: 'short' });
+        const codes = Object.keys(this.countries);
+
+        codes.forEach(alpha2 => {
+            add(englishNames.of(alpha2), alpha2);
+            add(shortNames.of(alpha2), alpha2);
+        });
+
+        codes.forEach(alpha2 => {
+            try {
+                const language = new Intl.Locale(`und-${alpha2}`).maximize().language;
+                if (language && language !== 'en') {
+                    add(new Intl.DisplayNames([language], { type: 'region' }).of(alpha2), alpha2);
+                }
+            } catch (error) {
+                // No locale data for this region; English names still apply
+            }
+        });
+
+        this.nameIndex = index;
+        return index;
+    }
+}
+
+module.exports = {
+    CountryCodeNormalizer,
+    foldName
+};
@@ -0,0 +1,137 @@
+/**
+ * DST Resolver Module
+ *
+ * Turns a local wall-clock time in an IANA timezone into an instant while detecting
+ * daylight saving transitions. A wall-clock time can fall in a gap (it does not exist
+ * after a spring-forward) or an overlap (it occurs twice after a fall-back); the
+ * configured policy decides which instant is used.
+ */
+
+const moment = require('moment-timezone');
+
+/**
+ * Supported DST policies
+ * - shift_forward: gaps move to the first valid time after the transition,
+ *   overlaps use the first occurrence
+ * - earlier: gaps use the offset in effect after the transition (lands before it),
+ *   overlaps use the first occurrence
+ * - later: gaps use the offset in effect before the transition (lands after it),
+ *   overlaps use the second occurrence
+ */
+const DST_POLICIES = ['shift_forward', 'earlier', 'later'];
+
+const DEFAULT_DST_POLICY = 'shift_forward';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Checks whether a DST policy is supported
+ * @param {string} policy - Policy name
+ * @returns {boolean} True if the policy is supported
+ */
+function isValidDstPolicy(policy) {
+    return DST_POLICIES.includes(policy);
+}
+
+/**
+ * Resolves a local wall-clock time in a timezone to an instant
+ * @param {Object} localDateTime - Local date and time
+ * @param {number} localDateTime.year - Full year
+ * @param {number} localDateTime.month - Month (0-11)
+ * @param {number} localDateTime.day - Day of month (1-31)
+ * @param {number} localDateTime.hour - Hour (0-23)
+ * @param {number} localDateTime.minute - Minute (0-59), defaults to 0
+ * @param {number} localDateTime.second - Second (0-59), defaults to 0
+ * @param {string} timezone - IANA timezone
+ * @param {string} policy - DST policy, defaults to shift_forward
+ * @returns {Object} Resolved instant and transition details (null when no transition applies)
+ */
+function resolveLocalDateTime(localDateTime, timezone, policy = DEFAULT_DST_POLICY) {
+    const zone = moment.tz.zone(timezone);
+    if (!zone) {
+        throw new Error(`Unknown timezone: ${timezone}`);
+    }
+
+    const effectivePolicy = isValidDstPolicy(policy) ? policy : DEFAULT_DST_POLICY;
+    const { year, month, day, hour, minute = 0, second = 0 } = localDateTime;
+
+    // Wall-clock time expressed as if it were UTC; moment-timezone offsets are minutes west of UTC
+    const wallClock = Date.UTC(year, month, day, hour, minute, second);
+    const offsetBefore = zone.utcOffset(wallClock - DAY_MS);
+    const offsetAfter = zone.utcOffset(wallClock + DAY_MS);
+
+    const candidates = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => wallClock + offset * 60 * 1000)
+        .filter(instant => wallClock + zone.utcOffset(instant) * 60 * 1000 === instant)
+        .sort((a, b) => a - b);
+
+    const requestedLocalTime = moment.utc(wallClock).format('YYYY-MM-DDTHH:mm');
+
+    if (candidates.length === 1) {
+        return { instant: new Date(candidates[0]), dstTransition: null };
+    }
+
+    let instant;
+    let type;
+
+    if (candidates.length > 1) {
+        type = 'overlap';
+        instant = effectivePolicy === 'later' ? candidates[candidates.length - 1] : candidates[0];
+    } else {
+        type = 'gap';
+        const beforeGap = wallClock + offsetAfter * 60 * 1000;
+        const afterGap = wallClock + offsetBefore * 60 * 1000;
+
+        if (effectivePolicy === 'earlier') {
+            instant = beforeGap;
+        } else if (effectivePolicy === 'later') {
+            instant = afterGap;
+        } else {
+            // The transition itself is the first valid local time after the gap
+            instant = zone.untils.find(until => until > beforeGap) || afterGap;
+        }
+    }
+
+    return {
+        instant: new Date(instant),
+        dstTransition: {
+            type,
+            timezone,
+            policy: effectivePolicy,
+            requestedLocalTime,
+            resolvedLocalTime: moment.tz(instant, timezone).format('YYYY-MM-DDTHH:mm'),
+            resolvedUtcOffset: moment.tz(instant, timezone).format('Z')
+        }
+    };
+}
+
+/**
+ * Builds a dst_adjustment entry for a calculation's adjustments
+ * @param {Object} dstTransition - Transition details from resolveLocalDateTime
+ * @param {string} stage - Calculation step that produced the time
+ * @returns {Object} Adjustment entry
+ */
+function createDstAdjustment(dstTransition, stage) {
+    const description = dstTransition.type === 'gap'
+        ? `does not exist in ${dstTransition.timezone} (DST gap)`
+        : `occurs twice in ${dstTransition.timezone} (DST overlap)`;
+
+    const { type: transition, ...details } = dstTransition;
+
+    return {
+        type: 'dst_adjustment',
+        reason: `Local time ${dstTransition.requestedLocalTime} ${description}, ` +
+            `resolved to ${dstTransition.resolvedLocalTime} using ${dstTransition.policy}`,
+        stage,
+        transition,
+        ...details
+    };
+}
+
+module.exports = {
+    DST_POLICIES,
+    DEFAULT_DST_POLICY,
+    isValidDstPolicy,
+    resolveLocalDateTime,
+    createDstAdjustment
+};
@@ -0,0 +1,429 @@
+/**
+ * Engagement Scorer
+ * Learns when each subscriber opens and clicks from engagement history (tracking
+ * extracts imported from CSV or JSON) and derives a preferred send time of day in
+ * the contact's timezone. Subscribers with too little history fall back to the
+ * engagement of their cohort (by default the country of the tracking record).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const moment = require('moment-timezone');
+const { MINUTES_PER_DAY, parseTimeOfDay } = require('./timewindow/time-of-day');
+const { CountryCodeNormalizer } = require('./country-code-normalizer');
+
+const EVENT_TYPES = ['open', 'click'];
+
+// A click says more about when a subscriber reads email than an open
+const DEFAULT_EVENT_WEIGHTS = { open: 1, click: 2 };
+
+const DEFAULT_BUCKET_MINUTES = 15;
+
+// SFMC tracking extracts write timestamps without an offset, in the stack's fixed CST
+const DEFAULT_SOURCE_TIMEZONE = 'Etc/GMT+6';
+
+// Timestamp formats of tracking extracts, besides ISO 8601
+const EXTRACT_TIMESTAMP_FORMATS = [
+    'M/D/YYYY h:mm:ss A',
+    'M/D/YYYY h:mm A',
+    'M/D/YYYY H:mm:ss',
+    'M/D/YYYY H:mm'
+];
+
+// Column names of tracking extracts and engagement exports, by field
+const FIELD_ALIASES = {
+    subscriberKey: ['subscriberkey', 'subscriber_key', 'contactkey', 'contact_key'],
+    eventType: ['eventtype', 'event_type', 'type', 'event'],
+    timestamp: ['eventdate', 'event_date', 'timestamp', 'date', 'time'],
+    cohort: ['cohort', 'country', 'countrycode', 'country_code', 'geosegment']
+};
+
+class EngagementScorer {
+    /**
+     * @param {Object} options - Scorer options
+     * @param {number} options.minEvents - Events a subscriber needs before their own history is used (default 5)
+     * @param {number} options.minCohortEvents - Events a cohort needs to serve as the fallback (default 20)
+     * @param {number} options.bucketMinutes - Width of the time-of-day buckets (default 15)
+     * @param {Object} options.eventWeights - Weight per event type (default open 1, click 2)
+     * @param {string} options.sourceTimezone - Timezone of timestamps without an offset (default Etc/GMT+6)
+     */
+    constructor(options = {}) {
+        this.minEvents = options.minEvents !== undefined ? options.minEvents : 5;
+        this.minCohortEvents = options.minCohortEvents !== undefined ? options.minCohortEvents : 20;
+        this.bucketMinutes = options.bucketMinutes || DEFAULT_BUCKET_MINUTES;
+        this.eventWeights = { ...DEFAULT_EVENT_WEIGHTS, ...(options.eventWeights || {}) };
+        this.sourceTimezone = options.sourceTimezone || DEFAULT_SOURCE_TIMEZONE;
+
+        if (MINUTES_PER_DAY % this.bucketMinutes !== 0) {
+            throw new Error(`Bucket width must divide a day evenly, got ${this.bucketMinutes} minutes`);
+        }
+
+        this.countryCodeNormalizer = new CountryCodeNormalizer();
+        this.subscribers = new Map();
+        this.cohorts = new Map();
+
+        // Peak per subscriber or cohort and timezone, dropped when their history changes
+        this.peaks = new Map();
+    }
+
+    /**
+     * Record one engagement event
+     * @param {Object} event - Event with subscriberKey, eventType (open or click), timestamp and optional cohort
+     * @returns {boolean} True if the event was recorded, false when it is invalid
+     */
+    addEvent(event) {
+        const normalized = this._normalizeEvent(event);
+        if (!normalized) {
+            return false;
+        }
+
+        const subscriber = this.subscribers.get(normalized.subscriberKey) || { events: [], cohort: null };
+        subscriber.events.push(normalized);
+        this.peaks.delete(`contact:${normalized.subscriberKey}`);
+        if (normalized.cohort) {
+            this.peaks.delete(`cohort:${normalized.cohort}`);
+            subscriber.cohort = normalized.cohort;
+            const cohortEvents = this.cohorts.get(normalized.cohort) || [];
+            cohortEvents.push(normalized);
+            this.cohorts.set(normalized.cohort, cohortEvents);
+        }
+        this.subscribers.set(normalized.subscriberKey, subscriber);
+
+        return true;
+    }
+
+    /**
+     * Record engagement events from tracking extract rows
+     * Column names are matched case-insensitively (SubscriberKey, EventType, EventDate, Country, ...)
+     * @param {Array} records - Rows of a tracking extract
+     * @returns {Object} Counts of imported and skipped rows
+     */
+    importRecords(records) {
+        const results = { imported: 0, skipped: 0 };
+
+        (records || []).forEach(record => {
+            if (this.addEvent(this._mapRecord(record))) {
+                results.imported++;
+            } else {
+                results.skipped++;
+            }
+        });
+
+        return results;
+    }
+
+    /**
+     * Import engagement history from a local CSV or JSON file
+     * JSON files hold an array of rows or an object with an events array
+     * @param {string} filePath - Path to a .csv or .json file
+     * @returns {Object} Counts of imported and skipped rows
+     */
+    importFile(filePath) {
+        const content = fs.readFileSync(filePath, 'utf8');
+
+        if (path.extname(filePath).toLowerCase() === '.json') {
+            const data = JSON.parse(content);
+            return this.importRecords(Array.isArray(data) ? data : data.events);
+        }
+
+        return this.importRecords(parseCsv(content));
+    }
+
+    /**
+     * Get the preferred send time of a subscriber
+     * Uses the subscriber's own history when it has at least minEvents events, else the
+     * history of the cohort (the given one, or the one recorded with the subscriber's events)
+     * @param {string} subscriberKey - Subscriber key
+     * @param {string} timezone - IANA timezone the time of day is read in
+     * @param {string} cohort - Cohort to fall back to (optional)
+     * @returns {Object|null} Preferred hour and minute with their source and event count, or null when history is sparse
+     */
+    getPreferredTime(subscriberKey, timezone, cohort = null) {
+        const subscriber = this.subscribers.get(String(subscriberKey));
+        if (subscriber && subscriber.events.length >= this.minEvents) {
+            const peak = this._getPeak(`contact:${subscriberKey}`, subscriber.events, timezone);
+            return { ...peak, source: 'contact', events: subscriber.events.length };
+        }
+
+        const cohortKey = this._normalizeCohort(cohort) || subscriber?.cohort;
+        const cohortEvents = cohortKey ? this.cohorts.get(cohortKey) || [] : [];
+        if (cohortEvents.length >= this.minCohortEvents) {
+            const peak = this._getPeak(`cohort:${cohortKey}`, cohortEvents, timezone);
+            return { ...peak, source: 'cohort', cohort: cohortKey, events: cohortEvents.length };
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the weighted engagement per time-of-day bucket
+     * @param {string} subscriberKey - Subscriber key
+     * @param {string} timezone - IANA timezone the time of day is read in
+     * @returns {Array} Weight of each bucket, starting at midnight
+     */
+    getDistribution(subscriberKey, timezone) {
+        const subscriber = this.subscribers.get(String(subscriberKey));
+        return this._buildHistogram(subscriber ? subscriber.events : [], timezone);
+    }
+
+    /**
+     * Get the size of the imported history
+     * @returns {Object} Subscriber, cohort and event counts
+     */
+    getStats() {
+        let events = 0;
+        this.subscribers.forEach(subscriber => {
+            events += subscriber.events.length;
+        });
+
+        return {
+            subscribers: this.subscribers.size,
+            cohorts: this.cohorts.size,
+            events,
+            minEvents: this.minEvents,
+            minCohortEvents: this.minCohortEvents
+        };
+    }
+
+    /**
+     * Drop all imported history
+     */
+    clear() {
+        this.subscribers.clear();
+        this.cohorts.clear();
+        this.peaks.clear();
+    }
+
+    /**
+     * Get the peak of a subscriber's or cohort's events in a timezone, computing it once
+     * per history change
+     * @private
+     */
+    _getPeak(scope, events, timezone) {
+        const zone = timezone || this.sourceTimezone;
+        const peaks = this.peaks.get(scope) || new Map();
+        if (!peaks.has(zone)) {
+            peaks.set(zone, this._findPeak(events, zone));
+            this.peaks.set(scope, peaks);
+        }
+        return peaks.get(zone);
+    }
+
+    /**
+     * Find the busiest bucket after smoothing with its neighbours; ties go to the earliest
+     * @private
+     */
+    _findPeak(events, timezone) {
+        const histogram = this._buildHistogram(events, timezone);
+        const count = histogram.length;
+        let peak = 0;
+        let peakScore = -1;
+
+        histogram.forEach((weight, index) => {
+            const score = weight * 2 + histogram[(index + count - 1) % count] + histogram[(index + 1) % count];
+            if (score > peakScore) {
+                peak = index;
+                peakScore = score;
+            }
+        });
+
+        const minutes = peak * this.bucketMinutes;
+        return { hour: Math.floor(minutes / 60), minute: minutes % 60 };
+    }
+
+    /**
+     * Sum event weights per time-of-day bucket in a timezone
+     * @private
+     */
+    _buildHistogram(events, timezone) {
+        const histogram = new Array(MINUTES_PER_DAY / this.bucketMinutes).fill(0);
+
+        events.forEach(event => {
+            const local = moment.tz(event.timestamp, timezone || this.sourceTimezone);
+            const bucket = Math.floor((local.hour() * 60 + local.minute()) / this.bucketMinutes);
+            histogram[bucket] += this.eventWeights[event.eventType] || 0;
+        });
+
+        return histogram;
+    }
+
+    /**
+     * Validate an event and convert its timestamp to an instant
+     * @private
+     */
+    _normalizeEvent(event) {
+        if (!event || typeof event !== 'object') {
+            return null;
+        }
+
+        const subscriberKey = event.subscriberKey !== undefined && event.subscriberKey !== null
+            ? String(event.subscriberKey).trim()
+            : '';
+        const eventType = String(event.eventType || '').trim().toLowerCase().replace(/s$/, '');
+        const timestamp = this._parseTimestamp(event.timestamp);
+
+        if (!subscriberKey || !EVENT_TYPES.includes(eventType) || timestamp === null) {
+            return null;
+        }
+
+        return { subscriberKey, eventType, timestamp, cohort: this._normalizeCohort(event.cohort) };
+    }
+
+    /**
+     * Normalize a cohort: country codes, names and aliases become alpha-2 codes, other
+     * cohorts are uppercased
+     * @private
+     */
+    _normalizeCohort(cohort) {
+        if (cohort === undefined || cohort === null || String(cohort).trim() === '') {
+            return null;
+        }
+
+        const normalization = this.countryCodeNormalizer.normalize(cohort);
+        return normalization ? normalization.normalized : String(cohort).trim().toUpperCase();
+    }
+
+    /**
+     * Parse a timestamp; values without an offset are read in the source timezone
+     * @private
+     */
+    _parseTimestamp(value) {
+        if (value instanceof Date) {
+            return isNaN(value.getTime()) ? null : value.getTime();
+        }
+        if (typeof value !== 'string' || !value.trim()) {
+            return null;
+        }
+
+        const text = value.trim();
+        const parsed = /(Z|[+-]\d{2}:?\d{2})$/i.test(text)
+            ? moment.parseZone(text, moment.ISO_8601, true)
+            : moment.tz(text, [moment.ISO_8601, ...EXTRACT_TIMESTAMP_FORMATS], true, this.sourceTimezone);
+
+        return parsed.isValid() ? parsed.valueOf() : null;
+    }
+
+    /**
+     * Map the columns of a tracking extract row to event fields
+     * @private
+     */
+    _mapRecord(record) {
+        if (!record || typeof record !== 'object') {
+            return null;
+        }
+
+        const columns = {};
+        Object.keys(record).forEach(key => {
+            columns[key.trim().toLowerCase()] = record[key];
+        });
+
+        const event = {};
+        Object.entries(FIELD_ALIASES).forEach(([field, aliases]) => {
+            const alias = aliases.find(name => columns[name] !== undefined && columns[name] !== '');
+            event[field] = alias ? columns[alias] : undefined;
+        });
+
+        return event;
+    }
+}
+
+/**
+ * Parses a bound preferred send time attribute
+ * @param {number|string} hourValue - Hour (0-23), or an HH:mm time of day
+ * @param {number|string} minuteValue - Minute (0-59) when the hour is given on its own (optional)
+ * @returns {Object|null} Hour and minute, or null when the value is empty or invalid
+ */
+function parsePreferredTime(hourValue, minuteValue = null) {
+    if (hourValue === undefined || hourValue === null || String(hourValue).trim() === '') {
+        return null;
+    }
+
+    const timeOfDay = parseTimeOfDay(String(hourValue));
+    if (timeOfDay !== null) {
+        return { hour: Math.floor(timeOfDay / 60), minute: timeOfDay % 60 };
+    }
+
+    const hour = Number(hourValue);
+    const minute = minuteValue === undefined || minuteValue === null || String(minuteValue).trim() === ''
+        ? 0
+        : Number(minuteValue);
+
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23 || !Number.isInteger(minute) || minute < 0 || minute > 59) {
+        return null;
+    }
+
+    return { hour, minute };
+}
+
+/**
+ * Parses CSV text with a header row into row objects
+ * Handles quoted fields with embedded delimiters, quotes and line breaks; tab-separated
+ * extracts are detected from the header row
+ * @param {string} text - CSV text
+ * @returns {Array} Rows keyed by header
+ */
+function parseCsv(text) {
+    const source = String(text || '').replace(/^\uFEFF/, '');
+    const headerLine = source.split(/\r?\n/, 1)[0];
+    const delimiter = headerLine.includes('\t') && !headerLine.includes(',') ? '\t' : ',';
+
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let index = 0; index < source.length; index++) {
+        const character = source[index];
+
+        if (quoted) {
+            if (character === '"' && source[index + 1] === '"') {
+                field += '"';
+                index++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                field += character;
+            }
+        } else if (character === '"') {
+            quoted = true;
+        } else if (character === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && source[index + 1] === '\n') {
+                index++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += character;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    const [header, ...dataRows] = rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+    if (!header) {
+        return [];
+    }
+
+    return dataRows.map(cells => {
+        const record = {};
+        header.forEach((name, index) => {
+            record[name.trim()] = cells[index] !== undefined ? cells[index].trim() : '';
+        });
+        return record;
+    });
+}
+
+module.exports = {
+    EngagementScorer,
+    parsePreferredTime,
+    parseCsv,
+    EVENT_TYPES
+};
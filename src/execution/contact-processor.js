@@ -1,5 +1,5 @@
 /**
- * Contact Processor - New Implementation
+ * Contact Processor
  * Main contact processing workflow that integrates timezone calculation, 
  * holiday checking, time window processing, and data extension updates
  */
@@ -8,6 +8,10 @@ const { TimezoneEngine } = require('../timezone-engine');
 const HolidayChecker = require('../holiday-checker');
 const { TimeWindowProcessor } = require('../timewindow');
 const { createDataExtensionSuite } = require('../dataextension');
+const SendTimeCalculator = require('./send-time-calculator');
+const { getAdjustmentReason } = require('../fallback-behavior');
+const ExecutionLogger = require('./execution-logger');
+const PerformanceMonitor = require('./performance-monitor');
 
 /**
  * Main Contact Processor class that orchestrates the complete send time optimization workflow
@@ -29,7 +33,9 @@ class ContactProcessor {
         this.timezoneEngine = new TimezoneEngine(logger, {
             defaultFallbackCountry: 'US',
             logValidationIssues: true,
-            enableDetailedLogging: process.env.NODE_ENV === 'development'
+            enableDetailedLogging: process.env.NODE_ENV === 'development',
+            countryTimezoneOverrides: this.config.countryTimezoneOverrides,
+            sfmcTimezone: this.config.sfmcTimezone
         });
 
         this.holidayChecker = new HolidayChecker({
@@ -37,11 +43,35 @@ class ContactProcessor {
             fallbackBehavior: 'ignore',
             maxLookAheadDays: 30,
             api: config.holidayApi || {},
-            cache: config.holidayCache || {}
+            cache: config.holidayCache || {},
+            providers: config.holidayProviders || null,
+            blackoutCalendar: config.blackoutCalendar || null
         });
 
         this.timeWindowProcessor = new TimeWindowProcessor();
 
+        // Initialize send time calculator
+        this.sendTimeCalculator = new SendTimeCalculator({
+            defaultTimezone: this.config.defaultTimezone,
+            sfmcTimezone: this.config.sfmcTimezone,
+            maxLookAheadDays: 30,
+            minFutureMinutes: 5
+        }, logger);
+
+        // Initialize execution logger
+        this.executionLogger = new ExecutionLogger(logger, {
+            logLevel: process.env.NODE_ENV === 'development' ? 'debug' : 'info',
+            enablePerformanceLogging: true,
+            enableStatisticsTracking: true
+        });
+
+        // Initialize performance monitor
+        this.performanceMonitor = new PerformanceMonitor({
+            enableResourceMonitoring: this.config.enableResourceMonitoring !== false,
+            slowProcessingThreshold: 5000,
+            verySlowProcessingThreshold: 10000
+        }, logger);
+
         // Initialize data extension integration (only if SFMC config is provided)
         this.dataExtensionSuite = null;
         if (config.sfmc && config.sfmc.clientId && config.sfmc.clientSecret && config.sfmc.subdomain) {
@@ -82,9 +112,11 @@ class ContactProcessor {
         const startTime = Date.now();
         const processingId = this._generateProcessingId();
         
-        this.logger.info(`Starting contact processing [${processingId}]`, {
-            subscriberKey: contact.subscriberKey,
-            geosegment: contact.geosegment
+        // Start comprehensive logging and monitoring
+        this.executionLogger.logProcessingStart(processingId, contact, activityConfig, context);
+        this.performanceMonitor.recordProcessingStart(processingId, {
+            geosegment: contact.geosegment,
+            timeWindowsCount: activityConfig.timeWindows?.length || 0
         });
 
         this.stats.totalProcessed++;
@@ -96,43 +128,31 @@ class ContactProcessor {
                 throw new Error(`Invalid input data: ${validation.errors.join(', ')}`);
             }
 
-            // Step 2: Calculate base send time using timezone
-            const timezoneResult = await this._calculateTimezoneAdjustedTime(
-                contact, 
-                activityConfig, 
-                processingId
-            );
-
-            if (!timezoneResult.success) {
-                throw new Error(`Timezone calculation failed: ${timezoneResult.error}`);
-            }
-
-            // Step 3: Process time windows and date adjustments
-            const timeWindowResult = await this._processTimeWindows(
-                timezoneResult.adjustedTime,
-                contact.geosegment,
+            // Step 2: Calculate optimal send time using the comprehensive algorithm
+            const calculationResult = await this._calculateOptimalSendTime(
+                contact,
                 activityConfig,
-                processingId
+                processingId,
+                context.journeyId
             );
 
-            if (!timeWindowResult.success) {
-                throw new Error(`Time window processing failed: ${timeWindowResult.error}`);
+            if (!calculationResult.success) {
+                throw new Error(`Send time calculation failed: ${calculationResult.error}`);
             }
 
-            // Step 4: Update data extension with calculated time
+            // Step 3: Update data extension with calculated time (SFMC server time)
             const updateResult = await this._updateDataExtension(
                 contact.subscriberKey,
-                timeWindowResult.finalDateTime,
+                calculationResult.sfmcSendTime,
                 context.dataExtensionKey,
                 processingId
             );
 
-            // Step 5: Compile final result
+            // Step 4: Compile final result
             const processingTime = Date.now() - startTime;
             const result = this._compileSuccessResult(
                 contact,
-                timezoneResult,
-                timeWindowResult,
+                calculationResult,
                 updateResult,
                 processingTime,
                 processingId
@@ -140,10 +160,9 @@ class ContactProcessor {
 
             this.stats.successful++;
 
-            this.logger.info(`Contact processing completed successfully [${processingId}]`, {
-                subscriberKey: contact.subscriberKey,
-                processingTime: `${processingTime}ms`
-            });
+            // Log successful completion
+            this.executionLogger.logProcessingComplete(processingId, result);
+            this.performanceMonitor.recordProcessingComplete(processingId, true, result);
 
             return result;
 
@@ -164,10 +183,10 @@ class ContactProcessor {
                 processingId
             );
 
-            this.logger.error(`Contact processing failed [${processingId}]`, {
-                subscriberKey: contact.subscriberKey,
-                error: error.message
-            });
+            // Log error completion
+            this.executionLogger.logProcessingComplete(processingId, errorResult);
+            this.performanceMonitor.recordProcessingComplete(processingId, false, errorResult);
+            this.performanceMonitor.recordError(processingId, 'processing_error', error.message);
 
             return errorResult;
         }
@@ -204,112 +223,194 @@ class ContactProcessor {
     }
 
     /**
-     * Calculate timezone-adjusted time for a contact
+     * Calculate optimal send time using the comprehensive algorithm
+     * Handles the complete workflow: timezone → time windows → weekend exclusion → holiday exclusion
      * @private
      */
-    async _calculateTimezoneAdjustedTime(contact, activityConfig, processingId) {
+    async _calculateOptimalSendTime(contact, activityConfig, processingId, journeyId) {
         try {
-            const baseTime = contact.entryTime ? new Date(contact.entryTime) : new Date();
-            const countryCode = contact.geosegment || 'US';
-
-            // Get timezone information
-            const timezoneInfo = this.timezoneEngine.getTimezoneInfo(countryCode, {
-                processingId,
-                endpoint: 'contact-processing'
-            });
+            // Start timing for send time calculation
+            this.executionLogger.startStepTimer(processingId, 'send_time_calculation');
+            
+            // Prepare components for the calculation
+            const components = {
+                timezoneEngine: this.timezoneEngine,
+                holidayChecker: this.holidayChecker,
+                timeWindowProcessor: this.timeWindowProcessor,
+                engagementScorer: this.config.engagementScorer || null,
+                slotAllocator: this.config.slotAllocator || null
+            };
 
-            // Convert to SFMC time for processing
-            const conversionResult = this.timezoneEngine.convertToSFMCTime(
-                baseTime, 
-                timezoneInfo.countryCode,
-                { processingId }
+            // Execute the comprehensive send time calculation algorithm
+            const result = await this.sendTimeCalculator.calculateOptimalSendTime(
+                contact,
+                activityConfig,
+                components,
+                { processingId, journeyId }
             );
 
-            if (!conversionResult.success) {
-                throw new Error(`Time conversion failed: ${conversionResult.error}`);
+            // End timing and record performance
+            const calculationTime = this.executionLogger.endStepTimer(processingId, 'send_time_calculation');
+            this.performanceMonitor.recordStepTiming(processingId, 'send_time_calculation', calculationTime, result.success);
+
+            if (!result.success) {
+                this.executionLogger.logError(processingId, result.error, {
+                    step: 'send_time_calculation',
+                    subscriberKey: contact.subscriberKey,
+                    geosegment: contact.geosegment
+                });
+                throw new Error(result.error);
             }
 
-            return {
-                success: true,
-                originalTime: baseTime,
-                adjustedTime: conversionResult.sfmcTime,
-                countryCode: timezoneInfo.countryCode,
-                timezoneInfo: timezoneInfo.timezone,
-                validation: timezoneInfo.validation,
-                offsetApplied: conversionResult.offsetFromSFMC
-            };
+            // Log detailed calculation results
+            this._logCalculationDetails(processingId, result);
+
+            // Update statistics based on adjustments
+            this._updateAdjustmentStats(result.adjustments);
+
+            return result;
 
         } catch (error) {
+            this.executionLogger.logError(processingId, error, {
+                step: 'send_time_calculation',
+                subscriberKey: contact.subscriberKey
+            });
+
             return {
                 success: false,
                 error: error.message,
-                originalTime: contact.entryTime ? new Date(contact.entryTime) : new Date()
+                subscriberKey: contact.subscriberKey,
+                originalTime: contact.entryTime ? new Date(contact.entryTime) : new Date(),
+                optimalSendTime: null,
+                adjustments: []
             };
         }
     }
 
     /**
-     * Process time windows and apply date adjustments
+     * Log detailed calculation results
      * @private
      */
-    async _processTimeWindows(adjustedTime, countryCode, activityConfig, processingId) {
-        try {
-            // For now, return the adjusted time as final time
-            // This will be enhanced when time window processing is fully implemented
-            return {
-                success: true,
-                originalDateTime: adjustedTime,
-                finalDateTime: adjustedTime,
-                adjustments: {
-                    dateAdjusted: false,
-                    daysAdjusted: 0
-                },
-                validation: { warnings: [] }
-            };
+    _logCalculationDetails(processingId, result) {
+        // Log timezone calculation details
+        if (result.workflow.timezone) {
+            this.executionLogger.logTimezoneCalculation(processingId, result.geosegment, {
+                success: result.workflow.timezone.success,
+                offsetApplied: result.workflow.timezone.offsetApplied,
+                fallbackUsed: result.adjustments.some(adj => adj.type === 'timezone_fallback')
+            });
+        }
 
-        } catch (error) {
-            return {
-                success: false,
-                error: error.message,
-                originalDateTime: adjustedTime
-            };
+        // Log holiday checking details
+        if (result.workflow.holiday) {
+            this.executionLogger.logHolidayCheck(processingId, result.geosegment, {
+                holidaysChecked: result.workflow.holiday.holidaysChecked || 0,
+                holidayExclusionApplied: result.workflow.holiday.exclusionApplied,
+                daysAdjusted: result.adjustments
+                    .filter(adj => adj.type === 'holiday_exclusion')
+                    .reduce((sum, adj) => sum + (adj.daysAdjusted || 0), 0)
+            });
+        }
+
+        // Log time window processing details
+        if (result.workflow.timeWindow) {
+            this.executionLogger.logTimeWindowProcessing(processingId, [], {
+                success: result.workflow.timeWindow.success,
+                selectedWindow: result.workflow.timeWindow.selectedWindow,
+                windowAdjusted: result.adjustments.some(adj => adj.type === 'time_window_adjustment')
+            });
         }
     }
 
+    /**
+     * Update adjustment statistics based on calculation result
+     * @private
+     */
+    _updateAdjustmentStats(adjustments) {
+        adjustments.forEach(adjustment => {
+            switch (adjustment.type) {
+                case 'timezone_fallback':
+                case 'timezone_conversion':
+                case 'timezone_region':
+                case 'timezone_region_fallback':
+                case 'timezone_postal_code':
+                case 'timezone_postal_code_fallback':
+                case 'timezone_explicit_fallback':
+                case 'dst_adjustment':
+                    this.stats.timezoneAdjustments++;
+                    break;
+                case 'time_window_adjustment':
+                    this.stats.dateAdjustments++;
+                    break;
+                case 'weekend_exclusion':
+                    this.stats.weekendAdjustments++;
+                    this.stats.dateAdjustments++;
+                    break;
+                case 'holiday_exclusion':
+                    this.stats.holidayAdjustments++;
+                    this.stats.dateAdjustments++;
+                    break;
+                case 'future_time_adjustment':
+                    this.stats.dateAdjustments++;
+                    break;
+            }
+        });
+    }
+
     /**
      * Update data extension with calculated time
      * @private
      */
     async _updateDataExtension(subscriberKey, convertedTime, dataExtensionKey, processingId) {
         if (!dataExtensionKey) {
-            return { success: true, skipped: true };
+            const result = { success: true, skipped: true };
+            this.executionLogger.logDataExtensionUpdate(processingId, subscriberKey, result);
+            return result;
         }
 
         if (!this.dataExtensionSuite) {
-            this.logger.debug(`Data extension suite not available, skipping update [${processingId}]`);
-            return { success: true, skipped: true };
+            const result = { success: true, skipped: true };
+            this.executionLogger.logDataExtensionUpdate(processingId, subscriberKey, result);
+            return result;
         }
 
         try {
+            // Start timing for data extension update
+            this.executionLogger.startStepTimer(processingId, 'data_extension_update');
+            
             const result = await this.dataExtensionSuite.updateConvertedTimeWithErrorHandling(
                 subscriberKey,
                 convertedTime,
                 dataExtensionKey
             );
 
+            // End timing and record performance
+            const updateTime = this.executionLogger.endStepTimer(processingId, 'data_extension_update');
+            this.performanceMonitor.recordStepTiming(processingId, 'data_extension_update', updateTime, result.success);
+
+            // Log the update result
+            this.executionLogger.logDataExtensionUpdate(processingId, subscriberKey, result);
+
             if (result.success) {
                 this.stats.dataExtensionUpdates++;
+            } else {
+                this.performanceMonitor.recordError(processingId, 'data_extension_error', result.error);
             }
 
             return result;
 
         } catch (error) {
-            return {
+            const result = {
                 success: false,
                 error: error.message,
                 subscriberKey,
                 convertedTime
             };
+
+            this.executionLogger.logDataExtensionUpdate(processingId, subscriberKey, result);
+            this.performanceMonitor.recordError(processingId, 'data_extension_error', error.message);
+
+            return result;
         }
     }
 
@@ -342,32 +443,29 @@ class ContactProcessor {
      * Compile successful processing result
      * @private
      */
-    _compileSuccessResult(contact, timezoneResult, timeWindowResult, updateResult, processingTime, processingId) {
-        const adjustments = [];
-
-        if (timezoneResult.validation.fallbackUsed) {
-            adjustments.push({
-                type: 'timezone_fallback',
-                reason: timezoneResult.validation.message,
-                originalCountry: contact.geosegment,
-                effectiveCountry: timezoneResult.countryCode
-            });
-        }
-
+    _compileSuccessResult(contact, calculationResult, updateResult, processingTime, processingId) {
         return {
             success: true,
             processingId,
             subscriberKey: contact.subscriberKey,
             geosegment: contact.geosegment,
-            originalTime: contact.entryTime || new Date(),
-            convertedTime: timeWindowResult.finalDateTime,
-            adjustments,
+            originalTime: calculationResult.originalTime,
+            convertedTime: calculationResult.sfmcSendTime,
+            optimalSendTime: calculationResult.optimalSendTime,
+            localSendTime: calculationResult.localSendTime,
+            processingStatus: calculationResult.processingStatus || 'completed',
+            adjustmentReason: calculationResult.adjustmentReason || getAdjustmentReason(calculationResult.adjustments),
+            fallback: calculationResult.fallback || null,
+            adjustments: calculationResult.adjustments,
             dataExtensionUpdate: {
                 attempted: !!updateResult,
                 successful: updateResult?.success || false,
                 skipped: updateResult?.skipped || false
             },
-            processingTime
+            processingTime,
+            calculationTime: calculationResult.calculationTime,
+            workflow: calculationResult.workflow,
+            validation: calculationResult.validation
         };
     }
 
@@ -404,7 +502,10 @@ class ContactProcessor {
         return {
             ...this.stats,
             timezone: this.timezoneEngine.getEngineStats(),
-            holiday: this.holidayChecker.getStats()
+            holiday: this.holidayChecker.getStats(),
+            execution: this.executionLogger.getExecutionStats(),
+            performance: this.performanceMonitor.getPerformanceStats(),
+            calculator: this.sendTimeCalculator.getStats()
         };
     }
 
@@ -423,6 +524,21 @@ class ContactProcessor {
             dataExtensionUpdates: 0,
             errors: []
         };
+
+        // Reset logging and monitoring
+        this.executionLogger.reset();
+        this.performanceMonitor.reset();
+    }
+
+    /**
+     * Clean up resources and stop monitoring
+     */
+    cleanup() {
+        if (this.performanceMonitor) {
+            this.performanceMonitor.stopResourceMonitoring();
+        }
+
+        this.logger.info('Contact processor cleanup completed');
     }
 
     /**
@@ -3,7 +3,7 @@
  * Main contact processing workflow and send time calculation
  */
 
-const ContactProcessor = require('./contact-processor-new');
+const ContactProcessor = require('./contact-processor');
 const SendTimeCalculator = require('./send-time-calculator');
 const ExecutionLogger = require('./execution-logger');
 const PerformanceMonitor = require('./performance-monitor');
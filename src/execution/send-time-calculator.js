@@ -2,9 +2,40 @@
  * Send Time Calculator
  * Core algorithm that combines all factors to calculate optimal send time
  * Handles the complete workflow: timezone → time windows → weekend exclusion → holiday exclusion
+ * → per-slot capacity → send deadline
+ *
+ * Time model: every step works on real instants and reads hours, weekdays and calendar
+ * dates in the contact's timezone. SFMC server time is derived once, for the result.
+ *
+ * When the timezone cannot be resolved, holiday data cannot be loaded or no slot is
+ * found, the activity's fallbackBehavior decides the send time (see fallback-behavior.js).
  */
 
+const crypto = require('crypto');
 const moment = require('moment-timezone');
+const { TimezoneCalculator } = require('../timezone-calculator');
+const { DEFAULT_DST_POLICY, resolveLocalDateTime, createDstAdjustment } = require('../dst-resolver');
+const {
+    MINUTES_PER_DAY,
+    DEFAULT_SLOT_GRANULARITY,
+    getWindowBounds,
+    getWindowDuration,
+    getSlotBounds,
+    getWeekdayIndex,
+    isOvernightWindow,
+    isValidSlotGranularity
+} = require('../timewindow/time-of-day');
+const { getWeekendDays, getDayName } = require('../weekend-days');
+const TimeSlotSelector = require('../timewindow/time-slot-selector');
+const { parsePreferredTime } = require('../engagement-scorer');
+const { DEFAULT_DEADLINE_POLICY, parseDeadline } = require('../send-deadline');
+const { isValidFallbackBehavior, getProcessingStatus, getAdjustmentReason } = require('../fallback-behavior');
+
+// Grid used to reach a preferred time when the activity does not align send times to slots
+const PREFERENCE_GRANULARITY = 5;
+
+// Largest jitter range an activity can configure
+const MAX_JITTER_MINUTES = 60;
 
 /**
  * Send Time Calculator class that implements the core optimization algorithm
@@ -17,6 +48,9 @@ class SendTimeCalculator {
             defaultTimezone: 'America/Chicago',
             maxLookAheadDays: 30,
             minFutureMinutes: 5, // Minimum minutes in the future
+            dstPolicy: DEFAULT_DST_POLICY, // Resolution of local times in DST gaps and overlaps
+            slotGranularity: null, // Minutes (5, 15, 30, 60) to align send times to; null keeps in-window times
+            jitterMinutes: 0, // Range of the per-subscriber offset added to send times; 0 disables jitter
             defaultTimeWindows: [
                 { startHour: 9, endHour: 10, enabled: true },
                 { startHour: 10, endHour: 11, enabled: true },
@@ -25,14 +59,16 @@ class SendTimeCalculator {
             ],
             ...config
         };
+
+        this.timeSlotSelector = new TimeSlotSelector();
     }
 
     /**
      * Create the core algorithm that combines all factors to calculate optimal send time
      * @param {Object} contact - Contact information
      * @param {Object} activityConfig - Activity configuration
-     * @param {Object} components - Initialized components (timezoneEngine, holidayChecker, etc.)
-     * @param {Object} options - Additional options
+     * @param {Object} components - Initialized components (timezoneEngine, holidayChecker, engagementScorer, slotAllocator, etc.)
+     * @param {Object} options - Additional options (processingId, journeyId for per-slot capacity)
      * @returns {Promise<Object>} Calculation result
      */
     async calculateOptimalSendTime(contact, activityConfig, components, options = {}) {
@@ -42,6 +78,9 @@ class SendTimeCalculator {
         this.logger.info(`Starting send time calculation [${calculationId}]`, {
             subscriberKey: contact?.subscriberKey,
             geosegment: contact?.geosegment,
+            region: contact?.region,
+            postalCode: contact?.postalCode,
+            timezone: contact?.timezone,
             skipWeekends: activityConfig?.skipWeekends,
             skipHolidays: activityConfig?.skipHolidays,
             timeWindowsCount: activityConfig?.timeWindows?.length || 0
@@ -59,41 +98,125 @@ class SendTimeCalculator {
             // Step 2: Initialize base time and validate inputs
             const baseTime = this._initializeBaseTime(contact, options);
             const countryCode = contact.geosegment || 'US';
-            const timeWindows = this._normalizeTimeWindows(activityConfig.timeWindows);
+            const schedule = this._normalizeSchedule(activityConfig);
 
             this.logger.debug(`Calculation initialized [${calculationId}]`, {
                 baseTime: baseTime.toISOString(),
                 countryCode,
-                timeWindowsCount: timeWindows.length
+                timeWindowsCount: schedule.windows.length,
+                weekdaySchedules: Object.keys(schedule.days).length
             });
 
-            // Step 2: Timezone conversion
-            const timezoneResult = await this._applyTimezoneConversion(
-                baseTime,
-                countryCode,
-                components.timezoneEngine,
-                calculationId
-            );
+            // Step 2: Timezone conversion - an explicit contact timezone is used directly,
+            // geosegment resolution only runs as the fallback
+            const explicitTimezoneResult = contact.timezone
+                ? this._applyExplicitTimezone(baseTime, contact, components.timezoneEngine, calculationId)
+                : null;
+
+            let timezoneResult = explicitTimezoneResult?.success
+                ? explicitTimezoneResult
+                : await this._applyTimezoneConversion(
+                    baseTime,
+                    countryCode,
+                    components.timezoneEngine,
+                    calculationId,
+                    { region: contact.region, postalCode: contact.postalCode }
+                );
+
+            if (explicitTimezoneResult && !explicitTimezoneResult.success) {
+                timezoneResult.explicitTimezone = explicitTimezoneResult.explicitTimezone;
+            }
+
+            // Fallback behavior of the activity, once a step has failed
+            let fallback = null;
 
             if (!timezoneResult.success) {
-                throw new Error(`Timezone conversion failed: ${timezoneResult.error}`);
+                const error = `Timezone conversion failed: ${timezoneResult.error}`;
+                fallback = this._triggerFallback('timezone_failure', error, activityConfig, calculationId);
+                if (!fallback) {
+                    throw new Error(error);
+                }
+                timezoneResult = this._createDefaultTimezoneResult(baseTime, countryCode, components);
+            } else if (isValidFallbackBehavior(activityConfig.fallbackBehavior)) {
+                // With a fallback behavior, a timezone only found through the default country fails
+                const error = this._getUnresolvedTimezoneError(contact, timezoneResult, explicitTimezoneResult);
+                if (error) {
+                    fallback = this._triggerFallback('timezone_failure', error, activityConfig, calculationId);
+                    timezoneResult = this._createDefaultTimezoneResult(baseTime, countryCode, components);
+                }
+            }
+
+            // All remaining steps work on instants read in the contact's timezone;
+            // SFMC server time is only derived for the final result
+            const targetTimezone = timezoneResult.timezoneInfo?.primaryTimezone || this.config.defaultTimezone;
+            // Placement settings shared by every step that moves the send time; weekend
+            // days come from the contact's country unless the activity overrides them
+            const placement = {
+                schedule,
+                slotGranularity: this._resolveSlotGranularity(activityConfig.slotGranularity),
+                dstPolicy: activityConfig.dstPolicy || this.config.dstPolicy,
+                weekendDays: getWeekendDays(timezoneResult.countryCode, activityConfig.weekendDays),
+                jitterMinutes: this._resolveJitterMinutes(activityConfig.jitterMinutes),
+                preferredTime: this._resolvePreferredTime(
+                    contact,
+                    activityConfig,
+                    components.engagementScorer,
+                    targetTimezone,
+                    timezoneResult.countryCode,
+                    calculationId
+                )
+            };
+
+            // Regional holidays apply by the contact's subdivision: the one resolved from
+            // the postal code or region binding, else the region as bound
+            const subdivision = timezoneResult.timezoneInfo?.regionCode || contact.region || null;
+            const fallbackContext = {
+                baseTime,
+                placement,
+                timezone: targetTimezone,
+                timezoneResult,
+                subdivision,
+                journeyId: options.journeyId,
+                startTime
+            };
+
+            // default_time continues with the defaults; the other behaviors replace the calculation
+            if (fallback && fallback.behavior !== 'default_time') {
+                return await this._applyFallbackBehavior(fallback, contact, activityConfig, components, fallbackContext, calculationId);
             }
 
             // Step 3: Time window processing
-            const timeWindowResult = await this._processTimeWindows(
-                timezoneResult.convertedTime,
-                timeWindows,
+            let timeWindowResult = await this._processTimeWindows(
+                baseTime,
+                placement,
+                targetTimezone,
                 calculationId
             );
 
             if (!timeWindowResult.success) {
-                throw new Error(`Time window processing failed: ${timeWindowResult.error}`);
+                const error = `Time window processing failed: ${timeWindowResult.error}`;
+                fallback = fallback || this._triggerFallback('no_slot_found', error, activityConfig, calculationId);
+                if (!fallback) {
+                    throw new Error(error);
+                }
+                if (fallback.behavior !== 'default_time') {
+                    return await this._applyFallbackBehavior(fallback, contact, activityConfig, components, fallbackContext, calculationId);
+                }
+
+                // The default time windows take over from a schedule without any slot
+                placement.schedule = this._normalizeSchedule({});
+                timeWindowResult = await this._processTimeWindows(baseTime, placement, targetTimezone, calculationId);
+                if (!timeWindowResult.success) {
+                    throw new Error(`Time window processing failed: ${timeWindowResult.error}`);
+                }
             }
 
             // Step 4: Weekend exclusion
             const weekendResult = await this._applyWeekendExclusion(
                 timeWindowResult.targetDateTime,
                 activityConfig.skipWeekends,
+                targetTimezone,
+                placement,
                 calculationId
             );
 
@@ -104,9 +227,14 @@ class SendTimeCalculator {
             // Step 5: Holiday exclusion
             const holidayResult = await this._applyHolidayExclusion(
                 weekendResult.adjustedDateTime,
-                countryCode,
+                timezoneResult.countryCode,
+                subdivision,
+                options.journeyId,
                 activityConfig.skipHolidays,
+                activityConfig.holidayTypes || null,
                 components.holidayChecker,
+                targetTimezone,
+                placement,
                 calculationId
             );
 
@@ -114,10 +242,20 @@ class SendTimeCalculator {
                 throw new Error(`Holiday exclusion failed: ${holidayResult.error}`);
             }
 
+            // Without a fallback behavior, holidays that could not be loaded are not skipped
+            const holidayError = holidayResult.providerError || holidayResult.warning;
+            if (holidayError && !fallback) {
+                fallback = this._triggerFallback('holiday_provider_failure', holidayError, activityConfig, calculationId);
+                if (fallback && fallback.behavior !== 'default_time') {
+                    return await this._applyFallbackBehavior(fallback, contact, activityConfig, components, fallbackContext, calculationId);
+                }
+            }
+
             // Step 6: Final validation and future time enforcement
             const finalResult = await this._finalizeSendTime(
                 holidayResult.finalDateTime,
-                timeWindows,
+                placement,
+                targetTimezone,
                 calculationId
             );
 
@@ -125,18 +263,82 @@ class SendTimeCalculator {
                 throw new Error(`Final validation failed: ${finalResult.error}`);
             }
 
+            // Step 7: Per-slot send capacity of the journey
+            const capacityResult = await this._allocateCapacity(
+                finalResult.finalDateTime,
+                activityConfig,
+                components,
+                {
+                    placement,
+                    timezone: targetTimezone,
+                    countryCode: timezoneResult.countryCode,
+                    subdivision,
+                    journeyId: options.journeyId
+                },
+                calculationId
+            );
+
+            // A send without a slot with capacity fails rather than exceed the cap, unless
+            // the fallback behavior takes over
+            if (capacityResult.noSlot) {
+                if (fallback || !isValidFallbackBehavior(activityConfig.fallbackBehavior)) {
+                    throw new Error(capacityResult.warning);
+                }
+                fallback = this._triggerFallback('no_slot_found', capacityResult.warning, activityConfig, calculationId);
+                if (fallback.behavior !== 'default_time') {
+                    return await this._applyFallbackBehavior(fallback, contact, activityConfig, components, fallbackContext, calculationId);
+                }
+            }
+
+            // Spread the sends of a slot with the subscriber's jitter offset, inside the
+            // slot the send was allocated to
+            const jitterResult = this._applyJitter(
+                capacityResult.finalDateTime,
+                contact.subscriberKey,
+                placement,
+                targetTimezone,
+                capacityResult.allocation
+            );
+
+            // Step 8: Send deadline (activity sendBefore or the contact's deadline)
+            const deadlineResult = await this._applySendDeadline(
+                jitterResult.finalDateTime,
+                contact,
+                activityConfig,
+                components,
+                {
+                    placement,
+                    timezone: targetTimezone,
+                    countryCode: timezoneResult.countryCode,
+                    subdivision,
+                    journeyId: options.journeyId,
+                    allocation: capacityResult.allocation
+                },
+                calculationId
+            );
+            const sendTime = deadlineResult.finalDateTime;
+
             // Compile complete result
             const calculationTime = Date.now() - startTime;
             const result = this._compileCalculationResult(
                 contact,
                 baseTime,
-                finalResult.finalDateTime,
+                sendTime,
                 {
+                    output: {
+                        timezone: targetTimezone,
+                        sfmcTime: this._getTimezoneCalculator(components).toSFMCTime(sendTime),
+                        sfmcTimezone: this._getTimezoneCalculator(components).sfmcTimezone.timezone
+                    },
                     timezone: timezoneResult,
                     timeWindow: timeWindowResult,
                     weekend: weekendResult,
                     holiday: holidayResult,
-                    final: finalResult
+                    final: finalResult,
+                    capacity: capacityResult,
+                    jitter: jitterResult,
+                    deadline: deadlineResult,
+                    fallback
                 },
                 calculationTime,
                 calculationId
@@ -205,6 +407,47 @@ class SendTimeCalculator {
         return baseTime;
     }
 
+    /**
+     * Normalize the window schedule: the flat timeWindows apply to every day that has
+     * no entry in weeklySchedule; a weekday entry with no enabled windows blocks that day
+     * @private
+     */
+    _normalizeSchedule(activityConfig) {
+        const days = {};
+
+        Object.entries(activityConfig.weeklySchedule || {}).forEach(([dayName, windows]) => {
+            const dayIndex = getWeekdayIndex(dayName);
+            if (dayIndex === -1 || !Array.isArray(windows)) {
+                this.logger.warn(`Ignoring invalid weekly schedule entry "${dayName}"`);
+                return;
+            }
+            days[dayIndex] = this._filterTimeWindows(windows);
+        });
+
+        return {
+            windows: this._normalizeTimeWindows(activityConfig.timeWindows),
+            days
+        };
+    }
+
+    /**
+     * Gets the windows that start on a local day
+     * @private
+     */
+    _getWindowsForDay(schedule, localDay) {
+        return schedule.days[localDay.day()] || schedule.windows;
+    }
+
+    /**
+     * Keeps enabled, well-formed windows sorted by start time (startHour or HH:mm startTime)
+     * @private
+     */
+    _filterTimeWindows(timeWindows) {
+        return timeWindows
+            .filter(window => window.enabled !== false && getWindowBounds(window) !== null)
+            .sort((a, b) => getWindowBounds(a).start - getWindowBounds(b).start);
+    }
+
     /**
      * Normalize time windows configuration
      * @private
@@ -215,10 +458,7 @@ class SendTimeCalculator {
             return this.config.defaultTimeWindows;
         }
 
-        // Filter enabled time windows and sort by start hour
-        const enabledWindows = timeWindows
-            .filter(window => window.enabled !== false)
-            .sort((a, b) => a.startHour - b.startHour);
+        const enabledWindows = this._filterTimeWindows(timeWindows);
 
         if (enabledWindows.length === 0) {
             this.logger.warn('No enabled time windows found, using defaults');
@@ -228,23 +468,97 @@ class SendTimeCalculator {
         return enabledWindows;
     }
 
+    /**
+     * Apply an explicit IANA timezone bound to the contact
+     * The geosegment, when valid, still determines the country used for holidays;
+     * otherwise the country is derived from the timezone itself
+     * @private
+     */
+    _applyExplicitTimezone(baseTime, contact, timezoneEngine, calculationId) {
+        const explicitInfo = timezoneEngine.getExplicitTimezoneInfo(contact.timezone, {
+            calculationId,
+            endpoint: 'send-time-calculation'
+        });
+
+        if (!explicitInfo.success) {
+            return {
+                success: false,
+                explicitTimezone: {
+                    requested: contact.timezone,
+                    valid: false,
+                    message: explicitInfo.message
+                }
+            };
+        }
+
+        let countryCode = explicitInfo.countryCode || timezoneEngine.options.defaultFallbackCountry;
+        let countryNormalization = null;
+        if (contact.geosegment) {
+            const countryValidation = timezoneEngine.validator.validateCountryCode(contact.geosegment, {
+                logIssues: false
+            });
+            if (countryValidation.isValid) {
+                countryCode = countryValidation.countryCode;
+                countryNormalization = countryValidation.normalization || null;
+            }
+        }
+
+        const timezone = explicitInfo.timezone.primaryTimezone;
+
+        return {
+            success: true,
+            originalTime: baseTime,
+            convertedTime: timezoneEngine.calculator.convertTimezoneToSFMCTime(baseTime, timezone),
+            countryCode,
+            offsetApplied: timezoneEngine.calculator.getTimezoneOffsetFromSFMC(timezone, baseTime),
+            timezoneInfo: explicitInfo.timezone,
+            timezoneSource: explicitInfo.timezoneSource,
+            countryNormalization,
+            explicitTimezone: {
+                requested: contact.timezone,
+                valid: true
+            },
+            fallbackUsed: false
+        };
+    }
+
+    /**
+     * Describes a timezone that was only resolved through the default country: a
+     * geosegment that could not be resolved, or an invalid explicit timezone without a
+     * valid geosegment
+     * @returns {string|null} Error, or null when the contact's timezone was resolved
+     * @private
+     */
+    _getUnresolvedTimezoneError(contact, timezoneResult, explicitTimezoneResult) {
+        const explicitInvalid = Boolean(explicitTimezoneResult && !explicitTimezoneResult.success);
+
+        if (explicitInvalid && (!contact.geosegment || timezoneResult.fallbackUsed)) {
+            return `Timezone could not be resolved: invalid timezone "${contact.timezone}" and no valid geosegment`;
+        }
+        if (timezoneResult.fallbackUsed) {
+            return `Timezone could not be resolved: invalid geosegment "${contact.geosegment}"`;
+        }
+        return null;
+    }
+
     /**
      * Apply timezone conversion
      * @private
      */
-    async _applyTimezoneConversion(baseTime, countryCode, timezoneEngine, calculationId) {
+    async _applyTimezoneConversion(baseTime, countryCode, timezoneEngine, calculationId, location = {}) {
         try {
-            // Get timezone information
+            // Get timezone information (postal code or region, when bound, take precedence over country)
             const timezoneInfo = timezoneEngine.getTimezoneInfo(countryCode, {
                 calculationId,
                 endpoint: 'send-time-calculation'
-            });
+            }, location);
 
-            // Convert to SFMC time (CST/UTC-6)
+            // Convert to SFMC server time for reporting
             const conversionResult = timezoneEngine.convertToSFMCTime(
                 baseTime,
                 timezoneInfo.countryCode,
-                { calculationId }
+                { calculationId },
+                location
             );
 
             if (!conversionResult.success) {
@@ -261,6 +575,10 @@ class SendTimeCalculator {
                 countryCode: timezoneInfo.countryCode,
                 offsetApplied: conversionResult.offsetFromSFMC,
                 timezoneInfo: timezoneInfo.timezone,
+                timezoneSource: timezoneInfo.timezoneSource,
+                region: timezoneInfo.region,
+                postalCode: timezoneInfo.postalCode,
+                countryNormalization: timezoneInfo.validation.normalization || null,
                 fallbackUsed: timezoneInfo.validation.fallbackUsed
             };
 
@@ -274,58 +592,34 @@ class SendTimeCalculator {
 
     /**
      * Process time windows to find optimal slot
+     * Window bounds are wall-clock times in the contact's timezone, taken from the
+     * schedule of the local weekday
      * @private
      */
-    async _processTimeWindows(targetDateTime, timeWindows, calculationId) {
+    async _processTimeWindows(targetDateTime, placement, timezone, calculationId) {
         try {
-            const targetDate = new Date(targetDateTime);
-            const targetHour = targetDate.getHours();
-            const targetMinute = targetDate.getMinutes();
+            const localTime = this._toLocalTime(targetDateTime, timezone);
 
             this.logger.debug(`Processing time windows [${calculationId}]`, {
-                targetTime: `${targetHour}:${targetMinute.toString().padStart(2, '0')}`,
-                availableWindows: timeWindows.length
+                targetTime: localTime.format('HH:mm'),
+                timezone,
+                availableWindows: this._getWindowsForDay(placement.schedule, localTime).length,
+                slotGranularity: placement.slotGranularity,
+                preferredTime: placement.preferredTime
             });
 
-            // Find the best matching time window
-            let selectedWindow = null;
-            let selectedDateTime = null;
-
-            // First, try to find a window that contains the current time
-            for (const window of timeWindows) {
-                if (targetHour >= window.startHour && targetHour < window.endHour) {
-                    selectedWindow = window;
-                    selectedDateTime = new Date(targetDate);
-                    break;
-                }
-            }
-
-            // If no window contains current time, find the next available window
-            if (!selectedWindow) {
-                for (const window of timeWindows) {
-                    if (targetHour < window.startHour) {
-                        selectedWindow = window;
-                        selectedDateTime = new Date(targetDate);
-                        selectedDateTime.setHours(window.startHour, 0, 0, 0);
-                        break;
-                    }
-                }
-            }
-
-            // If still no window (current time is after all windows), use first window of next day
-            if (!selectedWindow) {
-                selectedWindow = timeWindows[0];
-                selectedDateTime = new Date(targetDate);
-                selectedDateTime.setDate(selectedDateTime.getDate() + 1);
-                selectedDateTime.setHours(selectedWindow.startHour, 0, 0, 0);
-            }
+            const selection = this._placeInTimeWindows(localTime, placement, timezone);
+            const selectedDateTime = selection.localTime.toDate();
 
             return {
                 success: true,
                 originalDateTime: targetDateTime,
                 targetDateTime: selectedDateTime,
-                selectedWindow: selectedWindow,
-                windowAdjusted: selectedDateTime.getTime() !== targetDateTime.getTime()
+                localDateTime: selection.localTime.format(),
+                selectedWindow: selection.window,
+                preferredTime: placement.preferredTime || null,
+                windowAdjusted: selectedDateTime.getTime() !== targetDateTime.getTime(),
+                dstTransition: selection.dstTransition
             };
 
         } catch (error) {
@@ -338,29 +632,34 @@ class SendTimeCalculator {
 
     /**
      * Apply weekend exclusion logic
+     * The day of week is taken in the contact's timezone and checked against the
+     * weekend days of the contact's country (or the activity's override)
      * @private
      */
-    async _applyWeekendExclusion(targetDateTime, skipWeekends, calculationId) {
+    async _applyWeekendExclusion(targetDateTime, skipWeekends, timezone, placement, calculationId) {
         try {
-            const targetDate = new Date(targetDateTime);
-            let adjustedDate = new Date(targetDate);
+            const localTime = this._toLocalTime(targetDateTime, timezone);
+            let adjustedTime = localTime.clone();
             let daysAdjusted = 0;
             let adjustmentReason = null;
+            let dstTransition = null;
 
             if (skipWeekends) {
-                // Check if target date is weekend (Saturday = 6, Sunday = 0)
-                const dayOfWeek = adjustedDate.getDay();
+                const dayOfWeek = localTime.day();
+                const daysToAdd = this._countWeekendDays(localTime, placement.weekendDays);
                 
-                if (dayOfWeek === 0 || dayOfWeek === 6) { // Sunday or Saturday
-                    // Move to next Monday
-                    const daysToAdd = dayOfWeek === 0 ? 1 : 2; // Sunday: +1, Saturday: +2
-                    adjustedDate.setDate(adjustedDate.getDate() + daysToAdd);
+                if (daysToAdd > 0) {
+                    // Move to the first day after the weekend, keeping the local wall-clock time
+                    const targetDay = localTime.clone().add(daysToAdd, 'days');
+                    ({ localTime: adjustedTime, dstTransition } = this._moveToDay(
+                        localTime, targetDay, placement, timezone
+                    ));
                     daysAdjusted = daysToAdd;
-                    adjustmentReason = `Moved from ${dayOfWeek === 0 ? 'Sunday' : 'Saturday'} to Monday`;
+                    adjustmentReason = `Moved from ${getDayName(dayOfWeek)} to ${getDayName(targetDay.day())}`;
 
                     this.logger.debug(`Weekend exclusion applied [${calculationId}]`, {
-                        originalDate: targetDate.toISOString().split('T')[0],
-                        adjustedDate: adjustedDate.toISOString().split('T')[0],
+                        originalDate: localTime.format('YYYY-MM-DD'),
+                        adjustedDate: adjustedTime.format('YYYY-MM-DD'),
                         daysAdjusted,
                         reason: adjustmentReason
                     });
@@ -370,10 +669,11 @@ class SendTimeCalculator {
             return {
                 success: true,
                 originalDateTime: targetDateTime,
-                adjustedDateTime: adjustedDate,
+                adjustedDateTime: adjustedTime.toDate(),
                 daysAdjusted,
                 adjustmentReason,
-                weekendExclusionApplied: daysAdjusted > 0
+                weekendExclusionApplied: daysAdjusted > 0,
+                dstTransition
             };
 
         } catch (error) {
@@ -386,41 +686,89 @@ class SendTimeCalculator {
 
     /**
      * Apply holiday exclusion logic
+     * Holidays are matched against the calendar date in the contact's timezone. On a
+     * partial-day holiday a slot before the cutoff hour is still used; the day is only
+     * skipped when no slot is left before it. holidayTypes limits the holiday types
+     * that count (every type when null). Blackout dates of the holiday checker's
+     * calendar are skipped whether or not holidays are.
      * @private
      */
-    async _applyHolidayExclusion(targetDateTime, countryCode, skipHolidays, holidayChecker, calculationId) {
+    async _applyHolidayExclusion(targetDateTime, countryCode, subdivision, journeyId, skipHolidays, holidayTypes, holidayChecker, timezone, placement, calculationId) {
         try {
-            const targetDate = new Date(targetDateTime);
-            let adjustedDate = new Date(targetDate);
+            const localTime = this._toLocalTime(targetDateTime, timezone);
+            let adjustedTime = localTime.clone();
             let daysAdjusted = 0;
             let adjustmentReason = null;
+            let dstTransition = null;
             let holidaysChecked = [];
+            let blackoutsChecked = [];
+            let providerError = null;
 
-            if (skipHolidays && holidayChecker) {
-                let checkDate = new Date(adjustedDate);
+            if (holidayChecker && (skipHolidays || holidayChecker.blackoutCalendar)) {
+                let checkTime = localTime.clone();
                 let maxIterations = this.config.maxLookAheadDays;
                 let iterations = 0;
+                let partialDaySlot = null;
+
+                const moveToNextDay = () => {
+                    checkTime.add(1, 'day');
+                    daysAdjusted++;
+
+                    // Skip weekends if they're also excluded
+                    const weekendDays = this._countWeekendDays(checkTime, placement.weekendDays);
+                    checkTime.add(weekendDays, 'days');
+                    daysAdjusted += weekendDays;
+                };
 
                 while (iterations < maxIterations) {
-                    const isHoliday = await holidayChecker.isPublicHoliday(checkDate, countryCode);
-                    
-                    if (isHoliday.isHoliday) {
-                        holidaysChecked.push({
-                            date: checkDate.toISOString().split('T')[0],
-                            name: isHoliday.holidayName
-                        });
+                    const blackouts = this._getBlackouts(checkTime, holidayChecker, countryCode, journeyId);
+                    if (blackouts.length > 0) {
+                        blackouts.forEach(entry => blackoutsChecked.push({
+                            date: checkTime.format('YYYY-MM-DD'),
+                            name: entry.name,
+                            blackoutId: entry.id
+                        }));
+                        moveToNextDay();
+                        iterations++;
+                        continue;
+                    }
+                    if (!skipHolidays) {
+                        break;
+                    }
 
-                        // Move to next day
-                        checkDate.setDate(checkDate.getDate() + 1);
-                        daysAdjusted++;
-                        
-                        // Skip weekends if they're also excluded
-                        const dayOfWeek = checkDate.getDay();
-                        if ((dayOfWeek === 0 || dayOfWeek === 6)) {
-                            const weekendDays = dayOfWeek === 0 ? 1 : 2;
-                            checkDate.setDate(checkDate.getDate() + weekendDays);
-                            daysAdjusted += weekendDays;
+                    const calendarDate = this._toCalendarDate(checkTime);
+                    const holiday = typeof holidayChecker.getHolidayInfo === 'function'
+                        ? await holidayChecker.getHolidayInfo(calendarDate, countryCode, subdivision, holidayTypes)
+                        : await holidayChecker.isPublicHoliday(calendarDate, countryCode, subdivision, holidayTypes);
+
+                    // The checker answers with its own fallback when holiday data could not be loaded
+                    if (holiday?.error && !providerError) {
+                        providerError = `Holiday provider failed: ${holiday.error}`;
+                    }
+                    
+                    if (holiday === true || holiday?.isHoliday) {
+                        const checked = {
+                            date: checkTime.format('YYYY-MM-DD'),
+                            name: holiday?.name || holiday?.holidayName || null
+                        };
+                        if (holiday?.partialDay) {
+                            checked.cutoffHour = holiday.cutoffHour;
+                        }
+                        if (holiday?.observed) {
+                            checked.observedFrom = holiday.observedFrom;
                         }
+                        holidaysChecked.push(checked);
+
+                        if (holiday?.partialDay) {
+                            partialDaySlot = this._findSlotBeforeCutoff(
+                                localTime, checkTime, daysAdjusted > 0, holiday.cutoffHour, placement, timezone
+                            );
+                            if (partialDaySlot) {
+                                break;
+                            }
+                        }
+
+                        moveToNextDay();
                     } else {
                         break;
                     }
@@ -428,16 +776,40 @@ class SendTimeCalculator {
                     iterations++;
                 }
 
+                const reasons = [];
+                if (partialDaySlot) {
+                    ({ localTime: adjustedTime, dstTransition } = partialDaySlot);
+                } else if (daysAdjusted > 0) {
+                    ({ localTime: adjustedTime, dstTransition } = this._moveToDay(
+                        localTime, checkTime, placement, timezone
+                    ));
+                }
+
+                const holidaysSkipped = partialDaySlot ? holidaysChecked.length - 1 : holidaysChecked.length;
+                const blackoutDays = new Set(blackoutsChecked.map(blackout => blackout.date)).size;
                 if (daysAdjusted > 0) {
-                    adjustedDate = checkDate;
-                    adjustmentReason = `Moved ${daysAdjusted} days to avoid ${holidaysChecked.length} holiday(s)`;
+                    const avoided = holidaysSkipped > 0 || blackoutDays === 0 ? [`${holidaysSkipped} holiday(s)`] : [];
+                    if (blackoutDays > 0) {
+                        avoided.push(`${blackoutDays} blackout date(s)`);
+                    }
+                    reasons.push(`Moved ${daysAdjusted} days to avoid ${avoided.join(' and ')}`);
+                }
+                if (partialDaySlot && !adjustedTime.isSame(localTime)) {
+                    const partialDay = holidaysChecked[holidaysChecked.length - 1];
+                    reasons.push(`Placed before the ${String(partialDay.cutoffHour).padStart(2, '0')}:00 cutoff of ${partialDay.name || 'a partial-day holiday'}`);
+                }
+                adjustmentReason = reasons.length > 0 ? reasons.join('; ') : null;
 
+                if (adjustmentReason) {
                     this.logger.debug(`Holiday exclusion applied [${calculationId}]`, {
-                        originalDate: targetDate.toISOString().split('T')[0],
-                        adjustedDate: adjustedDate.toISOString().split('T')[0],
+                        originalDate: localTime.format('YYYY-MM-DD'),
+                        adjustedDate: adjustedTime.format('YYYY-MM-DD'),
                         daysAdjusted,
-                        holidaysAvoided: holidaysChecked.length,
-                        countryCode
+                        holidaysAvoided: holidaysSkipped,
+                        blackoutsAvoided: blackoutDays,
+                        partialDay: Boolean(partialDaySlot),
+                        countryCode,
+                        subdivision
                     });
                 }
             }
@@ -445,11 +817,14 @@ class SendTimeCalculator {
             return {
                 success: true,
                 originalDateTime: targetDateTime,
-                finalDateTime: adjustedDate,
+                finalDateTime: adjustedTime.toDate(),
                 daysAdjusted,
                 adjustmentReason,
-                holidayExclusionApplied: daysAdjusted > 0,
-                holidaysChecked
+                holidayExclusionApplied: adjustmentReason !== null,
+                holidaysChecked,
+                blackoutsChecked,
+                providerError,
+                dstTransition
             };
 
         } catch (error) {
@@ -467,51 +842,99 @@ class SendTimeCalculator {
                 adjustmentReason: null,
                 holidayExclusionApplied: false,
                 holidaysChecked: [],
+                blackoutsChecked: [],
                 warning: `Holiday checking failed: ${error.message}`
             };
         }
     }
 
+    /**
+     * Finds a slot on a partial-day holiday before its cutoff hour: the time itself when
+     * it is already on that day, else the time moved to that day, else the day's first slot
+     * @private
+     */
+    _findSlotBeforeCutoff(localTime, day, moved, cutoffHour, placement, timezone) {
+        const cutoff = this._resolveLocalTime(day, cutoffHour, 0, timezone, placement.dstPolicy).localTime;
+        const candidates = moved
+            ? [
+                () => this._moveToDay(localTime, day, placement, timezone),
+                () => this._placeInTimeWindows(
+                    this._resolveLocalTime(day, 0, 0, timezone, placement.dstPolicy).localTime,
+                    placement,
+                    timezone
+                ),
+                // A preferred time after the cutoff gives way to the day's earliest slot
+                ...(placement.preferredTime ? [() => this._placeAtEarliestSlot(
+                    this._resolveLocalTime(day, 0, 0, timezone, placement.dstPolicy).localTime,
+                    placement,
+                    timezone
+                )] : [])
+            ]
+            : [() => ({ localTime: localTime.clone(), dstTransition: null })];
+
+        for (const candidate of candidates) {
+            const slot = candidate();
+            if (slot.localTime.isSame(day, 'day') && slot.localTime.isBefore(cutoff)) {
+                return { localTime: slot.localTime, dstTransition: slot.dstTransition || null };
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Counts the consecutive weekend days starting at a local day
+     * @private
+     */
+    _countWeekendDays(localDay, weekendDays) {
+        let days = 0;
+        while (days < 7 && weekendDays.includes((localDay.day() + days) % 7)) {
+            days++;
+        }
+        return days;
+    }
+
+    /**
+     * Gets the entries of the holiday checker's blackout calendar covering a local day,
+     * for the contact's country and the journey
+     * @private
+     */
+    _getBlackouts(localDay, holidayChecker, countryCode, journeyId) {
+        if (!holidayChecker || !holidayChecker.blackoutCalendar) {
+            return [];
+        }
+        return holidayChecker.blackoutCalendar.getBlackouts(this._toCalendarDate(localDay), { countryCode, journeyId });
+    }
+
     /**
      * Finalize send time and ensure it's in the future
      * @private
      */
-    async _finalizeSendTime(targetDateTime, timeWindows, calculationId) {
+    async _finalizeSendTime(targetDateTime, placement, timezone, calculationId) {
         try {
             const now = new Date();
             const minFutureTime = new Date(now.getTime() + (this.config.minFutureMinutes * 60 * 1000));
             let finalDateTime = new Date(targetDateTime);
+            let dstTransition = null;
 
             // Ensure the time is in the future
-            if (finalDateTime <= minFutureTime) {
+            if (finalDateTime < minFutureTime) {
                 this.logger.debug(`Adjusting time to future [${calculationId}]`, {
                     originalTime: finalDateTime.toISOString(),
                     minFutureTime: minFutureTime.toISOString()
                 });
 
                 // Move to next available time slot
-                finalDateTime = new Date(minFutureTime);
-                
-                // Find next available time window
-                const targetHour = finalDateTime.getHours();
-                let foundWindow = false;
-
-                for (const window of timeWindows) {
-                    if (targetHour < window.endHour) {
-                        if (targetHour < window.startHour) {
-                            finalDateTime.setHours(window.startHour, 0, 0, 0);
-                        }
-                        foundWindow = true;
-                        break;
-                    }
-                }
-
-                // If no window available today, move to first window tomorrow
-                if (!foundWindow) {
-                    finalDateTime.setDate(finalDateTime.getDate() + 1);
-                    finalDateTime.setHours(timeWindows[0].startHour, 0, 0, 0);
-                }
+                const selection = this._placeInTimeWindows(
+                    this._toLocalTime(minFutureTime, timezone),
+                    placement,
+                    timezone
+                );
+
+                dstTransition = selection.dstTransition;
+                finalDateTime = selection.localTime.toDate();
             }
+            const futureAdjustmentApplied = finalDateTime.getTime() !== targetDateTime.getTime();
 
             // Final validation - ensure it's compatible with Wait By Attribute
             const isValidForWaitByAttribute = this._validateWaitByAttributeCompatibility(finalDateTime);
@@ -523,8 +946,9 @@ class SendTimeCalculator {
                 success: true,
                 originalDateTime: targetDateTime,
                 finalDateTime: finalDateTime,
-                futureAdjustmentApplied: finalDateTime.getTime() !== targetDateTime.getTime(),
-                waitByAttributeCompatible: true
+                futureAdjustmentApplied,
+                waitByAttributeCompatible: true,
+                dstTransition
             };
 
         } catch (error) {
@@ -536,108 +960,1030 @@ class SendTimeCalculator {
     }
 
     /**
-     * Validate compatibility with Wait By Attribute activity
+     * Reserve the send in a slot of the journey with capacity left (maxSendsPerSlot).
+     * Full slots move the send to the next slot, or the next sending day, found by the
+     * slot allocator; later days skip weekends, holidays and blackout dates like the steps before. When
+     * no slot has capacity the result is flagged noSlot, for the caller to fail the contact or
+     * apply its fallback; when the store fails, the send time is kept and a warning recorded.
+     * A send that must go out immediately (context.immediate) keeps its own slot while
+     * it has capacity, even outside the time windows.
      * @private
      */
-    _validateWaitByAttributeCompatibility(dateTime) {
-        try {
-            // Check if date is valid
-            if (isNaN(dateTime.getTime())) {
-                return {
-                    isValid: false,
-                    error: 'Invalid date/time value'
-                };
+    async _allocateCapacity(targetDateTime, activityConfig, components, context, calculationId) {
+        const { placement, timezone, countryCode, subdivision, journeyId } = context;
+        const unchanged = {
+            success: true,
+            originalDateTime: targetDateTime,
+            finalDateTime: targetDateTime,
+            capacityAdjustmentApplied: false,
+            allocation: null
+        };
+
+        if (!activityConfig.maxSendsPerSlot || !components.slotAllocator) {
+            return unchanged;
+        }
+
+        if (context.immediate) {
+            const reservation = await this._reserveSlot(targetDateTime, activityConfig, components, context, calculationId);
+            if (!reservation.full) {
+                return { ...unchanged, allocation: reservation.allocation };
             }
+        }
 
-            // Check if date is in the future
-            const now = new Date();
-            if (dateTime <= now) {
-                return {
-                    isValid: false,
-                    error: 'Date/time must be in the future'
-                };
+        try {
+            const localTime = this._toLocalTime(targetDateTime, timezone);
+            // Days are searched from local noon so host and contact dates agree
+            const startDate = this._resolveLocalTime(localTime, 12, 0, timezone, placement.dstPolicy).localTime.toDate();
+            const holidayChecker = components.holidayChecker || null;
+            const skipHolidays = Boolean(activityConfig.skipHolidays && holidayChecker);
+
+            const allocation = await components.slotAllocator.allocate(
+                startDate,
+                date => this._getWindowsForDay(placement.schedule, this._toLocalTime(date, timezone))
+                    .map(window => ({ ...window, enabled: true })),
+                {
+                    journeyId,
+                    maxPerSlot: activityConfig.maxSendsPerSlot,
+                    notBefore: targetDateTime,
+                    timezone,
+                    dstPolicy: placement.dstPolicy,
+                    slotGranularity: placement.slotGranularity || undefined,
+                    skipWeekends: Boolean(activityConfig.skipWeekends),
+                    weekendDays: placement.weekendDays,
+                    preferredHour: placement.preferredTime ? placement.preferredTime.hour : null,
+                    preferredMinute: placement.preferredTime ? placement.preferredTime.minute : null,
+                    maxDaysToCheck: this.config.maxLookAheadDays,
+                    isDayExcluded: skipHolidays || holidayChecker?.blackoutCalendar ? async date => {
+                        const localDay = this._toLocalTime(date, timezone);
+                        if (this._getBlackouts(localDay, holidayChecker, countryCode, journeyId).length > 0) {
+                            return true;
+                        }
+                        if (!skipHolidays) {
+                            return false;
+                        }
+                        const holiday = await holidayChecker.getHolidayInfo(
+                            this._toCalendarDate(localDay),
+                            countryCode,
+                            subdivision,
+                            activityConfig.holidayTypes || null
+                        );
+                        return Boolean(holiday && holiday.isHoliday);
+                    } : null
+                }
+            );
+
+            if (!allocation.success) {
+                this.logger.warn(`No slot with send capacity left [${calculationId}]`, {
+                    journeyId,
+                    error: allocation.error
+                });
+                return { ...unchanged, noSlot: true, warning: allocation.error };
             }
 
-            // Check if date is not too far in the future (reasonable limit)
-            const maxFutureDate = new Date();
-            maxFutureDate.setFullYear(maxFutureDate.getFullYear() + 1);
-            if (dateTime > maxFutureDate) {
-                return {
-                    isValid: false,
-                    error: 'Date/time is too far in the future'
-                };
+            const finalDateTime = allocation.sendTime;
+            if (finalDateTime.getTime() !== targetDateTime.getTime()) {
+                this.logger.debug(`Capacity allocation moved send time [${calculationId}]`, {
+                    originalTime: targetDateTime.toISOString(),
+                    adjustedTime: finalDateTime.toISOString(),
+                    slotsFull: allocation.allocation.slotsFull
+                });
             }
 
             return {
-                isValid: true,
-                validatedDateTime: dateTime
+                success: true,
+                originalDateTime: targetDateTime,
+                finalDateTime,
+                capacityAdjustmentApplied: finalDateTime.getTime() !== targetDateTime.getTime(),
+                allocation: allocation.allocation
             };
 
         } catch (error) {
-            return {
-                isValid: false,
-                error: error.message
-            };
+            this.logger.warn(`Capacity allocation failed, keeping send time [${calculationId}]`, {
+                error: error.message,
+                journeyId
+            });
+            return { ...unchanged, warning: `Capacity allocation failed: ${error.message}` };
         }
     }
 
     /**
-     * Compile complete calculation result
+     * Keep the send before the contact's deadline: the earlier of the activity's sendBefore
+     * setting and the contact's bound deadline. A send time at or after the deadline moves
+     * back to the last compliant slot before it; when none is left, the deadline policy
+     * decides (last_allowed, immediate or mark_missed). A moved send reserves capacity in
+     * its new slot and gives the old reservation back; when the new slot is full, the send
+     * time is kept and the contact marked deadline_missed.
      * @private
      */
-    _compileCalculationResult(contact, originalTime, finalDateTime, workflowResults, calculationTime, calculationId) {
-        const adjustments = [];
+    async _applySendDeadline(targetDateTime, contact, activityConfig, components, context, calculationId) {
+        const { timezone, allocation } = context;
+        const unchanged = {
+            success: true,
+            originalDateTime: targetDateTime,
+            finalDateTime: targetDateTime,
+            deadlineAdjustmentApplied: false,
+            deadline: null,
+            source: null,
+            policy: null,
+            applied: null,
+            met: true
+        };
 
-        // Add timezone adjustments
-        if (workflowResults.timezone.fallbackUsed) {
-            adjustments.push({
-                type: 'timezone_fallback',
-                reason: 'Country code not found, using fallback timezone',
-                originalCountry: contact.geosegment,
-                effectiveCountry: workflowResults.timezone.countryCode
-            });
+        const resolved = this._resolveDeadline(contact, activityConfig, timezone, calculationId);
+        if (!resolved) {
+            return unchanged;
         }
 
-        if (workflowResults.timezone.offsetApplied !== 0) {
-            adjustments.push({
-                type: 'timezone_conversion',
-                offsetHours: workflowResults.timezone.offsetApplied,
-                originalTime: workflowResults.timezone.originalTime,
-                convertedTime: workflowResults.timezone.convertedTime
-            });
+        const policy = activityConfig.deadlinePolicy || DEFAULT_DEADLINE_POLICY;
+        const result = { ...unchanged, deadline: resolved.deadline, source: resolved.source, policy };
+        if (targetDateTime < resolved.deadline) {
+            return result;
         }
 
-        // Add time window adjustments
-        if (workflowResults.timeWindow.windowAdjusted) {
-            adjustments.push({
-                type: 'time_window_adjustment',
-                selectedWindow: workflowResults.timeWindow.selectedWindow,
-                originalTime: workflowResults.timeWindow.originalDateTime,
-                adjustedTime: workflowResults.timeWindow.targetDateTime
-            });
+        const minFutureTime = new Date(Date.now() + (this.config.minFutureMinutes * 60 * 1000));
+        let finalDateTime = await this._findLastSlotBeforeDeadline(
+            resolved.deadline, minFutureTime, activityConfig, components, context
+        );
+        let applied = 'last_slot';
+
+        if (!finalDateTime) {
+            applied = policy;
+            if (policy === 'last_allowed') {
+                const lastMoment = new Date(resolved.deadline.getTime() - 60 * 1000);
+                finalDateTime = lastMoment >= minFutureTime ? lastMoment : null;
+            } else if (policy === 'immediate') {
+                finalDateTime = minFutureTime;
+            }
+
+            // A deadline that has already passed leaves nothing to send at
+            if (!finalDateTime) {
+                applied = 'mark_missed';
+                finalDateTime = targetDateTime;
+            }
         }
 
-        // Add weekend adjustments
-        if (workflowResults.weekend.weekendExclusionApplied) {
-            adjustments.push({
-                type: 'weekend_exclusion',
-                daysAdjusted: workflowResults.weekend.daysAdjusted,
-                reason: workflowResults.weekend.adjustmentReason,
-                originalDate: workflowResults.weekend.originalDateTime,
-                adjustedDate: workflowResults.weekend.adjustedDateTime
-            });
+        let movedAllocation = null;
+        if (finalDateTime.getTime() !== targetDateTime.getTime()) {
+            const reservation = await this._reserveSlot(finalDateTime, activityConfig, components, context, calculationId);
+            if (reservation.full) {
+                applied = 'mark_missed';
+                finalDateTime = targetDateTime;
+            }
+            movedAllocation = reservation.allocation;
         }
 
-        // Add holiday adjustments
-        if (workflowResults.holiday.holidayExclusionApplied) {
-            adjustments.push({
-                type: 'holiday_exclusion',
-                daysAdjusted: workflowResults.holiday.daysAdjusted,
-                reason: workflowResults.holiday.adjustmentReason,
-                holidaysAvoided: workflowResults.holiday.holidaysChecked,
-                originalDate: workflowResults.holiday.originalDateTime,
-                adjustedDate: workflowResults.holiday.finalDateTime
-            });
+        const deadlineAdjustmentApplied = finalDateTime.getTime() !== targetDateTime.getTime();
+        const met = finalDateTime < resolved.deadline;
+
+        if (deadlineAdjustmentApplied && allocation && components.slotAllocator) {
+            try {
+                await components.slotAllocator.release(allocation);
+            } catch (error) {
+                this.logger.warn(`Could not release capacity reservation [${calculationId}]`, {
+                    key: allocation.key,
+                    error: error.message
+                });
+            }
+        }
+
+        this.logger[met ? 'debug' : 'warn'](`Send deadline ${met ? 'applied' : 'missed'} [${calculationId}]`, {
+            deadline: resolved.deadline.toISOString(),
+            source: resolved.source,
+            policy,
+            applied,
+            originalTime: targetDateTime.toISOString(),
+            adjustedTime: finalDateTime.toISOString()
+        });
+
+        return {
+            ...result,
+            finalDateTime,
+            deadlineAdjustmentApplied,
+            applied,
+            met,
+            allocation: movedAllocation
+        };
+    }
+
+    /**
+     * Reserves capacity in the slot containing a send time (maxSendsPerSlot), e.g. of a
+     * send moved by its deadline. Inside a window the slot is the one of the window's slot
+     * grid, so it shares its counter with the slot allocator; outside the windows it is a
+     * plain grid slot. A store that fails keeps the send time, like capacity allocation does.
+     * @returns {Promise<Object>} { full, allocation }; allocation is null without a reservation
+     * @private
+     */
+    async _reserveSlot(sendTime, activityConfig, components, context, calculationId) {
+        if (!activityConfig.maxSendsPerSlot || !components.slotAllocator) {
+            return { full: false, allocation: null };
+        }
+
+        const { placement, timezone, journeyId } = context;
+        const granularity = placement.slotGranularity || DEFAULT_SLOT_GRANULARITY;
+        const localTime = this._toLocalTime(sendTime, timezone).startOf('minute');
+        const minuteOfDay = localTime.hour() * 60 + localTime.minute();
+        const containing = this._getContainingWindows(localTime, placement.schedule)[0];
+        const slotBounds = getSlotBounds(minuteOfDay, granularity, containing
+            ? { start: containing.start, end: containing.start + getWindowDuration(getWindowBounds(containing.window)) }
+            : null);
+        const slotStart = localTime.clone().subtract(minuteOfDay - slotBounds.start, 'minutes');
+
+        try {
+            const reservation = await components.slotAllocator.reserve(slotStart.toDate(), {
+                journeyId,
+                maxPerSlot: activityConfig.maxSendsPerSlot,
+                slotEnd: slotStart.clone().add(slotBounds.end - slotBounds.start, 'minutes').toDate()
+            });
+            if (!reservation.success) {
+                this.logger.warn(`No send capacity left in the slot of the send time [${calculationId}]`, {
+                    journeyId,
+                    error: reservation.error
+                });
+                return { full: true, allocation: null };
+            }
+            return { full: false, allocation: reservation.allocation };
+        } catch (error) {
+            this.logger.warn(`Capacity reservation failed, keeping send time [${calculationId}]`, {
+                error: error.message,
+                journeyId
+            });
+            return { full: false, allocation: null };
+        }
+    }
+
+    /**
+     * Resolves the contact's send deadline: the earlier of the activity's sendBefore and
+     * the contact's sendDeadline attribute. Values without an offset are read in the
+     * contact's timezone; invalid values are ignored with a warning.
+     * @private
+     */
+    _resolveDeadline(contact, activityConfig, timezone, calculationId) {
+        const candidates = [
+            ['activity', activityConfig.sendBefore],
+            ['contact', contact.sendDeadline]
+        ];
+
+        let resolved = null;
+        candidates.forEach(([source, value]) => {
+            if (value === undefined || value === null || value === '') {
+                return;
+            }
+
+            const deadline = parseDeadline(value, timezone || this.config.defaultTimezone);
+            if (!deadline) {
+                this.logger.warn(`Ignoring invalid ${source} send deadline "${value}" [${calculationId}]`);
+                return;
+            }
+            if (!resolved || deadline < resolved.deadline) {
+                resolved = { deadline, source };
+            }
+        });
+
+        return resolved;
+    }
+
+    /**
+     * Finds the last send time before a deadline that is in a time window, on a sending
+     * day (not a blackout date) and before a partial-day holiday's cutoff, searching back from the deadline's
+     * day. Times follow the slot grid when a granularity is set, else the last whole minute
+     * of a window is used. Returns null when no such time is left after notBefore.
+     * @private
+     */
+    async _findLastSlotBeforeDeadline(deadline, notBefore, activityConfig, components, context) {
+        const { placement, timezone, countryCode, subdivision, journeyId } = context;
+        const holidayChecker = activityConfig.skipHolidays ? components.holidayChecker : null;
+        const granularity = placement.slotGranularity;
+        const deadlineLocal = this._toLocalTime(deadline, timezone);
+        const notBeforeLocal = this._toLocalTime(notBefore, timezone);
+        const minuteOf = localTime => localTime.hour() * 60 + localTime.minute() +
+            localTime.second() / 60 + localTime.millisecond() / 60000;
+
+        const day = deadlineLocal.clone().startOf('day');
+        for (let iterations = 0; iterations <= this.config.maxLookAheadDays; iterations++, day.subtract(1, 'day')) {
+            if (day.isBefore(notBeforeLocal, 'day')) {
+                break;
+            }
+            if (activityConfig.skipWeekends && placement.weekendDays.includes(day.day())) {
+                continue;
+            }
+            if (this._getBlackouts(day, components.holidayChecker, countryCode, journeyId).length > 0) {
+                continue;
+            }
+
+            let limit = day.isSame(deadlineLocal, 'day') ? minuteOf(deadlineLocal) : MINUTES_PER_DAY;
+            if (holidayChecker) {
+                const holiday = await holidayChecker.getHolidayInfo(
+                    this._toCalendarDate(day), countryCode, subdivision, activityConfig.holidayTypes || null
+                );
+                if (holiday && holiday.isHoliday) {
+                    if (!holiday.partialDay) {
+                        continue;
+                    }
+                    limit = Math.min(limit, holiday.cutoffHour * 60);
+                }
+            }
+            const lower = day.isSame(notBeforeLocal, 'day') ? minuteOf(notBeforeLocal) : 0;
+
+            // The day's part of its own windows and of overnight windows from the day before
+            const segments = [
+                ...this._getWindowsForDay(placement.schedule, day.clone().subtract(1, 'day'))
+                    .map(getWindowBounds)
+                    .filter(isOvernightWindow)
+                    .map(bounds => ({ start: 0, end: bounds.end })),
+                ...this._getWindowsForDay(placement.schedule, day)
+                    .map(getWindowBounds)
+                    .map(bounds => ({ start: bounds.start, end: isOvernightWindow(bounds) ? MINUTES_PER_DAY : bounds.end }))
+            ].sort((a, b) => b.end - a.end);
+
+            for (const segment of segments) {
+                const end = Math.min(segment.end, limit);
+                const minute = granularity
+                    ? Math.ceil(end / granularity) * granularity - granularity
+                    : Math.ceil(end) - 1;
+                if (minute < Math.max(segment.start, lower)) {
+                    continue;
+                }
+
+                const sendTime = this._resolveWindowMinute(day, minute, timezone, placement.dstPolicy).localTime.toDate();
+                if (sendTime < deadline && sendTime >= notBefore) {
+                    return sendTime;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Starts the activity's fallback behavior after a failed step
+     * @returns {Object|null} Fallback ({ trigger, behavior, error }), or null when the activity has none
+     * @private
+     */
+    _triggerFallback(trigger, error, activityConfig, calculationId) {
+        const behavior = activityConfig.fallbackBehavior;
+        if (!isValidFallbackBehavior(behavior)) {
+            return null;
+        }
+
+        this.logger.warn(`Applying ${behavior} fallback after ${trigger} [${calculationId}]`, { error });
+        return { trigger, behavior, error };
+    }
+
+    /**
+     * Timezone result used in place of a failed conversion: the calculator's default timezone
+     * @private
+     */
+    _createDefaultTimezoneResult(baseTime, countryCode, components) {
+        return {
+            success: true,
+            originalTime: baseTime,
+            convertedTime: this._getTimezoneCalculator(components).toSFMCTime(baseTime),
+            countryCode,
+            offsetApplied: 0,
+            timezoneInfo: { primaryTimezone: this.config.defaultTimezone },
+            timezoneSource: 'default',
+            fallbackUsed: false
+        };
+    }
+
+    /**
+     * Replaces the calculation with the fallback behavior: immediate sends as soon as
+     * possible, next_business_day at the first slot of the next day that is not a weekend
+     * day or blackout date, nor a holiday unless holidays are what failed
+     * @private
+     */
+    async _applyFallbackBehavior(fallback, contact, activityConfig, components, context, calculationId) {
+        const { baseTime, placement, timezone, timezoneResult, subdivision, journeyId, startTime } = context;
+        const minFutureTime = new Date(Date.now() + (this.config.minFutureMinutes * 60 * 1000));
+        let sendTime = minFutureTime;
+
+        if (fallback.behavior === 'next_business_day') {
+            const holidayChecker = activityConfig.skipHolidays && fallback.trigger !== 'holiday_provider_failure'
+                ? components.holidayChecker
+                : null;
+            const day = this._toLocalTime(baseTime > minFutureTime ? baseTime : minFutureTime, timezone)
+                .startOf('day')
+                .add(1, 'day');
+
+            for (let days = 0; days < this.config.maxLookAheadDays; days++, day.add(1, 'day')) {
+                if (placement.weekendDays.includes(day.day())) {
+                    continue;
+                }
+                if (this._getBlackouts(day, components.holidayChecker, timezoneResult.countryCode, journeyId).length > 0) {
+                    continue;
+                }
+                if (holidayChecker) {
+                    try {
+                        const holiday = await holidayChecker.getHolidayInfo(
+                            this._toCalendarDate(day), timezoneResult.countryCode, subdivision, activityConfig.holidayTypes || null
+                        );
+                        if (holiday && holiday.isHoliday) {
+                            continue;
+                        }
+                    } catch (error) {
+                        this.logger.warn(`Holiday check failed, treating day as a business day [${calculationId}]`, {
+                            date: day.format('YYYY-MM-DD'),
+                            error: error.message
+                        });
+                    }
+                }
+                break;
+            }
+
+            sendTime = this._placeFallbackSlot(
+                this._resolveLocalTime(day, 0, 0, timezone, placement.dstPolicy).localTime,
+                placement,
+                timezone
+            );
+        }
+
+        // The fallback send time still goes through the steps after placement
+        const finalResult = await this._finalizeSendTime(sendTime, placement, timezone, calculationId);
+        if (!finalResult.success) {
+            throw new Error(`Final validation failed: ${finalResult.error}`);
+        }
+
+        const stepContext = { placement, timezone, countryCode: timezoneResult.countryCode, subdivision, journeyId };
+        const capacityResult = await this._allocateCapacity(
+            finalResult.finalDateTime,
+            activityConfig,
+            components,
+            { ...stepContext, immediate: fallback.behavior === 'immediate' },
+            calculationId
+        );
+        if (capacityResult.noSlot) {
+            throw new Error(capacityResult.warning);
+        }
+
+        const jitterResult = this._applyJitter(
+            capacityResult.finalDateTime,
+            contact.subscriberKey,
+            placement,
+            timezone,
+            capacityResult.allocation
+        );
+        const deadlineResult = await this._applySendDeadline(
+            jitterResult.finalDateTime,
+            contact,
+            activityConfig,
+            components,
+            { ...stepContext, allocation: capacityResult.allocation },
+            calculationId
+        );
+
+        const calculationTime = Date.now() - startTime;
+        const result = this._compileFallbackResult(
+            contact,
+            baseTime,
+            deadlineResult.finalDateTime,
+            fallback,
+            components,
+            {
+                timezone,
+                timezoneResult,
+                fallbackTime: sendTime,
+                final: finalResult,
+                capacity: capacityResult,
+                jitter: jitterResult,
+                deadline: deadlineResult
+            },
+            calculationTime,
+            calculationId
+        );
+
+        this.logger.info(`Send time calculation completed with ${fallback.behavior} fallback [${calculationId}]`, {
+            subscriberKey: contact.subscriberKey,
+            trigger: fallback.trigger,
+            finalTime: result.optimalSendTime.toISOString(),
+            calculationTime: `${calculationTime}ms`
+        });
+
+        return result;
+    }
+
+    /**
+     * Places a fallback send at the earliest slot from a local time, using the default
+     * time windows when the schedule has no slot
+     * @private
+     */
+    _placeFallbackSlot(localTime, placement, timezone) {
+        try {
+            return this._placeAtEarliestSlot(localTime, placement, timezone).localTime.toDate();
+        } catch (error) {
+            return this._placeAtEarliestSlot(
+                localTime, { ...placement, schedule: this._normalizeSchedule({}) }, timezone
+            ).localTime.toDate();
+        }
+    }
+
+    /**
+     * Gets the calculator that owns the SFMC stack timezone, preferring the engine's
+     * @private
+     */
+    _getTimezoneCalculator(components) {
+        if (components.timezoneEngine?.calculator) {
+            return components.timezoneEngine.calculator;
+        }
+        if (!this.timezoneCalculator) {
+            this.timezoneCalculator = new TimezoneCalculator({ sfmcTimezone: this.config.sfmcTimezone });
+        }
+        return this.timezoneCalculator;
+    }
+
+    /**
+     * Reads an instant as wall-clock time in the contact's timezone
+     * @private
+     */
+    _toLocalTime(dateTime, timezone) {
+        return moment.tz(dateTime, timezone || this.config.defaultTimezone);
+    }
+
+    /**
+     * Places a local time in the time windows at the earliest allowed slot, then moves it
+     * towards the contact's preferred time when one is known
+     * @private
+     */
+    _placeInTimeWindows(localTime, placement, timezone) {
+        const selection = this._placeAtEarliestSlot(localTime, placement, timezone);
+        return placement.preferredTime
+            ? this._placeNearPreferredTime(selection, placement, timezone)
+            : selection;
+    }
+
+    /**
+     * Places a local time in the time windows: a time inside a window is kept (moved up
+     * to the next slot boundary when a slot granularity is set), otherwise it moves to the
+     * start of the next window that day, or the first window of the next day that has any.
+     * Windows come from the schedule of the day they start on, so the after-midnight part
+     * of an overnight window follows the previous day's schedule.
+     * @private
+     */
+    _placeAtEarliestSlot(localTime, placement, timezone) {
+        const { schedule, slotGranularity, dstPolicy } = placement;
+        const minuteOfDay = localTime.hour() * 60 + localTime.minute() +
+            localTime.second() / 60 + localTime.millisecond() / 60000;
+        const todayWindows = this._getWindowsForDay(schedule, localTime);
+        const containing = this._getContainingWindows(localTime, schedule);
+
+        // A window containing the time wins, as long as a slot is left in it
+        for (const { window, start } of containing) {
+            if (!slotGranularity) {
+                return { window, localTime: localTime.clone(), dstTransition: null };
+            }
+
+            // Slots follow the same grid as TimeSlotSelector
+            const slot = Math.ceil(minuteOfDay / slotGranularity) * slotGranularity;
+            if (slot === minuteOfDay) {
+                return { window, localTime: localTime.clone(), dstTransition: null };
+            }
+            if (slot - start < getWindowDuration(getWindowBounds(window))) {
+                return { window, ...this._resolveWindowMinute(localTime, slot, timezone, dstPolicy) };
+            }
+        }
+
+        // Otherwise the next window starting later today, or on the next day with windows
+        const nextWindow = todayWindows.find(window => getWindowBounds(window).start > minuteOfDay);
+        if (nextWindow) {
+            return {
+                window: nextWindow,
+                ...this._resolveWindowMinute(localTime, getWindowBounds(nextWindow).start, timezone, dstPolicy)
+            };
+        }
+
+        for (let dayOffset = 1; dayOffset <= 7; dayOffset++) {
+            const dayWindows = this._getWindowsForDay(schedule, localTime.clone().add(dayOffset, 'days'));
+            if (dayWindows.length > 0) {
+                return {
+                    window: dayWindows[0],
+                    ...this._resolveWindowMinute(
+                        localTime,
+                        dayOffset * MINUTES_PER_DAY + getWindowBounds(dayWindows[0]).start,
+                        timezone,
+                        dstPolicy
+                    )
+                };
+            }
+        }
+
+        throw new Error('No time windows are configured for any day of the week');
+    }
+
+    /**
+     * Gets the windows containing a local time, with their start in minutes relative to
+     * that day's midnight (negative for an overnight window that started the day before)
+     * @private
+     */
+    _getContainingWindows(localTime, schedule) {
+        const minuteOfDay = localTime.hour() * 60 + localTime.minute() +
+            localTime.second() / 60 + localTime.millisecond() / 60000;
+
+        return [
+            ...this._getWindowsForDay(schedule, localTime.clone().subtract(1, 'day'))
+                .filter(window => {
+                    const bounds = getWindowBounds(window);
+                    return isOvernightWindow(bounds) && minuteOfDay < bounds.end;
+                })
+                .map(window => ({ window, start: getWindowBounds(window).start - MINUTES_PER_DAY })),
+            ...this._getWindowsForDay(schedule, localTime)
+                .filter(window => {
+                    const bounds = getWindowBounds(window);
+                    return minuteOfDay >= bounds.start && (isOvernightWindow(bounds) || minuteOfDay < bounds.end);
+                })
+                .map(window => ({ window, start: getWindowBounds(window).start }))
+        ];
+    }
+
+    /**
+     * Adds the subscriber's jitter offset to a send time
+     * @private
+     */
+    _applyJitter(sendTime, subscriberKey, placement, timezone, allocation = null) {
+        const jitterSeconds = this._getJitterSeconds(sendTime, subscriberKey, placement, timezone, allocation);
+        return {
+            originalDateTime: sendTime,
+            finalDateTime: new Date(sendTime.getTime() + jitterSeconds * 1000),
+            jitterSeconds
+        };
+    }
+
+    /**
+     * Gets the jitter offset of a subscriber's send in seconds: a stable fraction of the
+     * jitter range derived from a hash of the subscriber key, so retries land on the same
+     * second. The range is cut short at the end of the window containing the send, and
+     * at the end of the capacity slot the send was allocated to.
+     * @private
+     */
+    _getJitterSeconds(sendTime, subscriberKey, placement, timezone, allocation = null) {
+        if (!placement.jitterMinutes || subscriberKey === undefined || subscriberKey === null || subscriberKey === '') {
+            return 0;
+        }
+
+        const localTime = this._toLocalTime(sendTime, timezone);
+        const windowEnds = this._getContainingWindows(localTime, placement.schedule).map(({ window, start }) =>
+            this._resolveWindowMinute(
+                localTime,
+                start + getWindowDuration(getWindowBounds(window)),
+                timezone,
+                placement.dstPolicy
+            ).localTime.valueOf()
+        );
+        if (windowEnds.length === 0) {
+            return 0;
+        }
+
+        const end = allocation && allocation.slotEnd
+            ? Math.min(Math.max(...windowEnds), allocation.slotEnd.getTime())
+            : Math.max(...windowEnds);
+        const secondsLeft = Math.floor((end - sendTime.getTime()) / 1000);
+        const range = Math.min(placement.jitterMinutes * 60, secondsLeft);
+        if (range <= 1) {
+            return 0;
+        }
+
+        const hash = crypto.createHash('sha256').update(String(subscriberKey)).digest();
+        return Math.floor((hash.readUInt32BE(0) / 0x100000000) * range);
+    }
+
+    /**
+     * Resolves the jitter range from the activity or calculator configuration
+     * @private
+     */
+    _resolveJitterMinutes(activityJitter) {
+        const jitterMinutes = activityJitter !== undefined && activityJitter !== null
+            ? activityJitter
+            : this.config.jitterMinutes;
+
+        if (!Number.isInteger(jitterMinutes) || jitterMinutes < 0 || jitterMinutes > MAX_JITTER_MINUTES) {
+            this.logger.warn(`Unsupported jitter range ${jitterMinutes}, sending without jitter`);
+            return 0;
+        }
+
+        return jitterMinutes;
+    }
+
+    /**
+     * Moves a placed time to the slot of its day nearest the preferred time. Only slots
+     * at or after the placed time are candidates, so the send is never brought forward
+     * past the earliest allowed moment; the time stays put when no later slot is nearer.
+     * @private
+     */
+    _placeNearPreferredTime(selection, placement, timezone) {
+        const placed = selection.localTime;
+        const placedMinute = placed.hour() * 60 + placed.minute() +
+            placed.second() / 60 + placed.millisecond() / 60000;
+        const dayWindows = this._getWindowsForDay(placement.schedule, placed);
+        const slots = this.timeSlotSelector
+            .getAvailableTimeSlots(dayWindows, [], placement.slotGranularity || PREFERENCE_GRANULARITY)
+            .filter(slot => this._getSlotMinute(slot) >= placedMinute);
+
+        if (slots.length === 0) {
+            return selection;
+        }
+
+        const { hour, minute } = placement.preferredTime;
+        const slot = this.timeSlotSelector.selectBestSlot(slots, hour, true, minute);
+        const slotMinute = this._getSlotMinute(slot);
+        if (slotMinute === placedMinute) {
+            return selection;
+        }
+
+        return {
+            window: dayWindows[slot.window],
+            ...this._resolveWindowMinute(placed, slotMinute, timezone, placement.dstPolicy)
+        };
+    }
+
+    /**
+     * Gets the minutes of a slot from the start of the day its window starts on
+     * @private
+     */
+    _getSlotMinute(slot) {
+        return (slot.dayOffset || 0) * MINUTES_PER_DAY + slot.hour * 60 + (slot.minute || 0);
+    }
+
+    /**
+     * Resolves the contact's preferred send time: a bound preferredHour attribute wins,
+     * else the engagement history (the contact's own, or its cohort's when sparse).
+     * Returns null when the activity disables engagement history or nothing is known.
+     * @private
+     */
+    _resolvePreferredTime(contact, activityConfig, engagementScorer, timezone, countryCode, calculationId) {
+        if (activityConfig.useEngagementHistory === false) {
+            return null;
+        }
+
+        if (contact.preferredHour !== undefined && contact.preferredHour !== null && contact.preferredHour !== '') {
+            const attribute = parsePreferredTime(contact.preferredHour, contact.preferredMinute);
+            if (attribute) {
+                return { ...attribute, source: 'attribute' };
+            }
+            this.logger.warn(`Ignoring invalid preferred hour "${contact.preferredHour}" [${calculationId}]`);
+        }
+
+        if (!engagementScorer || !contact.subscriberKey) {
+            return null;
+        }
+
+        try {
+            return engagementScorer.getPreferredTime(contact.subscriberKey, timezone, countryCode);
+        } catch (error) {
+            this.logger.warn(`Engagement history lookup failed, using earliest slots [${calculationId}]`, {
+                error: error.message
+            });
+            return null;
+        }
+    }
+
+    /**
+     * Moves a local time to another day, keeping its wall-clock time. With weekday
+     * schedules the time is then placed in the new day's windows.
+     * @private
+     */
+    _moveToDay(localTime, targetDay, placement, timezone) {
+        const moved = this._resolveLocalTime(
+            targetDay, localTime.hour(), localTime.minute(), timezone, placement.dstPolicy
+        );
+
+        if (Object.keys(placement.schedule.days).length === 0) {
+            return moved;
+        }
+
+        const selection = this._placeInTimeWindows(moved.localTime, placement, timezone);
+        return {
+            localTime: selection.localTime,
+            dstTransition: selection.dstTransition || moved.dstTransition
+        };
+    }
+
+    /**
+     * Resolves a minute offset from the start of a local day (values past midnight
+     * fall on the following day)
+     * @private
+     */
+    _resolveWindowMinute(localDay, minutes, timezone, dstPolicy) {
+        const dayOffset = Math.floor(minutes / MINUTES_PER_DAY);
+        const minuteOfDay = minutes % MINUTES_PER_DAY;
+        return this._resolveLocalTime(
+            localDay.clone().add(dayOffset, 'days'),
+            Math.floor(minuteOfDay / 60),
+            minuteOfDay % 60,
+            timezone,
+            dstPolicy
+        );
+    }
+
+    /**
+     * Resolves the slot granularity from the activity or calculator configuration
+     * @private
+     */
+    _resolveSlotGranularity(activityGranularity) {
+        const granularity = activityGranularity !== undefined && activityGranularity !== null
+            ? activityGranularity
+            : this.config.slotGranularity;
+
+        if (granularity === null || granularity === undefined) {
+            return null;
+        }
+
+        if (!isValidSlotGranularity(granularity)) {
+            this.logger.warn(`Unsupported slot granularity ${granularity}, keeping in-window times`);
+            return null;
+        }
+
+        return granularity;
+    }
+
+    /**
+     * Places a wall-clock time on the calendar date of a local time, resolving DST
+     * gaps and overlaps in the contact's timezone with the configured policy
+     * @private
+     */
+    _resolveLocalTime(localDay, hour, minute, timezone, dstPolicy) {
+        const zone = timezone || this.config.defaultTimezone;
+        const resolution = resolveLocalDateTime({
+            year: localDay.year(),
+            month: localDay.month(),
+            day: localDay.date(),
+            hour,
+            minute
+        }, zone, dstPolicy);
+
+        return {
+            localTime: moment.tz(resolution.instant, zone),
+            dstTransition: resolution.dstTransition
+        };
+    }
+
+    /**
+     * Converts a local time to the calendar date used by the holiday checker
+     * (midnight UTC of the local date)
+     * @private
+     */
+    _toCalendarDate(localTime) {
+        return new Date(Date.UTC(localTime.year(), localTime.month(), localTime.date()));
+    }
+
+    /**
+     * Validate compatibility with Wait By Attribute activity
+     * @private
+     */
+    _validateWaitByAttributeCompatibility(dateTime) {
+        try {
+            // Check if date is valid
+            if (isNaN(dateTime.getTime())) {
+                return {
+                    isValid: false,
+                    error: 'Invalid date/time value'
+                };
+            }
+
+            // Check if date is in the future
+            const now = new Date();
+            if (dateTime <= now) {
+                return {
+                    isValid: false,
+                    error: 'Date/time must be in the future'
+                };
+            }
+
+            // Check if date is not too far in the future (reasonable limit)
+            const maxFutureDate = new Date();
+            maxFutureDate.setFullYear(maxFutureDate.getFullYear() + 1);
+            if (dateTime > maxFutureDate) {
+                return {
+                    isValid: false,
+                    error: 'Date/time is too far in the future'
+                };
+            }
+
+            return {
+                isValid: true,
+                validatedDateTime: dateTime
+            };
+
+        } catch (error) {
+            return {
+                isValid: false,
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Compile complete calculation result
+     * @private
+     */
+    _compileCalculationResult(contact, originalTime, finalDateTime, workflowResults, calculationTime, calculationId) {
+        const adjustments = [];
+
+        // Add timezone adjustments
+        const countryNormalization = workflowResults.timezone.countryNormalization;
+        if (countryNormalization) {
+            adjustments.push({
+                type: 'geosegment_normalization',
+                reason: `Geosegment normalized from ${countryNormalization.method} to ISO 3166-1 alpha-2`,
+                originalValue: countryNormalization.original,
+                normalizedValue: countryNormalization.normalized,
+                method: countryNormalization.method
+            });
+        }
+
+        if (workflowResults.timezone.fallbackUsed) {
+            adjustments.push({
+                type: 'timezone_fallback',
+                reason: 'Country code not found, using fallback timezone',
+                originalCountry: contact.geosegment,
+                effectiveCountry: workflowResults.timezone.countryCode
+            });
+        }
+
+        const explicitTimezone = workflowResults.timezone.explicitTimezone;
+        if (explicitTimezone && !explicitTimezone.valid) {
+            adjustments.push({
+                type: 'timezone_explicit_fallback',
+                reason: `${explicitTimezone.message}, using geosegment timezone`,
+                originalTimezone: explicitTimezone.requested,
+                effectiveCountry: workflowResults.timezone.countryCode
+            });
+        }
+
+        const postalCode = workflowResults.timezone.postalCode;
+        if (postalCode && postalCode.resolved) {
+            adjustments.push({
+                type: 'timezone_postal_code',
+                reason: `Using timezone resolved from postal code ${postalCode.postalCode}`,
+                postalCode: postalCode.postalCode,
+                regionCode: postalCode.regionCode,
+                timezone: postalCode.timezone
+            });
+        } else if (postalCode) {
+            adjustments.push({
+                type: 'timezone_postal_code_fallback',
+                reason: postalCode.message,
+                originalPostalCode: postalCode.requested,
+                effectiveCountry: workflowResults.timezone.countryCode
+            });
+        }
+
+        // A resolved postal code supersedes the region, so only report the region otherwise
+        const region = postalCode && postalCode.resolved ? null : workflowResults.timezone.region;
+        if (region && region.resolved) {
+            adjustments.push({
+                type: 'timezone_region',
+                reason: `Using ${region.regionName} timezone instead of country timezone`,
+                regionCode: region.regionCode,
+                timezone: region.timezone
+            });
+        } else if (region) {
+            adjustments.push({
+                type: 'timezone_region_fallback',
+                reason: region.message,
+                originalRegion: region.requested,
+                effectiveCountry: workflowResults.timezone.countryCode
+            });
+        }
+
+        if (workflowResults.timezone.offsetApplied !== 0) {
+            adjustments.push({
+                type: 'timezone_conversion',
+                offsetHours: workflowResults.timezone.offsetApplied,
+                originalTime: workflowResults.timezone.originalTime,
+                convertedTime: workflowResults.timezone.convertedTime
+            });
+        }
+
+        // Add time window adjustments
+        if (workflowResults.timeWindow.windowAdjusted) {
+            adjustments.push({
+                type: 'time_window_adjustment',
+                selectedWindow: workflowResults.timeWindow.selectedWindow,
+                originalTime: workflowResults.timeWindow.originalDateTime,
+                adjustedTime: workflowResults.timeWindow.targetDateTime
+            });
+        }
+
+        // Add weekend adjustments
+        if (workflowResults.weekend.weekendExclusionApplied) {
+            adjustments.push({
+                type: 'weekend_exclusion',
+                daysAdjusted: workflowResults.weekend.daysAdjusted,
+                reason: workflowResults.weekend.adjustmentReason,
+                originalDate: workflowResults.weekend.originalDateTime,
+                adjustedDate: workflowResults.weekend.adjustedDateTime
+            });
+        }
+
+        // Add holiday adjustments
+        if (workflowResults.holiday.holidayExclusionApplied) {
+            adjustments.push({
+                type: 'holiday_exclusion',
+                daysAdjusted: workflowResults.holiday.daysAdjusted,
+                reason: workflowResults.holiday.adjustmentReason,
+                holidaysAvoided: workflowResults.holiday.holidaysChecked,
+                blackoutsAvoided: workflowResults.holiday.blackoutsChecked || [],
+                originalDate: workflowResults.holiday.originalDateTime,
+                adjustedDate: workflowResults.holiday.finalDateTime
+            });
         }
 
         // Add future time adjustments
@@ -650,6 +1996,30 @@ class SendTimeCalculator {
             });
         }
 
+        // Add capacity and send deadline adjustments
+        const { capacity, deadline } = workflowResults;
+        [this._createCapacityAdjustment(capacity), this._createDeadlineAdjustment(deadline)]
+            .filter(Boolean)
+            .forEach(adjustment => adjustments.push(adjustment));
+
+        // Add the fallback behavior that took over from a failed step
+        const fallback = workflowResults.fallback || null;
+        if (fallback) {
+            adjustments.push(this._createFallbackAdjustment(fallback, originalTime, finalDateTime));
+        }
+
+        // Add DST adjustments for every step that placed a time in a gap or overlap
+        [
+            ['time_window', workflowResults.timeWindow],
+            ['weekend_exclusion', workflowResults.weekend],
+            ['holiday_exclusion', workflowResults.holiday],
+            ['future_time_adjustment', workflowResults.final]
+        ].forEach(([stage, stageResult]) => {
+            if (stageResult.dstTransition) {
+                adjustments.push(createDstAdjustment(stageResult.dstTransition, stage));
+            }
+        });
+
         return {
             success: true,
             calculationId,
@@ -657,17 +2027,27 @@ class SendTimeCalculator {
             geosegment: contact.geosegment,
             originalTime: originalTime,
             optimalSendTime: finalDateTime,
+            localSendTime: moment.tz(finalDateTime, workflowResults.output.timezone).format(),
+            sfmcSendTime: workflowResults.output.sfmcTime,
+            sfmcTimezone: workflowResults.output.sfmcTimezone,
+            processingStatus: getProcessingStatus(fallback, Boolean(deadline && !deadline.met)),
+            adjustmentReason: getAdjustmentReason(adjustments, fallback),
+            fallback,
             adjustments,
             calculationTime,
             workflow: {
                 timezone: {
                     success: workflowResults.timezone.success,
                     countryCode: workflowResults.timezone.countryCode,
+                    regionCode: workflowResults.timezone.timezoneInfo?.regionCode || null,
+                    timezone: workflowResults.timezone.timezoneInfo?.primaryTimezone,
+                    timezoneSource: workflowResults.timezone.timezoneSource,
                     offsetApplied: workflowResults.timezone.offsetApplied
                 },
                 timeWindow: {
                     success: workflowResults.timeWindow.success,
-                    selectedWindow: workflowResults.timeWindow.selectedWindow
+                    selectedWindow: workflowResults.timeWindow.selectedWindow,
+                    preferredTime: workflowResults.timeWindow.preferredTime || null
                 },
                 weekend: {
                     success: workflowResults.weekend.success,
@@ -676,12 +2056,11 @@ class SendTimeCalculator {
                 holiday: {
                     success: workflowResults.holiday.success,
                     exclusionApplied: workflowResults.holiday.holidayExclusionApplied,
-                    holidaysChecked: workflowResults.holiday.holidaysChecked?.length || 0
+                    holidaysChecked: workflowResults.holiday.holidaysChecked?.length || 0,
+                    blackoutsChecked: workflowResults.holiday.blackoutsChecked?.length || 0
                 },
-                final: {
-                    success: workflowResults.final.success,
-                    waitByAttributeCompatible: workflowResults.final.waitByAttributeCompatible
-                }
+                ...this._compileSendStepsWorkflow(workflowResults.final, capacity, workflowResults.jitter, deadline),
+                fallback
             },
             validation: {
                 waitByAttributeCompatible: workflowResults.final.waitByAttributeCompatible,
@@ -691,6 +2070,137 @@ class SendTimeCalculator {
         };
     }
 
+    /**
+     * Compiles the workflow of the steps after placement: final validation, capacity
+     * (with the reservation the deadline step may have moved to), jitter and deadline
+     * @private
+     */
+    _compileSendStepsWorkflow(final, capacity, jitter, deadline) {
+        return {
+            final: {
+                success: final.success,
+                waitByAttributeCompatible: final.waitByAttributeCompatible,
+                jitterSeconds: jitter ? jitter.jitterSeconds : 0
+            },
+            capacity: {
+                allocation: deadline && deadline.allocation
+                    ? deadline.allocation
+                    : (capacity ? capacity.allocation : null),
+                warning: capacity ? capacity.warning || null : null
+            },
+            deadline: {
+                deadline: deadline ? deadline.deadline : null,
+                source: deadline ? deadline.source : null,
+                policy: deadline ? deadline.policy : null,
+                applied: deadline ? deadline.applied : null,
+                met: deadline ? deadline.met : true
+            }
+        };
+    }
+
+    /**
+     * Describes a move past full capacity slots
+     * @returns {Object|null} Adjustment, or null when the send was not moved
+     * @private
+     */
+    _createCapacityAdjustment(capacity) {
+        if (!capacity || !capacity.capacityAdjustmentApplied) {
+            return null;
+        }
+        return {
+            type: 'capacity_allocation',
+            reason: `Moved past ${capacity.allocation.slotsFull} full slot(s) of ${capacity.allocation.capacity} sends`,
+            slotsFull: capacity.allocation.slotsFull,
+            capacity: capacity.allocation.capacity,
+            originalTime: capacity.originalDateTime,
+            adjustedTime: capacity.finalDateTime
+        };
+    }
+
+    /**
+     * Describes a move by the send deadline
+     * @returns {Object|null} Adjustment, or null when the send was not moved
+     * @private
+     */
+    _createDeadlineAdjustment(deadline) {
+        if (!deadline || !deadline.deadlineAdjustmentApplied) {
+            return null;
+        }
+        return {
+            type: 'send_deadline',
+            reason: deadline.applied === 'last_slot'
+                ? 'Moved to the last slot before the send deadline'
+                : `No slot left before the send deadline, applied ${deadline.applied} policy`,
+            deadline: deadline.deadline,
+            policy: deadline.applied,
+            originalTime: deadline.originalDateTime,
+            adjustedTime: deadline.finalDateTime
+        };
+    }
+
+    /**
+     * Describes the fallback behavior that took over from a failed step
+     * @private
+     */
+    _createFallbackAdjustment(fallback, originalTime, adjustedTime) {
+        return {
+            type: 'fallback',
+            reason: `${fallback.error}; applied ${fallback.behavior} fallback`,
+            trigger: fallback.trigger,
+            behavior: fallback.behavior,
+            originalTime,
+            adjustedTime
+        };
+    }
+
+    /**
+     * Compile the result of a calculation replaced by the fallback behavior
+     * @private
+     */
+    _compileFallbackResult(contact, originalTime, sendTime, fallback, components, context, calculationTime, calculationId) {
+        const { timezone, timezoneResult, fallbackTime, final, capacity, jitter, deadline } = context;
+        const timezoneCalculator = this._getTimezoneCalculator(components);
+        const adjustments = [
+            this._createFallbackAdjustment(fallback, originalTime, fallbackTime),
+            this._createCapacityAdjustment(capacity),
+            this._createDeadlineAdjustment(deadline)
+        ].filter(Boolean);
+
+        return {
+            success: true,
+            calculationId,
+            subscriberKey: contact.subscriberKey,
+            geosegment: contact.geosegment,
+            originalTime,
+            optimalSendTime: sendTime,
+            localSendTime: moment.tz(sendTime, timezone).format(),
+            sfmcSendTime: timezoneCalculator.toSFMCTime(sendTime),
+            sfmcTimezone: timezoneCalculator.sfmcTimezone.timezone,
+            processingStatus: getProcessingStatus(fallback, !deadline.met),
+            adjustmentReason: getAdjustmentReason(adjustments, fallback),
+            fallback,
+            adjustments,
+            calculationTime,
+            workflow: {
+                timezone: {
+                    success: fallback.trigger !== 'timezone_failure',
+                    countryCode: timezoneResult.countryCode,
+                    regionCode: timezoneResult.timezoneInfo?.regionCode || null,
+                    timezone,
+                    timezoneSource: timezoneResult.timezoneSource,
+                    offsetApplied: timezoneResult.offsetApplied
+                },
+                ...this._compileSendStepsWorkflow(final, capacity, jitter, deadline),
+                fallback
+            },
+            validation: {
+                waitByAttributeCompatible: final.waitByAttributeCompatible,
+                futureTime: sendTime > new Date(),
+                validDateTime: !isNaN(sendTime.getTime())
+            }
+        };
+    }
+
     /**
      * Generate unique calculation ID for tracking
      * @private
@@ -709,6 +2219,8 @@ class SendTimeCalculator {
                 defaultTimezone: this.config.defaultTimezone,
                 maxLookAheadDays: this.config.maxLookAheadDays,
                 minFutureMinutes: this.config.minFutureMinutes,
+                dstPolicy: this.config.dstPolicy,
+                slotGranularity: this.config.slotGranularity,
                 defaultTimeWindowsCount: this.config.defaultTimeWindows.length
             },
             timestamp: new Date().toISOString()
@@ -0,0 +1,72 @@
+/**
+ * Fallback Behavior Module
+ *
+ * Holds the activity's fallback behaviors, applied when the send time cannot be
+ * calculated normally, and derives the processingStatus and adjustmentReason
+ * outArguments that journeys branch on.
+ */
+
+/**
+ * Supported fallback behaviors
+ * - next_business_day: first slot of the next day that is not a weekend day
+ *   (nor a holiday, while holidays can still be checked)
+ * - immediate: send as soon as possible
+ * - default_time: earliest slot of the time windows, without the failed step
+ */
+const FALLBACK_BEHAVIORS = ['next_business_day', 'immediate', 'default_time'];
+
+/**
+ * Failures that trigger the fallback behavior
+ * - timezone_failure: the contact's timezone could not be resolved; the default timezone is used
+ * - holiday_provider_failure: holiday data could not be loaded for the contact's country
+ * - no_slot_found: no time window slot (or none with send capacity left) was found
+ */
+const FALLBACK_TRIGGERS = ['timezone_failure', 'holiday_provider_failure', 'no_slot_found'];
+
+/**
+ * Checks whether a fallback behavior is supported
+ * @param {string} behavior - Behavior name
+ * @returns {boolean} True if the behavior is supported
+ */
+function isValidFallbackBehavior(behavior) {
+    return FALLBACK_BEHAVIORS.includes(behavior);
+}
+
+/**
+ * Gets the processingStatus outArgument of a calculation
+ * A missed deadline is reported even after a fallback fired; adjustmentReason still
+ * names the fallback's trigger then
+ * @param {Object} fallback - Fallback that fired ({ trigger, behavior }), if any
+ * @param {boolean} deadlineMissed - Whether the send deadline was missed
+ * @returns {string} deadline_missed, fallback_<behavior> or completed
+ */
+function getProcessingStatus(fallback, deadlineMissed = false) {
+    if (deadlineMissed) {
+        return 'deadline_missed';
+    }
+    return fallback ? `fallback_${fallback.behavior}` : 'completed';
+}
+
+/**
+ * Gets the adjustmentReason outArgument: the trigger of the fallback that fired,
+ * else the adjustment types in the order they were applied
+ * @param {Array} adjustments - Adjustments of the calculation
+ * @param {Object} fallback - Fallback that fired ({ trigger, behavior }), if any
+ * @returns {string} Trigger, comma-separated adjustment types, or none
+ */
+function getAdjustmentReason(adjustments = [], fallback = null) {
+    if (fallback) {
+        return fallback.trigger;
+    }
+
+    const types = [...new Set((adjustments || []).map(adjustment => adjustment.type))];
+    return types.length > 0 ? types.join(',') : 'none';
+}
+
+module.exports = {
+    FALLBACK_BEHAVIORS,
+    FALLBACK_TRIGGERS,
+    isValidFallbackBehavior,
+    getProcessingStatus,
+    getAdjustmentReason
+};
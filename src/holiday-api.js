@@ -49,10 +49,8 @@ class HolidayAPI {
             throw new Error('Invalid country code format. Expected 2-letter ISO code.');
         }
 
-        // Validate year range
-        const currentYear = new Date().getFullYear();
-        if (year < currentYear - 1 || year > currentYear + 2) {
-            throw new Error(`Year must be between ${currentYear - 1} and ${currentYear + 2}`);
+        if (!Number.isInteger(year)) {
+            throw new Error('Year must be an integer');
         }
 
         const endpoint = `/PublicHolidays/${year}/${countryCode}`;
@@ -169,6 +167,10 @@ class HolidayAPI {
 
     /**
      * Normalize holiday data from API response
+     * Regional holidays keep their ISO 3166-2 subdivision codes (Nager.Date `counties`,
+     * e.g. 'DE-BY'); counties is null for holidays observed country-wide. `types` keeps
+     * every Nager.Date type in lower case (public, bank, school, authorities, optional,
+     * observance) so activities can choose which ones block sends.
      * @private
      */
     _normalizeHolidayData(holidays, countryCode, year) {
@@ -184,7 +186,13 @@ class HolidayAPI {
                 countryCode: countryCode,
                 year: year,
                 type: holiday?.types?.includes('Public') ? 'public' : 'observance',
+                types: Array.isArray(holiday?.types) && holiday.types.length > 0
+                    ? holiday.types.map(type => String(type).trim().toLowerCase())
+                    : ['observance'],
                 global: holiday?.global || false,
+                counties: Array.isArray(holiday?.counties) && holiday.counties.length > 0
+                    ? holiday.counties.map(county => String(county).trim().toUpperCase())
+                    : null,
                 launchYear: holiday?.launchYear || null
             }));
     }
@@ -1,10 +1,13 @@
 /**
  * Holiday Caching System
  * Provides in-memory caching for holiday data with expiration and refresh logic
- * Includes cache warming for supported countries
+ * Includes cache warming for supported countries. An optional backend (file snapshot
+ * or Redis) is read on local misses and written through, so restarts and other
+ * replicas reuse the holidays already fetched.
  */
 
 const NodeCache = require('node-cache');
+const { createCacheBackend } = require('./holiday');
 
 class HolidayCache {
     constructor(options = {}) {
@@ -29,6 +32,16 @@ class HolidayCache {
             deletes: 0,
             errors: 0
         };
+
+        // Shared store behind the in-process cache: a backend instance or its configuration
+        this.backend = options.backend ? createCacheBackend(options.backend) : null;
+        this.backendStats = {
+            hits: 0,
+            misses: 0,
+            writes: 0,
+            errors: 0
+        };
+        this.pendingWrites = new Map();
         
         // Bind event listeners for cache monitoring
         this._bindEventListeners();
@@ -67,8 +80,45 @@ class HolidayCache {
         }
     }
 
+    /**
+     * Get holiday data from the local cache, or from the backend on a local miss.
+     * Entries read from the backend are kept locally for the rest of their TTL.
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year to get holidays for
+     * @returns {Promise<Object|null>} Cached holiday data or null if not found
+     */
+    async load(countryCode, year) {
+        const local = this.get(countryCode, year);
+        if (local || !this.backend) {
+            return local;
+        }
+
+        const key = this._generateKey(countryCode, year);
+
+        try {
+            const stored = await this.backend.get(key);
+            const ttl = stored && stored.entry ? Math.ceil((stored.expiresAt - Date.now()) / 1000) : 0;
+
+            if (ttl <= 0) {
+                this.backendStats.misses++;
+                console.debug(`Backend MISS for ${key}`);
+                return null;
+            }
+
+            this.cache.set(key, stored.entry, ttl);
+            this.backendStats.hits++;
+            console.debug(`Backend HIT for ${key} (${this.backend.name})`);
+            return stored.entry;
+        } catch (error) {
+            this.backendStats.errors++;
+            console.warn(`Cache backend GET error for ${key}:`, error.message);
+            return null;
+        }
+    }
+
     /**
      * Store holiday data in cache
+     * The backend is written in the background; use store() to wait for it.
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {number} year - Year the holidays are for
      * @param {Array} holidays - Holiday data to cache
@@ -85,11 +135,12 @@ class HolidayCache {
                 return false;
             }
             
-            // Create cache entry with metadata
+            // Create cache entry with metadata; regional holidays keep their counties
             const cacheEntry = {
                 data: holidays,
                 countryCode: countryCode,
                 year: year,
+                subdivisions: this._collectSubdivisions(holidays),
                 cachedAt: new Date().toISOString(),
                 source: 'api'
             };
@@ -100,6 +151,7 @@ class HolidayCache {
             if (success) {
                 this.stats.sets++;
                 console.debug(`Cache SET for ${key} (TTL: ${ttl}s, entries: ${holidays.length})`);
+                this._writeThrough(key, cacheEntry, ttl);
             } else {
                 this.stats.errors++;
                 console.warn(`Failed to cache data for ${key}`);
@@ -114,13 +166,36 @@ class HolidayCache {
     }
 
     /**
-     * Remove holiday data from cache
+     * Store holiday data in cache and wait until it is written to the backend
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year the holidays are for
+     * @param {Array} holidays - Holiday data to cache
+     * @param {number} customTTL - Custom TTL for this entry (optional)
+     * @returns {Promise<boolean>} True if successfully cached locally
+     */
+    async store(countryCode, year, holidays, customTTL = null) {
+        const success = this.set(countryCode, year, holidays, customTTL);
+        if (success) {
+            await this.pendingWrites.get(this._generateKey(countryCode, year));
+        }
+        return success;
+    }
+
+    /**
+     * Remove holiday data from cache and the backend
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {number} year - Year to remove
      * @returns {boolean} True if successfully removed
      */
     delete(countryCode, year) {
         const key = this._generateKey(countryCode, year);
+
+        if (this.backend) {
+            this.backend.delete(key).catch(error => {
+                this.backendStats.errors++;
+                console.warn(`Cache backend DELETE error for ${key}:`, error.message);
+            });
+        }
         
         try {
             const deleted = this.cache.del(key);
@@ -183,6 +258,8 @@ class HolidayCache {
 
     /**
      * Warm up cache with holiday data for supported countries
+     * Entries the backend already has are loaded from it instead of fetched; fetched
+     * entries are written through to the backend.
      * @param {Function} holidayFetcher - Function to fetch holiday data
      * @param {Array} countries - Countries to warm up (optional)
      * @param {Array} years - Years to warm up (optional)
@@ -197,6 +274,7 @@ class HolidayCache {
             success: 0,
             failed: 0,
             skipped: 0,
+            loaded: 0,
             errors: []
         };
         
@@ -211,13 +289,20 @@ class HolidayCache {
                         console.debug(`Skipping ${countryCode} ${year} - already cached`);
                         continue;
                     }
+
+                    // Reuse what another replica or an earlier run stored in the backend
+                    if (this.backend && await this.load(countryCode, year)) {
+                        results.loaded++;
+                        console.debug(`Loaded ${countryCode} ${year} from the ${this.backend.name} cache backend`);
+                        continue;
+                    }
                     
                     // Fetch holiday data
                     const holidays = await holidayFetcher(countryCode, year);
                     
                     if (holidays && Array.isArray(holidays)) {
                         // Cache the data
-                        const cached = this.set(countryCode, year, holidays);
+                        const cached = await this.store(countryCode, year, holidays);
                         
                         if (cached) {
                             results.success++;
@@ -242,12 +327,12 @@ class HolidayCache {
             }
         }
         
-        console.info(`Cache warmup completed: ${results.success} success, ${results.failed} failed, ${results.skipped} skipped`);
+        console.info(`Cache warmup completed: ${results.success} success, ${results.loaded} loaded, ${results.failed} failed, ${results.skipped} skipped`);
         return results;
     }
 
     /**
-     * Refresh expired or soon-to-expire cache entries
+     * Refresh expired or soon-to-expire cache entries, writing them through to the backend
      * @param {Function} holidayFetcher - Function to fetch holiday data
      * @param {number} refreshThreshold - Refresh entries expiring within this many seconds (default: 1 hour)
      * @returns {Promise<Object>} Refresh results
@@ -287,7 +372,7 @@ class HolidayCache {
                 const holidays = await holidayFetcher(countryCode, year);
                 
                 if (holidays && Array.isArray(holidays)) {
-                    const cached = this.set(countryCode, year, holidays);
+                    const cached = await this.store(countryCode, year, holidays);
                     
                     if (cached) {
                         results.refreshed++;
@@ -315,21 +400,101 @@ class HolidayCache {
         return results;
     }
 
+    /**
+     * Re-fetch holidays for countries and years whether or not they are cached, and
+     * compare them with the cached data. Fetched entries replace the cached ones and
+     * are written through to the backend; on a failed fetch the cached data is kept.
+     * @param {Function} holidayFetcher - Function to fetch holiday data
+     * @param {Array} countries - Countries to reload (optional, defaults to the warmup countries)
+     * @param {Array} years - Years to reload (optional, defaults to this year and the next)
+     * @returns {Promise<Object>} Reload results with the holidays added and removed per country and year
+     */
+    async reload(holidayFetcher, countries = null, years = null) {
+        const targetCountries = countries || this.warmupCountries;
+        const currentYear = new Date().getFullYear();
+        const targetYears = years || [currentYear, currentYear + 1];
+
+        const results = {
+            refreshed: 0,
+            failed: 0,
+            changed: 0,
+            changes: [],
+            errors: []
+        };
+
+        console.info(`Starting cache reload for ${targetCountries.length} countries and ${targetYears.length} years...`);
+
+        for (const countryCode of targetCountries) {
+            for (const year of targetYears) {
+                try {
+                    const previous = await this.load(countryCode, year);
+                    const holidays = await holidayFetcher(countryCode, year);
+
+                    if (!holidays || !Array.isArray(holidays)) {
+                        results.failed++;
+                        results.errors.push(`No holiday data for ${countryCode} ${year}`);
+                        continue;
+                    }
+
+                    if (!await this.store(countryCode, year, holidays)) {
+                        results.failed++;
+                        results.errors.push(`Failed to cache ${countryCode} ${year}`);
+                        continue;
+                    }
+
+                    results.refreshed++;
+
+                    // Data fetched for the first time has nothing to compare with
+                    if (previous) {
+                        const diff = this._diffHolidays(previous.data, holidays);
+                        if (diff.added.length > 0 || diff.removed.length > 0) {
+                            results.changed++;
+                            results.changes.push({ countryCode: countryCode.toUpperCase(), year, ...diff });
+                            console.info(`Holidays changed for ${countryCode} ${year}: ${diff.added.length} added, ${diff.removed.length} removed`);
+                        }
+                    }
+
+                    // Small delay to avoid overwhelming the API
+                    await this._sleep(100);
+
+                } catch (error) {
+                    results.failed++;
+                    results.errors.push(`Error reloading ${countryCode} ${year}: ${error.message}`);
+                    console.warn(`Cache reload error for ${countryCode} ${year}:`, error.message);
+                }
+            }
+        }
+
+        console.info(`Cache reload completed: ${results.refreshed} refreshed, ${results.changed} changed, ${results.failed} failed`);
+        return results;
+    }
+
     /**
      * Get cache statistics
+     * hits and misses count the in-process cache; backend hits are local misses
+     * served by the backend.
      * @returns {Object} Cache statistics and info
      */
     getStats() {
         return {
             ...this.stats,
+            localHits: this.stats.hits,
+            backendHits: this.backendStats.hits,
             keys: this.cache.keys().length,
             size: this.cache.getStats(),
-            hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0
+            hitRate: this.stats.hits / (this.stats.hits + this.stats.misses) || 0,
+            backend: this.backend
+                ? {
+                    name: this.backend.name,
+                    ...this.backendStats,
+                    pendingWrites: this.pendingWrites.size
+                }
+                : null
         };
     }
 
     /**
-     * Clear all cached data
+     * Clear all locally cached data; the shared backend is left as is
      * @returns {boolean} True if successfully cleared
      */
     clear() {
@@ -343,6 +508,68 @@ class HolidayCache {
         }
     }
 
+    /**
+     * Write an entry to the backend in the background, with its expiry time so that
+     * readers keep it only for the rest of its TTL
+     * @private
+     */
+    _writeThrough(key, entry, ttl) {
+        if (!this.backend) {
+            return;
+        }
+
+        const write = this.backend.set(key, { entry, expiresAt: Date.now() + ttl * 1000 }, ttl)
+            .then(() => {
+                this.backendStats.writes++;
+            })
+            .catch(error => {
+                this.backendStats.errors++;
+                console.warn(`Cache backend SET error for ${key}:`, error.message);
+            })
+            .finally(() => {
+                if (this.pendingWrites.get(key) === write) {
+                    this.pendingWrites.delete(key);
+                }
+            });
+
+        this.pendingWrites.set(key, write);
+    }
+
+    /**
+     * Compare two holiday lists; a holiday is identified by its date, name and subdivisions
+     * @private
+     * @returns {Object} { added, removed } holidays sorted by date
+     */
+    _diffHolidays(previous, current) {
+        const identify = holiday => [
+            holiday.date,
+            holiday.name,
+            (holiday.counties || []).join(',')
+        ].join('|');
+        const previousIds = new Set((previous || []).map(identify));
+        const currentIds = new Set(current.map(identify));
+        const byDate = (a, b) => a.date.localeCompare(b.date);
+
+        return {
+            added: current.filter(holiday => !previousIds.has(identify(holiday))).sort(byDate),
+            removed: (previous || []).filter(holiday => !currentIds.has(identify(holiday))).sort(byDate)
+        };
+    }
+
+    /**
+     * Collect the subdivision codes that have regional holidays
+     * @private
+     */
+    _collectSubdivisions(holidays) {
+        const subdivisions = new Set();
+        holidays.forEach(holiday => {
+            if (holiday && Array.isArray(holiday.counties)) {
+                holiday.counties.forEach(county => subdivisions.add(county));
+            }
+        });
+        return [...subdivisions].sort();
+    }
+
     /**
      * Generate cache key from country code and year
      * @private
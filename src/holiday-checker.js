@@ -6,19 +6,43 @@
 
 const HolidayAPI = require('./holiday-api');
 const HolidayCache = require('./holiday-cache');
+const {
+    NagerHolidayProvider,
+    RuleBasedHolidayProvider,
+    createHolidayProviders,
+    normalizeHolidayTypes,
+    matchesHolidayTypes
+} = require('./holiday');
+const { DEFAULT_WEEKEND_DAYS, getWeekendDays, getDayName } = require('./weekend-days');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
 
 class HolidayChecker {
     constructor(options = {}) {
         this.holidayAPI = new HolidayAPI(options.api || {});
         this.holidayCache = new HolidayCache(options.cache || {});
+
+        // Holiday data sources, consulted in priority order until one has data for the
+        // country and year. Without configured providers only the Nager.Date API is used.
+        this.providers = options.providers ? createHolidayProviders(options.providers) : null;
+
+        // Holidays computed locally from fixed-date and rule-based definitions for any
+        // year; provider data enriches them. localRules: false relies on providers only.
+        this.localRules = options.localRules === false
+            ? null
+            : new RuleBasedHolidayProvider(options.localRules || {});
         
         // Configuration
         this.enabled = options.enabled !== false; // Default to enabled
         this.fallbackBehavior = options.fallbackBehavior || 'ignore'; // 'ignore' or 'assume_holiday'
         this.maxLookAheadDays = options.maxLookAheadDays || 30; // Maximum days to look ahead for next business day
         
-        // Weekend configuration (0 = Sunday, 6 = Saturday)
-        this.weekendDays = options.weekendDays || [0, 6]; // Sunday and Saturday by default
+        // Weekend configuration (0 = Sunday, 6 = Saturday), used for countries without
+        // an entry in the per-country weekend table
+        this.weekendDays = options.weekendDays || DEFAULT_WEEKEND_DAYS; // Sunday and Saturday by default
+
+        // Company-defined blackout dates, checked whether or not holidays are skipped
+        this.blackoutCalendar = options.blackoutCalendar || null;
         
         // Statistics
         this.stats = {
@@ -33,13 +57,35 @@ class HolidayChecker {
 
     /**
      * Check if a specific date is a public holiday for a country
-     * @param {Date} date - Date to check
+     * Calendar dates are read from the Date's UTC fields, so results do not depend
+     * on the server's timezone. Regional holidays only count for contacts in one of
+     * their subdivisions; without a subdivision only country-wide holidays count.
+     * Partial-day holidays count as holidays here; use getHolidayInfo for their cutoff hour.
+     * @param {Date} date - Date to check (midnight UTC of the calendar date)
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {string} subdivision - ISO 3166-2 subdivision code, e.g. 'DE-BY' or 'BY' (optional)
+     * @param {Array} holidayTypes - Holiday types that count, e.g. ['public', 'bank'] (optional, every type by default)
      * @returns {Promise<boolean>} True if the date is a public holiday
      */
-    async isPublicHoliday(date, countryCode) {
+    async isPublicHoliday(date, countryCode, subdivision = null, holidayTypes = null) {
+        const info = await this.getHolidayInfo(date, countryCode, subdivision, holidayTypes);
+        return info.isHoliday;
+    }
+
+    /**
+     * Get the holiday details of a date for a country: whether it is a holiday, whether
+     * business only closes at a cutoff hour (partial day), and whether it is the observed
+     * date of a holiday falling on another day. When several holidays share the date, a
+     * full-day holiday wins over partial ones, and the earliest cutoff among partial ones.
+     * @param {Date} date - Date to check (midnight UTC of the calendar date)
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {string} subdivision - ISO 3166-2 subdivision code (optional)
+     * @param {Array} holidayTypes - Holiday types that count (optional, every type by default)
+     * @returns {Promise<Object>} { isHoliday, name, partialDay, cutoffHour, observed, observedFrom }
+     */
+    async getHolidayInfo(date, countryCode, subdivision = null, holidayTypes = null) {
         if (!this.enabled) {
-            return false;
+            return this._toHolidayInfo(false);
         }
 
         // Validate inputs (outside try-catch to ensure they throw)
@@ -53,7 +99,7 @@ class HolidayChecker {
 
         try {
 
-            const year = date.getFullYear();
+            const year = date.getUTCFullYear();
             const dateString = this._formatDate(date);
 
             // Get holiday data for the year
@@ -61,57 +107,81 @@ class HolidayChecker {
 
             if (!holidays || !Array.isArray(holidays)) {
                 console.warn(`No holiday data available for ${countryCode} ${year}`);
-                return this._handleMissingData(countryCode, year);
+                return this._toHolidayInfo(this._handleMissingData(countryCode, year));
             }
 
-            // Check if the date matches any holiday
-            const isHoliday = holidays.some(holiday => holiday.date === dateString);
-
-            if (isHoliday) {
-                this.stats.holidaysFound++;
-                console.debug(`Holiday found: ${dateString} in ${countryCode}`);
+            // Find the holidays on the date observed in the subdivision, of the requested types
+            const region = this._normalizeSubdivision(subdivision, countryCode);
+            const types = holidayTypes ? normalizeHolidayTypes(holidayTypes) : null;
+            const matches = holidays.filter(holiday =>
+                holiday.date === dateString &&
+                this._appliesToSubdivision(holiday, region) &&
+                matchesHolidayTypes(holiday, types)
+            );
+
+            if (matches.length === 0) {
+                return this._toHolidayInfo(false);
             }
 
-            return isHoliday;
+            this.stats.holidaysFound++;
+            console.debug(`Holiday found: ${dateString} in ${region || countryCode}`);
+
+            const holiday = matches.find(match => !match.cutoffHour) ||
+                matches.reduce((earliest, match) => (match.cutoffHour < earliest.cutoffHour ? match : earliest));
+            return this._toHolidayInfo(true, holiday);
 
         } catch (error) {
             this.stats.errors++;
             console.error(`Error checking holiday for ${countryCode}:`, error.message);
-            return this._handleError(error, countryCode);
+            return { ...this._toHolidayInfo(this._handleError(error, countryCode)), error: error.message };
         }
     }
 
     /**
      * Check if a date is a weekend day
      * @param {Date} date - Date to check
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code (optional)
+     * @param {Array} weekendDays - Weekdays that override the country's weekend (optional)
      * @returns {boolean} True if the date is a weekend
      */
-    isWeekend(date) {
+    isWeekend(date, countryCode = null, weekendDays = null) {
         if (!(date instanceof Date) || isNaN(date.getTime())) {
             return false;
         }
 
-        const dayOfWeek = date.getDay();
-        return this.weekendDays.includes(dayOfWeek);
+        const dayOfWeek = date.getUTCDay();
+        return getWeekendDays(countryCode, weekendDays, this.weekendDays).includes(dayOfWeek);
     }
 
     /**
-     * Check if a date is a business day (not weekend and not holiday)
+     * Check if a date is a business day (not weekend, holiday or blackout date)
      * @param {Date} date - Date to check
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {boolean} skipWeekends - Whether to consider weekends as non-business days
      * @param {boolean} skipHolidays - Whether to consider holidays as non-business days
+     * @param {Object} options - Additional options
+     * @param {Array} options.weekendDays - Weekdays that override the country's weekend
+     * @param {string} options.subdivision - ISO 3166-2 subdivision for regional holidays
+     * @param {Array} options.holidayTypes - Holiday types that make a date a non-business day (every type by default)
+     * @param {string} options.journeyId - Journey whose blackout entries apply, besides global ones
      * @returns {Promise<boolean>} True if the date is a business day
      */
-    async isBusinessDay(date, countryCode, skipWeekends = true, skipHolidays = true) {
+    async isBusinessDay(date, countryCode, skipWeekends = true, skipHolidays = true, options = {}) {
         try {
             // Check weekend
-            if (skipWeekends && this.isWeekend(date)) {
+            if (skipWeekends && this.isWeekend(date, countryCode, options.weekendDays)) {
                 return false;
             }
 
             // Check holiday
-            if (skipHolidays && await this.isPublicHoliday(date, countryCode)) {
+            if (skipHolidays &&
+                await this.isPublicHoliday(date, countryCode, options.subdivision, options.holidayTypes)) {
+                return false;
+            }
+
+            // Check blackout calendar
+            if (this.blackoutCalendar &&
+                this.blackoutCalendar.isBlackout(date, { countryCode, journeyId: options.journeyId })) {
                 return false;
             }
 
@@ -120,7 +190,7 @@ class HolidayChecker {
         } catch (error) {
             console.error(`Error checking business day for ${countryCode}:`, error.message);
             // Default to treating as business day on error
-            return !skipWeekends || !this.isWeekend(date);
+            return !skipWeekends || !this.isWeekend(date, countryCode, options.weekendDays);
         }
     }
 
@@ -130,9 +200,10 @@ class HolidayChecker {
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {boolean} skipWeekends - Whether to skip weekends
      * @param {boolean} skipHolidays - Whether to skip holidays
+     * @param {Object} options - Additional options passed to isBusinessDay
      * @returns {Promise<Date>} Next business day
      */
-    async getNextBusinessDay(startDate, countryCode, skipWeekends = true, skipHolidays = true) {
+    async getNextBusinessDay(startDate, countryCode, skipWeekends = true, skipHolidays = true, options = {}) {
         // Validate inputs (outside try-catch to ensure they throw)
         if (!(startDate instanceof Date) || isNaN(startDate.getTime())) {
             throw new Error('Invalid start date provided');
@@ -145,11 +216,11 @@ class HolidayChecker {
 
             while (daysChecked < this.maxLookAheadDays) {
                 // Move to next day
-                currentDate.setDate(currentDate.getDate() + 1);
+                currentDate.setUTCDate(currentDate.getUTCDate() + 1);
                 daysChecked++;
 
                 // Check if this is a business day
-                const isBusinessDay = await this.isBusinessDay(currentDate, countryCode, skipWeekends, skipHolidays);
+                const isBusinessDay = await this.isBusinessDay(currentDate, countryCode, skipWeekends, skipHolidays, options);
 
                 if (isBusinessDay) {
                     this.stats.businessDaysFound++;
@@ -161,7 +232,7 @@ class HolidayChecker {
             // If we couldn't find a business day within the limit, return the date after the limit
             console.warn(`Could not find business day within ${this.maxLookAheadDays} days, returning fallback date`);
             const fallbackDate = new Date(startDate);
-            fallbackDate.setDate(fallbackDate.getDate() + this.maxLookAheadDays);
+            fallbackDate.setUTCDate(fallbackDate.getUTCDate() + this.maxLookAheadDays);
             return fallbackDate;
 
         } catch (error) {
@@ -170,11 +241,152 @@ class HolidayChecker {
             
             // Fallback: return next day
             const fallbackDate = new Date(startDate);
-            fallbackDate.setDate(fallbackDate.getDate() + 1);
+            fallbackDate.setUTCDate(fallbackDate.getUTCDate() + 1);
             return fallbackDate;
         }
     }
 
+    /**
+     * Get the reasons a date is not a business day, in the order isBusinessDay checks them
+     * @param {Date} date - Date to check (midnight UTC of the calendar date)
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {boolean} skipWeekends - Whether weekends are non-business days
+     * @param {boolean} skipHolidays - Whether holidays are non-business days
+     * @param {Object} options - Additional options, as for isBusinessDay
+     * @returns {Promise<Array>} Reasons as { type: 'weekend' | 'holiday' | 'blackout', ... }; empty for a business day
+     */
+    async getNonBusinessReasons(date, countryCode, skipWeekends = true, skipHolidays = true, options = {}) {
+        const reasons = [];
+
+        if (skipWeekends && this.isWeekend(date, countryCode, options.weekendDays)) {
+            reasons.push({ type: 'weekend', name: getDayName(date.getUTCDay()) });
+        }
+
+        if (skipHolidays) {
+            const info = await this.getHolidayInfo(date, countryCode, options.subdivision, options.holidayTypes);
+            if (info.isHoliday) {
+                reasons.push({
+                    type: 'holiday',
+                    name: info.name,
+                    cutoffHour: info.cutoffHour,
+                    observedFrom: info.observedFrom
+                });
+            }
+        }
+
+        if (this.blackoutCalendar) {
+            this.blackoutCalendar.getBlackouts(date, { countryCode, journeyId: options.journeyId })
+                .forEach(entry => reasons.push({ type: 'blackout', name: entry.name, blackoutId: entry.id }));
+        }
+
+        return reasons;
+    }
+
+    /**
+     * Explain where a send on a date ends up: the date itself when it is a business day,
+     * otherwise the next business day from getNextBusinessDay, with the reasons each
+     * day in between was skipped
+     * @param {Date} date - Intended send date (midnight UTC of the calendar date)
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {boolean} skipWeekends - Whether to skip weekends
+     * @param {boolean} skipHolidays - Whether to skip holidays
+     * @param {Object} options - Additional options, as for isBusinessDay
+     * @returns {Promise<Object>} { date, businessDay, daysAhead, found, skippedDays: [{ date, reasons }] }
+     */
+    async explainNextBusinessDay(date, countryCode, skipWeekends = true, skipHolidays = true, options = {}) {
+        if (!(date instanceof Date) || isNaN(date.getTime())) {
+            throw new Error('Invalid start date provided');
+        }
+
+        const startReasons = await this.getNonBusinessReasons(date, countryCode, skipWeekends, skipHolidays, options);
+        if (startReasons.length === 0) {
+            return { date: this._formatDate(date), businessDay: this._formatDate(date), daysAhead: 0, found: true, skippedDays: [] };
+        }
+
+        const businessDay = await this.getNextBusinessDay(date, countryCode, skipWeekends, skipHolidays, options);
+        const skippedDays = [{ date: this._formatDate(date), reasons: startReasons }];
+        const day = new Date(date);
+        day.setUTCDate(day.getUTCDate() + 1);
+
+        while (day < businessDay) {
+            skippedDays.push({
+                date: this._formatDate(day),
+                reasons: await this.getNonBusinessReasons(day, countryCode, skipWeekends, skipHolidays, options)
+            });
+            day.setUTCDate(day.getUTCDate() + 1);
+        }
+
+        // getNextBusinessDay gives up after maxLookAheadDays and returns a date that may not be one
+        const remaining = await this.getNonBusinessReasons(businessDay, countryCode, skipWeekends, skipHolidays, options);
+
+        return {
+            date: this._formatDate(date),
+            businessDay: this._formatDate(businessDay),
+            daysAhead: Math.round((businessDay - date) / MS_PER_DAY),
+            found: remaining.length === 0,
+            skippedDays
+        };
+    }
+
+    /**
+     * Get the holiday and blackout calendar of a country between two dates
+     * Holidays are those of getHolidays observed in the subdivision and of the
+     * requested types; blackout dates are those that apply to the country and journey.
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {Date} startDate - First date (midnight UTC of the calendar date)
+     * @param {Date} endDate - Last date, inclusive
+     * @param {Object} options - Additional options
+     * @param {string} options.subdivision - ISO 3166-2 subdivision for regional holidays
+     * @param {Array} options.holidayTypes - Holiday types to include (every type by default)
+     * @param {string} options.journeyId - Journey whose blackout entries apply, besides global ones
+     * @returns {Promise<Array>} Entries sorted by date, as { date, type: 'holiday' | 'blackout', name, ... }
+     */
+    async getCalendar(countryCode, startDate, endDate, options = {}) {
+        const from = this._formatDate(startDate);
+        const to = this._formatDate(endDate);
+        const region = this._normalizeSubdivision(options.subdivision, countryCode);
+        const types = options.holidayTypes ? normalizeHolidayTypes(options.holidayTypes) : null;
+        const entries = [];
+
+        if (this.enabled) {
+            const holidays = await this.getHolidays(countryCode, startDate.getUTCFullYear(), endDate.getUTCFullYear());
+            holidays
+                .filter(holiday =>
+                    holiday.date >= from && holiday.date <= to &&
+                    this._appliesToSubdivision(holiday, region) &&
+                    matchesHolidayTypes(holiday, types)
+                )
+                .forEach(holiday => entries.push({
+                    date: holiday.date,
+                    type: 'holiday',
+                    name: holiday.name,
+                    localName: holiday.localName || null,
+                    holidayTypes: holiday.types || (holiday.type ? [holiday.type] : []),
+                    subdivisions: holiday.counties || null,
+                    cutoffHour: holiday.cutoffHour || null,
+                    observedFrom: holiday.observedFrom || null
+                }));
+        }
+
+        if (this.blackoutCalendar) {
+            for (let day = new Date(startDate); day <= endDate; day.setUTCDate(day.getUTCDate() + 1)) {
+                this.blackoutCalendar.getBlackouts(day, { countryCode, journeyId: options.journeyId })
+                    .forEach(entry => entries.push({
+                        date: this._formatDate(day),
+                        type: 'blackout',
+                        name: entry.name,
+                        blackoutId: entry.id,
+                        journeyId: entry.journeyId
+                    }));
+            }
+        }
+
+        // Holidays before blackout dates on the same day
+        return entries.sort((a, b) =>
+            a.date.localeCompare(b.date) || (a.type === 'blackout') - (b.type === 'blackout')
+        );
+    }
+
     /**
      * Get holidays for a specific country and year range
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
@@ -213,8 +425,7 @@ class HolidayChecker {
 
         const holidayFetcher = async (countryCode, year) => {
             try {
-                this.stats.apiCalls++;
-                return await this.holidayAPI.getHolidays(countryCode, year);
+                return await this._loadHolidays(countryCode, year);
             } catch (error) {
                 console.warn(`Failed to fetch holidays for warmup: ${countryCode} ${year}`, error.message);
                 return null;
@@ -224,6 +435,30 @@ class HolidayChecker {
         return await this.holidayCache.warmup(holidayFetcher, countries, years);
     }
 
+    /**
+     * Re-fetch holidays for countries and years and report what changed since they
+     * were cached; see HolidayCache.reload
+     * @param {Array} countries - Countries to reload (optional)
+     * @param {Array} years - Years to reload (optional)
+     * @returns {Promise<Object>} Reload results
+     */
+    async reloadCache(countries = null, years = null) {
+        if (!this.enabled) {
+            return { refreshed: 0, failed: 0, changed: 0, changes: [], errors: ['Holiday checking is disabled'] };
+        }
+
+        const holidayFetcher = async (countryCode, year) => {
+            try {
+                return await this._loadHolidays(countryCode, year);
+            } catch (error) {
+                console.warn(`Failed to fetch holidays for reload: ${countryCode} ${year}`, error.message);
+                return null;
+            }
+        };
+
+        return await this.holidayCache.reload(holidayFetcher, countries, years);
+    }
+
     /**
      * Check if the holiday API is available
      * @returns {Promise<boolean>} True if API is available
@@ -261,6 +496,7 @@ class HolidayChecker {
         return {
             ...this.stats,
             cache: this.holidayCache.getStats(),
+            providers: this._getProviders().map(provider => provider.name),
             enabled: this.enabled,
             fallbackBehavior: this.fallbackBehavior
         };
@@ -274,13 +510,52 @@ class HolidayChecker {
         return this.holidayCache.clear();
     }
 
+    /**
+     * Normalize a subdivision to an ISO 3166-2 code for the country
+     * @private
+     */
+    _normalizeSubdivision(subdivision, countryCode) {
+        if (!subdivision || typeof subdivision !== 'string' || subdivision.trim() === '') {
+            return null;
+        }
+
+        const normalized = subdivision.trim().toUpperCase().replace(/[\s_]+/g, '-');
+        return normalized.includes('-') ? normalized : `${countryCode.toUpperCase()}-${normalized}`;
+    }
+
+    /**
+     * Build the holiday details returned by getHolidayInfo
+     * @private
+     */
+    _toHolidayInfo(isHoliday, holiday = null) {
+        return {
+            isHoliday,
+            name: holiday?.name || null,
+            partialDay: Boolean(holiday?.cutoffHour),
+            cutoffHour: holiday?.cutoffHour || null,
+            observed: Boolean(holiday?.observedFrom),
+            observedFrom: holiday?.observedFrom || null
+        };
+    }
+
+    /**
+     * Check whether a holiday is observed in a subdivision
+     * @private
+     */
+    _appliesToSubdivision(holiday, subdivision) {
+        if (!Array.isArray(holiday.counties) || holiday.counties.length === 0) {
+            return true;
+        }
+        return subdivision !== null && holiday.counties.includes(subdivision);
+    }
+
     /**
      * Get holiday data for a country and year (with caching)
      * @private
      */
     async _getHolidayData(countryCode, year) {
-        // Try cache first
-        const cached = this.holidayCache.get(countryCode, year);
+        // Try cache first (the local cache, then the shared backend if configured)
+        const cached = await this.holidayCache.load(countryCode, year);
         
         if (cached) {
             this.stats.cacheHits++;
@@ -288,25 +563,111 @@ class HolidayChecker {
             return cached.data;
         }
 
-        // Cache miss - fetch from API
+        // Cache miss - compute locally and fetch from the providers
         this.stats.cacheMisses++;
-        this.stats.apiCalls++;
-        console.debug(`Cache miss for ${countryCode} ${year}, fetching from API`);
+        console.debug(`Cache miss for ${countryCode} ${year}, loading holidays`);
+
+        const holidays = await this._loadHolidays(countryCode, year);
+
+        // Cache the result
+        if (holidays && Array.isArray(holidays)) {
+            this.holidayCache.set(countryCode, year, holidays);
+        }
+
+        return holidays;
+    }
+
+    /**
+     * Load holidays: the locally computed ones, enriched with provider data.
+     * Provider failures only matter for countries without local rules.
+     * @private
+     */
+    async _loadHolidays(countryCode, year) {
+        const local = this.localRules ? await this.localRules.getHolidays(countryCode, year) : null;
+        let remote = null;
 
         try {
-            const holidays = await this.holidayAPI.getHolidays(countryCode, year);
-            
-            // Cache the result
-            if (holidays && Array.isArray(holidays)) {
-                this.holidayCache.set(countryCode, year, holidays);
+            remote = await this._fetchFromProviders(countryCode, year);
+        } catch (error) {
+            if (!local) {
+                throw error;
             }
-            
-            return holidays;
+            console.warn(`Using locally computed holidays for ${countryCode} ${year}:`, error.message);
+        }
 
-        } catch (error) {
-            console.warn(`Failed to fetch holidays from API for ${countryCode} ${year}:`, error.message);
-            throw error;
+        return this._mergeHolidays(local, remote);
+    }
+
+    /**
+     * Merge locally computed holidays with provider holidays; a provider entry
+     * replaces the local one for the same date and subdivisions, keeping the local
+     * cutoff hour and observed date when the provider has none
+     * @private
+     */
+    _mergeHolidays(local, remote) {
+        if (!Array.isArray(local)) {
+            return remote;
         }
+        if (!Array.isArray(remote)) {
+            return local;
+        }
+
+        const key = holiday => `${holiday.date}|${(holiday.counties || []).join(',')}`;
+        const localByKey = new Map(local.map(holiday => [key(holiday), holiday]));
+        const remoteKeys = new Set(remote.map(key));
+
+        const enriched = remote.map(holiday => {
+            const match = localByKey.get(key(holiday));
+            if (!match || (!match.cutoffHour && !match.observedFrom)) {
+                return holiday;
+            }
+            return {
+                ...holiday,
+                cutoffHour: holiday.cutoffHour || match.cutoffHour || null,
+                observedFrom: holiday.observedFrom || match.observedFrom || null
+            };
+        });
+
+        return [...enriched, ...local.filter(holiday => !remoteKeys.has(key(holiday)))]
+            .sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Get the provider chain in priority order
+     * @private
+     */
+    _getProviders() {
+        return this.providers || [new NagerHolidayProvider({ client: this.holidayAPI })];
+    }
+
+    /**
+     * Fetch holidays from the first provider with data for the country and year.
+     * A failing provider is skipped; if every provider fails, the last error is thrown.
+     * @private
+     */
+    async _fetchFromProviders(countryCode, year) {
+        let lastError = null;
+
+        for (const provider of this._getProviders()) {
+            this.stats.apiCalls++;
+
+            try {
+                const holidays = await provider.getHolidays(countryCode, year);
+                if (Array.isArray(holidays)) {
+                    console.debug(`Holidays for ${countryCode} ${year} provided by ${provider.name}`);
+                    return holidays;
+                }
+            } catch (error) {
+                lastError = error;
+                console.warn(`Failed to fetch holidays from ${provider.name} for ${countryCode} ${year}:`, error.message);
+            }
+        }
+
+        if (lastError) {
+            throw lastError;
+        }
+
+        return null;
     }
 
     /**
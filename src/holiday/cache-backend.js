@@ -0,0 +1,62 @@
+/**
+ * Cache Backend
+ * Base class for the shared store behind HolidayCache. HolidayCache keeps its
+ * in-process cache and reads through to the backend on a local miss, so holiday data
+ * fetched by one replica (or before a restart) is reused instead of refetched.
+ * Values are JSON-serializable objects; a backend must drop them after their TTL.
+ */
+
+class CacheBackend {
+    /**
+     * @param {string} name - Backend name, used in logs and statistics
+     */
+    constructor(name) {
+        this.name = name;
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Stored value, or null when missing or expired
+     */
+    async get(key) {
+        throw new Error(`Cache backend ${this.name} does not implement get`);
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to store
+     * @param {number} ttl - Time to live in seconds
+     * @returns {Promise<boolean>} True if stored
+     */
+    async set(key, value, ttl) {
+        throw new Error(`Cache backend ${this.name} does not implement set`);
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if a value was removed
+     */
+    async delete(key) {
+        throw new Error(`Cache backend ${this.name} does not implement delete`);
+    }
+
+    /**
+     * Check if the backend can currently serve requests
+     * @returns {Promise<boolean>} True if available
+     */
+    async isAvailable() {
+        return true;
+    }
+
+    /**
+     * Release connections or pending writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+    }
+}
+
+module.exports = CacheBackend;
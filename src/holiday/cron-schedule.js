@@ -0,0 +1,147 @@
+/**
+ * Cron Schedules
+ * Parses five-field cron expressions (minute hour day-of-month month day-of-week)
+ * and finds the next matching minute. Fields accept '*', numbers, ranges (1-5),
+ * lists (1,15) and steps (*\/6, 0-30/10). Schedules are evaluated in UTC.
+ */
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 } // 0 and 7 are both Sunday
+];
+
+const ALIASES = {
+    '@hourly': '0 * * * *',
+    '@daily': '0 0 * * *',
+    '@weekly': '0 0 * * 0',
+    '@monthly': '0 0 1 * *'
+};
+
+// Longest gap between two runs of any valid schedule (a February 29th, on a given weekday)
+const MAX_SEARCH_DAYS = 366 * 28;
+
+/**
+ * Parses a cron expression
+ * @param {string} expression - Five-field cron expression or alias (@hourly, @daily, @weekly, @monthly)
+ * @returns {Object} Parsed schedule with the matching values of each field
+ */
+function parseCronSchedule(expression) {
+    const source = String(expression || '').trim();
+    const parts = (ALIASES[source.toLowerCase()] || source).split(/\s+/);
+
+    if (parts.length !== FIELDS.length) {
+        throw new Error(`Invalid cron schedule "${source}": expected ${FIELDS.length} fields`);
+    }
+
+    const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => {
+        return parseField(part, FIELDS[index], source);
+    });
+
+    // Sunday may be written as 7
+    if (daysOfWeek.has(7)) {
+        daysOfWeek.add(0);
+        daysOfWeek.delete(7);
+    }
+
+    return {
+        expression: source,
+        minutes,
+        hours,
+        daysOfMonth,
+        months,
+        daysOfWeek,
+        // With both day fields restricted, cron runs on days matching either of them
+        anyDayOfMonth: parts[2] === '*',
+        anyDayOfWeek: parts[4] === '*'
+    };
+}
+
+/**
+ * Finds the first run after a point in time
+ * @param {Object|string} schedule - Parsed schedule or cron expression
+ * @param {Date} from - Time to search from (exclusive, default now)
+ * @returns {Date|null} Next run time, or null when the schedule never matches
+ */
+function getNextRunTime(schedule, from = new Date()) {
+    const parsed = typeof schedule === 'string' ? parseCronSchedule(schedule) : schedule;
+    const candidate = new Date(from.getTime());
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    const searchEnd = from.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= searchEnd) {
+        if (!parsed.months.has(candidate.getUTCMonth() + 1) || !matchesDay(parsed, candidate)) {
+            candidate.setUTCDate(candidate.getUTCDate() + 1);
+            candidate.setUTCHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.hours.has(candidate.getUTCHours())) {
+            candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!parsed.minutes.has(candidate.getUTCMinutes())) {
+            candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+            continue;
+        }
+        return candidate;
+    }
+
+    return null;
+}
+
+/**
+ * Check the day-of-month and day-of-week fields
+ * @private
+ */
+function matchesDay(schedule, date) {
+    const dayOfMonth = schedule.daysOfMonth.has(date.getUTCDate());
+    const dayOfWeek = schedule.daysOfWeek.has(date.getUTCDay());
+
+    if (schedule.anyDayOfMonth || schedule.anyDayOfWeek) {
+        return dayOfMonth && dayOfWeek;
+    }
+    return dayOfMonth || dayOfWeek;
+}
+
+/**
+ * Expand one field into the set of values it matches
+ * @private
+ */
+function parseField(part, field, source) {
+    const values = new Set();
+
+    part.split(',').forEach(item => {
+        const match = item.match(/^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid cron schedule "${source}": bad ${field.name} "${item}"`);
+        }
+
+        const step = match[4] ? parseInt(match[4], 10) : 1;
+        let start = field.min;
+        let end = field.max;
+        if (match[1] !== '*') {
+            start = parseInt(match[2], 10);
+            // A single value with a step runs from that value to the end of the range
+            end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? field.max : start);
+        }
+
+        if (start < field.min || end > field.max || start > end || step < 1) {
+            throw new Error(`Invalid cron schedule "${source}": ${field.name} "${item}" is out of range`);
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+module.exports = {
+    parseCronSchedule,
+    getNextRunTime
+};
@@ -0,0 +1,145 @@
+/**
+ * File Cache Backend
+ * Keeps a JSON snapshot of the cached values on disk, so a restarted container (or
+ * replicas sharing a volume) start from the holidays fetched before. The snapshot is
+ * read on first use and rewritten after every change.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const CacheBackend = require('./cache-backend');
+
+class FileCacheBackend extends CacheBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {string} options.filePath - Snapshot file
+     */
+    constructor(options = {}) {
+        super('file');
+        if (!options.filePath) {
+            throw new Error('File cache backend requires a filePath');
+        }
+        this.filePath = options.filePath;
+        this.entries = null;
+        this._loading = null;
+        this._writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Stored value, or null when missing or expired
+     */
+    async get(key) {
+        const entries = await this._load();
+        const stored = entries[key];
+        if (!stored) {
+            return null;
+        }
+        if (stored.expiresAt !== null && stored.expiresAt <= Date.now()) {
+            delete entries[key];
+            return null;
+        }
+        return stored.value;
+    }
+
+    /**
+     * Store a value and rewrite the snapshot
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to store
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} True if stored
+     */
+    async set(key, value, ttl) {
+        const entries = await this._load();
+        entries[key] = {
+            value,
+            expiresAt: ttl ? Date.now() + ttl * 1000 : null
+        };
+        await this._persist();
+        return true;
+    }
+
+    /**
+     * Remove a value and rewrite the snapshot
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if a value was removed
+     */
+    async delete(key) {
+        const entries = await this._load();
+        if (!entries[key]) {
+            return false;
+        }
+        delete entries[key];
+        await this._persist();
+        return true;
+    }
+
+    /**
+     * Wait for pending snapshot writes
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this._writeQueue;
+    }
+
+    /**
+     * Read the snapshot on first use; a missing or unreadable file is an empty cache
+     * @private
+     */
+    _load() {
+        if (this.entries) {
+            return Promise.resolve(this.entries);
+        }
+
+        if (!this._loading) {
+            this._loading = fs.promises.readFile(this.filePath, 'utf8')
+                .then(content => {
+                    const snapshot = JSON.parse(content);
+                    return snapshot && typeof snapshot.entries === 'object' && snapshot.entries !== null
+                        ? snapshot.entries
+                        : {};
+                })
+                .catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        console.error(`Failed to read holiday cache snapshot ${this.filePath}:`, error.message);
+                    }
+                    return {};
+                })
+                .then(entries => {
+                    this.entries = entries;
+                    return entries;
+                });
+        }
+
+        return this._loading;
+    }
+
+    /**
+     * Write the unexpired values to the snapshot. Writes are queued and go through a
+     * temporary file so a crash cannot leave a partial snapshot behind.
+     * @private
+     */
+    _persist() {
+        const now = Date.now();
+        const entries = {};
+        Object.entries(this.entries).forEach(([key, stored]) => {
+            if (stored.expiresAt === null || stored.expiresAt > now) {
+                entries[key] = stored;
+            }
+        });
+
+        const content = JSON.stringify({ version: 1, savedAt: new Date(now).toISOString(), entries });
+        const write = async () => {
+            const tempPath = `${this.filePath}.tmp`;
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.writeFile(tempPath, content, 'utf8');
+            await fs.promises.rename(tempPath, this.filePath);
+        };
+
+        this._writeQueue = this._writeQueue.then(write, write);
+        return this._writeQueue;
+    }
+}
+
+module.exports = FileCacheBackend;
@@ -0,0 +1,76 @@
+/**
+ * Holiday Provider
+ * Base class for holiday data sources. A provider returns the holidays of one
+ * country and year in the shape produced by HolidayAPI, or null when it has no
+ * data for them so that HolidayChecker can ask the next provider in its chain.
+ */
+
+const { normalizeHolidayTypes } = require('./holiday-types');
+
+class HolidayProvider {
+    /**
+     * @param {string} name - Provider name, used in logs
+     * @param {Object} options - Provider options
+     * @param {number} options.priority - Higher priorities are consulted first (default 0)
+     */
+    constructor(name, options = {}) {
+        this.name = name;
+        this.priority = typeof options.priority === 'number' ? options.priority : 0;
+    }
+
+    /**
+     * Get public holidays for a country and year
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year to get holidays for
+     * @returns {Promise<Array|null>} Holidays, or null when the provider has no data
+     */
+    async getHolidays(countryCode, year) {
+        throw new Error(`Holiday provider ${this.name} does not implement getHolidays`);
+    }
+
+    /**
+     * Check if the provider can currently serve data
+     * @returns {Promise<boolean>} True if available
+     */
+    async isAvailable() {
+        return true;
+    }
+}
+
+/**
+ * Normalizes a holiday record from a local source to the HolidayAPI shape.
+ * Partial-day holidays carry the local hour (1-23) at which business closes, and
+ * holidays observed on another day carry the date they actually fall on.
+ * @param {Object} holiday - Holiday with date (YYYY-MM-DD), name and optional type (or types),
+ *   counties, cutoffHour and observedFrom (YYYY-MM-DD)
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @param {number} year - Year of the holiday
+ * @returns {Object} Normalized holiday
+ */
+function normalizeHoliday(holiday, countryCode, year) {
+    const counties = Array.isArray(holiday.counties) && holiday.counties.length > 0
+        ? holiday.counties.map(county => String(county).trim().toUpperCase())
+        : null;
+    const types = normalizeHolidayTypes(holiday.types) || normalizeHolidayTypes([holiday.type]) || ['public'];
+
+    return {
+        date: holiday.date,
+        name: holiday.name || null,
+        countryCode,
+        year,
+        type: types[0],
+        types,
+        global: counties === null,
+        counties,
+        launchYear: null,
+        cutoffHour: Number.isInteger(holiday.cutoffHour) && holiday.cutoffHour > 0 && holiday.cutoffHour < 24
+            ? holiday.cutoffHour
+            : null,
+        observedFrom: holiday.observedFrom || null
+    };
+}
+
+module.exports = {
+    HolidayProvider,
+    normalizeHoliday
+};
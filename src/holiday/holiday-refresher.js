@@ -0,0 +1,188 @@
+/**
+ * Holiday Refresher
+ * Re-pulls holidays for the configured countries on a cron schedule, so holidays
+ * declared at short notice reach the cache before the cached data expires. Each run
+ * compares the fetched holidays with the cached ones and emits 'holidaysChanged'
+ * when holidays were added or removed.
+ *
+ * Events:
+ * - 'holidaysChanged' ({ countryCode, year, added, removed }) for each changed country and year
+ * - 'refresh' (report) after every run
+ * - 'error' (error) when a run fails; only emitted when someone listens
+ */
+
+const { EventEmitter } = require('events');
+const { parseCronSchedule, getNextRunTime } = require('./cron-schedule');
+
+// setTimeout cannot wait longer than this; later runs are re-armed in steps
+const MAX_TIMER_DELAY = 2147483647;
+
+class HolidayRefresher extends EventEmitter {
+    /**
+     * @param {Object} options - Refresher options
+     * @param {Object} options.holidayChecker - HolidayChecker whose cache is refreshed
+     * @param {string} options.schedule - Cron expression, evaluated in UTC (default '0 3 * * *')
+     * @param {Array} options.countries - Countries to refresh (optional, defaults to the cache warmup countries)
+     * @param {number} options.yearsAhead - Years after the current one to refresh (default 1)
+     */
+    constructor(options = {}) {
+        super();
+        if (!options.holidayChecker) {
+            throw new Error('Holiday refresher requires a holidayChecker');
+        }
+
+        this.holidayChecker = options.holidayChecker;
+        this.schedule = parseCronSchedule(options.schedule || '0 3 * * *');
+        this.countries = options.countries && options.countries.length > 0
+            ? options.countries.map(countryCode => countryCode.toUpperCase())
+            : null;
+        this.yearsAhead = options.yearsAhead !== undefined ? options.yearsAhead : 1;
+
+        this.timer = null;
+        this.nextRunAt = null;
+        this.running = null;
+        this.lastReport = null;
+        this.runs = 0;
+    }
+
+    /**
+     * Schedule runs until stop() is called
+     * @returns {HolidayRefresher} This refresher
+     */
+    start() {
+        if (!this.timer) {
+            this._scheduleNext();
+        }
+        return this;
+    }
+
+    /**
+     * Cancel the scheduled run; a run in progress completes
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+        this.nextRunAt = null;
+    }
+
+    /**
+     * Refresh now. Concurrent calls share the run in progress.
+     * @returns {Promise<Object>} Refresh report
+     */
+    refreshNow() {
+        if (!this.running) {
+            this.running = this._run().finally(() => {
+                this.running = null;
+            });
+        }
+        return this.running;
+    }
+
+    /**
+     * Get the refresher state and the report of the last run
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            schedule: this.schedule.expression,
+            active: this.timer !== null,
+            running: this.running !== null,
+            nextRunAt: this.nextRunAt ? this.nextRunAt.toISOString() : null,
+            runs: this.runs,
+            lastReport: this.lastReport
+        };
+    }
+
+    /**
+     * Reload the cache and report the differences
+     * @private
+     */
+    async _run() {
+        const startedAt = new Date();
+        const currentYear = startedAt.getUTCFullYear();
+        const years = Array.from({ length: this.yearsAhead + 1 }, (value, index) => currentYear + index);
+        let report;
+
+        try {
+            const results = await this.holidayChecker.reloadCache(this.countries, years);
+            report = {
+                success: results.failed === 0,
+                startedAt: startedAt.toISOString(),
+                completedAt: new Date().toISOString(),
+                durationMs: Date.now() - startedAt.getTime(),
+                countries: this.countries,
+                years,
+                ...results
+            };
+        } catch (error) {
+            console.error('Holiday refresh failed:', error.message);
+            report = {
+                success: false,
+                startedAt: startedAt.toISOString(),
+                completedAt: new Date().toISOString(),
+                durationMs: Date.now() - startedAt.getTime(),
+                countries: this.countries,
+                years,
+                refreshed: 0,
+                failed: 0,
+                changed: 0,
+                changes: [],
+                errors: [error.message]
+            };
+            if (this.listenerCount('error') > 0) {
+                this.emit('error', error);
+            }
+        }
+
+        this.runs++;
+        this.lastReport = report;
+
+        report.changes.forEach(change => this.emit('holidaysChanged', change));
+        this.emit('refresh', report);
+
+        return report;
+    }
+
+    /**
+     * Arm the timer for the next run
+     * @private
+     */
+    _scheduleNext() {
+        this.nextRunAt = getNextRunTime(this.schedule, new Date());
+        if (!this.nextRunAt) {
+            console.warn(`Holiday refresh schedule "${this.schedule.expression}" never runs`);
+            this.timer = null;
+            return;
+        }
+        this._armTimer();
+    }
+
+    /**
+     * Wait for the next run time, in steps when it is too far away for one timer
+     * @private
+     */
+    _armTimer() {
+        const delay = this.nextRunAt.getTime() - Date.now();
+
+        this.timer = setTimeout(async () => {
+            if (delay > MAX_TIMER_DELAY) {
+                this._armTimer();
+                return;
+            }
+
+            this._scheduleNext();
+            await this.refreshNow().catch(error => {
+                console.error('Holiday refresh failed:', error.message);
+            });
+        }, Math.max(0, Math.min(delay, MAX_TIMER_DELAY)));
+
+        // A pending refresh does not keep the process alive
+        if (typeof this.timer.unref === 'function') {
+            this.timer.unref();
+        }
+    }
+}
+
+module.exports = HolidayRefresher;
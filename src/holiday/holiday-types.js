@@ -0,0 +1,58 @@
+/**
+ * Holiday Types
+ * Holidays are classified as public, bank, school, optional or observance (the
+ * Nager.Date types). An activity can limit the types that block sends; without a
+ * limit every holiday counts, whatever its type.
+ */
+
+const HOLIDAY_TYPES = ['public', 'bank', 'school', 'optional', 'observance'];
+
+/**
+ * Normalizes a list of holiday types
+ * @param {Array} types - Holiday type names, e.g. ['public', 'Bank']
+ * @returns {Array|null} Unique lower-case types in HOLIDAY_TYPES order, or null when the list is invalid
+ */
+function normalizeHolidayTypes(types) {
+    if (!Array.isArray(types) || types.length === 0) {
+        return null;
+    }
+
+    const normalized = types.map(type => (typeof type === 'string' ? type.trim().toLowerCase() : null));
+    if (normalized.some(type => !HOLIDAY_TYPES.includes(type))) {
+        return null;
+    }
+
+    return HOLIDAY_TYPES.filter(type => normalized.includes(type));
+}
+
+/**
+ * Gets the types of a holiday record
+ * @param {Object} holiday - Holiday with types or a single type
+ * @returns {Array} Lower-case types, 'public' when the record has none
+ */
+function getHolidayTypes(holiday) {
+    if (Array.isArray(holiday.types) && holiday.types.length > 0) {
+        return holiday.types;
+    }
+    return [holiday.type || 'public'];
+}
+
+/**
+ * Checks whether a holiday has one of the given types
+ * @param {Object} holiday - Holiday record
+ * @param {Array} types - Types that count, or null for every type
+ * @returns {boolean} True if the holiday counts
+ */
+function matchesHolidayTypes(holiday, types) {
+    if (!types) {
+        return true;
+    }
+    return getHolidayTypes(holiday).some(type => types.includes(type));
+}
+
+module.exports = {
+    HOLIDAY_TYPES,
+    normalizeHolidayTypes,
+    getHolidayTypes,
+    matchesHolidayTypes
+};
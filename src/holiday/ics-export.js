@@ -0,0 +1,143 @@
+/**
+ * iCalendar Export
+ * Writes holiday and blackout calendar entries as an .ics file with one all-day
+ * VEVENT per entry, so the calendar can be opened in or subscribed to from
+ * calendar applications. IcsHolidayProvider reads the same format back.
+ */
+
+const CRLF = '\r\n';
+
+// RFC 5545 lines are at most 75 octets; longer ones continue on lines starting with a space
+const MAX_LINE_LENGTH = 75;
+
+/**
+ * Formats calendar entries as an iCalendar document
+ * @param {Array} entries - Entries as returned by HolidayChecker.getCalendar
+ * @param {Object} options - Export options
+ * @param {string} options.name - Calendar name (optional)
+ * @param {Date} options.generatedAt - DTSTAMP of the events (default now)
+ * @returns {string} iCalendar document
+ */
+function toICalendar(entries, options = {}) {
+    const stamp = formatTimestamp(options.generatedAt || new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Send Time Optimization Activity//Holiday Calendar//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (options.name) {
+        lines.push(`X-WR-CALNAME:${escapeText(options.name)}`);
+    }
+
+    entries.forEach(entry => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.date}-${entry.type}-${slugify(entry.blackoutId || entry.name)}@sto-activity`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART;VALUE=DATE:${formatDate(entry.date, 0)}`,
+            `DTEND;VALUE=DATE:${formatDate(entry.date, 1)}`,
+            `SUMMARY:${escapeText(entry.name || entry.type)}`,
+            `CATEGORIES:${entry.type.toUpperCase()}`
+        );
+
+        const description = describeEntry(entry);
+        if (description) {
+            lines.push(`DESCRIPTION:${escapeText(description)}`);
+        }
+
+        lines.push('TRANSP:TRANSPARENT', 'END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+/**
+ * Describe the details of an entry that the summary does not show
+ * @private
+ */
+function describeEntry(entry) {
+    const details = [];
+    if (entry.subdivisions && entry.subdivisions.length > 0) {
+        details.push(`Observed in ${entry.subdivisions.join(', ')}`);
+    }
+    if (entry.observedFrom) {
+        details.push(`Observed for ${entry.observedFrom}`);
+    }
+    if (entry.cutoffHour) {
+        details.push(`Business closes at ${String(entry.cutoffHour).padStart(2, '0')}:00`);
+    }
+    if (entry.journeyId) {
+        details.push(`Journey ${entry.journeyId}`);
+    }
+    return details.join('; ');
+}
+
+/**
+ * Format a YYYY-MM-DD date, shifted by a number of days, as YYYYMMDD
+ * @private
+ */
+function formatDate(date, offsetDays) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + offsetDays);
+    return day.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format a timestamp as a UTC date-time, e.g. 20261019T101730Z
+ * @private
+ */
+function formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape text values
+ * @private
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/\r?\n/g, '\\n')
+        .replace(/([,;])/g, '\\$1');
+}
+
+/**
+ * Reduce a value to the characters allowed in UIDs here
+ * @private
+ */
+function slugify(value) {
+    return String(value || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * Fold a line longer than the limit, without splitting multi-byte characters
+ * @private
+ */
+function foldLine(line) {
+    if (Buffer.byteLength(line) <= MAX_LINE_LENGTH) {
+        return line;
+    }
+
+    const parts = [];
+    let current = '';
+    for (const character of line) {
+        // Continuation lines lose one octet to the leading space
+        const limit = parts.length === 0 ? MAX_LINE_LENGTH : MAX_LINE_LENGTH - 1;
+        if (Buffer.byteLength(current + character) > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += character;
+    }
+    parts.push(current);
+
+    return parts.join(`${CRLF} `);
+}
+
+module.exports = {
+    toICalendar
+};
@@ -0,0 +1,261 @@
+/**
+ * iCalendar Holiday Provider
+ * Imports holidays from .ics files, one calendar per country (optionally limited
+ * to subdivisions). Each VEVENT is a holiday on its all-day dates; yearly
+ * recurrences (fixed dates, or BYMONTH with BYDAY such as 3MO or -1MO) are expanded.
+ */
+
+const fs = require('fs');
+const { HolidayProvider, normalizeHoliday } = require('./holiday-provider');
+
+const WEEKDAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+class IcsHolidayProvider extends HolidayProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {Array} options.calendars - Calendars as { countryCode, path | content, counties }
+     * @param {number} options.priority - Provider priority
+     */
+    constructor(options = {}) {
+        super('ics', options);
+        this.calendars = (options.calendars || []).map(calendar => ({
+            ...calendar,
+            countryCode: String(calendar.countryCode || '').trim().toUpperCase(),
+            events: null
+        }));
+    }
+
+    /**
+     * Get holidays from the calendars of a country
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year to get holidays for
+     * @returns {Promise<Array|null>} Holidays, or null when no calendar has events in the year
+     */
+    async getHolidays(countryCode, year) {
+        const holidays = [];
+
+        this.calendars
+            .filter(calendar => calendar.countryCode === countryCode)
+            .forEach(calendar => {
+                this._getEvents(calendar).forEach(event => {
+                    this._expandEvent(event, year).forEach(date => {
+                        holidays.push(normalizeHoliday({
+                            date,
+                            name: event.summary,
+                            counties: calendar.counties
+                        }, countryCode, year));
+                    });
+                });
+            });
+
+        if (holidays.length === 0) {
+            return null;
+        }
+
+        return holidays.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Check if at least one calendar could be parsed
+     * @returns {Promise<boolean>} True if any calendar has events
+     */
+    async isAvailable() {
+        return this.calendars.some(calendar => this._getEvents(calendar).length > 0);
+    }
+
+    /**
+     * Parse a calendar's events on first use
+     * @private
+     */
+    _getEvents(calendar) {
+        if (calendar.events) {
+            return calendar.events;
+        }
+
+        try {
+            const content = calendar.content !== undefined
+                ? calendar.content
+                : fs.readFileSync(calendar.path, 'utf8');
+            calendar.events = this._parseCalendar(content);
+        } catch (error) {
+            console.error(`Failed to read holiday calendar ${calendar.path || calendar.countryCode}:`, error.message);
+            calendar.events = [];
+        }
+
+        return calendar.events;
+    }
+
+    /**
+     * Parse the VEVENTs of an iCalendar document
+     * @private
+     */
+    _parseCalendar(content) {
+        // Unfold continuation lines (RFC 5545 section 3.1)
+        const lines = content.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+        const events = [];
+        let current = null;
+
+        lines.forEach(line => {
+            if (line === 'BEGIN:VEVENT') {
+                current = {};
+                return;
+            }
+            if (line === 'END:VEVENT') {
+                const event = this._toEvent(current);
+                if (event) {
+                    events.push(event);
+                }
+                current = null;
+                return;
+            }
+            if (!current) {
+                return;
+            }
+
+            const separator = line.indexOf(':');
+            if (separator > 0) {
+                const name = line.slice(0, separator).split(';')[0].toUpperCase();
+                current[name] = line.slice(separator + 1);
+            }
+        });
+
+        return events;
+    }
+
+    /**
+     * Convert raw VEVENT properties to an event with UTC day numbers
+     * @private
+     */
+    _toEvent(properties) {
+        const start = this._parseDay(properties.DTSTART);
+        if (start === null || (properties.STATUS || '').toUpperCase() === 'CANCELLED') {
+            return null;
+        }
+
+        const end = this._parseDay(properties.DTEND);
+        return {
+            summary: this._unescape(properties.SUMMARY || ''),
+            start,
+            days: end !== null && end > start ? end - start : 1,
+            rrule: properties.RRULE ? this._parseRule(properties.RRULE) : null
+        };
+    }
+
+    /**
+     * Get the dates (YYYY-MM-DD) an event covers in a year
+     * @private
+     */
+    _expandEvent(event, year) {
+        const startDate = new Date(event.start * MS_PER_DAY);
+        const occurrence = event.rrule
+            ? this._getYearlyOccurrence(event, startDate, year)
+            : event.start;
+
+        if (occurrence === null) {
+            return [];
+        }
+
+        const dates = [];
+        for (let offset = 0; offset < event.days; offset++) {
+            const date = new Date((occurrence + offset) * MS_PER_DAY);
+            if (date.getUTCFullYear() === year) {
+                dates.push(date.toISOString().slice(0, 10));
+            }
+        }
+        return dates;
+    }
+
+    /**
+     * Get the day number of a yearly recurrence in a year, or null when it does not occur
+     * @private
+     */
+    _getYearlyOccurrence(event, startDate, year) {
+        const rule = event.rrule;
+        if (rule.FREQ !== 'YEARLY') {
+            return year === startDate.getUTCFullYear() ? event.start : null;
+        }
+
+        const interval = parseInt(rule.INTERVAL, 10) || 1;
+        const yearsSinceStart = year - startDate.getUTCFullYear();
+        if (yearsSinceStart < 0 || yearsSinceStart % interval !== 0) {
+            return null;
+        }
+        if (rule.COUNT && yearsSinceStart / interval >= parseInt(rule.COUNT, 10)) {
+            return null;
+        }
+
+        const month = rule.BYMONTH ? parseInt(rule.BYMONTH, 10) - 1 : startDate.getUTCMonth();
+        const byDay = rule.BYDAY ? rule.BYDAY.match(/^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/) : null;
+        let day;
+
+        if (byDay && byDay[1]) {
+            day = this._getNthWeekday(year, month, WEEKDAY_CODES.indexOf(byDay[2]), parseInt(byDay[1], 10));
+        } else {
+            day = Date.UTC(year, month, startDate.getUTCDate()) / MS_PER_DAY;
+            // Skip dates that do not exist in the year, e.g. 29 February
+            if (new Date(day * MS_PER_DAY).getUTCMonth() !== month) {
+                return null;
+            }
+        }
+
+        const until = this._parseDay(rule.UNTIL);
+        return until !== null && day > until ? null : day;
+    }
+
+    /**
+     * Get the day number of the nth (or, when negative, nth last) weekday of a month
+     * @private
+     */
+    _getNthWeekday(year, month, weekday, n) {
+        if (n > 0) {
+            const first = new Date(Date.UTC(year, month, 1));
+            const offset = (weekday - first.getUTCDay() + 7) % 7;
+            return Date.UTC(year, month, 1 + offset + (n - 1) * 7) / MS_PER_DAY;
+        }
+
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        const offset = (last.getUTCDay() - weekday + 7) % 7;
+        return Date.UTC(year, month, last.getUTCDate() - offset + (n + 1) * 7) / MS_PER_DAY;
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME value to a UTC day number
+     * @private
+     */
+    _parseDay(value) {
+        const match = typeof value === 'string' ? value.match(/^(\d{4})(\d{2})(\d{2})/) : null;
+        if (!match) {
+            return null;
+        }
+        return Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)) / MS_PER_DAY;
+    }
+
+    /**
+     * Parse an RRULE value into its parts
+     * @private
+     */
+    _parseRule(value) {
+        return value.split(';').reduce((rule, part) => {
+            const [key, ruleValue] = part.split('=');
+            if (key && ruleValue !== undefined) {
+                rule[key.toUpperCase()] = ruleValue.toUpperCase();
+            }
+            return rule;
+        }, {});
+    }
+
+    /**
+     * Unescape an iCalendar TEXT value
+     * @private
+     */
+    _unescape(value) {
+        return value
+            .replace(/\\n/gi, ' ')
+            .replace(/\\([,;\\])/g, '$1')
+            .trim();
+    }
+}
+
+module.exports = IcsHolidayProvider;
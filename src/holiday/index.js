@@ -1,11 +1,107 @@
 /**
- * Holiday Checker Module
- * Handles public holiday checking and caching
+ * Holiday Providers Module
+ * Holiday data sources that HolidayChecker chains by priority: the Nager.Date API,
+ * the static dataset shipped with the activity, and iCalendar files. Holidays
+ * computed from local rules are the base that these sources enrich. Cache backends
+ * share the holiday cache between restarts and replicas, and the refresher re-pulls
+ * cached holidays on a schedule. Calendars export to iCalendar.
  */
 
-// Placeholder for holiday checking functionality
-// This will be implemented in task 3.1
+const { HolidayProvider, normalizeHoliday } = require('./holiday-provider');
+const NagerHolidayProvider = require('./nager-provider');
+const StaticHolidayProvider = require('./static-provider');
+const IcsHolidayProvider = require('./ics-provider');
+const { RuleBasedHolidayProvider, getEasterSunday, getNthWeekday } = require('./rule-based-provider');
+const { HOLIDAY_TYPES, normalizeHolidayTypes, getHolidayTypes, matchesHolidayTypes } = require('./holiday-types');
+const CacheBackend = require('./cache-backend');
+const MemoryCacheBackend = require('./memory-cache-backend');
+const FileCacheBackend = require('./file-cache-backend');
+const RedisCacheBackend = require('./redis-cache-backend');
+const HolidayRefresher = require('./holiday-refresher');
+const { parseCronSchedule, getNextRunTime } = require('./cron-schedule');
+const { toICalendar } = require('./ics-export');
+
+const PROVIDER_TYPES = {
+    nager: NagerHolidayProvider,
+    static: StaticHolidayProvider,
+    ics: IcsHolidayProvider,
+    rules: RuleBasedHolidayProvider
+};
+
+const CACHE_BACKEND_TYPES = {
+    memory: MemoryCacheBackend,
+    file: FileCacheBackend,
+    redis: RedisCacheBackend
+};
+
+/**
+ * Creates a provider from its configuration
+ * @param {Object} config - Provider configuration with type ('nager', 'static', 'ics' or 'rules') and provider options
+ * @returns {HolidayProvider} Provider instance
+ */
+function createHolidayProvider(config) {
+    const Provider = PROVIDER_TYPES[config?.type];
+    if (!Provider) {
+        throw new Error(`Unknown holiday provider type: ${config?.type}`);
+    }
+    return new Provider(config);
+}
+
+/**
+ * Creates providers from instances or configurations, ordered by descending
+ * priority; providers with equal priority keep their list order
+ * @param {Array} providers - Provider instances or configurations
+ * @returns {Array} Ordered provider instances
+ */
+function createHolidayProviders(providers) {
+    return providers
+        .map(provider => (typeof provider?.getHolidays === 'function' ? provider : createHolidayProvider(provider)))
+        .map((provider, index) => ({ provider, index }))
+        .sort((a, b) => (b.provider.priority || 0) - (a.provider.priority || 0) || a.index - b.index)
+        .map(({ provider }) => provider);
+}
+
+/**
+ * Creates a cache backend from an instance or its configuration
+ * @param {Object} config - Backend instance, or configuration with type ('memory', 'file' or 'redis') and backend options
+ * @returns {CacheBackend} Backend instance
+ */
+function createCacheBackend(config) {
+    if (typeof config?.get === 'function' && typeof config?.set === 'function') {
+        return config;
+    }
+
+    const Backend = CACHE_BACKEND_TYPES[config?.type];
+    if (!Backend) {
+        throw new Error(`Unknown cache backend type: ${config?.type}`);
+    }
+    return new Backend(config);
+}
 
 module.exports = {
-    // TODO: Implement holiday checking functions
-};
\ No newline at end of file
+    HolidayProvider,
+    NagerHolidayProvider,
+    StaticHolidayProvider,
+    IcsHolidayProvider,
+    RuleBasedHolidayProvider,
+    PROVIDER_TYPES,
+    normalizeHoliday,
+    getEasterSunday,
+    getNthWeekday,
+    HOLIDAY_TYPES,
+    normalizeHolidayTypes,
+    getHolidayTypes,
+    matchesHolidayTypes,
+    createHolidayProvider,
+    createHolidayProviders,
+    CacheBackend,
+    MemoryCacheBackend,
+    FileCacheBackend,
+    RedisCacheBackend,
+    CACHE_BACKEND_TYPES,
+    createCacheBackend,
+    HolidayRefresher,
+    parseCronSchedule,
+    getNextRunTime,
+    toICalendar
+};
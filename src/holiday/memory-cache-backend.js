@@ -0,0 +1,57 @@
+/**
+ * Memory Cache Backend
+ * Keeps values in a Map with their expiry time. It is not shared between processes,
+ * so it stands in for the file and Redis backends in tests and local runs.
+ */
+
+const CacheBackend = require('./cache-backend');
+
+class MemoryCacheBackend extends CacheBackend {
+    constructor() {
+        super('memory');
+        this.entries = new Map();
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Stored value, or null when missing or expired
+     */
+    async get(key) {
+        const stored = this.entries.get(key);
+        if (!stored) {
+            return null;
+        }
+        if (stored.expiresAt !== null && stored.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+        return JSON.parse(stored.value);
+    }
+
+    /**
+     * Store a value; it is serialized so callers cannot change it afterwards
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to store
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} True if stored
+     */
+    async set(key, value, ttl) {
+        this.entries.set(key, {
+            value: JSON.stringify(value),
+            expiresAt: ttl ? Date.now() + ttl * 1000 : null
+        });
+        return true;
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if a value was removed
+     */
+    async delete(key) {
+        return this.entries.delete(key);
+    }
+}
+
+module.exports = MemoryCacheBackend;
@@ -0,0 +1,39 @@
+/**
+ * Nager Holiday Provider
+ * Holiday provider backed by the Nager.Date API client
+ */
+
+const HolidayAPI = require('../holiday-api');
+const { HolidayProvider } = require('./holiday-provider');
+
+class NagerHolidayProvider extends HolidayProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {HolidayAPI} options.client - Existing API client (optional, created from options otherwise)
+     * @param {number} options.priority - Provider priority
+     */
+    constructor(options = {}) {
+        super('nager', options);
+        this.client = options.client || new HolidayAPI(options);
+    }
+
+    /**
+     * Get public holidays from the API
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year to get holidays for
+     * @returns {Promise<Array>} Holidays
+     */
+    async getHolidays(countryCode, year) {
+        return await this.client.getHolidays(countryCode, year);
+    }
+
+    /**
+     * Check if the API is reachable
+     * @returns {Promise<boolean>} True if available
+     */
+    async isAvailable() {
+        return await this.client.isAPIAvailable();
+    }
+}
+
+module.exports = NagerHolidayProvider;
@@ -0,0 +1,289 @@
+/**
+ * Redis Cache Backend
+ * Shares cached values between replicas through any server speaking the Redis
+ * protocol (RESP). Values are stored as JSON strings with SET ... EX so the server
+ * expires them. A single connection is opened on first use and reopened after
+ * errors; commands that do not get a reply within the timeout fail.
+ */
+
+const net = require('net');
+const CacheBackend = require('./cache-backend');
+
+const CRLF = '\r\n';
+
+class RedisCacheBackend extends CacheBackend {
+    /**
+     * @param {Object} options - Backend options
+     * @param {string} options.url - Server URL, e.g. redis://:password@host:6379/0 (optional)
+     * @param {string} options.host - Server host when no URL is given (default 127.0.0.1)
+     * @param {number} options.port - Server port when no URL is given (default 6379)
+     * @param {string} options.password - Password for AUTH (optional)
+     * @param {number} options.db - Database index for SELECT (default 0)
+     * @param {string} options.keyPrefix - Prefix for every key (default 'sto:')
+     * @param {number} options.timeout - Connect and command timeout in milliseconds (default 2000)
+     */
+    constructor(options = {}) {
+        super('redis');
+        const url = options.url ? new URL(options.url) : null;
+
+        this.host = (url && url.hostname) || options.host || '127.0.0.1';
+        this.port = parseInt((url && url.port) || options.port, 10) || 6379;
+        this.username = (url && decodeURIComponent(url.username)) || options.username || null;
+        this.password = (url && decodeURIComponent(url.password)) || options.password || null;
+        this.db = url && url.pathname.length > 1 ? parseInt(url.pathname.slice(1), 10) : (options.db || 0);
+        this.keyPrefix = options.keyPrefix !== undefined ? options.keyPrefix : 'sto:';
+        this.timeout = options.timeout || 2000;
+
+        this.socket = null;
+        this._connecting = null;
+        this._pending = [];
+        this._buffer = Buffer.alloc(0);
+    }
+
+    /**
+     * Get a value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Stored value, or null when missing or expired
+     */
+    async get(key) {
+        const value = await this._command(['GET', this.keyPrefix + key]);
+        return value === null ? null : JSON.parse(value);
+    }
+
+    /**
+     * Store a value
+     * @param {string} key - Cache key
+     * @param {Object} value - Value to store
+     * @param {number} ttl - Time to live in seconds (optional)
+     * @returns {Promise<boolean>} True if stored
+     */
+    async set(key, value, ttl) {
+        const args = ['SET', this.keyPrefix + key, JSON.stringify(value)];
+        if (ttl) {
+            args.push('EX', String(Math.max(1, Math.round(ttl))));
+        }
+        return (await this._command(args)) === 'OK';
+    }
+
+    /**
+     * Remove a value
+     * @param {string} key - Cache key
+     * @returns {Promise<boolean>} True if a value was removed
+     */
+    async delete(key) {
+        return (await this._command(['DEL', this.keyPrefix + key])) > 0;
+    }
+
+    /**
+     * Check if the server answers PING
+     * @returns {Promise<boolean>} True if available
+     */
+    async isAvailable() {
+        try {
+            return (await this._command(['PING'])) === 'PONG';
+        } catch (error) {
+            console.warn('Redis cache backend is not available:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Close the connection
+     * @returns {Promise<void>}
+     */
+    async close() {
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;
+            await new Promise(resolve => socket.end(resolve));
+        }
+    }
+
+    /**
+     * Send a command once connected
+     * @private
+     */
+    async _command(args) {
+        await this._connect();
+        return this._send(args);
+    }
+
+    /**
+     * Open the connection and authenticate; concurrent callers share the attempt
+     * @private
+     */
+    _connect() {
+        if (this.socket) {
+            return Promise.resolve();
+        }
+
+        if (!this._connecting) {
+            this._connecting = new Promise((resolve, reject) => {
+                const socket = net.createConnection({ host: this.host, port: this.port });
+                socket.setNoDelay(true);
+                socket.setTimeout(this.timeout, () => {
+                    socket.destroy(new Error(`Redis connection to ${this.host}:${this.port} timed out`));
+                });
+
+                socket.on('data', chunk => this._onData(chunk));
+                socket.on('error', error => {
+                    this._reset(socket, error);
+                    reject(error);
+                });
+                socket.on('close', () => this._reset(socket, new Error('Redis connection closed')));
+
+                socket.once('connect', async () => {
+                    socket.setTimeout(0);
+                    this.socket = socket;
+                    try {
+                        if (this.password) {
+                            await this._send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+                        }
+                        if (this.db) {
+                            await this._send(['SELECT', String(this.db)]);
+                        }
+                        resolve();
+                    } catch (error) {
+                        socket.destroy();
+                        reject(error);
+                    }
+                });
+            }).finally(() => {
+                this._connecting = null;
+            });
+        }
+
+        return this._connecting;
+    }
+
+    /**
+     * Write a command and wait for its reply
+     * @private
+     */
+    _send(args) {
+        const socket = this.socket;
+        if (!socket) {
+            return Promise.reject(new Error('Redis connection is not open'));
+        }
+
+        return new Promise((resolve, reject) => {
+            // Replies arrive in command order; a reply that is late would be matched to
+            // the wrong command, so a timeout drops the connection
+            const timer = setTimeout(() => {
+                socket.destroy(new Error(`Redis command ${args[0]} timed out`));
+            }, this.timeout);
+
+            this._pending.push({
+                resolve: value => {
+                    clearTimeout(timer);
+                    resolve(value);
+                },
+                reject: error => {
+                    clearTimeout(timer);
+                    reject(error);
+                }
+            });
+            socket.write(this._encode(args));
+        });
+    }
+
+    /**
+     * Fail pending commands and forget a closed connection
+     * @private
+     */
+    _reset(socket, error) {
+        if (this.socket === socket) {
+            this.socket = null;
+        }
+        this._buffer = Buffer.alloc(0);
+        this._pending.splice(0).forEach(pending => pending.reject(error));
+    }
+
+    /**
+     * Match complete replies to pending commands
+     * @private
+     */
+    _onData(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+
+        let reply;
+        while ((reply = this._parseReply(this._buffer, 0)) !== null) {
+            this._buffer = this._buffer.subarray(reply.offset);
+            const pending = this._pending.shift();
+            if (pending) {
+                if (reply.value instanceof Error) {
+                    pending.reject(reply.value);
+                } else {
+                    pending.resolve(reply.value);
+                }
+            }
+        }
+    }
+
+    /**
+     * Parse one RESP reply starting at an offset
+     * @private
+     * @returns {Object|null} { value, offset } or null when the reply is incomplete
+     */
+    _parseReply(buffer, offset) {
+        const lineEnd = buffer.indexOf(CRLF, offset);
+        if (lineEnd === -1) {
+            return null;
+        }
+
+        const type = String.fromCharCode(buffer[offset]);
+        const line = buffer.toString('utf8', offset + 1, lineEnd);
+        const next = lineEnd + CRLF.length;
+
+        switch (type) {
+            case '+':
+                return { value: line, offset: next };
+            case '-':
+                return { value: new Error(line), offset: next };
+            case ':':
+                return { value: parseInt(line, 10), offset: next };
+            case '$': {
+                const length = parseInt(line, 10);
+                if (length === -1) {
+                    return { value: null, offset: next };
+                }
+                if (buffer.length < next + length + CRLF.length) {
+                    return null;
+                }
+                return { value: buffer.toString('utf8', next, next + length), offset: next + length + CRLF.length };
+            }
+            case '*': {
+                const count = parseInt(line, 10);
+                if (count === -1) {
+                    return { value: null, offset: next };
+                }
+                const items = [];
+                let position = next;
+                for (let i = 0; i < count; i++) {
+                    const item = this._parseReply(buffer, position);
+                    if (item === null) {
+                        return null;
+                    }
+                    items.push(item.value);
+                    position = item.offset;
+                }
+                return { value: items, offset: position };
+            }
+            default:
+                return { value: new Error(`Unexpected Redis reply: ${line}`), offset: next };
+        }
+    }
+
+    /**
+     * Encode a command as a RESP array of bulk strings
+     * @private
+     */
+    _encode(args) {
+        return args.reduce(
+            (command, arg) => `${command}$${Buffer.byteLength(arg)}${CRLF}${arg}${CRLF}`,
+            `*${args.length}${CRLF}`
+        );
+    }
+}
+
+module.exports = RedisCacheBackend;
@@ -0,0 +1,229 @@
+/**
+ * Rule-Based Holiday Provider
+ * Computes holidays locally for any year from rules: fixed dates, Easter-relative
+ * dates and the nth or last weekday of a month. Holidays falling on a weekend can
+ * be observed on the next free weekday ("monday", as in the UK) or on the nearest
+ * weekday ("nearest_weekday": Saturday to Friday, Sunday to Monday, as in the US).
+ * Partial-day holidays such as Christmas Eve set cutoffHour, the local hour at which
+ * business closes.
+ * The rules shipped in src/data/holiday-rules.json cover the main markets.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HolidayProvider, normalizeHoliday } = require('./holiday-provider');
+const { getWeekdayIndex } = require('../timewindow/time-of-day');
+
+const DEFAULT_RULES_PATH = path.join(__dirname, '..', 'data', 'holiday-rules.json');
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Computes Western (Gregorian) Easter Sunday
+ * @param {number} year - Year
+ * @returns {Date} Easter Sunday at midnight UTC
+ */
+function getEasterSunday(year) {
+    // Anonymous Gregorian algorithm
+    const a = year % 19;
+    const b = Math.floor(year / 100);
+    const c = year % 100;
+    const d = Math.floor(b / 4);
+    const e = b % 4;
+    const f = Math.floor((b + 8) / 25);
+    const g = Math.floor((b - f + 1) / 3);
+    const h = (19 * a + b - d - g + 15) % 30;
+    const i = Math.floor(c / 4);
+    const k = c % 4;
+    const l = (32 + 2 * e + 2 * i - h - k) % 7;
+    const m = Math.floor((a + 11 * h + 22 * l) / 451);
+    const month = Math.floor((h + l - 7 * m + 114) / 31);
+    const day = ((h + l - 7 * m + 114) % 31) + 1;
+    return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Gets the nth (1-5) or last weekday of a month
+ * @param {number} year - Year
+ * @param {number} month - Month (1-12)
+ * @param {number} weekday - Day index (0 = Sunday)
+ * @param {number|string} week - Week number or 'last'
+ * @returns {Date|null} Date at midnight UTC, or null when the month has no such weekday
+ */
+function getNthWeekday(year, month, weekday, week) {
+    if (week === 'last') {
+        const last = new Date(Date.UTC(year, month, 0));
+        return new Date(Date.UTC(year, month - 1, last.getUTCDate() - (last.getUTCDay() - weekday + 7) % 7));
+    }
+
+    const first = new Date(Date.UTC(year, month - 1, 1));
+    const date = new Date(Date.UTC(year, month - 1, 1 + (weekday - first.getUTCDay() + 7) % 7 + (week - 1) * 7));
+    return date.getUTCMonth() === month - 1 ? date : null;
+}
+
+class RuleBasedHolidayProvider extends HolidayProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.rulesPath - Rules file (optional, defaults to the bundled rules)
+     * @param {Object} options.rules - Rules keyed by country code, used instead of a file (optional)
+     * @param {number} options.priority - Provider priority
+     */
+    constructor(options = {}) {
+        super('rules', options);
+        this.rulesPath = options.rulesPath || DEFAULT_RULES_PATH;
+        this.rules = options.rules ? this._indexRules(options.rules) : null;
+    }
+
+    /**
+     * Compute the holidays of a country for a year
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Any year
+     * @returns {Promise<Array|null>} Holidays, or null when there are no rules for the country
+     */
+    async getHolidays(countryCode, year) {
+        const rules = this._getRules()[countryCode];
+        if (!rules) {
+            return null;
+        }
+
+        // Observed dates can cross a year boundary (a Saturday 1 January is observed on
+        // 31 December), so neighbouring years are computed as well
+        const occurrences = [year - 1, year, year + 1]
+            .flatMap(ruleYear => rules
+                .map(rule => ({ rule, date: this._getRuleDate(rule, ruleYear) }))
+                .filter(occurrence => occurrence.date !== null))
+            .sort((a, b) => a.date - b.date);
+
+        const taken = new Set(occurrences.map(occurrence => occurrence.date.getTime()));
+        const holidays = [];
+
+        occurrences.forEach(({ rule, date }) => {
+            const add = (holidayDate, name, observedFrom = null) => {
+                if (holidayDate.getUTCFullYear() === year) {
+                    holidays.push(normalizeHoliday({
+                        date: holidayDate.toISOString().slice(0, 10),
+                        name,
+                        type: rule.type,
+                        counties: rule.counties,
+                        cutoffHour: rule.cutoffHour,
+                        observedFrom
+                    }, countryCode, year));
+                }
+            };
+
+            add(date, rule.name);
+
+            const observed = this._getObservedDate(date, rule.observed, taken);
+            if (observed) {
+                taken.add(observed.getTime());
+                add(observed, `${rule.name} (observed)`, date.toISOString().slice(0, 10));
+            }
+        });
+
+        return holidays.sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    /**
+     * Check whether there are rules for a country
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {boolean} True if holidays can be computed for the country
+     */
+    hasRules(countryCode) {
+        return Boolean(this._getRules()[countryCode]);
+    }
+
+    /**
+     * Compute the date of a rule in a year
+     * @private
+     */
+    _getRuleDate(rule, year) {
+        if ((rule.fromYear && year < rule.fromYear) || (rule.toYear && year > rule.toYear)) {
+            return null;
+        }
+
+        if (typeof rule.easter === 'number') {
+            return new Date(getEasterSunday(year).getTime() + rule.easter * MS_PER_DAY);
+        }
+
+        if (rule.weekday !== undefined) {
+            return getNthWeekday(year, rule.month, getWeekdayIndex(rule.weekday), rule.week);
+        }
+
+        const date = new Date(Date.UTC(year, rule.month - 1, rule.day));
+        return date.getUTCMonth() === rule.month - 1 ? date : null;
+    }
+
+    /**
+     * Get the observed date of a holiday falling on a weekend
+     * @private
+     */
+    _getObservedDate(date, policy, taken) {
+        const dayOfWeek = date.getUTCDay();
+        if (!policy || (dayOfWeek !== 0 && dayOfWeek !== 6)) {
+            return null;
+        }
+
+        if (policy === 'nearest_weekday') {
+            return new Date(date.getTime() + (dayOfWeek === 6 ? -1 : 1) * MS_PER_DAY);
+        }
+
+        // Next weekday that is not already a holiday, e.g. Boxing Day after a substituted Christmas
+        let observed = new Date(date.getTime());
+        do {
+            observed = new Date(observed.getTime() + MS_PER_DAY);
+        } while (observed.getUTCDay() === 0 || observed.getUTCDay() === 6 || taken.has(observed.getTime()));
+        return observed;
+    }
+
+    /**
+     * Load the rules on first use
+     * @private
+     */
+    _getRules() {
+        if (this.rules) {
+            return this.rules;
+        }
+
+        try {
+            this.rules = this._indexRules(JSON.parse(fs.readFileSync(this.rulesPath, 'utf8')).countries);
+        } catch (error) {
+            console.error(`Failed to load holiday rules ${this.rulesPath}:`, error.message);
+            this.rules = {};
+        }
+
+        return this.rules;
+    }
+
+    /**
+     * Index rules by upper-case country code, dropping rules that cannot be computed
+     * @private
+     */
+    _indexRules(countries) {
+        const indexed = {};
+
+        Object.entries(countries || {}).forEach(([countryCode, rules]) => {
+            indexed[countryCode.toUpperCase()] = (Array.isArray(rules) ? rules : []).filter(rule => {
+                const valid = rule && rule.name && (
+                    typeof rule.easter === 'number' ||
+                    (Number.isInteger(rule.month) && rule.month >= 1 && rule.month <= 12 && (
+                        (rule.weekday !== undefined && getWeekdayIndex(rule.weekday) !== -1 &&
+                            (rule.week === 'last' || (Number.isInteger(rule.week) && rule.week >= 1 && rule.week <= 5))) ||
+                        (rule.weekday === undefined && Number.isInteger(rule.day))
+                    ))
+                );
+                if (!valid) {
+                    console.warn(`Ignoring invalid holiday rule for ${countryCode}:`, JSON.stringify(rule));
+                }
+                return valid;
+            });
+        });
+
+        return indexed;
+    }
+}
+
+module.exports = {
+    RuleBasedHolidayProvider,
+    getEasterSunday,
+    getNthWeekday
+};
@@ -0,0 +1,93 @@
+/**
+ * Static Holiday Provider
+ * Serves holidays from JSON datasets on disk, by default the dataset shipped in
+ * src/data/holidays.json. Datasets list holidays per country and year:
+ * { "countries": { "US": { "2026": [{ "date": "2026-01-01", "name": "..." }] } } }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { HolidayProvider, normalizeHoliday } = require('./holiday-provider');
+
+const DEFAULT_DATA_PATH = path.join(__dirname, '..', 'data', 'holidays.json');
+
+class StaticHolidayProvider extends HolidayProvider {
+    /**
+     * @param {Object} options - Provider options
+     * @param {string} options.dataPath - Dataset file, or directory of dataset files (optional)
+     * @param {Object} options.data - Dataset object to use instead of files (optional)
+     * @param {number} options.priority - Provider priority
+     */
+    constructor(options = {}) {
+        super('static', options);
+        this.dataPath = options.dataPath || DEFAULT_DATA_PATH;
+        this.countries = options.data ? this._indexDataset(options.data, {}) : null;
+    }
+
+    /**
+     * Get holidays from the dataset
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @param {number} year - Year to get holidays for
+     * @returns {Promise<Array|null>} Holidays, or null when the dataset does not cover the country and year
+     */
+    async getHolidays(countryCode, year) {
+        const holidays = this._getCountries()[countryCode]?.[String(year)];
+        if (!Array.isArray(holidays)) {
+            return null;
+        }
+
+        return holidays
+            .filter(holiday => holiday && typeof holiday.date === 'string')
+            .map(holiday => normalizeHoliday(holiday, countryCode, year));
+    }
+
+    /**
+     * Check if any dataset could be loaded
+     * @returns {Promise<boolean>} True if the dataset has at least one country
+     */
+    async isAvailable() {
+        return Object.keys(this._getCountries()).length > 0;
+    }
+
+    /**
+     * Load the datasets on first use
+     * @private
+     */
+    _getCountries() {
+        if (this.countries) {
+            return this.countries;
+        }
+
+        this.countries = {};
+        try {
+            const files = fs.statSync(this.dataPath).isDirectory()
+                ? fs.readdirSync(this.dataPath)
+                    .filter(file => file.endsWith('.json'))
+                    .sort()
+                    .map(file => path.join(this.dataPath, file))
+                : [this.dataPath];
+
+            files.forEach(file => {
+                this._indexDataset(JSON.parse(fs.readFileSync(file, 'utf8')), this.countries);
+            });
+        } catch (error) {
+            console.error(`Failed to load holiday dataset ${this.dataPath}:`, error.message);
+        }
+
+        return this.countries;
+    }
+
+    /**
+     * Merge a dataset into the country index; later datasets replace whole years
+     * @private
+     */
+    _indexDataset(dataset, countries) {
+        Object.entries(dataset?.countries || {}).forEach(([countryCode, years]) => {
+            const code = countryCode.toUpperCase();
+            countries[code] = { ...(countries[code] || {}), ...years };
+        });
+        return countries;
+    }
+}
+
+module.exports = StaticHolidayProvider;
@@ -6,6 +6,20 @@
  * and state management.
  */
 
+const { DST_POLICIES, isValidDstPolicy } = require('../dst-resolver');
+const { DEADLINE_POLICIES, isValidDeadlinePolicy, parseDeadline } = require('../send-deadline');
+const { FALLBACK_BEHAVIORS, isValidFallbackBehavior } = require('../fallback-behavior');
+const {
+    SLOT_GRANULARITIES,
+    WEEKDAYS,
+    getWindowBounds,
+    getWindowDuration,
+    getWeekdayIndex,
+    isValidSlotGranularity
+} = require('../timewindow/time-of-day');
+const { normalizeWeekendDays } = require('../weekend-days');
+const { HOLIDAY_TYPES, normalizeHolidayTypes } = require('../holiday');
+
 class ActivityLifecycleManager {
     constructor(config, logger) {
         this.config = config;
@@ -369,22 +383,15 @@ class ActivityLifecycleManager {
                 return { valid: false, errors, warnings };
             }
             
-            // Validate time windows (required)
+            // Validate time windows (required unless a weekly schedule is configured)
+            const hasWeeklySchedule = config.weeklySchedule !== undefined;
             if (!Array.isArray(config.timeWindows) || config.timeWindows.length === 0) {
-                errors.push('At least one time window must be configured');
+                if (!hasWeeklySchedule) {
+                    errors.push('At least one time window must be configured');
+                }
             } else {
                 // Validate each time window structure
-                config.timeWindows.forEach((window, index) => {
-                    if (typeof window.startHour !== 'number' || 
-                        typeof window.endHour !== 'number' || 
-                        typeof window.enabled !== 'boolean') {
-                        errors.push(`Time window ${index + 1} has invalid structure`);
-                    } else if (window.startHour < 0 || window.startHour > 23 || 
-                              window.endHour < 0 || window.endHour > 23 || 
-                              window.startHour >= window.endHour) {
-                        errors.push(`Time window ${index + 1} has invalid hours (${window.startHour}-${window.endHour})`);
-                    }
-                });
+                this._validateTimeWindowList(config.timeWindows, 'Time window', errors);
                 
                 // Check for enabled time windows
                 const enabledWindows = config.timeWindows.filter(w => w.enabled);
@@ -394,9 +401,12 @@ class ActivityLifecycleManager {
                     warnings.push('Only one time window is enabled. Consider adding more for better optimization.');
                 } else {
                     // Check for time window coverage gaps only when there are multiple enabled windows
-                    const sortedWindows = enabledWindows.sort((a, b) => a.startHour - b.startHour);
-                    for (let i = 1; i < sortedWindows.length; i++) {
-                        if (sortedWindows[i].startHour > sortedWindows[i-1].endHour) {
+                    const sortedBounds = enabledWindows
+                        .map(getWindowBounds)
+                        .filter(Boolean)
+                        .sort((a, b) => a.start - b.start);
+                    for (let i = 1; i < sortedBounds.length; i++) {
+                        if (sortedBounds[i].start > sortedBounds[i-1].start + getWindowDuration(sortedBounds[i-1])) {
                             warnings.push('Time window gaps detected - some optimal send times may be skipped');
                             break;
                         }
@@ -404,6 +414,11 @@ class ActivityLifecycleManager {
                 }
             }
             
+            // Validate per-weekday windows; days left out use timeWindows
+            if (hasWeeklySchedule) {
+                this._validateWeeklySchedule(config.weeklySchedule, errors);
+            }
+            
             // Validate boolean flags
             if (config.skipWeekends !== undefined && typeof config.skipWeekends !== 'boolean') {
                 errors.push('skipWeekends must be a boolean value');
@@ -413,6 +428,25 @@ class ActivityLifecycleManager {
                 errors.push('skipHolidays must be a boolean value');
             }
             
+            if (config.useEngagementHistory !== undefined && typeof config.useEngagementHistory !== 'boolean') {
+                errors.push('useEngagementHistory must be a boolean value');
+            }
+            
+            // Validate weekend override; every day being a weekend leaves no sending day
+            if (config.weekendDays !== undefined) {
+                const weekendDays = normalizeWeekendDays(config.weekendDays);
+                if (!weekendDays) {
+                    errors.push('weekendDays must be an array of weekday names');
+                } else if (weekendDays.length === 7) {
+                    errors.push('weekendDays cannot include every day of the week');
+                }
+            }
+            
+            // Validate the holiday types that block sends
+            if (config.holidayTypes !== undefined && !normalizeHolidayTypes(config.holidayTypes)) {
+                errors.push(`holidayTypes must be a non-empty array of: ${HOLIDAY_TYPES.join(', ')}`);
+            }
+            
             // Validate default timezone
             if (config.defaultTimezone && typeof config.defaultTimezone !== 'string') {
                 errors.push('defaultTimezone must be a string');
@@ -424,9 +458,38 @@ class ActivityLifecycleManager {
             }
             
             // Validate fallback behavior
-            if (config.fallbackBehavior && 
-                !['next_business_day', 'immediate', 'default_time'].includes(config.fallbackBehavior)) {
-                errors.push('fallbackBehavior must be one of: next_business_day, immediate, default_time');
+            if (config.fallbackBehavior && !isValidFallbackBehavior(config.fallbackBehavior)) {
+                errors.push(`fallbackBehavior must be one of: ${FALLBACK_BEHAVIORS.join(', ')}`);
+            }
+            
+            // Validate DST policy
+            if (config.dstPolicy && !isValidDstPolicy(config.dstPolicy)) {
+                errors.push(`dstPolicy must be one of: ${DST_POLICIES.join(', ')}`);
+            }
+            
+            // Validate slot granularity
+            if (config.slotGranularity !== undefined && !isValidSlotGranularity(config.slotGranularity)) {
+                errors.push(`slotGranularity must be one of: ${SLOT_GRANULARITIES.join(', ')}`);
+            }
+            
+            // Validate per-slot send capacity
+            if (config.maxSendsPerSlot !== undefined &&
+                (!Number.isInteger(config.maxSendsPerSlot) || config.maxSendsPerSlot < 1)) {
+                errors.push('maxSendsPerSlot must be a positive integer');
+            }
+            
+            // Validate send time jitter range
+            if (config.jitterMinutes !== undefined &&
+                (!Number.isInteger(config.jitterMinutes) || config.jitterMinutes < 0 || config.jitterMinutes > 60)) {
+                errors.push('jitterMinutes must be an integer between 0 and 60');
+            }
+            
+            // Validate send deadline and the policy applied when it cannot be met
+            if (config.sendBefore !== undefined && config.sendBefore !== '' && !parseDeadline(config.sendBefore, 'UTC')) {
+                errors.push('sendBefore must be a date or date-time');
+            }
+            if (config.deadlinePolicy !== undefined && !isValidDeadlinePolicy(config.deadlinePolicy)) {
+                errors.push(`deadlinePolicy must be one of: ${DEADLINE_POLICIES.join(', ')}`);
             }
             
             // Add warnings for potentially problematic configurations
@@ -464,6 +527,67 @@ class ActivityLifecycleManager {
         }
     }
 
+    /**
+     * Validates the structure and bounds of each window in a list
+     * @param {Array} windows - Time windows
+     * @param {string} label - Message prefix, e.g. "Time window" or "Monday time window"
+     * @param {Array} errors - Error messages to append to
+     * @private
+     */
+    _validateTimeWindowList(windows, label, errors) {
+        windows.forEach((window, index) => {
+            // Bounds are startHour/endHour (0-23) or HH:mm startTime/endTime; an end
+            // before the start is an overnight window that crosses midnight
+            const bounds = getWindowBounds(window);
+            if (!bounds || typeof window.enabled !== 'boolean') {
+                errors.push(`${label} ${index + 1} has invalid structure`);
+            } else if ((window.startTime === undefined && (window.startHour < 0 || window.startHour > 23)) ||
+                      (window.endTime === undefined && (window.endHour < 0 || window.endHour > 23)) ||
+                      bounds.start === bounds.end) {
+                const start = window.startTime !== undefined ? window.startTime : window.startHour;
+                const end = window.endTime !== undefined ? window.endTime : window.endHour;
+                errors.push(`${label} ${index + 1} has invalid hours (${start}-${end})`);
+            }
+        });
+    }
+
+    /**
+     * Validates a weekly schedule of windows keyed by weekday name. An empty day
+     * means no sends start on that day.
+     * @param {Object} weeklySchedule - Windows per weekday
+     * @param {Array} errors - Error messages to append to
+     * @private
+     */
+    _validateWeeklySchedule(weeklySchedule, errors) {
+        if (!weeklySchedule || typeof weeklySchedule !== 'object' || Array.isArray(weeklySchedule)) {
+            errors.push('weeklySchedule must be an object keyed by weekday');
+            return;
+        }
+
+        const closedDays = [];
+        Object.entries(weeklySchedule).forEach(([dayName, windows]) => {
+            if (getWeekdayIndex(dayName) === -1) {
+                errors.push(`weeklySchedule has unknown weekday "${dayName}"`);
+                return;
+            }
+
+            const dayLabel = dayName.charAt(0).toUpperCase() + dayName.slice(1).toLowerCase();
+            if (!Array.isArray(windows)) {
+                errors.push(`${dayLabel} time windows must be an array`);
+                return;
+            }
+
+            this._validateTimeWindowList(windows, `${dayLabel} time window`, errors);
+            if (!windows.some(window => window && window.enabled)) {
+                closedDays.push(dayName);
+            }
+        });
+
+        if (closedDays.length === WEEKDAYS.length) {
+            errors.push('weeklySchedule must have at least one day with an enabled time window');
+        }
+    }
+
     /**
      * Validates Journey Builder context and data bindings
      */
@@ -489,7 +613,7 @@ class ActivityLifecycleManager {
             } else {
                 // Check for required data bindings
                 const dataArg = payload.inArguments.find(arg => 
-                    arg.contactKey || arg.subscriberKey || arg.geosegment
+                    arg.contactKey || arg.subscriberKey || arg.geosegment || arg.timezone
                 );
                 
                 if (!dataArg) {
@@ -499,8 +623,8 @@ class ActivityLifecycleManager {
                         warnings.push('Missing subscriberKey or contactKey binding');
                     }
                     
-                    if (!dataArg.geosegment) {
-                        warnings.push('Missing geosegment binding - timezone calculation may use defaults');
+                    if (!dataArg.geosegment && !dataArg.timezone) {
+                        warnings.push('Missing geosegment and timezone bindings - timezone calculation will use defaults');
                     }
                 }
             }
@@ -0,0 +1,142 @@
+/**
+ * Postal Timezone Resolver Module
+ *
+ * Resolves postal/ZIP codes to IANA timezones using a bundled offline dataset.
+ * No network lookups are performed; the dataset maps postal code prefixes to
+ * ISO 3166-2 regions (resolved through REGION_TIMEZONE_MAP) or directly to a
+ * timezone for areas that differ from the rest of their region.
+ */
+
+const moment = require('moment-timezone');
+const { REGION_TIMEZONE_MAP } = require('./timezone-calculator');
+const DEFAULT_DATASET = require('./data/postal-timezones.json');
+
+/**
+ * Postal code to timezone resolver backed by a local prefix dataset
+ */
+class PostalTimezoneResolver {
+    /**
+     * @param {Object} options - Resolver options
+     * @param {Object} options.dataset - Dataset to use instead of the bundled one
+     * @param {Object} options.regionTimezoneMap - Region map used to resolve region entries
+     * @param {Object} logger - Logger instance
+     */
+    constructor(options = {}, logger = console) {
+        this.logger = logger;
+        this.dataset = options.dataset || DEFAULT_DATASET;
+        this.regionTimezoneMap = options.regionTimezoneMap || REGION_TIMEZONE_MAP;
+    }
+
+    /**
+     * Gets the country codes covered by the dataset
+     * @returns {Array<string>} Array of ISO 3166-1 alpha-2 country codes
+     */
+    getSupportedCountries() {
+        return Object.keys(this.dataset.countries || {});
+    }
+
+    /**
+     * Checks whether postal codes can be resolved for a country
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {boolean} True if the dataset covers the country
+     */
+    isCountrySupported(countryCode) {
+        if (!countryCode || typeof countryCode !== 'string') {
+            return false;
+        }
+        return Object.prototype.hasOwnProperty.call(
+            this.dataset.countries || {},
+            countryCode.trim().toUpperCase()
+        );
+    }
+
+    /**
+     * Normalizes a postal code to the lookup key used by the dataset
+     * Numeric formats are left-padded to restore leading zeros that are often
+     * lost when postal codes are stored as numbers (e.g., 2134 -> 02134)
+     * @param {string|number} postalCode - Raw postal code
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {string|null} Lookup key or null if the postal code is unusable
+     */
+    normalizePostalCode(postalCode, countryCode) {
+        if (postalCode === undefined || postalCode === null || !this.isCountrySupported(countryCode)) {
+            return null;
+        }
+
+        const format = this.dataset.countries[countryCode.trim().toUpperCase()];
+        const raw = String(postalCode).trim().toUpperCase();
+
+        if (format.format === 'numeric') {
+            const digits = raw.replace(/\D/g, '');
+            if (digits.length === 0) {
+                return null;
+            }
+            // Extended formats such as ZIP+4 only need their leading digits
+            const baseCode = digits.length > format.length
+                ? digits.substring(0, format.length)
+                : digits.padStart(format.length, '0');
+            return baseCode.substring(0, format.keyLength);
+        }
+
+        const compact = raw.replace(/[\s-]/g, '');
+        if (compact.length < format.keyLength || !/^[A-Z0-9]+$/.test(compact)) {
+            return null;
+        }
+        return compact.substring(0, format.keyLength);
+    }
+
+    /**
+     * Resolves a postal code to its timezone
+     * @param {string|number} postalCode - Postal or ZIP code
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+     * @returns {Object|null} Resolution details or null if the code cannot be resolved
+     */
+    resolve(postalCode, countryCode) {
+        const key = this.normalizePostalCode(postalCode, countryCode);
+        if (!key) {
+            return null;
+        }
+
+        const normalizedCountry = countryCode.trim().toUpperCase();
+        const countryData = this.dataset.countries[normalizedCountry];
+
+        const override = this._findEntry(countryData.overrides, key);
+        const range = this._findEntry(countryData.ranges, key);
+        const regionCode = range ? range.region : null;
+        const regionInfo = regionCode ? this.regionTimezoneMap[regionCode] : null;
+
+        const timezone = override ? override.timezone : regionInfo?.timezone;
+        if (!timezone || !moment.tz.zone(timezone)) {
+            if (timezone) {
+                this.logger.warn(`Postal dataset references unknown timezone ${timezone} for ${normalizedCountry} ${key}`);
+            }
+            return null;
+        }
+
+        return {
+            postalCode: String(postalCode).trim(),
+            countryCode: normalizedCountry,
+            lookupKey: key,
+            regionCode,
+            regionName: regionInfo?.regionName || null,
+            timezone,
+            source: override ? 'override' : 'region',
+            note: override?.note
+        };
+    }
+
+    /**
+     * Finds the first dataset entry whose range contains the lookup key
+     * @private
+     */
+    _findEntry(entries, key) {
+        if (!Array.isArray(entries)) {
+            return null;
+        }
+        return entries.find(entry => key >= entry.from && key <= entry.to) || null;
+    }
+}
+
+module.exports = {
+    PostalTimezoneResolver
+};
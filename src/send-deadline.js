@@ -0,0 +1,83 @@
+/**
+ * Send Deadline Module
+ *
+ * Parses send deadlines (the activity's sendBefore setting and the per-contact deadline
+ * attribute) and holds the policies applied when no compliant send time is left before one.
+ */
+
+const moment = require('moment-timezone');
+
+/**
+ * Supported deadline policies
+ * - last_allowed: send at the last moment before the deadline, ignoring time windows,
+ *   weekends and holidays
+ * - immediate: send as soon as possible
+ * - mark_missed: keep the calculated send time and mark the contact deadline_missed
+ */
+const DEADLINE_POLICIES = ['last_allowed', 'immediate', 'mark_missed'];
+
+const DEFAULT_DEADLINE_POLICY = 'mark_missed';
+
+// Formats without an offset, read as wall-clock time in the contact's timezone.
+// SFMC renders date attributes as M/D/YYYY h:mm:ss A.
+const LOCAL_FORMATS = [
+    'YYYY-MM-DDTHH:mm:ss.SSS',
+    'YYYY-MM-DDTHH:mm:ss',
+    'YYYY-MM-DDTHH:mm',
+    'YYYY-MM-DD HH:mm:ss',
+    'YYYY-MM-DD HH:mm',
+    'M/D/YYYY h:mm:ss A',
+    'M/D/YYYY h:mm A'
+];
+
+// Dates without a time: the latest send date, so the whole day is still allowed
+const DATE_FORMATS = ['YYYY-MM-DD', 'M/D/YYYY'];
+
+const OFFSET_PATTERN = /(Z|[+-]\d{2}:?\d{2})$/i;
+
+/**
+ * Checks whether a deadline policy is supported
+ * @param {string} policy - Policy name
+ * @returns {boolean} True if the policy is supported
+ */
+function isValidDeadlinePolicy(policy) {
+    return DEADLINE_POLICIES.includes(policy);
+}
+
+/**
+ * Parses a send deadline. ISO timestamps with an offset are absolute; other values are
+ * wall-clock times in the given timezone, and a date without a time is the latest send
+ * date: the deadline is the end of that day (the start of the next one).
+ * @param {Date|string} value - Deadline value
+ * @param {string} timezone - IANA timezone for values without an offset
+ * @returns {Date|null} Deadline instant, or null when the value is empty or invalid
+ */
+function parseDeadline(value, timezone) {
+    if (value instanceof Date) {
+        return isNaN(value.getTime()) ? null : new Date(value);
+    }
+    if (typeof value !== 'string' || value.trim() === '') {
+        return null;
+    }
+
+    const text = value.trim();
+    if (OFFSET_PATTERN.test(text)) {
+        const parsed = moment(text, moment.ISO_8601, true);
+        return parsed.isValid() ? parsed.toDate() : null;
+    }
+
+    const date = moment.tz(text, DATE_FORMATS, true, timezone || 'UTC');
+    if (date.isValid()) {
+        return date.add(1, 'day').startOf('day').toDate();
+    }
+
+    const parsed = moment.tz(text, LOCAL_FORMATS, true, timezone || 'UTC');
+    return parsed.isValid() ? parsed.toDate() : null;
+}
+
+module.exports = {
+    DEADLINE_POLICIES,
+    DEFAULT_DEADLINE_POLICY,
+    isValidDeadlinePolicy,
+    parseDeadline
+};
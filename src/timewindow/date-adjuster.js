@@ -1,8 +1,12 @@
 /**
  * Date Adjuster
  * Handles date adjustments when current date is excluded due to weekends/holidays
+ * Weekdays and calendar days are read in UTC, like HolidayChecker, so results do not
+ * depend on the server's timezone
  */
 
+const { DEFAULT_WEEKEND_DAYS, getWeekendDays } = require('../weekend-days');
+
 class DateAdjuster {
     /**
      * Adjusts a date to the next available date based on exclusion rules
@@ -16,13 +20,18 @@ class DateAdjuster {
             skipWeekends = false,
             skipHolidays = false,
             holidayChecker = null,
+            weekendDays = null,
+            holidayTypes = null,
+            blackoutCalendar = null,
             maxDaysToCheck = 30
         } = exclusionRules;
 
         const {
             maintainTimeOfDay = true,
             preferredDayOfWeek = null,
-            countryCode = 'US'
+            countryCode = 'US',
+            subdivision = null,
+            journeyId = null
         } = options;
 
         // Validate inputs
@@ -40,7 +49,12 @@ class DateAdjuster {
                 skipWeekends,
                 skipHolidays,
                 holidayChecker,
-                countryCode
+                weekendDays,
+                holidayTypes,
+                blackoutCalendar,
+                countryCode,
+                subdivision,
+                journeyId
             });
 
             if (checkResult.isAvailable) {
@@ -75,7 +89,7 @@ class DateAdjuster {
             });
 
             // Move to next day
-            currentDate.setDate(currentDate.getDate() + 1);
+            currentDate.setUTCDate(currentDate.getUTCDate() + 1);
             daysAdjusted++;
         }
 
@@ -93,6 +107,11 @@ class DateAdjuster {
 
     /**
      * Checks if a specific date is available based on exclusion rules
+     * Weekends follow the country's weekend unless rules.weekendDays overrides it;
+     * rules.subdivision limits regional holidays to the contact's subdivision and
+     * rules.holidayTypes to the holiday types that block sends. Blackout
+     * dates come from rules.blackoutCalendar, or the holiday checker's calendar, and
+     * apply whether or not holidays are skipped.
      * @param {Date} date - Date to check
      * @param {Object} rules - Exclusion rules
      * @returns {Object} Availability result
@@ -102,14 +121,19 @@ class DateAdjuster {
             skipWeekends = false,
             skipHolidays = false,
             holidayChecker = null,
-            countryCode = 'US'
+            weekendDays = null,
+            holidayTypes = null,
+            blackoutCalendar = null,
+            countryCode = 'US',
+            subdivision = null,
+            journeyId = null
         } = rules;
 
         const exclusionReasons = [];
         let isAvailable = true;
 
         // Check weekend exclusion
-        if (skipWeekends && this.isWeekend(date)) {
+        if (skipWeekends && this.isWeekend(date, getWeekendDays(countryCode, weekendDays))) {
             isAvailable = false;
             exclusionReasons.push(`Weekend (${this.getDayName(date)})`);
         }
@@ -117,7 +141,7 @@ class DateAdjuster {
         // Check holiday exclusion
         if (skipHolidays && holidayChecker) {
             try {
-                const isHoliday = await holidayChecker.isPublicHoliday(date, countryCode);
+                const isHoliday = await holidayChecker.isPublicHoliday(date, countryCode, subdivision, holidayTypes);
                 if (isHoliday) {
                     isAvailable = false;
                     exclusionReasons.push('Public holiday');
@@ -128,6 +152,15 @@ class DateAdjuster {
             }
         }
 
+        // Check blackout calendar
+        const calendar = blackoutCalendar || (holidayChecker && holidayChecker.blackoutCalendar);
+        if (calendar) {
+            calendar.getBlackouts(date, { countryCode, journeyId }).forEach(entry => {
+                isAvailable = false;
+                exclusionReasons.push(`Blackout (${entry.name})`);
+            });
+        }
+
         return {
             isAvailable,
             exclusionReasons,
@@ -166,7 +199,7 @@ class DateAdjuster {
             });
 
             consecutiveExcludedDays++;
-            currentDate.setDate(currentDate.getDate() + 1);
+            currentDate.setUTCDate(currentDate.getUTCDate() + 1);
         }
 
         return {
@@ -213,7 +246,7 @@ class DateAdjuster {
         const maxDaysToCheck = 14; // Check up to 2 weeks
 
         for (let i = 0; i < maxDaysToCheck; i++) {
-            if (currentDate.getDay() === targetDayOfWeek) {
+            if (currentDate.getUTCDay() === targetDayOfWeek) {
                 const availability = await this.isDateAvailable(currentDate, exclusionRules);
                 if (availability.isAvailable) {
                     return {
@@ -225,7 +258,7 @@ class DateAdjuster {
                 }
             }
 
-            currentDate.setDate(currentDate.getDate() + 1);
+            currentDate.setUTCDate(currentDate.getUTCDate() + 1);
             daysToAdd++;
         }
 
@@ -271,7 +304,7 @@ class DateAdjuster {
             }
 
             totalDays++;
-            currentDate.setDate(currentDate.getDate() + 1);
+            currentDate.setUTCDate(currentDate.getUTCDate() + 1);
         }
 
         return {
@@ -285,11 +318,11 @@ class DateAdjuster {
     /**
      * Checks if a date falls on a weekend
      * @param {Date} date - Date to check
+     * @param {Array} weekendDays - Weekend day indexes, Saturday and Sunday by default
      * @returns {boolean} True if weekend
      */
-    isWeekend(date) {
-        const dayOfWeek = date.getDay();
-        return dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
+    isWeekend(date, weekendDays = DEFAULT_WEEKEND_DAYS) {
+        return weekendDays.includes(date.getUTCDay());
     }
 
     /**
@@ -299,20 +332,21 @@ class DateAdjuster {
      */
     getDayName(date) {
         const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        return days[date.getDay()];
+        return days[date.getUTCDay()];
     }
 
     /**
-     * Gets the next business day (Monday-Friday)
+     * Gets the next business day (Monday-Friday unless other weekend days are given)
      * @param {Date} date - Starting date
+     * @param {Array} weekendDays - Weekend day indexes
      * @returns {Date} Next business day
      */
-    getNextBusinessDay(date) {
+    getNextBusinessDay(date, weekendDays = DEFAULT_WEEKEND_DAYS) {
         let nextDay = new Date(date);
-        nextDay.setDate(nextDay.getDate() + 1);
+        nextDay.setUTCDate(nextDay.getUTCDate() + 1);
 
-        while (this.isWeekend(nextDay)) {
-            nextDay.setDate(nextDay.getDate() + 1);
+        while (this.isWeekend(nextDay, weekendDays)) {
+            nextDay.setUTCDate(nextDay.getUTCDate() + 1);
         }
 
         return nextDay;
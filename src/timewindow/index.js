@@ -6,6 +6,7 @@
 const TimeWindowValidator = require('./time-window-validator');
 const TimeSlotSelector = require('./time-slot-selector');
 const DateAdjuster = require('./date-adjuster');
+const { getWindowBounds, isOvernightWindow } = require('./time-of-day');
 
 /**
  * Main Time Window Processor class that combines all functionality
@@ -52,12 +53,19 @@ class TimeWindowProcessor {
                 };
             }
 
-            // Step 3: Select optimal time slot for the adjusted date
-            const slotSelection = this.selector.selectOptimalTimeSlot(
+            // Step 3: Select optimal time slot for the adjusted date. Slots after midnight in
+            // an overnight window are sent on the next day, which must pass the same exclusions
+            const spilloverAvailable = await this._isSpilloverDayAvailable(
                 dateAdjustment.adjustedDate,
                 timeWindows,
+                exclusionRules,
                 options
             );
+            const slotSelection = this.selector.selectOptimalTimeSlot(
+                dateAdjustment.adjustedDate,
+                timeWindows,
+                spilloverAvailable ? options : { ...options, excludedDayOffsets: [1] }
+            );
 
             if (!slotSelection.success) {
                 return {
@@ -77,7 +85,8 @@ class TimeWindowProcessor {
                     daysAdjusted: dateAdjustment.daysAdjusted,
                     dateAdjustmentReason: dateAdjustment.reason,
                     timeSlotSelected: slotSelection.selectedSlot,
-                    alternativeSlots: slotSelection.alternativeSlots
+                    alternativeSlots: slotSelection.alternativeSlots,
+                    dstAdjustment: slotSelection.selectedSlot.dstAdjustment
                 },
                 validation: {
                     warnings: validation.warnings
@@ -93,13 +102,39 @@ class TimeWindowProcessor {
         }
     }
 
+    /**
+     * Checks whether the day after the target date is available for the
+     * after-midnight part of overnight windows
+     * @private
+     */
+    async _isSpilloverDayAvailable(targetDate, timeWindows, exclusionRules, options) {
+        const hasOvernightWindow = timeWindows.some(window =>
+            window.enabled && isOvernightWindow(getWindowBounds(window))
+        );
+        if (!hasOvernightWindow) {
+            return true;
+        }
+
+        const spilloverDate = new Date(targetDate);
+        spilloverDate.setDate(spilloverDate.getDate() + 1);
+
+        const availability = await this.adjuster.isDateAvailable(spilloverDate, {
+            ...exclusionRules,
+            countryCode: options.countryCode || 'US',
+            subdivision: options.subdivision || null,
+            journeyId: options.journeyId || null
+        });
+        return availability.isAvailable;
+    }
+
     /**
      * Gets availability statistics for time windows
      * @param {Array} timeWindows - Time window configuration
      * @param {Object} exclusionRules - Exclusion rules
+     * @param {Object} options - Additional options (slotGranularity)
      * @returns {Object} Availability statistics
      */
-    getAvailabilityStats(timeWindows, exclusionRules = {}) {
+    getAvailabilityStats(timeWindows, exclusionRules = {}, options = {}) {
         const validation = this.validator.validateTimeWindows(timeWindows);
         if (!validation.isValid) {
             return {
@@ -108,7 +143,11 @@ class TimeWindowProcessor {
             };
         }
 
-        return this.selector.getAvailabilityStats(timeWindows, exclusionRules.excludedHours || []);
+        return this.selector.getAvailabilityStats(
+            timeWindows,
+            exclusionRules.excludedHours || [],
+            options.slotGranularity
+        );
     }
 }
 
@@ -0,0 +1,188 @@
+/**
+ * Time Of Day Helpers
+ * Shared parsing of time window bounds. Windows are configured either with whole
+ * hours (startHour/endHour) or with HH:mm times (startTime/endTime); both are
+ * handled internally as minutes since local midnight. A window whose end is before
+ * its start crosses midnight (e.g. 22:00-02:00) and ends on the following day.
+ */
+
+const SLOT_GRANULARITIES = [5, 15, 30, 60];
+
+const DEFAULT_SLOT_GRANULARITY = 60;
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Weekday names as used in weekly schedules, indexed like Date#getDay / moment#day
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Parses an HH:mm time of day
+ * @param {string} value - Time of day, e.g. "08:30"
+ * @returns {number|null} Minutes since midnight, or null when the value is not a valid time
+ */
+function parseTimeOfDay(value) {
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const match = value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+    if (!match) {
+        return null;
+    }
+
+    return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Formats minutes since midnight as HH:mm
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} Time of day
+ */
+function formatTimeOfDay(minutes) {
+    const hour = Math.floor(minutes / 60);
+    const minute = Math.round(minutes % 60);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+}
+
+/**
+ * Gets the start and end of a time window in minutes since midnight
+ * startTime/endTime take precedence over startHour/endHour. Hour values are not
+ * range checked here so validators can report them as given.
+ * @param {Object} window - Time window
+ * @returns {Object|null} Object with start and end minutes, or null when a bound is missing or malformed
+ */
+function getWindowBounds(window) {
+    if (!window || typeof window !== 'object') {
+        return null;
+    }
+
+    const start = window.startTime !== undefined
+        ? parseTimeOfDay(window.startTime)
+        : (typeof window.startHour === 'number' ? Math.round(window.startHour * 60) : null);
+    const end = window.endTime !== undefined
+        ? parseTimeOfDay(window.endTime)
+        : (typeof window.endHour === 'number' ? Math.round(window.endHour * 60) : null);
+
+    if (start === null || end === null) {
+        return null;
+    }
+
+    return { start, end };
+}
+
+/**
+ * Checks whether window bounds cross midnight
+ * @param {Object} bounds - Window bounds from getWindowBounds
+ * @returns {boolean} True if the window ends on the following day
+ */
+function isOvernightWindow(bounds) {
+    return bounds.start > bounds.end;
+}
+
+/**
+ * Gets the length of a window in minutes
+ * @param {Object} bounds - Window bounds from getWindowBounds
+ * @returns {number} Window length in minutes
+ */
+function getWindowDuration(bounds) {
+    return isOvernightWindow(bounds)
+        ? MINUTES_PER_DAY - bounds.start + bounds.end
+        : bounds.end - bounds.start;
+}
+
+/**
+ * Checks whether a time of day falls inside a window
+ * @param {Object} bounds - Window bounds from getWindowBounds
+ * @param {number} minuteOfDay - Minutes since midnight
+ * @returns {boolean} True if the window contains the time
+ */
+function windowContains(bounds, minuteOfDay) {
+    return isOvernightWindow(bounds)
+        ? minuteOfDay >= bounds.start || minuteOfDay < bounds.end
+        : minuteOfDay >= bounds.start && minuteOfDay < bounds.end;
+}
+
+/**
+ * Splits a window into same-day segments; overnight windows give two
+ * @param {Object} bounds - Window bounds from getWindowBounds
+ * @returns {Array} Array of { start, end } segments within one day
+ */
+function getWindowSegments(bounds) {
+    if (!isOvernightWindow(bounds)) {
+        return [{ start: bounds.start, end: bounds.end }];
+    }
+    return [
+        { start: bounds.start, end: MINUTES_PER_DAY },
+        { start: 0, end: bounds.end }
+    ].filter(segment => segment.end > segment.start);
+}
+
+/**
+ * Gets the slot of a window's slot grid that contains a time
+ * Slots start at the window start, then follow the granularity grid, and the last
+ * one ends with the window (e.g. 08:30-09:00 and 09:00-10:00 for a 08:30-10:00 window
+ * with 60-minute slots). Without a window the slot is a plain grid slot.
+ * @param {number} minute - Time in minutes since midnight
+ * @param {number} granularity - Slot length in minutes
+ * @param {Object} bounds - Start and end of the window containing the time, in minutes since
+ *   the same midnight; overnight windows end past MINUTES_PER_DAY (optional)
+ * @returns {Object} Slot start and end in minutes since that midnight
+ */
+function getSlotBounds(minute, granularity, bounds = null) {
+    const gridStart = Math.floor(minute / granularity) * granularity;
+    if (!bounds) {
+        return { start: gridStart, end: gridStart + granularity };
+    }
+
+    return {
+        start: Math.max(bounds.start, gridStart),
+        end: Math.min(bounds.end, gridStart + granularity)
+    };
+}
+
+/**
+ * Describes a time window as configured, for messages
+ * @param {Object} window - Time window
+ * @returns {string} Window description, e.g. "08:30-09:45" or "9:00-10:00"
+ */
+function describeTimeWindow(window) {
+    const start = window.startTime !== undefined ? window.startTime : `${window.startHour}:00`;
+    const end = window.endTime !== undefined ? window.endTime : `${window.endHour}:00`;
+    return `${start}-${end}`;
+}
+
+/**
+ * Gets the day index of a weekday name
+ * @param {string} name - Weekday name, case-insensitive, e.g. "monday"
+ * @returns {number} Day index (0 = Sunday), or -1 when the name is not a weekday
+ */
+function getWeekdayIndex(name) {
+    return typeof name === 'string' ? WEEKDAYS.indexOf(name.trim().toLowerCase()) : -1;
+}
+
+/**
+ * Checks whether a slot granularity is supported
+ * @param {number} granularity - Slot length in minutes
+ * @returns {boolean} True if supported
+ */
+function isValidSlotGranularity(granularity) {
+    return SLOT_GRANULARITIES.includes(granularity);
+}
+
+module.exports = {
+    SLOT_GRANULARITIES,
+    DEFAULT_SLOT_GRANULARITY,
+    MINUTES_PER_DAY,
+    WEEKDAYS,
+    parseTimeOfDay,
+    formatTimeOfDay,
+    getWindowBounds,
+    isOvernightWindow,
+    getWindowDuration,
+    windowContains,
+    getWindowSegments,
+    getSlotBounds,
+    describeTimeWindow,
+    getWeekdayIndex,
+    isValidSlotGranularity
+};
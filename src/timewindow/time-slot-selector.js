@@ -3,19 +3,48 @@
  * Selects optimal time slots within configured time windows
  */
 
+const moment = require('moment-timezone');
+const { DEFAULT_DST_POLICY, resolveLocalDateTime, createDstAdjustment } = require('../dst-resolver');
+const {
+    DEFAULT_SLOT_GRANULARITY,
+    SLOT_GRANULARITIES,
+    MINUTES_PER_DAY,
+    formatTimeOfDay,
+    getWindowBounds,
+    getWindowDuration,
+    getSlotBounds,
+    isValidSlotGranularity
+} = require('./time-of-day');
+const { DEFAULT_WEEKEND_DAYS, getWeekendDays } = require('../weekend-days');
+
 class TimeSlotSelector {
     /**
      * Selects the best available time slot for a given date and time windows
      * @param {Date} targetDate - The target date for sending
      * @param {Array} timeWindows - Array of enabled time windows
      * @param {Object} options - Additional options for selection
+     * @param {number} options.preferredHour - Preferred hour (optional)
+     * @param {number} options.preferredMinute - Preferred minute of the preferred hour; with it the
+     *   slot nearest the preferred time is selected instead of the first slot in the preferred hour
+     * @param {string} options.timezone - IANA timezone the slot hours are read in (host time when omitted)
+     * @param {string} options.dstPolicy - DST policy for slots in a gap or overlap (shift_forward, earlier, later)
+     * @param {number} options.slotGranularity - Slot length in minutes (5, 15, 30 or 60)
+     * @param {Array} options.excludedDayOffsets - Day offsets to drop (1 excludes the after-midnight
+     *   part of overnight windows, 0 everything on the target date itself)
+     * @param {Array} options.excludedSlots - Single slots to drop, as hour, minute and optional dayOffset
      * @returns {Object} Selected time slot result
      */
     selectOptimalTimeSlot(targetDate, timeWindows, options = {}) {
         const {
             preferredHour = null,
+            preferredMinute = null,
             excludedHours = [],
-            prioritizeEarlier = true
+            prioritizeEarlier = true,
+            timezone = null,
+            dstPolicy = DEFAULT_DST_POLICY,
+            slotGranularity = DEFAULT_SLOT_GRANULARITY,
+            excludedDayOffsets = [],
+            excludedSlots = []
         } = options;
 
         // Validate inputs
@@ -37,7 +66,13 @@ class TimeSlotSelector {
         }
 
         // Get available time slots from enabled windows
-        const availableSlots = this.getAvailableTimeSlots(enabledWindows, excludedHours);
+        const availableSlots = this.getAvailableTimeSlots(enabledWindows, excludedHours, slotGranularity)
+            .filter(slot => !excludedDayOffsets.includes(slot.dayOffset || 0))
+            .filter(slot => !excludedSlots.some(excluded =>
+                excluded.hour === slot.hour &&
+                excluded.minute === (slot.minute || 0) &&
+                (excluded.dayOffset || 0) === (slot.dayOffset || 0)
+            ));
         
         if (availableSlots.length === 0) {
             return {
@@ -48,11 +83,12 @@ class TimeSlotSelector {
         }
 
         // Select the best slot based on preferences
-        const selectedSlot = this.selectBestSlot(availableSlots, preferredHour, prioritizeEarlier);
+        const selectedSlot = this.selectBestSlot(availableSlots, preferredHour, prioritizeEarlier, preferredMinute);
 
         // Create the final datetime
-        const selectedDateTime = new Date(targetDate);
-        selectedDateTime.setHours(selectedSlot.hour, selectedSlot.minute || 0, 0, 0);
+        const { datetime: selectedDateTime, dstTransition } =
+            this.createSlotDateTime(targetDate, selectedSlot, timezone, dstPolicy);
+        const dstAdjustment = dstTransition ? createDstAdjustment(dstTransition, 'time_slot_selection') : null;
 
         return {
             success: true,
@@ -61,68 +97,101 @@ class TimeSlotSelector {
                 minute: selectedSlot.minute || 0,
                 datetime: selectedDateTime,
                 window: selectedSlot.window,
-                reason: selectedSlot.reason
+                dayOffset: selectedSlot.dayOffset || 0,
+                reason: selectedSlot.reason,
+                dstAdjustment
             },
+            adjustments: dstAdjustment ? [dstAdjustment] : [],
             alternativeSlots: availableSlots.filter(slot => 
-                slot.hour !== selectedSlot.hour || slot.minute !== selectedSlot.minute
+                slot.hour !== selectedSlot.hour || slot.minute !== selectedSlot.minute ||
+                (slot.dayOffset || 0) !== (selectedSlot.dayOffset || 0)
             ).slice(0, 3) // Return up to 3 alternatives
         };
     }
 
+    /**
+     * Places a slot on the target date, or on the following day for the after-midnight
+     * part of an overnight window (slot.dayOffset)
+     * With a timezone, the calendar date and slot time are read in that zone and DST
+     * gaps and overlaps are resolved with the given policy; otherwise host time is used
+     * @param {Date} targetDate - The target date
+     * @param {Object} slot - Slot with hour, minute and optional dayOffset
+     * @param {string} timezone - IANA timezone (optional)
+     * @param {string} dstPolicy - DST policy
+     * @returns {Object} Slot datetime and DST transition details (null when none applies)
+     */
+    createSlotDateTime(targetDate, slot, timezone = null, dstPolicy = DEFAULT_DST_POLICY) {
+        const dayOffset = slot.dayOffset || 0;
+
+        if (!timezone) {
+            const datetime = new Date(targetDate);
+            datetime.setDate(datetime.getDate() + dayOffset);
+            datetime.setHours(slot.hour, slot.minute || 0, 0, 0);
+            return { datetime, dstTransition: null };
+        }
+
+        const localDate = moment.tz(targetDate, timezone).add(dayOffset, 'days');
+        const resolution = resolveLocalDateTime({
+            year: localDate.year(),
+            month: localDate.month(),
+            day: localDate.date(),
+            hour: slot.hour,
+            minute: slot.minute || 0
+        }, timezone, dstPolicy);
+
+        return { datetime: resolution.instant, dstTransition: resolution.dstTransition };
+    }
+
     /**
      * Gets all available time slots from enabled time windows
+     * Slots start at each window's start and then follow the granularity grid
+     * (e.g. 08:30, 08:45, 09:00 ... for a 08:30-09:45 window with 15-minute slots).
+     * Slots after midnight in an overnight window carry dayOffset 1.
      * @param {Array} enabledWindows - Array of enabled time windows
      * @param {Array} excludedHours - Hours to exclude from selection
+     * @param {number} slotGranularity - Slot length in minutes (5, 15, 30 or 60)
      * @returns {Array} Array of available time slots
      */
-    getAvailableTimeSlots(enabledWindows, excludedHours = []) {
+    getAvailableTimeSlots(enabledWindows, excludedHours = [], slotGranularity = DEFAULT_SLOT_GRANULARITY) {
         const slots = [];
+        const granularity = isValidSlotGranularity(slotGranularity) ? slotGranularity : DEFAULT_SLOT_GRANULARITY;
 
         enabledWindows.forEach((window, windowIndex) => {
-            // Handle partial hour start times
-            if (window.startHour % 1 !== 0) {
-                const startHour = Math.floor(window.startHour);
-                const startMinute = (window.startHour % 1) * 60;
-                if (!excludedHours.includes(startHour)) {
+            const bounds = getWindowBounds(window);
+            if (!bounds) {
+                return;
+            }
+
+            const windowStart = window.startTime !== undefined ? window.startTime : window.startHour;
+            const windowEnd = window.endTime !== undefined ? window.endTime : window.endHour;
+
+            // The window start is always a slot, even when it is off the grid. Overnight
+            // windows continue past midnight (minutes beyond MINUTES_PER_DAY).
+            const windowEndMinutes = bounds.start + getWindowDuration(bounds);
+            let slotMinutes = bounds.start;
+            while (slotMinutes < windowEndMinutes) {
+                const dayOffset = Math.floor(slotMinutes / MINUTES_PER_DAY);
+                const minuteOfDay = slotMinutes % MINUTES_PER_DAY;
+                const hour = Math.floor(minuteOfDay / 60);
+                if (!excludedHours.includes(hour)) {
                     slots.push({
-                        hour: startHour,
-                        minute: startMinute,
+                        hour,
+                        minute: minuteOfDay % 60,
                         window: windowIndex,
-                        windowStart: window.startHour,
-                        windowEnd: window.endHour
+                        windowStart,
+                        windowEnd,
+                        ...(dayOffset > 0 ? { dayOffset } : {})
                     });
                 }
-                
-                // Generate hourly slots from the next full hour
-                for (let hour = Math.ceil(window.startHour); hour < window.endHour; hour++) {
-                    if (!excludedHours.includes(hour)) {
-                        slots.push({
-                            hour: hour,
-                            minute: 0,
-                            window: windowIndex,
-                            windowStart: window.startHour,
-                            windowEnd: window.endHour
-                        });
-                    }
-                }
-            } else {
-                // Generate hourly slots within the window for full hour starts
-                for (let hour = window.startHour; hour < window.endHour; hour++) {
-                    if (!excludedHours.includes(hour)) {
-                        slots.push({
-                            hour: hour,
-                            minute: 0,
-                            window: windowIndex,
-                            windowStart: window.startHour,
-                            windowEnd: window.endHour
-                        });
-                    }
-                }
+                slotMinutes = getSlotBounds(slotMinutes, granularity, { start: bounds.start, end: windowEndMinutes }).end;
             }
         });
 
-        // Sort slots by time (hour, then minute)
+        // Sort slots by time (day, hour, then minute)
         slots.sort((a, b) => {
+            if ((a.dayOffset || 0) !== (b.dayOffset || 0)) {
+                return (a.dayOffset || 0) - (b.dayOffset || 0);
+            }
             if (a.hour !== b.hour) {
                 return a.hour - b.hour;
             }
@@ -134,16 +203,24 @@ class TimeSlotSelector {
 
     /**
      * Selects the best slot from available options
+     * With only a preferred hour, the first slot in that hour is used. With a preferred
+     * minute as well, the slot nearest the preferred time of day is used; ties go to the
+     * earlier slot, or the later one when prioritizeEarlier is false.
      * @param {Array} availableSlots - Array of available time slots
      * @param {number} preferredHour - Preferred hour (optional)
      * @param {boolean} prioritizeEarlier - Whether to prioritize earlier times
+     * @param {number} preferredMinute - Preferred minute of the preferred hour (optional)
      * @returns {Object} Best time slot
      */
-    selectBestSlot(availableSlots, preferredHour = null, prioritizeEarlier = true) {
+    selectBestSlot(availableSlots, preferredHour = null, prioritizeEarlier = true, preferredMinute = null) {
         if (availableSlots.length === 0) {
             throw new Error('No available slots to select from');
         }
 
+        if (preferredHour !== null && preferredMinute !== null) {
+            return this._selectNearestSlot(availableSlots, preferredHour * 60 + preferredMinute, prioritizeEarlier);
+        }
+
         // If preferred hour is specified and available, use it
         if (preferredHour !== null) {
             const preferredSlot = availableSlots.find(slot => slot.hour === preferredHour);
@@ -169,6 +246,34 @@ class TimeSlotSelector {
         }
     }
 
+    /**
+     * Selects the slot whose time of day is nearest a preferred time of day, measured
+     * around the clock so 23:45 is 30 minutes from 00:15
+     * @private
+     */
+    _selectNearestSlot(availableSlots, preferredMinutes, prioritizeEarlier) {
+        const ordered = prioritizeEarlier ? availableSlots : [...availableSlots].reverse();
+        let best = null;
+        let bestDistance = Infinity;
+
+        ordered.forEach(slot => {
+            const difference = Math.abs(slot.hour * 60 + (slot.minute || 0) - preferredMinutes);
+            const distance = Math.min(difference, MINUTES_PER_DAY - difference);
+            if (distance < bestDistance) {
+                best = slot;
+                bestDistance = distance;
+            }
+        });
+
+        const preferredTime = formatTimeOfDay(preferredMinutes);
+        return {
+            ...best,
+            reason: bestDistance === 0
+                ? `Selected preferred time ${preferredTime}`
+                : `Selected slot nearest preferred time ${preferredTime}`
+        };
+    }
+
     /**
      * Finds the next available time slot when preferred slots are unavailable
      * @param {Date} targetDate - Target date
@@ -182,26 +287,36 @@ class TimeSlotSelector {
         let currentDate = new Date(targetDate);
 
         for (let dayOffset = 0; dayOffset < maxDaysToCheck; dayOffset++) {
-            // Skip weekends if specified in options
-            if (options.skipWeekends && this.isWeekend(currentDate)) {
-                currentDate.setDate(currentDate.getDate() + 1);
-                continue;
-            }
-
-            // Get excluded hours for this specific date
+            // Skip weekends if specified in options, judged by the day the slot is sent on:
+            // the after-midnight part of an overnight window belongs to the next day.
+            // Weekends follow options.countryCode unless options.weekendDays overrides them
+            const nextDate = new Date(currentDate);
+            nextDate.setDate(nextDate.getDate() + 1);
+            const weekendDays = getWeekendDays(options.countryCode, options.weekendDays);
+            const weekendDayOffsets = options.skipWeekends
+                ? [currentDate, nextDate]
+                    .map((date, offset) => (this.isWeekend(date, weekendDays) ? offset : null))
+                    .filter(offset => offset !== null)
+                : [];
+
+            // Get excluded hours and single slots for this specific date
             const excludedHours = this.getExcludedHoursForDate(currentDate, unavailableSlots);
+            const excludedSlots = this.getExcludedSlotsForDate(currentDate, unavailableSlots);
 
             // Try to find a slot for this date
             const slotResult = this.selectOptimalTimeSlot(currentDate, timeWindows, {
                 ...options,
-                excludedHours
+                excludedHours,
+                excludedSlots: [...(options.excludedSlots || []), ...excludedSlots],
+                excludedDayOffsets: [...(options.excludedDayOffsets || []), ...weekendDayOffsets]
             });
 
             if (slotResult.success) {
                 return {
                     ...slotResult,
                     daysAdjusted: dayOffset,
-                    originalDate: targetDate
+                    originalDate: targetDate,
+                    slotDate: this.getSlotDateKey(currentDate)
                 };
             }
 
@@ -218,25 +333,49 @@ class TimeSlotSelector {
 
     /**
      * Gets excluded hours for a specific date based on unavailable slots
+     * Entries with a minute only exclude that slot (see getExcludedSlotsForDate)
      * @param {Date} date - The date to check
      * @param {Array} unavailableSlots - Array of unavailable slot objects
      * @returns {Array} Array of excluded hours
      */
     getExcludedHoursForDate(date, unavailableSlots) {
-        const dateString = date.toISOString().split('T')[0];
+        const dateString = this.getSlotDateKey(date);
         return unavailableSlots
-            .filter(slot => slot.date === dateString)
+            .filter(slot => slot.date === dateString && slot.minute === undefined)
             .map(slot => slot.hour);
     }
 
+    /**
+     * Gets the single excluded slots for a specific date: unavailable slots given with
+     * a minute (and the dayOffset of the after-midnight part of an overnight window)
+     * @param {Date} date - The date to check
+     * @param {Array} unavailableSlots - Array of unavailable slot objects
+     * @returns {Array} Array of excluded slots with hour, minute and dayOffset
+     */
+    getExcludedSlotsForDate(date, unavailableSlots) {
+        const dateString = this.getSlotDateKey(date);
+        return unavailableSlots
+            .filter(slot => slot.date === dateString && slot.minute !== undefined)
+            .map(slot => ({ hour: slot.hour, minute: slot.minute, dayOffset: slot.dayOffset || 0 }));
+    }
+
+    /**
+     * Gets the date key unavailable slots are matched by (the date's UTC calendar date)
+     * @param {Date} date - The date
+     * @returns {string} Date as YYYY-MM-DD
+     */
+    getSlotDateKey(date) {
+        return date.toISOString().split('T')[0];
+    }
+
     /**
      * Checks if a date falls on a weekend
      * @param {Date} date - Date to check
+     * @param {Array} weekendDays - Weekend day indexes, Saturday and Sunday by default
      * @returns {boolean} True if weekend
      */
-    isWeekend(date) {
-        const dayOfWeek = date.getDay();
-        return dayOfWeek === 0 || dayOfWeek === 6; // Sunday = 0, Saturday = 6
+    isWeekend(date, weekendDays = DEFAULT_WEEKEND_DAYS) {
+        return weekendDays.includes(date.getDay());
     }
 
     /**
@@ -269,10 +408,21 @@ class TimeSlotSelector {
             }
         }
 
+        if (options.preferredMinute !== null && options.preferredMinute !== undefined) {
+            if (!Number.isInteger(options.preferredMinute) ||
+                options.preferredMinute < 0 || options.preferredMinute > 59) {
+                errors.push('Preferred minute must be an integer between 0 and 59');
+            }
+        }
+
         if (options.excludedHours && !Array.isArray(options.excludedHours)) {
             errors.push('Excluded hours must be an array');
         }
 
+        if (options.slotGranularity !== undefined && !isValidSlotGranularity(options.slotGranularity)) {
+            errors.push(`Slot granularity must be one of: ${SLOT_GRANULARITIES.join(', ')} minutes`);
+        }
+
         return {
             isValid: errors.length === 0,
             errors
@@ -283,14 +433,17 @@ class TimeSlotSelector {
      * Gets statistics about time slot availability
      * @param {Array} timeWindows - Time windows configuration
      * @param {Array} excludedHours - Excluded hours
+     * @param {number} slotGranularity - Slot length in minutes
      * @returns {Object} Availability statistics
      */
-    getAvailabilityStats(timeWindows, excludedHours = []) {
+    getAvailabilityStats(timeWindows, excludedHours = [], slotGranularity = DEFAULT_SLOT_GRANULARITY) {
         const enabledWindows = timeWindows.filter(w => w.enabled);
-        const availableSlots = this.getAvailableTimeSlots(enabledWindows, excludedHours);
+        const availableSlots = this.getAvailableTimeSlots(enabledWindows, excludedHours, slotGranularity);
+        const possibleSlots = this.getAvailableTimeSlots(enabledWindows, [], slotGranularity);
 
         const totalPossibleHours = enabledWindows.reduce((total, window) => {
-            return total + (window.endHour - window.startHour);
+            const bounds = getWindowBounds(window);
+            return total + (bounds ? getWindowDuration(bounds) / 60 : 0);
         }, 0);
 
         return {
@@ -298,8 +451,8 @@ class TimeSlotSelector {
             totalPossibleHours,
             availableSlots: availableSlots.length,
             excludedHours: excludedHours.length,
-            availabilityPercentage: totalPossibleHours > 0 
-                ? Math.round((availableSlots.length / totalPossibleHours) * 100) 
+            availabilityPercentage: possibleSlots.length > 0 
+                ? Math.round((availableSlots.length / possibleSlots.length) * 100) 
                 : 0,
             earliestSlot: availableSlots.length > 0 ? availableSlots[0] : null,
             latestSlot: availableSlots.length > 0 ? availableSlots[availableSlots.length - 1] : null
@@ -3,6 +3,16 @@
  * Validates user-selected time windows and ensures business rules are met
  */
 
+const {
+    parseTimeOfDay,
+    getWindowBounds,
+    getWindowDuration,
+    getWindowSegments,
+    isOvernightWindow,
+    describeTimeWindow,
+    formatTimeOfDay
+} = require('./time-of-day');
+
 class TimeWindowValidator {
     /**
      * Validates a set of time windows
@@ -71,22 +81,18 @@ class TimeWindowValidator {
             return result;
         }
 
-        // Validate startHour
-        if (typeof window.startHour !== 'number') {
-            result.isValid = false;
-            result.errors.push(`Time window at index ${index}: startHour must be a number`);
-        } else if (window.startHour < 0 || window.startHour > 23) {
+        // Validate start (HH:mm startTime, or startHour)
+        const startError = this.validateWindowBound(window, 'start');
+        if (startError) {
             result.isValid = false;
-            result.errors.push(`Time window at index ${index}: startHour must be between 0 and 23`);
+            result.errors.push(`Time window at index ${index}: ${startError}`);
         }
 
-        // Validate endHour
-        if (typeof window.endHour !== 'number') {
-            result.isValid = false;
-            result.errors.push(`Time window at index ${index}: endHour must be a number`);
-        } else if (window.endHour < 0 || window.endHour > 23) {
+        // Validate end (HH:mm endTime, or endHour)
+        const endError = this.validateWindowBound(window, 'end');
+        if (endError) {
             result.isValid = false;
-            result.errors.push(`Time window at index ${index}: endHour must be between 0 and 23`);
+            result.errors.push(`Time window at index ${index}: ${endError}`);
         }
 
         // Validate enabled flag
@@ -95,17 +101,16 @@ class TimeWindowValidator {
             result.errors.push(`Time window at index ${index}: enabled must be a boolean`);
         }
 
-        // Check that startHour is before endHour
-        if (typeof window.startHour === 'number' && typeof window.endHour === 'number') {
-            if (window.startHour >= window.endHour) {
+        // Check that the window has a length; an end before the start crosses midnight
+        const bounds = getWindowBounds(window);
+        if (bounds) {
+            if (bounds.start === bounds.end) {
                 result.isValid = false;
-                result.errors.push(`Time window at index ${index}: startHour must be less than endHour`);
-            }
-        }
-
-        // Warn about very short time windows (less than 1 hour)
-        if (typeof window.startHour === 'number' && typeof window.endHour === 'number') {
-            if (window.endHour - window.startHour < 1) {
+                result.errors.push(window.startTime !== undefined || window.endTime !== undefined
+                    ? `Time window at index ${index}: startTime and endTime must differ`
+                    : `Time window at index ${index}: startHour and endHour must differ`);
+            } else if (getWindowDuration(bounds) < 60) {
+                // Warn about very short time windows (less than 1 hour)
                 result.warnings.push(`Time window at index ${index}: Very short time window (less than 1 hour)`);
             }
         }
@@ -113,6 +118,31 @@ class TimeWindowValidator {
         return result;
     }
 
+    /**
+     * Validates one bound of a time window
+     * @param {Object} window - Time window object
+     * @param {string} bound - 'start' or 'end'
+     * @returns {string|null} Error message, or null when the bound is valid
+     */
+    validateWindowBound(window, bound) {
+        const timeKey = `${bound}Time`;
+        const hourKey = `${bound}Hour`;
+
+        if (window[timeKey] !== undefined) {
+            return parseTimeOfDay(window[timeKey]) === null ? `${timeKey} must be a time in HH:mm format` : null;
+        }
+
+        if (typeof window[hourKey] !== 'number') {
+            return `${hourKey} must be a number`;
+        }
+
+        if (window[hourKey] < 0 || window[hourKey] > 23) {
+            return `${hourKey} must be between 0 and 23`;
+        }
+
+        return null;
+    }
+
     /**
      * Detects overlapping time windows
      * @param {Array} enabledWindows - Array of enabled time windows
@@ -129,8 +159,8 @@ class TimeWindowValidator {
                 // Check if windows overlap
                 if (this.doTimeWindowsOverlap(window1, window2)) {
                     overlaps.push({
-                        window1: `${window1.startHour}:00-${window1.endHour}:00`,
-                        window2: `${window2.startHour}:00-${window2.endHour}:00`
+                        window1: describeTimeWindow(window1),
+                        window2: describeTimeWindow(window2)
                     });
                 }
             }
@@ -146,11 +176,23 @@ class TimeWindowValidator {
      * @returns {boolean} True if windows overlap
      */
     doTimeWindowsOverlap(window1, window2) {
-        return window1.startHour < window2.endHour && window2.startHour < window1.endHour;
+        const bounds1 = getWindowBounds(window1);
+        const bounds2 = getWindowBounds(window2);
+        if (!bounds1 || !bounds2) {
+            return false;
+        }
+
+        // Overnight windows are compared as their before- and after-midnight parts
+        return getWindowSegments(bounds1).some(segment1 =>
+            getWindowSegments(bounds2).some(segment2 =>
+                segment1.start < segment2.end && segment2.start < segment1.end
+            )
+        );
     }
 
     /**
      * Resolves conflicts in time windows by merging overlapping windows
+     * Overnight windows are kept as configured
      * @param {Array} timeWindows - Array of time windows
      * @returns {Array} Array of resolved time windows
      */
@@ -160,22 +202,32 @@ class TimeWindowValidator {
             throw new Error(`Cannot resolve conflicts in invalid time windows: ${validationResult.errors.join(', ')}`);
         }
 
-        const enabledWindows = timeWindows.filter(window => window.enabled);
+        const overnightWindows = timeWindows.filter(window => window.enabled && isOvernightWindow(getWindowBounds(window)));
+        const enabledWindows = timeWindows.filter(window => window.enabled && !overnightWindows.includes(window));
         const disabledWindows = timeWindows.filter(window => !window.enabled);
 
         // Sort enabled windows by start time
-        enabledWindows.sort((a, b) => a.startHour - b.startHour);
+        enabledWindows.sort((a, b) => getWindowBounds(a).start - getWindowBounds(b).start);
 
         // Merge overlapping windows
         const mergedWindows = [];
         let currentWindow = null;
 
         for (const window of enabledWindows) {
+            const bounds = getWindowBounds(window);
+            const currentBounds = currentWindow && getWindowBounds(currentWindow);
+
             if (!currentWindow) {
                 currentWindow = { ...window };
-            } else if (window.startHour <= currentWindow.endHour) {
-                // Overlapping or adjacent - merge
-                currentWindow.endHour = Math.max(currentWindow.endHour, window.endHour);
+            } else if (bounds.start <= currentBounds.end) {
+                // Overlapping or adjacent - merge, keeping the current window's format
+                if (bounds.end > currentBounds.end) {
+                    if (currentWindow.endTime !== undefined) {
+                        currentWindow.endTime = formatTimeOfDay(bounds.end);
+                    } else {
+                        currentWindow.endHour = bounds.end / 60;
+                    }
+                }
             } else {
                 // No overlap - add current window and start new one
                 mergedWindows.push(currentWindow);
@@ -187,8 +239,8 @@ class TimeWindowValidator {
             mergedWindows.push(currentWindow);
         }
 
-        // Return merged enabled windows plus original disabled windows
-        return [...mergedWindows, ...disabledWindows];
+        // Return merged enabled windows plus overnight and original disabled windows
+        return [...mergedWindows, ...overnightWindows, ...disabledWindows];
     }
 
     /**
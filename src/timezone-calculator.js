@@ -8,10 +8,11 @@
 const moment = require('moment-timezone');
 
 /**
- * Comprehensive mapping of ISO 3166-1 alpha-2 country codes to timezone information
- * For countries with multiple timezones, uses the primary business timezone
+ * Curated mapping of ISO 3166-1 alpha-2 country codes to timezone information
+ * For countries with multiple timezones, uses the primary business timezone.
+ * These entries take precedence over the data generated from moment-timezone.
  */
-const COUNTRY_TIMEZONE_MAP = {
+const CURATED_COUNTRY_TIMEZONES = {
     // Americas
     'US': {
         countryName: 'United States',
@@ -144,24 +145,423 @@ const COUNTRY_TIMEZONE_MAP = {
 };
 
 /**
- * SFMC server timezone configuration
- * SFMC operates on Central Standard Time (CST) which is UTC-6
- * Note: SFMC does not adjust for daylight saving time
+ * Primary business timezones for multi-zone countries that are not curated above
+ * Single-zone countries are derived automatically from moment-timezone data
+ */
+const PRIMARY_BUSINESS_TIMEZONES = {
+    'AQ': 'Antarctica/McMurdo',
+    'CD': 'Africa/Kinshasa',
+    'CL': 'America/Santiago',
+    'CY': 'Asia/Nicosia',
+    'EC': 'America/Guayaquil',
+    'FM': 'Pacific/Pohnpei',
+    'GL': 'America/Nuuk',
+    'ID': 'Asia/Jakarta',
+    'KI': 'Pacific/Tarawa',
+    'KZ': 'Asia/Almaty',
+    'MH': 'Pacific/Majuro',
+    'MN': 'Asia/Ulaanbaatar',
+    'MY': 'Asia/Kuala_Lumpur',
+    'NZ': 'Pacific/Auckland',
+    'PF': 'Pacific/Tahiti',
+    'PG': 'Pacific/Port_Moresby',
+    'PS': 'Asia/Hebron',
+    'PT': 'Europe/Lisbon',
+    'UA': 'Europe/Kyiv',
+    'UM': 'Pacific/Wake',
+    'UZ': 'Asia/Tashkent'
+};
+
+const countryNames = new Intl.DisplayNames(['en'], { type: 'region' });
+
+/**
+ * Gets the standard (non-DST) UTC offset for a timezone in hours
+ * @param {string} timezone - IANA timezone
+ * @returns {number} Standard UTC offset in hours
+ */
+function getStandardOffsetHours(timezone) {
+    const year = new Date().getUTCFullYear();
+    const january = moment.tz(Date.UTC(year, 0, 1), timezone).utcOffset();
+    const july = moment.tz(Date.UTC(year, 6, 1), timezone).utcOffset();
+
+    return Math.min(january, july) / 60;
+}
+
+/**
+ * Builds a timezone entry for a country and timezone
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @param {string} timezone - IANA timezone used as primary and business timezone
+ * @returns {Object} Country timezone entry
+ */
+function createCountryTimezoneEntry(countryCode, timezone) {
+    let countryName;
+    try {
+        countryName = countryNames.of(countryCode);
+    } catch (error) {
+        countryName = countryCode;
+    }
+
+    return {
+        countryName,
+        primaryTimezone: timezone,
+        utcOffset: getStandardOffsetHours(timezone),
+        businessTimezone: timezone
+    };
+}
+
+/**
+ * Selects the primary business timezone for a country from moment-timezone data
+ * Prefers zones used only by this country, since shared zones (e.g., Africa/Lagos)
+ * are usually listed under several countries
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @returns {string|null} IANA timezone or null if the country has no zones
+ */
+function selectPrimaryTimezone(countryCode) {
+    if (PRIMARY_BUSINESS_TIMEZONES[countryCode]) {
+        return PRIMARY_BUSINESS_TIMEZONES[countryCode];
+    }
+
+    const zones = moment.tz.zonesForCountry(countryCode) || [];
+    const exclusiveZones = zones.filter(zone => moment.tz.zone(zone).countries().length === 1);
+
+    return exclusiveZones[0] || zones[0] || null;
+}
+
+/**
+ * Builds full ISO 3166-1 coverage from moment-timezone data, keeping curated entries
+ * @param {Object} curatedMap - Curated country timezone entries
+ * @returns {Object} Country timezone map keyed by ISO 3166-1 alpha-2 code
+ */
+function buildCountryTimezoneMap(curatedMap) {
+    const map = { ...curatedMap };
+
+    moment.tz.countries().forEach(countryCode => {
+        if (map[countryCode]) {
+            return;
+        }
+
+        const timezone = selectPrimaryTimezone(countryCode);
+        if (timezone) {
+            map[countryCode] = createCountryTimezoneEntry(countryCode, timezone);
+        }
+    });
+
+    return map;
+}
+
+/**
+ * Parses per-country primary timezone overrides from configuration
+ * Accepts an object ({ US: 'America/Chicago' }) or a comma-separated string
+ * of CC=Timezone pairs ('US=America/Chicago,CA=America/Vancouver')
+ * @param {Object|string} overrides - Override configuration
+ * @returns {Object} Overrides keyed by upper-case country code
+ */
+function parseCountryTimezoneOverrides(overrides) {
+    if (!overrides) {
+        return {};
+    }
+
+    const entries = typeof overrides === 'string'
+        ? overrides.split(',').map(pair => pair.split('='))
+        : Object.entries(overrides);
+
+    return entries.reduce((parsed, [countryCode, timezone]) => {
+        if (countryCode && timezone) {
+            parsed[String(countryCode).trim().toUpperCase()] = String(timezone).trim();
+        }
+        return parsed;
+    }, {});
+}
+
+/**
+ * Comprehensive mapping of ISO 3166-1 alpha-2 country codes to timezone information
+ */
+const COUNTRY_TIMEZONE_MAP = buildCountryTimezoneMap(CURATED_COUNTRY_TIMEZONES);
+
+/**
+ * Mapping of ISO 3166-2 subdivision codes to IANA timezones
+ * Used for countries that span several timezones, where the country-level
+ * business timezone would be wrong for a large share of contacts
+ */
+const REGION_TIMEZONE_MAP = {
+    // United States (states, DC and territories)
+    'US-AL': { regionName: 'Alabama', timezone: 'America/Chicago' },
+    'US-AK': { regionName: 'Alaska', timezone: 'America/Anchorage' },
+    'US-AZ': { regionName: 'Arizona', timezone: 'America/Phoenix' },
+    'US-AR': { regionName: 'Arkansas', timezone: 'America/Chicago' },
+    'US-CA': { regionName: 'California', timezone: 'America/Los_Angeles' },
+    'US-CO': { regionName: 'Colorado', timezone: 'America/Denver' },
+    'US-CT': { regionName: 'Connecticut', timezone: 'America/New_York' },
+    'US-DE': { regionName: 'Delaware', timezone: 'America/New_York' },
+    'US-DC': { regionName: 'District of Columbia', timezone: 'America/New_York' },
+    'US-FL': { regionName: 'Florida', timezone: 'America/New_York' },
+    'US-GA': { regionName: 'Georgia', timezone: 'America/New_York' },
+    'US-HI': { regionName: 'Hawaii', timezone: 'Pacific/Honolulu' },
+    'US-ID': { regionName: 'Idaho', timezone: 'America/Boise' },
+    'US-IL': { regionName: 'Illinois', timezone: 'America/Chicago' },
+    'US-IN': { regionName: 'Indiana', timezone: 'America/Indiana/Indianapolis' },
+    'US-IA': { regionName: 'Iowa', timezone: 'America/Chicago' },
+    'US-KS': { regionName: 'Kansas', timezone: 'America/Chicago' },
+    'US-KY': { regionName: 'Kentucky', timezone: 'America/Kentucky/Louisville' },
+    'US-LA': { regionName: 'Louisiana', timezone: 'America/Chicago' },
+    'US-ME': { regionName: 'Maine', timezone: 'America/New_York' },
+    'US-MD': { regionName: 'Maryland', timezone: 'America/New_York' },
+    'US-MA': { regionName: 'Massachusetts', timezone: 'America/New_York' },
+    'US-MI': { regionName: 'Michigan', timezone: 'America/Detroit' },
+    'US-MN': { regionName: 'Minnesota', timezone: 'America/Chicago' },
+    'US-MS': { regionName: 'Mississippi', timezone: 'America/Chicago' },
+    'US-MO': { regionName: 'Missouri', timezone: 'America/Chicago' },
+    'US-MT': { regionName: 'Montana', timezone: 'America/Denver' },
+    'US-NE': { regionName: 'Nebraska', timezone: 'America/Chicago' },
+    'US-NV': { regionName: 'Nevada', timezone: 'America/Los_Angeles' },
+    'US-NH': { regionName: 'New Hampshire', timezone: 'America/New_York' },
+    'US-NJ': { regionName: 'New Jersey', timezone: 'America/New_York' },
+    'US-NM': { regionName: 'New Mexico', timezone: 'America/Denver' },
+    'US-NY': { regionName: 'New York', timezone: 'America/New_York' },
+    'US-NC': { regionName: 'North Carolina', timezone: 'America/New_York' },
+    'US-ND': { regionName: 'North Dakota', timezone: 'America/Chicago' },
+    'US-OH': { regionName: 'Ohio', timezone: 'America/New_York' },
+    'US-OK': { regionName: 'Oklahoma', timezone: 'America/Chicago' },
+    'US-OR': { regionName: 'Oregon', timezone: 'America/Los_Angeles' },
+    'US-PA': { regionName: 'Pennsylvania', timezone: 'America/New_York' },
+    'US-RI': { regionName: 'Rhode Island', timezone: 'America/New_York' },
+    'US-SC': { regionName: 'South Carolina', timezone: 'America/New_York' },
+    'US-SD': { regionName: 'South Dakota', timezone: 'America/Chicago' },
+    'US-TN': { regionName: 'Tennessee', timezone: 'America/Chicago' },
+    'US-TX': { regionName: 'Texas', timezone: 'America/Chicago' },
+    'US-UT': { regionName: 'Utah', timezone: 'America/Denver' },
+    'US-VT': { regionName: 'Vermont', timezone: 'America/New_York' },
+    'US-VA': { regionName: 'Virginia', timezone: 'America/New_York' },
+    'US-WA': { regionName: 'Washington', timezone: 'America/Los_Angeles' },
+    'US-WV': { regionName: 'West Virginia', timezone: 'America/New_York' },
+    'US-WI': { regionName: 'Wisconsin', timezone: 'America/Chicago' },
+    'US-WY': { regionName: 'Wyoming', timezone: 'America/Denver' },
+    'US-PR': { regionName: 'Puerto Rico', timezone: 'America/Puerto_Rico' },
+    'US-GU': { regionName: 'Guam', timezone: 'Pacific/Guam' },
+    'US-VI': { regionName: 'U.S. Virgin Islands', timezone: 'America/St_Thomas' },
+    'US-AS': { regionName: 'American Samoa', timezone: 'Pacific/Pago_Pago' },
+    'US-MP': { regionName: 'Northern Mariana Islands', timezone: 'Pacific/Saipan' },
+
+    // Canada (provinces and territories)
+    'CA-AB': { regionName: 'Alberta', timezone: 'America/Edmonton' },
+    'CA-BC': { regionName: 'British Columbia', timezone: 'America/Vancouver' },
+    'CA-MB': { regionName: 'Manitoba', timezone: 'America/Winnipeg' },
+    'CA-NB': { regionName: 'New Brunswick', timezone: 'America/Moncton' },
+    'CA-NL': { regionName: 'Newfoundland and Labrador', timezone: 'America/St_Johns' },
+    'CA-NS': { regionName: 'Nova Scotia', timezone: 'America/Halifax' },
+    'CA-NT': { regionName: 'Northwest Territories', timezone: 'America/Yellowknife' },
+    'CA-NU': { regionName: 'Nunavut', timezone: 'America/Iqaluit' },
+    'CA-ON': { regionName: 'Ontario', timezone: 'America/Toronto' },
+    'CA-PE': { regionName: 'Prince Edward Island', timezone: 'America/Halifax' },
+    'CA-QC': { regionName: 'Quebec', timezone: 'America/Toronto' },
+    'CA-SK': { regionName: 'Saskatchewan', timezone: 'America/Regina' },
+    'CA-YT': { regionName: 'Yukon', timezone: 'America/Whitehorse' },
+
+    // Mexico (states)
+    'MX-AGU': { regionName: 'Aguascalientes', timezone: 'America/Mexico_City' },
+    'MX-BCN': { regionName: 'Baja California', timezone: 'America/Tijuana' },
+    'MX-BCS': { regionName: 'Baja California Sur', timezone: 'America/Mazatlan' },
+    'MX-CAM': { regionName: 'Campeche', timezone: 'America/Merida' },
+    'MX-CHP': { regionName: 'Chiapas', timezone: 'America/Mexico_City' },
+    'MX-CHH': { regionName: 'Chihuahua', timezone: 'America/Chihuahua' },
+    'MX-CMX': { regionName: 'Ciudad de Mexico', timezone: 'America/Mexico_City' },
+    'MX-COA': { regionName: 'Coahuila', timezone: 'America/Monterrey' },
+    'MX-COL': { regionName: 'Colima', timezone: 'America/Mexico_City' },
+    'MX-DUR': { regionName: 'Durango', timezone: 'America/Monterrey' },
+    'MX-GUA': { regionName: 'Guanajuato', timezone: 'America/Mexico_City' },
+    'MX-GRO': { regionName: 'Guerrero', timezone: 'America/Mexico_City' },
+    'MX-HID': { regionName: 'Hidalgo', timezone: 'America/Mexico_City' },
+    'MX-JAL': { regionName: 'Jalisco', timezone: 'America/Mexico_City' },
+    'MX-MEX': { regionName: 'Estado de Mexico', timezone: 'America/Mexico_City' },
+    'MX-MIC': { regionName: 'Michoacan', timezone: 'America/Mexico_City' },
+    'MX-MOR': { regionName: 'Morelos', timezone: 'America/Mexico_City' },
+    'MX-NAY': { regionName: 'Nayarit', timezone: 'America/Mazatlan' },
+    'MX-NLE': { regionName: 'Nuevo Leon', timezone: 'America/Monterrey' },
+    'MX-OAX': { regionName: 'Oaxaca', timezone: 'America/Mexico_City' },
+    'MX-PUE': { regionName: 'Puebla', timezone: 'America/Mexico_City' },
+    'MX-QUE': { regionName: 'Queretaro', timezone: 'America/Mexico_City' },
+    'MX-ROO': { regionName: 'Quintana Roo', timezone: 'America/Cancun' },
+    'MX-SLP': { regionName: 'San Luis Potosi', timezone: 'America/Mexico_City' },
+    'MX-SIN': { regionName: 'Sinaloa', timezone: 'America/Mazatlan' },
+    'MX-SON': { regionName: 'Sonora', timezone: 'America/Hermosillo' },
+    'MX-TAB': { regionName: 'Tabasco', timezone: 'America/Mexico_City' },
+    'MX-TAM': { regionName: 'Tamaulipas', timezone: 'America/Matamoros' },
+    'MX-TLA': { regionName: 'Tlaxcala', timezone: 'America/Mexico_City' },
+    'MX-VER': { regionName: 'Veracruz', timezone: 'America/Mexico_City' },
+    'MX-YUC': { regionName: 'Yucatan', timezone: 'America/Merida' },
+    'MX-ZAC': { regionName: 'Zacatecas', timezone: 'America/Mexico_City' },
+
+    // Brazil (states)
+    'BR-AC': { regionName: 'Acre', timezone: 'America/Rio_Branco' },
+    'BR-AL': { regionName: 'Alagoas', timezone: 'America/Maceio' },
+    'BR-AP': { regionName: 'Amapa', timezone: 'America/Belem' },
+    'BR-AM': { regionName: 'Amazonas', timezone: 'America/Manaus' },
+    'BR-BA': { regionName: 'Bahia', timezone: 'America/Bahia' },
+    'BR-CE': { regionName: 'Ceara', timezone: 'America/Fortaleza' },
+    'BR-DF': { regionName: 'Distrito Federal', timezone: 'America/Sao_Paulo' },
+    'BR-ES': { regionName: 'Espirito Santo', timezone: 'America/Sao_Paulo' },
+    'BR-GO': { regionName: 'Goias', timezone: 'America/Sao_Paulo' },
+    'BR-MA': { regionName: 'Maranhao', timezone: 'America/Fortaleza' },
+    'BR-MT': { regionName: 'Mato Grosso', timezone: 'America/Cuiaba' },
+    'BR-MS': { regionName: 'Mato Grosso do Sul', timezone: 'America/Campo_Grande' },
+    'BR-MG': { regionName: 'Minas Gerais', timezone: 'America/Sao_Paulo' },
+    'BR-PA': { regionName: 'Para', timezone: 'America/Belem' },
+    'BR-PB': { regionName: 'Paraiba', timezone: 'America/Fortaleza' },
+    'BR-PR': { regionName: 'Parana', timezone: 'America/Sao_Paulo' },
+    'BR-PE': { regionName: 'Pernambuco', timezone: 'America/Recife' },
+    'BR-PI': { regionName: 'Piaui', timezone: 'America/Fortaleza' },
+    'BR-RJ': { regionName: 'Rio de Janeiro', timezone: 'America/Sao_Paulo' },
+    'BR-RN': { regionName: 'Rio Grande do Norte', timezone: 'America/Fortaleza' },
+    'BR-RS': { regionName: 'Rio Grande do Sul', timezone: 'America/Sao_Paulo' },
+    'BR-RO': { regionName: 'Rondonia', timezone: 'America/Porto_Velho' },
+    'BR-RR': { regionName: 'Roraima', timezone: 'America/Boa_Vista' },
+    'BR-SC': { regionName: 'Santa Catarina', timezone: 'America/Sao_Paulo' },
+    'BR-SP': { regionName: 'Sao Paulo', timezone: 'America/Sao_Paulo' },
+    'BR-SE': { regionName: 'Sergipe', timezone: 'America/Maceio' },
+    'BR-TO': { regionName: 'Tocantins', timezone: 'America/Araguaina' },
+
+    // Australia (states and territories)
+    'AU-ACT': { regionName: 'Australian Capital Territory', timezone: 'Australia/Sydney' },
+    'AU-NSW': { regionName: 'New South Wales', timezone: 'Australia/Sydney' },
+    'AU-NT': { regionName: 'Northern Territory', timezone: 'Australia/Darwin' },
+    'AU-QLD': { regionName: 'Queensland', timezone: 'Australia/Brisbane' },
+    'AU-SA': { regionName: 'South Australia', timezone: 'Australia/Adelaide' },
+    'AU-TAS': { regionName: 'Tasmania', timezone: 'Australia/Hobart' },
+    'AU-VIC': { regionName: 'Victoria', timezone: 'Australia/Melbourne' },
+    'AU-WA': { regionName: 'Western Australia', timezone: 'Australia/Perth' },
+
+    // Russia (federal subjects outside Moscow Time; unlisted subjects use the country zone)
+    'RU-KGD': { regionName: 'Kaliningrad Oblast', timezone: 'Europe/Kaliningrad' },
+    'RU-MOW': { regionName: 'Moscow', timezone: 'Europe/Moscow' },
+    'RU-MOS': { regionName: 'Moscow Oblast', timezone: 'Europe/Moscow' },
+    'RU-SPE': { regionName: 'Saint Petersburg', timezone: 'Europe/Moscow' },
+    'RU-LEN': { regionName: 'Leningrad Oblast', timezone: 'Europe/Moscow' },
+    'RU-SAM': { regionName: 'Samara Oblast', timezone: 'Europe/Samara' },
+    'RU-UD': { regionName: 'Udmurtia', timezone: 'Europe/Samara' },
+    'RU-AST': { regionName: 'Astrakhan Oblast', timezone: 'Europe/Astrakhan' },
+    'RU-SAR': { regionName: 'Saratov Oblast', timezone: 'Europe/Saratov' },
+    'RU-ULY': { regionName: 'Ulyanovsk Oblast', timezone: 'Europe/Ulyanovsk' },
+    'RU-VGG': { regionName: 'Volgograd Oblast', timezone: 'Europe/Volgograd' },
+    'RU-SVE': { regionName: 'Sverdlovsk Oblast', timezone: 'Asia/Yekaterinburg' },
+    'RU-CHE': { regionName: 'Chelyabinsk Oblast', timezone: 'Asia/Yekaterinburg' },
+    'RU-PER': { regionName: 'Perm Krai', timezone: 'Asia/Yekaterinburg' },
+    'RU-BA': { regionName: 'Bashkortostan', timezone: 'Asia/Yekaterinburg' },
+    'RU-ORE': { regionName: 'Orenburg Oblast', timezone: 'Asia/Yekaterinburg' },
+    'RU-TYU': { regionName: 'Tyumen Oblast', timezone: 'Asia/Yekaterinburg' },
+    'RU-KGN': { regionName: 'Kurgan Oblast', timezone: 'Asia/Yekaterinburg' },
+    'RU-KHM': { regionName: 'Khanty-Mansi', timezone: 'Asia/Yekaterinburg' },
+    'RU-YAN': { regionName: 'Yamalo-Nenets', timezone: 'Asia/Yekaterinburg' },
+    'RU-OMS': { regionName: 'Omsk Oblast', timezone: 'Asia/Omsk' },
+    'RU-NVS': { regionName: 'Novosibirsk Oblast', timezone: 'Asia/Novosibirsk' },
+    'RU-ALT': { regionName: 'Altai Krai', timezone: 'Asia/Barnaul' },
+    'RU-AL': { regionName: 'Altai Republic', timezone: 'Asia/Barnaul' },
+    'RU-TOM': { regionName: 'Tomsk Oblast', timezone: 'Asia/Tomsk' },
+    'RU-KEM': { regionName: 'Kemerovo Oblast', timezone: 'Asia/Novokuznetsk' },
+    'RU-KYA': { regionName: 'Krasnoyarsk Krai', timezone: 'Asia/Krasnoyarsk' },
+    'RU-TY': { regionName: 'Tuva', timezone: 'Asia/Krasnoyarsk' },
+    'RU-KK': { regionName: 'Khakassia', timezone: 'Asia/Krasnoyarsk' },
+    'RU-IRK': { regionName: 'Irkutsk Oblast', timezone: 'Asia/Irkutsk' },
+    'RU-BU': { regionName: 'Buryatia', timezone: 'Asia/Irkutsk' },
+    'RU-ZAB': { regionName: 'Zabaykalsky Krai', timezone: 'Asia/Chita' },
+    'RU-AMU': { regionName: 'Amur Oblast', timezone: 'Asia/Yakutsk' },
+    'RU-SA': { regionName: 'Sakha (Yakutia)', timezone: 'Asia/Yakutsk' },
+    'RU-PRI': { regionName: 'Primorsky Krai', timezone: 'Asia/Vladivostok' },
+    'RU-KHA': { regionName: 'Khabarovsk Krai', timezone: 'Asia/Vladivostok' },
+    'RU-YEV': { regionName: 'Jewish Autonomous Oblast', timezone: 'Asia/Vladivostok' },
+    'RU-MAG': { regionName: 'Magadan Oblast', timezone: 'Asia/Magadan' },
+    'RU-SAK': { regionName: 'Sakhalin Oblast', timezone: 'Asia/Sakhalin' },
+    'RU-KAM': { regionName: 'Kamchatka Krai', timezone: 'Asia/Kamchatka' },
+    'RU-CHU': { regionName: 'Chukotka', timezone: 'Asia/Anadyr' }
+
+};
+
+/**
+ * Default SFMC server timezone configuration
+ * SFMC stacks operate on Central Standard Time (CST) which is UTC-6
+ * Note: SFMC does not adjust for daylight saving time, hence the fixed-offset zone
  */
 const SFMC_TIMEZONE = {
-    timezone: 'America/Chicago',
+    timezone: 'Etc/GMT+6', // Fixed UTC-6 (IANA Etc zones use inverted signs)
     utcOffset: -6, // CST (UTC-6)
     name: 'Central Standard Time',
     isDaylightSavingAdjusted: false // SFMC uses fixed CST
 };
 
+/**
+ * Builds the SFMC stack timezone configuration for an IANA timezone
+ * @param {string} timezone - IANA timezone of the SFMC stack, defaults to fixed CST
+ * @returns {Object} SFMC timezone configuration
+ */
+function createSFMCTimezone(timezone) {
+    if (!timezone || timezone === SFMC_TIMEZONE.timezone) {
+        return SFMC_TIMEZONE;
+    }
+
+    if (!moment.tz.zone(timezone)) {
+        console.warn(`Ignoring invalid SFMC timezone ${timezone}, using ${SFMC_TIMEZONE.timezone}`);
+        return SFMC_TIMEZONE;
+    }
+
+    const year = new Date().getUTCFullYear();
+    const january = moment.tz(Date.UTC(year, 0, 1), timezone).utcOffset();
+    const july = moment.tz(Date.UTC(year, 6, 1), timezone).utcOffset();
+
+    return {
+        timezone,
+        utcOffset: getStandardOffsetHours(timezone),
+        name: timezone,
+        isDaylightSavingAdjusted: january !== july
+    };
+}
+
 class TimezoneCalculator {
-    constructor() {
-        this.countryTimezoneMap = COUNTRY_TIMEZONE_MAP;
-        this.sfmcTimezone = SFMC_TIMEZONE;
+    /**
+     * @param {Object} options - Calculator options
+     * @param {Object|string} options.countryTimezoneOverrides - Primary timezone per country,
+     *   defaults to the STO_COUNTRY_TIMEZONE_OVERRIDES environment variable
+     * @param {string} options.sfmcTimezone - IANA timezone of the SFMC stack, defaults to the
+     *   STO_SFMC_TIMEZONE environment variable or fixed CST (UTC-6)
+     */
+    constructor(options = {}) {
+        this.countryTimezoneMap = this._applyCountryTimezoneOverrides(
+            options.countryTimezoneOverrides !== undefined
+                ? options.countryTimezoneOverrides
+                : process.env.STO_COUNTRY_TIMEZONE_OVERRIDES
+        );
+        this.regionTimezoneMap = REGION_TIMEZONE_MAP;
+        this.sfmcTimezone = createSFMCTimezone(options.sfmcTimezone || process.env.STO_SFMC_TIMEZONE);
         this.defaultTimezone = 'America/Chicago'; // Default to SFMC timezone
     }
 
+    /**
+     * Applies configured primary timezone overrides on top of the default country map
+     * @private
+     * @param {Object|string} overrides - Override configuration
+     * @returns {Object} Country timezone map with overrides applied
+     */
+    _applyCountryTimezoneOverrides(overrides) {
+        const parsedOverrides = parseCountryTimezoneOverrides(overrides);
+        if (Object.keys(parsedOverrides).length === 0) {
+            return COUNTRY_TIMEZONE_MAP;
+        }
+
+        const map = { ...COUNTRY_TIMEZONE_MAP };
+        Object.entries(parsedOverrides).forEach(([countryCode, timezone]) => {
+            if (!/^[A-Z]{2}$/.test(countryCode) || !moment.tz.zone(timezone)) {
+                console.warn(`Ignoring invalid country timezone override: ${countryCode}=${timezone}`);
+                return;
+            }
+
+            map[countryCode] = {
+                ...createCountryTimezoneEntry(countryCode, timezone),
+                ...(map[countryCode] && { countryName: map[countryCode].countryName }),
+                isOverride: true
+            };
+        });
+
+        return map;
+    }
+
     /**
      * Gets timezone information for a given country code
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
@@ -235,6 +635,123 @@ class TimezoneCalculator {
         return this.countryTimezoneMap.hasOwnProperty(countryCode.toUpperCase());
     }
 
+    /**
+     * Normalizes a subdivision code to ISO 3166-2 form (e.g., 'ca' + 'US' -> 'US-CA')
+     * Accepts full codes ('US-CA', 'us_ca', 'US CA') or bare subdivision codes
+     * that are qualified with the given country code
+     * @param {string} regionCode - Subdivision code, with or without country prefix
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code used to qualify bare codes
+     * @returns {string|null} Normalized ISO 3166-2 code or null if input is unusable
+     */
+    normalizeRegionCode(regionCode, countryCode) {
+        if (!regionCode || typeof regionCode !== 'string') {
+            return null;
+        }
+
+        const normalized = regionCode.trim().toUpperCase().replace(/[\s_]+/g, '-');
+        if (normalized.length === 0) {
+            return null;
+        }
+
+        if (normalized.includes('-')) {
+            return normalized;
+        }
+
+        if (!countryCode || typeof countryCode !== 'string') {
+            return null;
+        }
+
+        return `${countryCode.trim().toUpperCase()}-${normalized}`;
+    }
+
+    /**
+     * Gets timezone information for a sub-national region
+     * @param {string} regionCode - ISO 3166-2 code (e.g., 'US-CA') or bare subdivision code
+     * @param {string} countryCode - ISO 3166-1 alpha-2 country code the region must belong to
+     * @returns {Object|null} Region timezone information or null if not found
+     */
+    getRegionTimezoneInfo(regionCode, countryCode) {
+        const normalizedRegion = this.normalizeRegionCode(regionCode, countryCode);
+        if (!normalizedRegion) {
+            return null;
+        }
+
+        const regionCountry = normalizedRegion.split('-')[0];
+        if (countryCode && typeof countryCode === 'string' && regionCountry !== countryCode.trim().toUpperCase()) {
+            return null;
+        }
+
+        const regionInfo = this.regionTimezoneMap[normalizedRegion];
+        if (!regionInfo) {
+            return null;
+        }
+
+        return {
+            regionCode: normalizedRegion,
+            countryCode: regionCountry,
+            regionName: regionInfo.regionName,
+            timezone: regionInfo.timezone,
+            utcOffset: this.getStandardUtcOffset(regionInfo.timezone)
+        };
+    }
+
+    /**
+     * Gets all supported region codes, optionally filtered by country
+     * @param {string} countryCode - Optional ISO 3166-1 alpha-2 country code filter
+     * @returns {Array<string>} Array of supported ISO 3166-2 codes
+     */
+    getSupportedRegions(countryCode) {
+        const regions = Object.keys(this.regionTimezoneMap);
+        if (!countryCode || typeof countryCode !== 'string') {
+            return regions;
+        }
+
+        const prefix = `${countryCode.trim().toUpperCase()}-`;
+        return regions.filter(region => region.startsWith(prefix));
+    }
+
+    /**
+     * Finds the country a timezone belongs to
+     * @param {string} timezone - IANA timezone (e.g., 'Europe/Lisbon')
+     * @returns {string|null} ISO 3166-1 alpha-2 country code, or null for non-geographic zones
+     */
+    getCountryForTimezone(timezone) {
+        if (!timezone || typeof timezone !== 'string') {
+            return null;
+        }
+
+        const zone = moment.tz.zone(timezone);
+        if (!zone) {
+            return null;
+        }
+
+        // Zones can be shared by several countries (e.g., Europe/Zurich covers CH, DE and LI),
+        // so prefer the country that uses it as its primary timezone
+        const countries = zone.countries();
+        const primaryMatch = countries.find(code =>
+            this.getTimezoneInfo(code)?.primaryTimezone === timezone
+        );
+        if (primaryMatch) {
+            return primaryMatch;
+        }
+
+        return countries.length === 1 ? countries[0] : null;
+    }
+
+    /**
+     * Gets the standard (non-DST) UTC offset for a timezone
+     * @param {string} timezone - Timezone string (e.g., 'America/Los_Angeles')
+     * @returns {number} Standard UTC offset in hours
+     */
+    getStandardUtcOffset(timezone) {
+        try {
+            return getStandardOffsetHours(timezone);
+        } catch (error) {
+            console.error(`Error getting standard UTC offset for timezone ${timezone}:`, error);
+            return this.sfmcTimezone.utcOffset;
+        }
+    }
+
     /**
      * Gets the current UTC offset for a timezone, accounting for daylight saving time
      * @param {string} timezone - Timezone string (e.g., 'America/New_York')
@@ -263,11 +780,51 @@ class TimezoneCalculator {
     }
 
     /**
-     * Converts a local time to SFMC server time (CST/UTC-6)
-     * SFMC operates on fixed Central Standard Time without daylight saving adjustments
-     * @param {Date} localTime - Local time to convert
+     * Gets the UTC offset of the SFMC stack timezone
+     * @param {Date} date - Date to check offset for (defaults to current date)
+     * @returns {number} SFMC UTC offset in hours
+     */
+    getSFMCUtcOffset(date = new Date()) {
+        return moment.tz(date, this.sfmcTimezone.timezone).utcOffset() / 60;
+    }
+
+    /**
+     * Converts an instant to SFMC server time
+     *
+     * All calculations work on real instants and read wall-clock values in the zone
+     * being targeted; SFMC time only appears at the output boundary. SFMC stores
+     * DateTime values as server wall-clock time, so the returned Date carries the
+     * SFMC wall clock in its UTC fields (toISOString() reads as server time).
+     * @param {Date} time - Instant to convert
+     * @returns {Date} Time with the SFMC wall clock in its UTC fields
+     */
+    toSFMCTime(time) {
+        if (!time || !(time instanceof Date) || isNaN(time.getTime())) {
+            throw new Error('Invalid time provided');
+        }
+
+        return new Date(time.getTime() + this.getSFMCUtcOffset(time) * 60 * 60 * 1000);
+    }
+
+    /**
+     * Converts SFMC server time back to the instant it represents
+     * @param {Date} sfmcTime - Time with the SFMC wall clock in its UTC fields
+     * @returns {Date} Instant
+     */
+    fromSFMCTime(sfmcTime) {
+        if (!sfmcTime || !(sfmcTime instanceof Date) || isNaN(sfmcTime.getTime())) {
+            throw new Error('Invalid SFMC time provided');
+        }
+
+        const wallClock = moment.utc(sfmcTime).format('YYYY-MM-DDTHH:mm:ss.SSS');
+        return moment.tz(wallClock, this.sfmcTimezone.timezone).toDate();
+    }
+
+    /**
+     * Converts a local time to SFMC server time
+     * @param {Date} localTime - Instant to convert
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code for the local time
-     * @returns {Date} Time converted to SFMC server time (CST)
+     * @returns {Date} Time converted to SFMC server time
      */
     convertToSFMCTime(localTime, countryCode) {
         if (!localTime || !(localTime instanceof Date)) {
@@ -275,17 +832,7 @@ class TimezoneCalculator {
         }
 
         try {
-            // Get the timezone for the country
-            const timezone = this.getPrimaryTimezone(countryCode);
-            
-            // Create moment object in the local timezone
-            const localMoment = moment.tz(localTime, timezone);
-            
-            // Convert to SFMC timezone (CST - fixed UTC-6)
-            // Note: We use 'America/Chicago' but treat it as fixed CST without DST
-            const sfmcMoment = localMoment.clone().utc().subtract(6, 'hours');
-            
-            return sfmcMoment.toDate();
+            return this.convertTimezoneToSFMCTime(localTime, this.getPrimaryTimezone(countryCode));
         } catch (error) {
             console.error(`Error converting time to SFMC timezone for country ${countryCode}:`, error);
             // Fallback: assume local time is already in SFMC timezone
@@ -293,11 +840,33 @@ class TimezoneCalculator {
         }
     }
 
+    /**
+     * Converts a local time in a specific timezone to SFMC server time
+     * The instant is the same in every zone, so the timezone only identifies the
+     * contact's zone for error reporting
+     * @param {Date} localTime - Instant to convert
+     * @param {string} timezone - IANA timezone of the local time (e.g., 'Europe/Lisbon')
+     * @returns {Date} Time converted to SFMC server time
+     */
+    convertTimezoneToSFMCTime(localTime, timezone) {
+        if (!localTime || !(localTime instanceof Date)) {
+            throw new Error('Invalid local time provided');
+        }
+
+        try {
+            return this.toSFMCTime(localTime);
+        } catch (error) {
+            console.error(`Error converting time to SFMC timezone for timezone ${timezone}:`, error);
+            // Fallback: assume local time is already in SFMC timezone
+            return new Date(localTime);
+        }
+    }
+
     /**
      * Converts SFMC server time to local time for a specific country
-     * @param {Date} sfmcTime - Time in SFMC server timezone (CST)
+     * @param {Date} sfmcTime - Time in SFMC server timezone
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code for target timezone
-     * @returns {Date} Time converted to local timezone
+     * @returns {Date} Instant, to be read in the country's timezone
      */
     convertFromSFMCTime(sfmcTime, countryCode) {
         if (!sfmcTime || !(sfmcTime instanceof Date)) {
@@ -305,16 +874,7 @@ class TimezoneCalculator {
         }
 
         try {
-            // Get the timezone for the country
-            const timezone = this.getPrimaryTimezone(countryCode);
-            
-            // Create moment object treating input as SFMC time (UTC-6)
-            const sfmcMoment = moment.utc(sfmcTime).add(6, 'hours');
-            
-            // Convert to local timezone
-            const localMoment = sfmcMoment.tz(timezone);
-            
-            return localMoment.toDate();
+            return this.fromSFMCTime(sfmcTime);
         } catch (error) {
             console.error(`Error converting SFMC time to local timezone for country ${countryCode}:`, error);
             // Fallback: return original time
@@ -330,16 +890,23 @@ class TimezoneCalculator {
      */
     getOffsetFromSFMC(countryCode, date = new Date()) {
         try {
-            const countryOffset = this.getCurrentCountryOffset(countryCode, date);
-            const sfmcOffset = this.sfmcTimezone.utcOffset; // Fixed -6
-            
-            return countryOffset - sfmcOffset;
+            return this.getTimezoneOffsetFromSFMC(this.getPrimaryTimezone(countryCode), date);
         } catch (error) {
             console.error(`Error calculating offset from SFMC for country ${countryCode}:`, error);
             return 0; // No offset if calculation fails
         }
     }
 
+    /**
+     * Calculates the offset difference between a timezone and SFMC server time
+     * @param {string} timezone - Timezone string (e.g., 'America/Denver')
+     * @param {Date} date - Date to calculate offset for (defaults to current date)
+     * @returns {number} Offset difference in hours (positive means timezone is ahead of SFMC)
+     */
+    getTimezoneOffsetFromSFMC(timezone, date = new Date()) {
+        return this.getCurrentUtcOffset(timezone, date) - this.getSFMCUtcOffset(date);
+    }
+
     /**
      * Adjusts a time by adding/subtracting hours to account for timezone differences
      * @param {Date} baseTime - Base time to adjust
@@ -417,7 +984,7 @@ class TimezoneCalculator {
             currentUtcOffset: currentOffset,
             formattedOffset: this.formatTimezoneOffset(currentOffset),
             offsetFromSFMC: offsetFromSFMC,
-            sfmcOffset: this.sfmcTimezone.utcOffset,
+            sfmcOffset: this.getSFMCUtcOffset(date),
             isSupported: this.isCountrySupported(countryCode),
             date: date.toISOString()
         };
@@ -427,5 +994,8 @@ class TimezoneCalculator {
 module.exports = {
     TimezoneCalculator,
     COUNTRY_TIMEZONE_MAP,
+    REGION_TIMEZONE_MAP,
+    parseCountryTimezoneOverrides,
+    createSFMCTimezone,
     SFMC_TIMEZONE
 };
\ No newline at end of file
@@ -7,6 +7,7 @@
 
 const { TimezoneCalculator } = require('./timezone-calculator');
 const { TimezoneValidator } = require('./timezone-validator');
+const { PostalTimezoneResolver } = require('./postal-timezone-resolver');
 
 /**
  * Main timezone engine that provides all timezone-related functionality
@@ -15,8 +16,12 @@ const { TimezoneValidator } = require('./timezone-validator');
 class TimezoneEngine {
     constructor(logger = console, options = {}) {
         this.logger = logger;
-        this.calculator = new TimezoneCalculator();
-        this.validator = new TimezoneValidator(logger);
+        this.calculator = new TimezoneCalculator({
+            countryTimezoneOverrides: options.countryTimezoneOverrides,
+            sfmcTimezone: options.sfmcTimezone
+        });
+        this.validator = new TimezoneValidator(logger, this.calculator);
+        this.postalResolver = new PostalTimezoneResolver({}, logger);
         
         // Configuration options
         this.options = {
@@ -36,9 +41,12 @@ class TimezoneEngine {
      * Main method to get timezone information with validation and fallback
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {Object} context - Additional context for logging
+     * @param {Object} location - Optional finer-grained location of the contact
+     * @param {string} location.region - ISO 3166-2 subdivision code (e.g., 'US-CA', 'AU-WA' or 'CA')
+     * @param {string} location.postalCode - Postal or ZIP code, preferred over region when resolvable
      * @returns {Object} Complete timezone information with validation details
      */
-    getTimezoneInfo(countryCode, context = {}) {
+    getTimezoneInfo(countryCode, context = {}, location = {}) {
         try {
             const result = this.validator.getValidatedTimezoneInfo(countryCode, {
                 logIssues: this.options.logValidationIssues
@@ -49,12 +57,44 @@ class TimezoneEngine {
                 this.validator.logTimezoneIssue(countryCode, result.validation, context);
             }
 
+            const postalResolution = this._resolvePostalCode(location.postalCode, result, context);
+            const regionResolution = this._resolveRegion(location.region, result, context);
+
+            // Most specific location wins: postal code, then region, then country
+            let timezone = result.timezoneInfo;
+            let timezoneSource = 'country';
+            if (postalResolution?.resolved) {
+                timezone = {
+                    ...result.timezoneInfo,
+                    primaryTimezone: postalResolution.timezone,
+                    businessTimezone: postalResolution.timezone,
+                    utcOffset: this.calculator.getStandardUtcOffset(postalResolution.timezone),
+                    regionCode: postalResolution.regionCode,
+                    regionName: postalResolution.regionName,
+                    postalCode: postalResolution.postalCode
+                };
+                timezoneSource = 'postal_code';
+            } else if (regionResolution?.resolved) {
+                timezone = {
+                    ...result.timezoneInfo,
+                    primaryTimezone: regionResolution.timezone,
+                    businessTimezone: regionResolution.timezone,
+                    utcOffset: regionResolution.utcOffset,
+                    regionCode: regionResolution.regionCode,
+                    regionName: regionResolution.regionName
+                };
+                timezoneSource = 'region';
+            }
+
             return {
                 success: true,
                 countryCode: result.effectiveCountryCode,
                 validation: result.validation,
-                timezone: result.timezoneInfo,
+                timezone,
+                timezoneSource,
                 summary: result.timezoneSummary,
+                region: regionResolution,
+                postalCode: postalResolution,
                 ultimateFallback: result.ultimateFallback || false
             };
         } catch (error) {
@@ -81,14 +121,142 @@ class TimezoneEngine {
         }
     }
 
+    /**
+     * Gets timezone information for an explicit IANA timezone supplied per contact
+     * @param {string} timezone - IANA timezone (e.g., 'Europe/Lisbon')
+     * @param {Object} context - Additional context for logging
+     * @returns {Object} Timezone information, or validation details when the timezone is invalid
+     */
+    getExplicitTimezoneInfo(timezone, context = {}) {
+        const requested = typeof timezone === 'string' ? timezone.trim() : timezone;
+
+        if (!this.validator.validateTimezone(requested)) {
+            const message = `Timezone ${timezone} is not a valid IANA timezone`;
+            if (this.options.logValidationIssues) {
+                this.logger.warn(`Timezone validation: ${message}`, context);
+            }
+
+            return {
+                success: false,
+                requested: timezone,
+                message
+            };
+        }
+
+        const countryCode = this.calculator.getCountryForTimezone(requested);
+        const countryInfo = countryCode ? this.calculator.getTimezoneInfo(countryCode) : null;
+
+        return {
+            success: true,
+            requested: timezone,
+            countryCode,
+            timezone: {
+                countryName: countryInfo?.countryName || 'Unknown',
+                primaryTimezone: requested,
+                businessTimezone: requested,
+                utcOffset: this.calculator.getStandardUtcOffset(requested)
+            },
+            timezoneSource: 'explicit'
+        };
+    }
+
+    /**
+     * Resolves a postal code to its timezone using the offline postal dataset
+     * @private
+     * @param {string|number} postalCode - Postal code supplied for the contact
+     * @param {Object} validatedInfo - Result of validator.getValidatedTimezoneInfo
+     * @param {Object} context - Additional context for logging
+     * @returns {Object|null} Postal code resolution details, or null when no postal code was supplied
+     */
+    _resolvePostalCode(postalCode, validatedInfo, context) {
+        if (postalCode === undefined || postalCode === null || postalCode === '') {
+            return null;
+        }
+
+        if (validatedInfo.validation.fallbackUsed || validatedInfo.ultimateFallback) {
+            return {
+                requested: postalCode,
+                resolved: false,
+                message: 'Postal code ignored because the country code fell back to default'
+            };
+        }
+
+        const countryCode = validatedInfo.effectiveCountryCode;
+        const resolution = this.postalResolver.resolve(postalCode, countryCode);
+        if (!resolution) {
+            const message = this.postalResolver.isCountrySupported(countryCode)
+                ? `Postal code ${postalCode} could not be resolved for country ${countryCode}`
+                : `Postal code lookup is not available for country ${countryCode}`;
+            if (this.options.logValidationIssues) {
+                this.logger.warn(`Timezone validation: ${message}`, context);
+            }
+
+            return {
+                requested: postalCode,
+                resolved: false,
+                message
+            };
+        }
+
+        return {
+            requested: postalCode,
+            resolved: true,
+            ...resolution
+        };
+    }
+
+    /**
+     * Resolves a sub-national region to its timezone for the validated country
+     * @private
+     * @param {string} region - Region code supplied for the contact
+     * @param {Object} validatedInfo - Result of validator.getValidatedTimezoneInfo
+     * @param {Object} context - Additional context for logging
+     * @returns {Object|null} Region resolution details, or null when no region was supplied
+     */
+    _resolveRegion(region, validatedInfo, context) {
+        if (region === undefined || region === null || region === '') {
+            return null;
+        }
+
+        // A region only makes sense alongside the country it belongs to
+        if (validatedInfo.validation.fallbackUsed || validatedInfo.ultimateFallback) {
+            return {
+                requested: region,
+                resolved: false,
+                message: 'Region ignored because the country code fell back to default'
+            };
+        }
+
+        const regionInfo = this.calculator.getRegionTimezoneInfo(region, validatedInfo.effectiveCountryCode);
+        if (!regionInfo) {
+            const message = `Region ${region} is not supported for country ${validatedInfo.effectiveCountryCode}, using country timezone`;
+            if (this.options.logValidationIssues) {
+                this.logger.warn(`Timezone validation: ${message}`, context);
+            }
+
+            return {
+                requested: region,
+                resolved: false,
+                message
+            };
+        }
+
+        return {
+            requested: region,
+            resolved: true,
+            ...regionInfo
+        };
+    }
+
     /**
      * Converts local time to SFMC server time with validation
      * @param {Date} localTime - Local time to convert
      * @param {string} countryCode - ISO 3166-1 alpha-2 country code
      * @param {Object} context - Additional context for logging
+     * @param {Object} location - Optional finer-grained location (see getTimezoneInfo)
      * @returns {Object} Conversion result with SFMC time
      */
-    convertToSFMCTime(localTime, countryCode, context = {}) {
+    convertToSFMCTime(localTime, countryCode, context = {}, location = {}) {
         if (!localTime || !(localTime instanceof Date)) {
             return {
                 success: false,
@@ -100,7 +268,7 @@ class TimezoneEngine {
 
         try {
             // Get validated timezone info
-            const timezoneInfo = this.getTimezoneInfo(countryCode, context);
+            const timezoneInfo = this.getTimezoneInfo(countryCode, context, location);
             const effectiveCountryCode = timezoneInfo.countryCode;
 
             // Perform conversion
@@ -112,8 +280,14 @@ class TimezoneEngine {
                 sfmcTime: sfmcTime,
                 countryCode: effectiveCountryCode,
                 timezone: timezoneInfo.timezone,
+                timezoneSource: timezoneInfo.timezoneSource,
+                region: timezoneInfo.region,
+                postalCode: timezoneInfo.postalCode,
                 validation: timezoneInfo.validation,
-                offsetFromSFMC: this.calculator.getOffsetFromSFMC(effectiveCountryCode, localTime)
+                offsetFromSFMC: this.calculator.getTimezoneOffsetFromSFMC(
+                    timezoneInfo.timezone.primaryTimezone,
+                    localTime
+                )
             };
         } catch (error) {
             this.logger.error(`Error converting time to SFMC for country ${countryCode}:`, error);
@@ -256,6 +430,8 @@ class TimezoneEngine {
             validationStats: this.validator.getValidationStats(),
             supportedCountries: this.calculator.getSupportedCountries(),
             supportedCountriesCount: this.calculator.getSupportedCountries().length,
+            supportedRegionsCount: this.calculator.getSupportedRegions().length,
+            postalCodeCountries: this.postalResolver.getSupportedCountries(),
             configuration: {
                 defaultFallbackCountry: this.options.defaultFallbackCountry,
                 logValidationIssues: this.options.logValidationIssues,
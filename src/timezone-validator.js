@@ -6,6 +6,7 @@
  */
 
 const { TimezoneCalculator, SFMC_TIMEZONE } = require('./timezone-calculator');
+const { CountryCodeNormalizer } = require('./country-code-normalizer');
 
 /**
  * Validation result structure
@@ -25,8 +26,9 @@ class ValidationResult {
  * Timezone validation and fallback handler
  */
 class TimezoneValidator {
-    constructor(logger = console) {
-        this.timezoneCalculator = new TimezoneCalculator();
+    constructor(logger = console, timezoneCalculator = new TimezoneCalculator()) {
+        this.timezoneCalculator = timezoneCalculator;
+        this.countryCodeNormalizer = new CountryCodeNormalizer();
         this.logger = logger;
         this.defaultCountryCode = 'US'; // Default fallback country
         this.validationStats = {
@@ -40,13 +42,39 @@ class TimezoneValidator {
 
     /**
      * Validates a country code and provides fallback if needed
-     * @param {string} countryCode - ISO 3166-1 alpha-2 country code to validate
+     * Alpha-3 codes, numeric codes, country names and aliases are normalized to
+     * alpha-2 first; the result then carries a normalization record
+     * @param {string|number} countryCode - Country code or name to validate
      * @param {Object} options - Validation options
      * @param {string} options.fallbackCountry - Custom fallback country code
      * @param {boolean} options.logIssues - Whether to log validation issues
      * @returns {ValidationResult} Validation result with fallback information
      */
     validateCountryCode(countryCode, options = {}) {
+        let normalization = null;
+        try {
+            normalization = this.countryCodeNormalizer.normalize(countryCode);
+        } catch (error) {
+            this.logger.warn(`Country code normalization failed for ${countryCode}: ${error.message}`);
+        }
+
+        if (!normalization) {
+            return this._validateAlpha2CountryCode(countryCode, options);
+        }
+
+        const result = this._validateAlpha2CountryCode(normalization.normalized, options);
+        result.normalization = normalization;
+        if (result.isValid) {
+            result.message = `Country code is valid (normalized from ${normalization.method} "${normalization.original}")`;
+        }
+        return result;
+    }
+
+    /**
+     * Validates an ISO 3166-1 alpha-2 country code and provides fallback if needed
+     * @private
+     */
+    _validateAlpha2CountryCode(countryCode, options = {}) {
         const {
             fallbackCountry = this.defaultCountryCode,
             logIssues = true
@@ -336,7 +364,7 @@ class TimezoneValidator {
             },
             {
                 issue: 'Country code is not 2 characters',
-                solution: 'Use ISO 3166-1 alpha-2 format (e.g., "US", "GB", "BR")',
+                solution: 'Use ISO 3166-1 alpha-2 format (e.g., "US", "GB", "BR"); alpha-3 codes, numeric codes and country names are normalized automatically',
                 fallback: 'Uses default country code'
             },
             {
@@ -346,7 +374,7 @@ class TimezoneValidator {
             },
             {
                 issue: 'Country code is not supported',
-                solution: 'Add country to COUNTRY_TIMEZONE_MAP or use supported country',
+                solution: 'Use an ISO 3166-1 alpha-2 code, or add the country through STO_COUNTRY_TIMEZONE_OVERRIDES',
                 fallback: 'Uses default country code',
                 supportedCountries: this.timezoneCalculator.getSupportedCountries()
             },
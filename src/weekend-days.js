@@ -0,0 +1,90 @@
+/**
+ * Weekend Days Module
+ *
+ * Weekend definitions per country. Most countries rest on Saturday and Sunday, but
+ * several use Friday-Saturday or Friday only. Day indexes follow Date#getDay
+ * (0 = Sunday, 6 = Saturday). An activity can override the table with its own list
+ * of non-sending weekdays.
+ */
+
+const { WEEKDAYS, getWeekdayIndex } = require('./timewindow/time-of-day');
+
+const DEFAULT_WEEKEND_DAYS = [0, 6];
+
+/**
+ * Countries whose weekend differs from Saturday-Sunday, keyed by ISO 3166-1 alpha-2 code.
+ * The UAE moved from Friday-Saturday to Saturday-Sunday in 2022 and uses the default.
+ */
+const COUNTRY_WEEKEND_DAYS = {
+    AF: [5],        // Afghanistan: Friday
+    BD: [5, 6],     // Bangladesh: Friday-Saturday
+    BH: [5, 6],     // Bahrain
+    DZ: [5, 6],     // Algeria
+    EG: [5, 6],     // Egypt
+    IL: [5, 6],     // Israel
+    IQ: [5, 6],     // Iraq
+    IR: [5],        // Iran: Friday
+    JO: [5, 6],     // Jordan
+    KW: [5, 6],     // Kuwait
+    LY: [5, 6],     // Libya
+    NP: [6],        // Nepal: Saturday
+    OM: [5, 6],     // Oman
+    QA: [5, 6],     // Qatar
+    SA: [5, 6],     // Saudi Arabia
+    SD: [5, 6],     // Sudan
+    SY: [5, 6],     // Syria
+    YE: [5, 6]      // Yemen
+};
+
+/**
+ * Normalizes a list of weekdays given as names ("friday") or day indexes (5)
+ * @param {Array} days - Weekdays
+ * @returns {Array|null} Sorted unique day indexes, or null when the list is invalid
+ */
+function normalizeWeekendDays(days) {
+    if (!Array.isArray(days)) {
+        return null;
+    }
+
+    const indexes = days.map(day => (Number.isInteger(day) && day >= 0 && day <= 6 ? day : getWeekdayIndex(day)));
+    if (indexes.includes(-1)) {
+        return null;
+    }
+
+    return [...new Set(indexes)].sort((a, b) => a - b);
+}
+
+/**
+ * Gets the weekend days for a country
+ * @param {string} countryCode - ISO 3166-1 alpha-2 country code
+ * @param {Array} override - Activity-configured weekdays, used instead of the table when valid
+ * @param {Array} fallback - Weekend days for countries without an entry
+ * @returns {Array} Day indexes (0 = Sunday)
+ */
+function getWeekendDays(countryCode, override = null, fallback = DEFAULT_WEEKEND_DAYS) {
+    const overrideDays = override ? normalizeWeekendDays(override) : null;
+    if (overrideDays) {
+        return overrideDays;
+    }
+
+    const code = typeof countryCode === 'string' ? countryCode.trim().toUpperCase() : null;
+    return COUNTRY_WEEKEND_DAYS[code] || fallback;
+}
+
+/**
+ * Gets the capitalized name of a day index, for messages
+ * @param {number} dayOfWeek - Day index (0 = Sunday)
+ * @returns {string} Day name, e.g. "Friday"
+ */
+function getDayName(dayOfWeek) {
+    const name = WEEKDAYS[dayOfWeek];
+    return name.charAt(0).toUpperCase() + name.slice(1);
+}
+
+module.exports = {
+    DEFAULT_WEEKEND_DAYS,
+    COUNTRY_WEEKEND_DAYS,
+    normalizeWeekendDays,
+    getWeekendDays,
+    getDayName
+};
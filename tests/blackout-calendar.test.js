@@ -0,0 +1,146 @@
+/**
+ * Tests for Blackout Calendar
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BlackoutCalendar = require('../src/blackout-calendar');
+
+describe('BlackoutCalendar', () => {
+    let calendar;
+
+    beforeEach(() => {
+        calendar = new BlackoutCalendar();
+    });
+
+    describe('matching', () => {
+        test('should match single dates and inclusive ranges', async () => {
+            await calendar.create({ name: 'Freeze', type: 'date', date: '2024-03-15' });
+            await calendar.create({ name: 'Shutdown', type: 'range', startDate: '2024-12-23', endDate: '2024-12-27' });
+
+            expect(calendar.isBlackout(new Date('2024-03-15'))).toBe(true);
+            expect(calendar.isBlackout('2024-03-16')).toBe(false);
+            expect(calendar.isBlackout('2024-12-23')).toBe(true);
+            expect(calendar.isBlackout('2024-12-27')).toBe(true);
+            expect(calendar.isBlackout('2024-12-28')).toBe(false);
+        });
+
+        test('should match the last or nth weekday of a month', async () => {
+            await calendar.create({ name: 'Last Friday', type: 'recurring', recurrence: { weekday: 'friday', week: 'last' } });
+            await calendar.create({ name: 'Second Monday of June', type: 'recurring', recurrence: { weekday: 'Monday', week: 2, month: 6 } });
+
+            expect(calendar.isBlackout('2024-05-31')).toBe(true);
+            expect(calendar.isBlackout('2024-05-24')).toBe(false);
+            expect(calendar.isBlackout('2024-02-23')).toBe(true);
+            expect(calendar.isBlackout('2024-06-10')).toBe(true);
+            expect(calendar.isBlackout('2024-07-08')).toBe(false);
+        });
+
+        test('should match every weekday and fixed dates each year', async () => {
+            await calendar.create({ name: 'Wednesdays', type: 'recurring', recurrence: { weekday: 'wednesday' } });
+            await calendar.create({ name: 'Anniversary', type: 'recurring', recurrence: { month: 9, day: 1 } });
+
+            expect(calendar.isBlackout('2024-01-03')).toBe(true);
+            expect(calendar.isBlackout('2025-09-01')).toBe(true);
+            expect(calendar.isBlackout('2025-09-02')).toBe(false);
+        });
+
+        test('should apply country and journey scopes', async () => {
+            await calendar.create({ name: 'German freeze', type: 'date', date: '2024-03-15', countries: ['de'] });
+            await calendar.create({ name: 'Launch', type: 'date', date: '2024-03-18', journeyId: 'journey-1' });
+
+            expect(calendar.isBlackout('2024-03-15', { countryCode: 'DE' })).toBe(true);
+            expect(calendar.isBlackout('2024-03-15', { countryCode: 'US' })).toBe(false);
+            expect(calendar.isBlackout('2024-03-18', { journeyId: 'journey-1' })).toBe(true);
+            expect(calendar.isBlackout('2024-03-18', { journeyId: 'journey-2' })).toBe(false);
+            expect(calendar.isBlackout('2024-03-18')).toBe(false);
+        });
+    });
+
+    describe('management', () => {
+        test('should reject invalid entries', async () => {
+            const result = await calendar.create({ type: 'range', startDate: '2024-03-10', endDate: '2024-03-01', countries: ['Germany'] });
+
+            expect(result.success).toBe(false);
+            expect(result.details).toEqual([
+                'name is required',
+                'startDate must not be after endDate',
+                'countries must be an array of ISO 3166-1 alpha-2 codes'
+            ]);
+            expect(calendar.list()).toHaveLength(0);
+        });
+
+        test('should validate recurrences', () => {
+            expect(calendar.validateEntry({ name: 'x', type: 'recurring', recurrence: { weekday: 'fri', week: 6 }, countries: null, journeyId: null }))
+                .toEqual(['recurrence.weekday must be a weekday name', 'recurrence.week must be 1-5 or "last"']);
+            expect(calendar.validateEntry({ name: 'x', type: 'recurring', recurrence: { day: 1 }, countries: null, journeyId: null }))
+                .toEqual(['recurrence needs a weekday, or a month and day']);
+            expect(calendar.validateEntry({ name: 'x', type: 'date', date: '2024-02-30', countries: null, journeyId: null }))
+                .toEqual(['date must be a valid date in YYYY-MM-DD format']);
+        });
+
+        test('should update and remove entries', async () => {
+            const { entry } = await calendar.create({ name: 'Freeze', type: 'date', date: '2024-03-15' });
+
+            const updated = await calendar.update(entry.id, { date: '2024-03-22' });
+            expect(updated.success).toBe(true);
+            expect(updated.entry.createdAt).toBe(entry.createdAt);
+            expect(calendar.isBlackout('2024-03-22')).toBe(true);
+            expect(calendar.isBlackout('2024-03-15')).toBe(false);
+
+            expect((await calendar.update(entry.id, { type: 'range' })).success).toBe(false);
+            expect((await calendar.update('missing', {})).error).toBe('Blackout entry not found');
+
+            expect(await calendar.remove(entry.id)).toBe(true);
+            expect(await calendar.remove(entry.id)).toBe(false);
+            expect(calendar.get(entry.id)).toBeNull();
+        });
+
+        test('should list entries for a journey and country', async () => {
+            await calendar.create({ name: 'Global', type: 'date', date: '2024-03-15' });
+            await calendar.create({ name: 'Journey', type: 'date', date: '2024-03-15', journeyId: 'journey-1' });
+            await calendar.create({ name: 'France', type: 'date', date: '2024-03-15', countries: ['FR'] });
+
+            expect(calendar.list()).toHaveLength(3);
+            expect(calendar.list({ journeyId: 'journey-2', countryCode: 'DE' }).map(e => e.name)).toEqual(['Global']);
+            expect(calendar.list({ journeyId: 'journey-1' }).map(e => e.name)).toEqual(['Global', 'Journey', 'France']);
+        });
+    });
+
+    describe('persistence', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackouts-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should store entries in the file and load them again', async () => {
+            const filePath = path.join(tempDir, 'nested', 'blackouts.json');
+            const store = new BlackoutCalendar({ filePath });
+
+            const { entry } = await store.create({ name: 'Freeze', type: 'date', date: '2024-03-15' });
+            await store.create({ name: 'Shutdown', type: 'range', startDate: '2024-12-23', endDate: '2024-12-27' });
+            await store.remove(entry.id);
+
+            const reloaded = new BlackoutCalendar({ filePath });
+            expect(reloaded.list().map(e => e.name)).toEqual(['Shutdown']);
+            expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+        });
+
+        test('should start empty when the file is missing or unreadable', () => {
+            const filePath = path.join(tempDir, 'blackouts.json');
+            expect(new BlackoutCalendar({ filePath }).list()).toEqual([]);
+
+            fs.writeFileSync(filePath, 'not json');
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            expect(new BlackoutCalendar({ filePath }).list()).toEqual([]);
+            expect(consoleSpy).toHaveBeenCalled();
+            consoleSpy.mockRestore();
+        });
+    });
+});
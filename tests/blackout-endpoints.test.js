@@ -0,0 +1,91 @@
+/**
+ * Blackout Endpoints Integration Tests
+ *
+ * Tests for the blackout calendar management endpoints
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blackout-endpoints-'));
+const blackoutFile = path.join(tempDir, 'blackouts.json');
+process.env.STO_BLACKOUT_FILE = blackoutFile;
+
+const app = require('../server');
+
+describe('Blackout Endpoints', () => {
+    const authorization = () => `Bearer ${jwt.sign({ iss: 'test-issuer' }, process.env.JWT_SECRET)}`;
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should create, read, update and delete an entry', async () => {
+        const created = await request(app)
+            .post('/blackouts')
+            .set('Authorization', authorization())
+            .send({ name: 'Year-end freeze', type: 'range', startDate: '2024-12-23', endDate: '2024-12-31', countries: ['DE'] })
+            .expect(201);
+
+        const { id } = created.body.entry;
+        expect(created.body.success).toBe(true);
+        expect(JSON.parse(fs.readFileSync(blackoutFile, 'utf8')).entries).toHaveLength(1);
+
+        const fetched = await request(app).get(`/blackouts/${id}`).expect(200);
+        expect(fetched.body.entry.name).toBe('Year-end freeze');
+
+        const listed = await request(app).get('/blackouts').query({ countryCode: 'US' }).expect(200);
+        expect(listed.body.count).toBe(0);
+
+        const updated = await request(app)
+            .put(`/blackouts/${id}`)
+            .set('Authorization', authorization())
+            .send({ countries: null })
+            .expect(200);
+        expect(updated.body.entry.countries).toBeNull();
+
+        await request(app)
+            .delete(`/blackouts/${id}`)
+            .set('Authorization', authorization())
+            .expect(200);
+        await request(app).get(`/blackouts/${id}`).expect(404);
+        await request(app)
+            .delete(`/blackouts/${id}`)
+            .set('Authorization', authorization())
+            .expect(404);
+    });
+
+    test('should reject invalid entries', async () => {
+        const response = await request(app)
+            .post('/blackouts')
+            .set('Authorization', authorization())
+            .send({ name: 'Broken', type: 'recurring', recurrence: { weekday: 'funday' } })
+            .expect(400);
+
+        expect(response.body.success).toBe(false);
+        expect(response.body.details).toContain('recurrence.weekday must be a weekday name');
+    });
+
+    test('should require a JWT to change entries', async () => {
+        await request(app)
+            .post('/blackouts')
+            .send({ name: 'Unauthorized', type: 'date', date: '2024-12-24' })
+            .expect(401);
+        await request(app).delete('/blackouts/any').expect(401);
+
+        expect(fs.existsSync(blackoutFile) ? JSON.parse(fs.readFileSync(blackoutFile, 'utf8')).entries : []).toEqual([]);
+    });
+
+    test('should return 404 when updating a missing entry', async () => {
+        const response = await request(app)
+            .put('/blackouts/missing')
+            .set('Authorization', authorization())
+            .send({ name: 'Anything' })
+            .expect(404);
+
+        expect(response.body.error).toBe('Blackout entry not found');
+    });
+});
@@ -0,0 +1,256 @@
+/**
+ * Tests for Holiday Cache Backends
+ */
+
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const HolidayCache = require('../src/holiday-cache');
+const {
+    MemoryCacheBackend,
+    FileCacheBackend,
+    RedisCacheBackend,
+    createCacheBackend
+} = require('../src/holiday');
+
+/**
+ * Minimal RESP server supporting the commands the Redis backend sends
+ */
+function startRedisServer(password = null) {
+    const store = new Map();
+    const commands = [];
+
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let authenticated = !password;
+
+        socket.on('data', chunk => {
+            buffer += chunk.toString('utf8');
+            let match;
+            while ((match = buffer.match(/^\*(\d+)\r\n/))) {
+                const args = [];
+                let rest = buffer.slice(match[0].length);
+                for (let i = 0; i < parseInt(match[1], 10); i++) {
+                    const header = rest.match(/^\$(\d+)\r\n/);
+                    const length = header ? parseInt(header[1], 10) : -1;
+                    if (!header || rest.length < header[0].length + length + 2) {
+                        return;
+                    }
+                    args.push(rest.substr(header[0].length, length));
+                    rest = rest.slice(header[0].length + length + 2);
+                }
+                buffer = rest;
+                commands.push(args);
+
+                const [command, key, value] = args;
+                if (command === 'AUTH') {
+                    authenticated = key === password;
+                    socket.write(authenticated ? '+OK\r\n' : '-WRONGPASS invalid password\r\n');
+                } else if (!authenticated) {
+                    socket.write('-NOAUTH Authentication required.\r\n');
+                } else if (command === 'PING') {
+                    socket.write('+PONG\r\n');
+                } else if (command === 'SET') {
+                    store.set(key, value);
+                    socket.write('+OK\r\n');
+                } else if (command === 'GET') {
+                    const stored = store.get(key);
+                    socket.write(stored === undefined
+                        ? '$-1\r\n'
+                        : `$${Buffer.byteLength(stored)}\r\n${stored}\r\n`);
+                } else if (command === 'DEL') {
+                    socket.write(`:${store.delete(key) ? 1 : 0}\r\n`);
+                } else {
+                    socket.write(`-ERR unknown command '${command}'\r\n`);
+                }
+            }
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve({ server, store, commands, port: server.address().port }));
+    });
+}
+
+describe('Holiday Cache Backends', () => {
+    const holidays = [{ date: '2026-12-25', name: 'Christmas Day', countryCode: 'US', year: 2026, type: 'public' }];
+
+    describe('MemoryCacheBackend', () => {
+        test('should store copies and expire values', async () => {
+            const backend = new MemoryCacheBackend();
+            const value = { entry: { data: holidays } };
+
+            await backend.set('a', value, 60);
+            value.entry.data = [];
+            await backend.set('b', { entry: {} }, 0.001);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect((await backend.get('a')).entry.data).toEqual(holidays);
+            expect(await backend.get('b')).toBeNull();
+            expect(await backend.delete('a')).toBe(true);
+            expect(await backend.get('a')).toBeNull();
+        });
+    });
+
+    describe('FileCacheBackend', () => {
+        let dir;
+
+        beforeEach(() => {
+            dir = fs.mkdtempSync(path.join(os.tmpdir(), 'holiday-cache-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(dir, { recursive: true, force: true });
+        });
+
+        test('should keep values across instances', async () => {
+            const filePath = path.join(dir, 'nested', 'cache.json');
+            const first = new FileCacheBackend({ filePath });
+
+            await first.set('holidays:US:2026', { entry: { data: holidays } }, 3600);
+            await first.set('holidays:CA:2026', { entry: { data: [] } }, 3600);
+            expect(await first.delete('holidays:CA:2026')).toBe(true);
+            await first.close();
+
+            const second = new FileCacheBackend({ filePath });
+            expect((await second.get('holidays:US:2026')).entry.data).toEqual(holidays);
+            expect(await second.get('holidays:CA:2026')).toBeNull();
+            expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+        });
+
+        test('should treat a missing or corrupt snapshot as empty', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            const filePath = path.join(dir, 'cache.json');
+            fs.writeFileSync(filePath, '{not json');
+
+            expect(await new FileCacheBackend({ filePath }).get('x')).toBeNull();
+            expect(await new FileCacheBackend({ filePath: path.join(dir, 'missing.json') }).get('x')).toBeNull();
+            expect(consoleSpy).toHaveBeenCalledTimes(1);
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('RedisCacheBackend', () => {
+        let redis;
+
+        beforeEach(async () => {
+            redis = await startRedisServer('secret');
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => redis.server.close(resolve));
+        });
+
+        test('should authenticate and store JSON values with an expiry', async () => {
+            const backend = new RedisCacheBackend({ url: `redis://:secret@127.0.0.1:${redis.port}` });
+
+            try {
+                expect(await backend.set('holidays:US:2026', { entry: { data: holidays } }, 3600)).toBe(true);
+                expect((await backend.get('holidays:US:2026')).entry.data).toEqual(holidays);
+                expect(await backend.get('missing')).toBeNull();
+                expect(await backend.delete('holidays:US:2026')).toBe(true);
+                expect(await backend.isAvailable()).toBe(true);
+            } finally {
+                await backend.close();
+            }
+
+            expect(redis.commands[0]).toEqual(['AUTH', 'secret']);
+            expect(redis.commands[1]).toEqual(['SET', 'sto:holidays:US:2026', expect.any(String), 'EX', '3600']);
+        });
+
+        test('should surface server errors', async () => {
+            const backend = new RedisCacheBackend({ port: redis.port });
+
+            try {
+                await expect(backend.get('x')).rejects.toThrow('NOAUTH');
+            } finally {
+                await backend.close();
+            }
+        });
+
+        test('should fail when the server cannot be reached', async () => {
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+            const backend = new RedisCacheBackend({ port: 1, timeout: 500 });
+
+            expect(await backend.isAvailable()).toBe(false);
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('createCacheBackend', () => {
+        test('should create backends from configuration and accept instances', () => {
+            const backend = new MemoryCacheBackend();
+
+            expect(createCacheBackend({ type: 'memory' })).toBeInstanceOf(MemoryCacheBackend);
+            expect(createCacheBackend(backend)).toBe(backend);
+            expect(() => createCacheBackend({ type: 'memcached' })).toThrow('Unknown cache backend type: memcached');
+            expect(() => createCacheBackend({ type: 'file' })).toThrow('requires a filePath');
+        });
+    });
+
+    describe('HolidayCache with a backend', () => {
+        test('should write through and serve local misses from the backend', async () => {
+            const backend = new MemoryCacheBackend();
+            const writer = new HolidayCache({ backend });
+            const reader = new HolidayCache({ backend });
+
+            expect(await writer.store('US', 2026, holidays)).toBe(true);
+
+            expect(reader.get('US', 2026)).toBeNull();
+            expect((await reader.load('US', 2026)).data).toEqual(holidays);
+            expect((await reader.load('US', 2026)).data).toEqual(holidays);
+            expect(await reader.load('CA', 2026)).toBeNull();
+
+            const stats = reader.getStats();
+            expect(stats.localHits).toBe(1);
+            expect(stats.backendHits).toBe(1);
+            expect(stats.backend).toEqual(expect.objectContaining({ name: 'memory', hits: 1, misses: 1, writes: 0 }));
+            expect(writer.getStats().backend.writes).toBe(1);
+        });
+
+        test('should warm up from the backend before fetching', async () => {
+            const backend = new MemoryCacheBackend();
+            await new HolidayCache({ backend }).store('US', 2026, holidays);
+            const fetcher = jest.fn().mockResolvedValue(holidays);
+            const cache = new HolidayCache({ backend });
+            cache._sleep = jest.fn().mockResolvedValue();
+
+            const results = await cache.warmup(fetcher, ['US', 'CA'], [2026]);
+
+            expect(results.loaded).toBe(1);
+            expect(results.success).toBe(1);
+            expect(fetcher).toHaveBeenCalledTimes(1);
+            expect(fetcher).toHaveBeenCalledWith('CA', 2026);
+            expect(await backend.get('holidays:CA:2026')).not.toBeNull();
+        });
+
+        test('should write refreshed entries through', async () => {
+            const backend = new MemoryCacheBackend();
+            const cache = new HolidayCache({ backend });
+            cache._sleep = jest.fn().mockResolvedValue();
+            cache.set('US', 2026, [], 1);
+
+            await cache.refresh(jest.fn().mockResolvedValue(holidays), 60);
+
+            expect((await backend.get('holidays:US:2026')).entry.data).toEqual(holidays);
+        });
+
+        test('should keep working when the backend fails', async () => {
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+            const backend = {
+                name: 'broken',
+                get: jest.fn().mockRejectedValue(new Error('down')),
+                set: jest.fn().mockRejectedValue(new Error('down')),
+                delete: jest.fn().mockRejectedValue(new Error('down'))
+            };
+            const cache = new HolidayCache({ backend });
+
+            expect(await cache.store('US', 2026, holidays)).toBe(true);
+            expect((await cache.load('US', 2026)).data).toEqual(holidays);
+            expect(await cache.load('CA', 2026)).toBeNull();
+            expect(cache.getStats().backend.errors).toBe(2);
+            consoleSpy.mockRestore();
+        });
+    });
+});
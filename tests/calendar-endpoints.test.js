@@ -0,0 +1,157 @@
+/**
+ * Calendar Endpoints Integration Tests
+ *
+ * Tests for the read-only holiday calendar inspection endpoints
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'calendar-endpoints-'));
+process.env.STO_BLACKOUT_FILE = path.join(tempDir, 'blackouts.json');
+process.env.STO_HOLIDAY_PROVIDERS = 'static';
+process.env.STO_HOLIDAY_API_ENABLED = 'true';
+fs.writeFileSync(process.env.STO_BLACKOUT_FILE, JSON.stringify({
+    entries: [
+        { id: 'b1', name: 'Year-end freeze', type: 'range', startDate: '2026-12-28', endDate: '2026-12-30', countries: ['DE'] },
+        { id: 'b2', name: 'Launch', type: 'date', date: '2026-12-23', journeyId: 'journey-1' }
+    ]
+}));
+
+const app = require('../server');
+
+describe('Calendar Endpoints', () => {
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should return the merged holiday and blackout calendar', async () => {
+        const response = await request(app)
+            .get('/calendar/de')
+            .query({ from: '2026-12-20', to: '2026-12-31', subdivision: 'BY', journeyId: 'journey-1' })
+            .expect(200);
+
+        expect(response.body).toEqual(expect.objectContaining({
+            success: true,
+            countryCode: 'DE',
+            subdivision: 'BY',
+            from: '2026-12-20',
+            to: '2026-12-31'
+        }));
+        expect(response.body.entries.map(entry => [entry.date, entry.type, entry.name])).toEqual([
+            ['2026-12-23', 'blackout', 'Launch'],
+            ['2026-12-24', 'holiday', 'Christmas Eve'],
+            ['2026-12-25', 'holiday', 'Christmas Day'],
+            ['2026-12-26', 'holiday', 'St. Stephen\'s Day'],
+            ['2026-12-28', 'blackout', 'Year-end freeze'],
+            ['2026-12-29', 'blackout', 'Year-end freeze'],
+            ['2026-12-30', 'blackout', 'Year-end freeze'],
+            ['2026-12-31', 'holiday', 'New Year\'s Eve']
+        ]);
+        expect(response.body.entries[1].cutoffHour).toBe(14);
+    });
+
+    test('should export the calendar as iCalendar', async () => {
+        const response = await request(app)
+            .get('/calendar/DE')
+            .query({ from: '2026-12-24', to: '2026-12-28', format: 'ics' })
+            .expect(200);
+
+        expect(response.headers['content-type']).toContain('text/calendar');
+        expect(response.headers['content-disposition']).toContain('calendar-DE-2026-12-24-2026-12-28.ics');
+        expect(response.text).toContain('BEGIN:VCALENDAR');
+        expect(response.text).toContain('SUMMARY:Christmas Day');
+        expect(response.text).toContain('SUMMARY:Year-end freeze');
+
+        const schoolOnly = await request(app)
+            .get('/calendar/DE')
+            .query({ from: '2026-12-24', to: '2026-12-28', holidayTypes: 'school', format: 'ics' })
+            .expect(200);
+        expect(schoolOnly.text).not.toContain('CATEGORIES:HOLIDAY');
+        expect(schoolOnly.text).toContain('CATEGORIES:BLACKOUT');
+    });
+
+    test('should explain the next business day', async () => {
+        const response = await request(app)
+            .get('/calendar/DE/next-business-day')
+            .query({ date: '2026-12-24' })
+            .expect(200);
+
+        expect(response.body).toEqual(expect.objectContaining({
+            success: true,
+            date: '2026-12-24',
+            businessDay: '2027-01-04',
+            daysAhead: 11,
+            found: true
+        }));
+        expect(response.body.skippedDays.map(day => [day.date, day.reasons.map(reason => reason.type)])).toEqual([
+            ['2026-12-24', ['holiday']],
+            ['2026-12-25', ['holiday']],
+            ['2026-12-26', ['weekend', 'holiday']],
+            ['2026-12-27', ['weekend']],
+            ['2026-12-28', ['blackout']],
+            ['2026-12-29', ['blackout']],
+            ['2026-12-30', ['blackout']],
+            ['2026-12-31', ['holiday']],
+            ['2027-01-01', ['holiday']],
+            ['2027-01-02', ['weekend']],
+            ['2027-01-03', ['weekend']]
+        ]);
+    });
+
+    test('should return the refresh schedule and last report', async () => {
+        const response = await request(app)
+            .get('/holidays/refresh')
+            .expect(200);
+
+        expect(response.body).toEqual(expect.objectContaining({
+            enabled: true,
+            schedule: '0 3 * * *',
+            nextRunAt: expect.any(String),
+            lastReport: null
+        }));
+    });
+
+    test('should list only blackout dates while holiday checking is off', async () => {
+        let disabledApp;
+        process.env.STO_HOLIDAY_API_ENABLED = 'false';
+        jest.isolateModules(() => {
+            disabledApp = require('../server');
+        });
+        process.env.STO_HOLIDAY_API_ENABLED = 'true';
+
+        const response = await request(disabledApp)
+            .get('/calendar/DE')
+            .query({ from: '2026-12-20', to: '2026-12-31', journeyId: 'journey-1' })
+            .expect(200);
+        expect(response.body.entries.map(entry => entry.type)).toEqual(['blackout', 'blackout', 'blackout', 'blackout']);
+
+        const refresh = await request(disabledApp).get('/holidays/refresh').expect(200);
+        expect(refresh.body.enabled).toBe(false);
+    });
+
+    test('should reject invalid requests', async () => {
+        const response = await request(app)
+            .get('/calendar/USA')
+            .query({ from: '2026-02-30', holidayTypes: 'religious', format: 'pdf' })
+            .expect(400);
+
+        expect(response.body.details).toEqual([
+            'countryCode must be an ISO 3166-1 alpha-2 code',
+            'from must be a date in YYYY-MM-DD format',
+            'holidayTypes must be a comma-separated list of: public, bank, school, optional, observance',
+            'format must be json or ics'
+        ]);
+
+        await request(app)
+            .get('/calendar/US')
+            .query({ from: '2026-01-01', to: '2030-01-01' })
+            .expect(400);
+        await request(app)
+            .get('/calendar/US/next-business-day')
+            .query({ weekendDays: 'caturday' })
+            .expect(400);
+    });
+});
@@ -210,6 +210,8 @@ describe('Core Functions Unit Tests', () => {
                 warmup: jest.fn(),
                 getStats: jest.fn().mockReturnValue({ hits: 0, misses: 0, hitRate: 0 })
             };
+            // Without a backend, load is a local get
+            mockHolidayCache.load = jest.fn(async (countryCode, year) => mockHolidayCache.get(countryCode, year));
             
             mockHolidayAPI = {
                 getHolidays: jest.fn(),
@@ -217,7 +219,8 @@ describe('Core Functions Unit Tests', () => {
                 getSupportedCountries: jest.fn()
             };
             
-            holidayChecker = new HolidayChecker();
+            // Provider data only; locally computed holidays are tested with HolidayChecker
+            holidayChecker = new HolidayChecker({ localRules: false });
             holidayChecker.holidayCache = mockHolidayCache;
             holidayChecker.holidayAPI = mockHolidayAPI;
         });
@@ -455,7 +458,7 @@ describe('Core Functions Unit Tests', () => {
 
             test('should detect invalid time window configurations', () => {
                 const invalidTimeWindows = [
-                    { startHour: 10, endHour: 9, enabled: true },   // Invalid: start > end
+                    { startHour: 10, endHour: 10, enabled: true },  // Invalid: empty window
                     { startHour: -1, endHour: 10, enabled: true },  // Invalid: negative hour
                     { startHour: 9, endHour: 25, enabled: true },   // Invalid: hour > 23
                     { startHour: 9, enabled: true }                 // Invalid: missing endHour
@@ -465,7 +468,7 @@ describe('Core Functions Unit Tests', () => {
                 
                 expect(result.isValid).toBe(false);
                 expect(result.errors.length).toBeGreaterThan(0);
-                expect(result.errors).toContain('Time window at index 0: startHour must be less than endHour');
+                expect(result.errors).toContain('Time window at index 0: startHour and endHour must differ');
                 expect(result.errors).toContain('Time window at index 1: startHour must be between 0 and 23');
                 expect(result.errors).toContain('Time window at index 2: endHour must be between 0 and 23');
                 expect(result.errors).toContain('Time window at index 3: endHour must be a number');
@@ -0,0 +1,100 @@
+/**
+ * Test suite for CountryCodeNormalizer
+ */
+
+const { CountryCodeNormalizer, foldName } = require('../src/country-code-normalizer');
+const dataset = require('../src/data/iso-3166-1.json');
+
+describe('CountryCodeNormalizer', () => {
+    let normalizer;
+
+    beforeEach(() => {
+        normalizer = new CountryCodeNormalizer();
+    });
+
+    describe('Dataset', () => {
+        test('should cover every ISO 3166-1 country with unique codes', () => {
+            const entries = Object.values(dataset.countries);
+            expect(entries).toHaveLength(249);
+            expect(new Set(entries.map(entry => entry.alpha3)).size).toBe(249);
+            expect(new Set(entries.map(entry => entry.numeric)).size).toBe(249);
+        });
+
+        test('should expose the codes for an alpha-2 country', () => {
+            expect(normalizer.getCodes('de')).toEqual({ alpha2: 'DE', alpha3: 'DEU', numeric: '276' });
+            expect(normalizer.getCodes('XX')).toBeNull();
+        });
+    });
+
+    describe('Code Normalization', () => {
+        test('should map alpha-3 codes', () => {
+            expect(normalizer.normalize('USA')).toEqual({ original: 'USA', normalized: 'US', method: 'alpha3' });
+            expect(normalizer.normalize(' gbr ').normalized).toBe('GB');
+            expect(normalizer.normalize('BRA').normalized).toBe('BR');
+        });
+
+        test('should map numeric codes given as strings or numbers', () => {
+            expect(normalizer.normalize('840').normalized).toBe('US');
+            expect(normalizer.normalize('076').normalized).toBe('BR');
+            expect(normalizer.normalize(76).normalized).toBe('BR');
+            expect(normalizer.normalize(392).method).toBe('numeric');
+        });
+
+        test('should leave alpha-2 codes and unknown values untouched', () => {
+            ['US', 'jp', 'XX', 'XYZ', '12', '999', '', null, undefined, {}, 1.5].forEach(value => {
+                expect(normalizer.normalize(value)).toBeNull();
+            });
+        });
+    });
+
+    describe('Name Normalization', () => {
+        test('should map English names', () => {
+            const testCases = {
+                'United Kingdom': 'GB',
+                'united states': 'US',
+                'South Africa': 'ZA',
+                'Bosnia & Herzegovina': 'BA',
+                'St. Lucia': 'LC'
+            };
+
+            Object.entries(testCases).forEach(([name, expected]) => {
+                expect(normalizer.normalize(name).normalized).toBe(expected);
+            });
+        });
+
+        test('should map local names with or without accents', () => {
+            const testCases = {
+                'Deutschland': 'DE',
+                'México': 'MX',
+                'Mexico': 'MX',
+                'España': 'ES',
+                'Россия': 'RU',
+                '日本': 'JP'
+            };
+
+            Object.entries(testCases).forEach(([name, expected]) => {
+                expect(normalizer.normalize(name).normalized).toBe(expected);
+            });
+        });
+
+        test('should map well-known aliases', () => {
+            expect(normalizer.normalize('UK')).toEqual({ original: 'UK', normalized: 'GB', method: 'alias' });
+            expect(normalizer.normalize('EL').normalized).toBe('GR');
+            expect(normalizer.normalize('Holland').normalized).toBe('NL');
+            expect(normalizer.normalize('U.S.A.').normalized).toBe('US');
+            expect(normalizer.normalize('Ivory Coast').normalized).toBe('CI');
+        });
+
+        test('should accept additional aliases', () => {
+            const custom = new CountryCodeNormalizer({ aliases: { 'Blighty': 'gb' } });
+            expect(custom.normalize('blighty').normalized).toBe('GB');
+        });
+    });
+
+    describe('foldName', () => {
+        test('should fold case, accents and punctuation', () => {
+            expect(foldName('Côte d’Ivoire')).toBe('cote divoire');
+            expect(foldName('Trinidad & Tobago')).toBe('trinidad and tobago');
+        });
+    });
+});
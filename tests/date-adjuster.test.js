@@ -3,6 +3,8 @@
  */
 
 const DateAdjuster = require('../src/timewindow/date-adjuster');
+const BlackoutCalendar = require('../src/blackout-calendar');
+const HolidayChecker = require('../src/holiday-checker');
 
 describe('DateAdjuster', () => {
     let adjuster;
@@ -129,6 +131,21 @@ describe('DateAdjuster', () => {
             expect(result.exclusionReasons).toContain('Weekend (Saturday)');
         });
 
+        test('should use the weekend of the country and the weekendDays override', async () => {
+            const friday = new Date('2024-01-12T10:00:00Z');
+
+            const egypt = await adjuster.isDateAvailable(friday, { skipWeekends: true, countryCode: 'EG' });
+            const overridden = await adjuster.isDateAvailable(friday, {
+                skipWeekends: true,
+                countryCode: 'EG',
+                weekendDays: ['saturday', 'sunday']
+            });
+
+            expect(egypt.isAvailable).toBe(false);
+            expect(egypt.exclusionReasons).toContain('Weekend (Friday)');
+            expect(overridden.isAvailable).toBe(true);
+        });
+
         test('should exclude holidays when skipHolidays is true', async () => {
             const testDate = new Date('2024-01-15T10:00:00Z');
             mockHolidayChecker.isPublicHoliday.mockResolvedValue(true);
@@ -142,6 +159,20 @@ describe('DateAdjuster', () => {
             expect(result.exclusionReasons).toContain('Public holiday');
         });
 
+        test('should exclude blackout dates in the country scope', async () => {
+            const blackoutCalendar = new BlackoutCalendar({
+                entries: [{ id: 'b1', name: 'Summer shutdown', type: 'range', startDate: '2024-07-15', endDate: '2024-07-26', countries: ['DE'] }]
+            });
+            const testDate = new Date('2024-07-17T10:00:00Z');
+
+            const germany = await adjuster.isDateAvailable(testDate, { blackoutCalendar, countryCode: 'DE' });
+            const france = await adjuster.isDateAvailable(testDate, { blackoutCalendar, countryCode: 'FR' });
+
+            expect(germany.isAvailable).toBe(false);
+            expect(germany.exclusionReasons).toContain('Blackout (Summer shutdown)');
+            expect(france.isAvailable).toBe(true);
+        });
+
         test('should handle holiday checker errors gracefully', async () => {
             const testDate = new Date('2024-01-15T10:00:00Z');
             mockHolidayChecker.isPublicHoliday.mockRejectedValue(new Error('API Error'));
@@ -181,6 +212,24 @@ describe('DateAdjuster', () => {
             expect(result.excludedDates).toHaveLength(3);
         });
 
+        test('should cross a year boundary with locally computed holidays', async () => {
+            // Provider-free checker: holidays come from the local rules for any year
+            const holidayChecker = new HolidayChecker({ providers: [] });
+            const newYearObserved = new Date('2032-12-31T12:00:00Z'); // Friday, New Year's Day 2033 observed
+
+            const result = await adjuster.handleConsecutiveExclusions(newYearObserved, {
+                skipWeekends: true,
+                skipHolidays: true,
+                holidayChecker,
+                countryCode: 'US'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.consecutiveExcludedDays).toBe(3);
+            expect(result.excludedDates[0].reasons).toContain('Public holiday');
+            expect(result.nextAvailableDate.toISOString().slice(0, 10)).toBe('2033-01-03');
+        });
+
         test('should fail when too many consecutive days are excluded', async () => {
             const testDate = new Date('2024-01-15T10:00:00Z');
             mockHolidayChecker.isPublicHoliday.mockResolvedValue(true); // Always holiday
@@ -219,7 +268,7 @@ describe('DateAdjuster', () => {
             const result = await adjuster.findNextDayOfWeek(monday, 3); // Wednesday
 
             expect(result.success).toBe(true);
-            expect(result.foundDate.getDay()).toBe(3); // Wednesday
+            expect(result.foundDate.getUTCDay()).toBe(3); // Wednesday
             expect(result.daysFromStart).toBe(2);
             expect(result.dayName).toBe('Wednesday');
         });
@@ -304,6 +353,15 @@ describe('DateAdjuster', () => {
             expect(adjuster.isWeekend(new Date('2024-01-15T10:00:00Z'))).toBe(false); // Monday
         });
 
+        test('should read weekdays in UTC regardless of the host timezone', () => {
+            // Friday 23:30 UTC is already Saturday east of UTC and still Friday in the Americas
+            const lateFriday = new Date('2024-01-12T23:30:00Z');
+
+            expect(adjuster.isWeekend(lateFriday)).toBe(false);
+            expect(adjuster.isWeekend(new Date('2024-01-14T23:30:00Z'))).toBe(true);
+            expect(adjuster.getNextBusinessDay(lateFriday).toISOString()).toBe('2024-01-15T23:30:00.000Z');
+        });
+
         test('getDayName should return correct day names', () => {
             expect(adjuster.getDayName(new Date('2024-01-14T10:00:00Z'))).toBe('Sunday');
             expect(adjuster.getDayName(new Date('2024-01-15T10:00:00Z'))).toBe('Monday');
@@ -0,0 +1,119 @@
+/**
+ * Tests for DST Resolver
+ */
+
+const moment = require('moment-timezone');
+const {
+    DST_POLICIES,
+    DEFAULT_DST_POLICY,
+    isValidDstPolicy,
+    resolveLocalDateTime,
+    createDstAdjustment
+} = require('../src/dst-resolver');
+
+describe('DST Resolver', () => {
+    // America/New_York springs forward at 02:00 on 2024-03-10 and falls back at 02:00 on 2024-11-03
+    const springGap = { year: 2024, month: 2, day: 10, hour: 2, minute: 30 };
+    const fallOverlap = { year: 2024, month: 10, day: 3, hour: 1, minute: 30 };
+
+    describe('isValidDstPolicy', () => {
+        test('should accept the supported policies', () => {
+            DST_POLICIES.forEach(policy => expect(isValidDstPolicy(policy)).toBe(true));
+            expect(DEFAULT_DST_POLICY).toBe('shift_forward');
+        });
+
+        test('should reject unknown policies', () => {
+            expect(isValidDstPolicy('nearest')).toBe(false);
+            expect(isValidDstPolicy(undefined)).toBe(false);
+        });
+    });
+
+    describe('resolveLocalDateTime', () => {
+        test('should resolve ordinary local times without a transition', () => {
+            const result = resolveLocalDateTime({ year: 2024, month: 0, day: 15, hour: 9 }, 'America/New_York');
+
+            expect(result.instant.toISOString()).toBe('2024-01-15T14:00:00.000Z');
+            expect(result.dstTransition).toBeNull();
+        });
+
+        test('should shift gap times forward to the end of the gap', () => {
+            const result = resolveLocalDateTime(springGap, 'America/New_York', 'shift_forward');
+
+            expect(result.instant.toISOString()).toBe('2024-03-10T07:00:00.000Z');
+            expect(result.dstTransition).toEqual({
+                type: 'gap',
+                timezone: 'America/New_York',
+                policy: 'shift_forward',
+                requestedLocalTime: '2024-03-10T02:30',
+                resolvedLocalTime: '2024-03-10T03:00',
+                resolvedUtcOffset: '-04:00'
+            });
+        });
+
+        test('should resolve gap times before or after the transition', () => {
+            const earlier = resolveLocalDateTime(springGap, 'America/New_York', 'earlier');
+            const later = resolveLocalDateTime(springGap, 'America/New_York', 'later');
+
+            expect(earlier.dstTransition.resolvedLocalTime).toBe('2024-03-10T01:30');
+            expect(earlier.dstTransition.resolvedUtcOffset).toBe('-05:00');
+            expect(later.dstTransition.resolvedLocalTime).toBe('2024-03-10T03:30');
+            expect(later.dstTransition.resolvedUtcOffset).toBe('-04:00');
+        });
+
+        test('should pick the first or second occurrence of overlap times', () => {
+            const first = resolveLocalDateTime(fallOverlap, 'America/New_York', 'shift_forward');
+            const earlier = resolveLocalDateTime(fallOverlap, 'America/New_York', 'earlier');
+            const later = resolveLocalDateTime(fallOverlap, 'America/New_York', 'later');
+
+            expect(first.instant.toISOString()).toBe('2024-11-03T05:30:00.000Z');
+            expect(earlier.instant.toISOString()).toBe('2024-11-03T05:30:00.000Z');
+            expect(later.instant.toISOString()).toBe('2024-11-03T06:30:00.000Z');
+            expect(later.dstTransition.type).toBe('overlap');
+            expect(later.dstTransition.resolvedUtcOffset).toBe('-05:00');
+        });
+
+        test('should handle transitions that are not a full hour', () => {
+            // Australia/Lord_Howe moves 30 minutes forward at 02:00 on 2024-10-06
+            const result = resolveLocalDateTime(
+                { year: 2024, month: 9, day: 6, hour: 2, minute: 15 },
+                'Australia/Lord_Howe'
+            );
+
+            expect(result.dstTransition.type).toBe('gap');
+            expect(result.dstTransition.resolvedLocalTime).toBe('2024-10-06T02:30');
+        });
+
+        test('should produce instants that read back as the resolved local time', () => {
+            const result = resolveLocalDateTime(springGap, 'America/New_York', 'later');
+
+            expect(moment.tz(result.instant, 'America/New_York').format('YYYY-MM-DDTHH:mm'))
+                .toBe(result.dstTransition.resolvedLocalTime);
+        });
+
+        test('should fall back to the default policy for unknown policies', () => {
+            const result = resolveLocalDateTime(springGap, 'America/New_York', 'nearest');
+
+            expect(result.dstTransition.policy).toBe('shift_forward');
+        });
+
+        test('should throw for unknown timezones', () => {
+            expect(() => resolveLocalDateTime(springGap, 'Not/AZone')).toThrow('Unknown timezone: Not/AZone');
+        });
+    });
+
+    describe('createDstAdjustment', () => {
+        test('should describe the transition and the stage', () => {
+            const { dstTransition } = resolveLocalDateTime(springGap, 'America/New_York');
+            const adjustment = createDstAdjustment(dstTransition, 'time_window');
+
+            expect(adjustment.type).toBe('dst_adjustment');
+            expect(adjustment.stage).toBe('time_window');
+            expect(adjustment.transition).toBe('gap');
+            expect(adjustment.policy).toBe('shift_forward');
+            expect(adjustment.reason).toBe(
+                'Local time 2024-03-10T02:30 does not exist in America/New_York (DST gap), ' +
+                'resolved to 2024-03-10T03:00 using shift_forward'
+            );
+        });
+    });
+});
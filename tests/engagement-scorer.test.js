@@ -0,0 +1,125 @@
+/**
+ * Tests for the Engagement Scorer
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EngagementScorer, parsePreferredTime, parseCsv } = require('../src/engagement-scorer');
+
+describe('EngagementScorer', () => {
+    let scorer;
+
+    beforeEach(() => {
+        scorer = new EngagementScorer({ minEvents: 3, minCohortEvents: 4 });
+    });
+
+    test('should learn the preferred time of day in the contact timezone', () => {
+        ['2026-10-05T14:20:00Z', '2026-10-06T14:35:00Z', '2026-10-07T20:00:00Z'].forEach(timestamp => {
+            scorer.addEvent({ subscriberKey: 'sub-1', eventType: 'open', timestamp });
+        });
+        scorer.addEvent({ subscriberKey: 'sub-1', eventType: 'click', timestamp: '2026-10-08T14:40:00Z' });
+
+        expect(scorer.getPreferredTime('sub-1', 'America/New_York')).toEqual({
+            hour: 10,
+            minute: 30,
+            source: 'contact',
+            events: 4
+        });
+        expect(scorer.getPreferredTime('sub-1', 'Europe/Berlin')).toEqual(expect.objectContaining({ hour: 16, minute: 30 }));
+    });
+
+    test('should fall back to the cohort when the contact history is sparse', () => {
+        ['a', 'b', 'c', 'd'].forEach(subscriberKey => {
+            scorer.addEvent({ subscriberKey, eventType: 'click', timestamp: '2026-10-05T08:05:00Z', cohort: 'gb' });
+        });
+
+        expect(scorer.getPreferredTime('a', 'Europe/London')).toEqual({
+            hour: 9,
+            minute: 0,
+            source: 'cohort',
+            cohort: 'GB',
+            events: 4
+        });
+        expect(scorer.getPreferredTime('unknown', 'Europe/London', 'GB').source).toBe('cohort');
+        expect(scorer.getPreferredTime('unknown', 'Europe/London', 'FR')).toBeNull();
+    });
+
+    test('should normalize cohorts to country codes', () => {
+        ['de', 'DE', ' De ', 'DEU'].forEach((cohort, index) => {
+            scorer.addEvent({ subscriberKey: `sub-${index}`, eventType: 'open', timestamp: '2026-10-05T07:00:00Z', cohort });
+        });
+
+        expect(scorer.getStats().cohorts).toBe(1);
+        expect(scorer.getPreferredTime('unknown', 'Europe/Berlin', 'de')).toEqual(expect.objectContaining({
+            source: 'cohort',
+            cohort: 'DE',
+            events: 4
+        }));
+        expect(scorer.getPreferredTime('unknown', 'Europe/Berlin', 'Germany').cohort).toBe('DE');
+    });
+
+    test('should compute each peak once per timezone until the history changes', () => {
+        ['2026-10-05T14:20:00Z', '2026-10-06T14:35:00Z', '2026-10-07T14:30:00Z'].forEach(timestamp => {
+            scorer.addEvent({ subscriberKey: 'sub-1', eventType: 'open', timestamp });
+        });
+        const findPeak = jest.spyOn(scorer, '_findPeak');
+
+        scorer.getPreferredTime('sub-1', 'America/New_York');
+        scorer.getPreferredTime('sub-1', 'America/New_York');
+        scorer.getPreferredTime('sub-1', 'Europe/Berlin');
+        expect(findPeak).toHaveBeenCalledTimes(2);
+
+        ['2026-10-08T20:00:00Z', '2026-10-09T20:05:00Z', '2026-10-10T20:10:00Z', '2026-10-11T20:00:00Z'].forEach(timestamp => {
+            scorer.addEvent({ subscriberKey: 'sub-1', eventType: 'click', timestamp });
+        });
+        expect(scorer.getPreferredTime('sub-1', 'America/New_York')).toEqual(expect.objectContaining({ hour: 16, minute: 0 }));
+        expect(findPeak).toHaveBeenCalledTimes(3);
+    });
+
+    test('should import tracking extracts from CSV and JSON files', () => {
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'engagement-'));
+        const csvFile = path.join(tempDir, 'tracking.csv');
+        const jsonFile = path.join(tempDir, 'tracking.json');
+        fs.writeFileSync(csvFile, [
+            'SubscriberKey,EventType,EventDate,Country',
+            'sub-1,Open,10/5/2026 8:30:00 AM,US',
+            '"sub-2","Click","2026-10-05 09:00:00","US"',
+            'sub-3,Bounce,10/5/2026 8:30:00 AM,US',
+            ''
+        ].join('\r\n'));
+        fs.writeFileSync(jsonFile, JSON.stringify({
+            events: [{ subscriberKey: 'sub-4', eventType: 'clicks', timestamp: '2026-10-05T14:30:00+02:00' }]
+        }));
+
+        try {
+            expect(scorer.importFile(csvFile)).toEqual({ imported: 2, skipped: 1 });
+            expect(scorer.importFile(jsonFile)).toEqual({ imported: 1, skipped: 0 });
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        // Timestamps without an offset are SFMC time (UTC-6)
+        expect(scorer.getDistribution('sub-1', 'UTC')[58]).toBe(1);
+        expect(scorer.getDistribution('sub-4', 'UTC')[50]).toBe(2);
+        expect(scorer.getStats()).toEqual(expect.objectContaining({ subscribers: 3, cohorts: 1, events: 3 }));
+    });
+});
+
+describe('parsePreferredTime', () => {
+    test('should accept hours, HH:mm times and separate minutes', () => {
+        expect(parsePreferredTime(14)).toEqual({ hour: 14, minute: 0 });
+        expect(parsePreferredTime('9', '45')).toEqual({ hour: 9, minute: 45 });
+        expect(parsePreferredTime('07:30')).toEqual({ hour: 7, minute: 30 });
+        expect(parsePreferredTime('')).toBeNull();
+        expect(parsePreferredTime('24')).toBeNull();
+        expect(parsePreferredTime(10, 75)).toBeNull();
+    });
+});
+
+describe('parseCsv', () => {
+    test('should handle quoted fields and tab-separated extracts', () => {
+        expect(parseCsv('Name,Note\n"Smith, J","said ""hi"""\n')).toEqual([{ Name: 'Smith, J', Note: 'said "hi"' }]);
+        expect(parseCsv('SubscriberKey\tEventType\nsub-1\tOpen')).toEqual([{ SubscriberKey: 'sub-1', EventType: 'Open' }]);
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Execute Endpoints Integration Tests
+ *
+ * Tests that /execute and /execute/batch run contacts through the send time calculator
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'execute-endpoints-'));
+process.env.STO_BLACKOUT_FILE = path.join(tempDir, 'blackouts.json');
+process.env.STO_ENGAGEMENT_HISTORY_FILE = path.join(tempDir, 'engagement.json');
+
+// Five opens at 16:30 in New York, the timezone of the US geosegment
+fs.writeFileSync(process.env.STO_ENGAGEMENT_HISTORY_FILE, JSON.stringify(
+    ['05', '06', '07', '08', '09'].map(day => ({
+        SubscriberKey: 'engaged',
+        EventType: 'Open',
+        EventDate: `2026-10-${day}T20:30:00Z`
+    }))
+));
+
+const app = require('../server');
+
+describe('Execute Endpoints', () => {
+    const authorization = () => `Bearer ${jwt.sign({ iss: 'test-issuer' }, process.env.JWT_SECRET)}`;
+
+    const execute = (contact, config = {}) => request(app)
+        .post('/execute')
+        .set('Authorization', authorization())
+        .send({
+            inArguments: [{
+                subscriberKey: 'execute-subscriber',
+                geosegment: 'US',
+                skipWeekends: false,
+                skipHolidays: false,
+                timeWindows: [{ startHour: 9, endHour: 10, enabled: true }],
+                ...contact,
+                ...config
+            }],
+            activityObjectID: 'execute-activity',
+            journeyId: 'execute-journey'
+        });
+
+    beforeEach(() => {
+        // Monday 8:00 in New York
+        jest.useFakeTimers({ now: new Date('2026-10-19T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    afterAll(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    test('should report the fallback behavior that took over', async () => {
+        const response = await execute({ geosegment: 'XX' }, { fallbackBehavior: 'immediate' }).expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.processingStatus).toBe('fallback_immediate');
+        expect(response.body.adjustmentReason).toBe('timezone_failure');
+        expect(response.body.fallback).toEqual(expect.objectContaining({ trigger: 'timezone_failure', behavior: 'immediate' }));
+    });
+
+    test('should report a missed send deadline', async () => {
+        const response = await execute({ sendDeadline: '2026-10-19T13:00:00Z' }).expect(200);
+
+        expect(response.body.success).toBe(true);
+        expect(response.body.processingStatus).toBe('deadline_missed');
+        expect(response.body.convertedTime).not.toBeNull();
+    });
+
+    test('should move sends past a full slot into the next one', async () => {
+        const response = await request(app)
+            .post('/execute/batch')
+            .set('Authorization', authorization())
+            .send({
+                contacts: [
+                    { subscriberKey: 'capacity-1', geosegment: 'US' },
+                    { subscriberKey: 'capacity-2', geosegment: 'US' }
+                ],
+                activityConfig: {
+                    skipWeekends: false,
+                    skipHolidays: false,
+                    timeWindows: [{ startHour: 9, endHour: 11, enabled: true }],
+                    slotGranularity: 60,
+                    maxSendsPerSlot: 1
+                },
+                context: { journeyId: 'capacity-journey' }
+            })
+            .expect(200);
+
+        const [first, second] = response.body.results;
+        expect(response.body.successful).toBe(2);
+        expect(new Date(second.convertedTime) - new Date(first.convertedTime)).toBe(60 * 60 * 1000);
+        expect(first.adjustments.map(adjustment => adjustment.type)).not.toContain('capacity_allocation');
+        expect(second.adjustments).toContainEqual(expect.objectContaining({ type: 'capacity_allocation', slotsFull: 1, capacity: 1 }));
+    });
+
+    test('should send at the hour learned from engagement history', async () => {
+        const windows = { timeWindows: [{ startHour: 9, endHour: 17, enabled: true }] };
+        const engaged = await execute({ subscriberKey: 'engaged' }, windows).expect(200);
+        const unknown = await execute({ subscriberKey: 'unknown' }, windows).expect(200);
+
+        expect(engaged.body.processingStatus).toBe('completed');
+        expect(new Date(engaged.body.convertedTime) - new Date(unknown.body.convertedTime)).toBe(7.5 * 60 * 60 * 1000);
+    });
+
+    test('should send at a bound preferred hour and minute', async () => {
+        const config = { timeWindows: [{ startHour: 9, endHour: 17, enabled: true }], slotGranularity: 30 };
+        const preferred = await execute({ subscriberKey: 'preferred', preferredHour: '14', preferredMinute: '30' }, config).expect(200);
+        const unknown = await execute({ subscriberKey: 'unknown' }, config).expect(200);
+
+        expect(new Date(preferred.body.convertedTime) - new Date(unknown.body.convertedTime)).toBe(5.5 * 60 * 60 * 1000);
+    });
+});
@@ -97,11 +97,31 @@ describe('HolidayAPI', () => {
                 countryCode: 'US',
                 year: 2024,
                 type: 'public',
+                types: ['public'],
                 global: true,
+                counties: null,
                 launchYear: null
             });
         });
 
+        it('should keep subdivision codes for regional holidays', async () => {
+            const year = new Date().getFullYear();
+            mockAxiosInstance.get.mockResolvedValue({
+                data: [{
+                    date: `${year}-01-06`,
+                    name: 'Epiphany',
+                    global: false,
+                    counties: ['DE-BW', 'de-by', 'DE-ST'],
+                    types: ['Public']
+                }]
+            });
+
+            const result = await holidayAPI.getHolidays('DE', year);
+
+            expect(result[0].global).toBe(false);
+            expect(result[0].counties).toEqual(['DE-BW', 'DE-BY', 'DE-ST']);
+        });
+
         it('should validate required parameters', async () => {
             await expect(holidayAPI.getHolidays()).rejects.toThrow('Country code and year are required');
             await expect(holidayAPI.getHolidays('US')).rejects.toThrow('Country code and year are required');
@@ -114,11 +134,11 @@ describe('HolidayAPI', () => {
             await expect(holidayAPI.getHolidays('U', 2024)).rejects.toThrow('Invalid country code format');
         });
 
-        it('should validate year range', async () => {
-            const currentYear = new Date().getFullYear();
-            
-            await expect(holidayAPI.getHolidays('US', currentYear - 2)).rejects.toThrow('Year must be between');
-            await expect(holidayAPI.getHolidays('US', currentYear + 3)).rejects.toThrow('Year must be between');
+        it('should accept any integer year', async () => {
+            mockAxiosInstance.get.mockResolvedValue({ data: [] });
+
+            await expect(holidayAPI.getHolidays('US', new Date().getFullYear() + 10)).resolves.toEqual([]);
+            await expect(holidayAPI.getHolidays('US', 2024.5)).rejects.toThrow('Year must be an integer');
         });
 
         it('should handle API errors gracefully', async () => {
@@ -143,6 +143,19 @@ describe('HolidayCache', () => {
             expect(entry.age).toBeGreaterThanOrEqual(0);
         });
 
+        it('should keep subdivision data of regional holidays', () => {
+            const regionalData = [
+                ...mockHolidayData,
+                { date: '2024-01-06', name: 'Epiphany', countryCode: 'DE', year: 2024, global: false, counties: ['DE-BY', 'DE-BW'] },
+                { date: '2024-10-31', name: 'Reformation Day', countryCode: 'DE', year: 2024, global: false, counties: ['DE-BB', 'DE-BY'] }
+            ];
+            holidayCache.set('DE', 2024, regionalData);
+
+            const entry = holidayCache.getWithMetadata('DE', 2024);
+            expect(entry.data[2].counties).toEqual(['DE-BY', 'DE-BW']);
+            expect(entry.subdivisions).toEqual(['DE-BB', 'DE-BW', 'DE-BY']);
+        });
+
         it('should return null for non-existent metadata', () => {
             const entry = holidayCache.getWithMetadata('CA', 2024);
             expect(entry).toBeNull();
@@ -369,6 +382,53 @@ describe('HolidayCache', () => {
         });
     });
 
+    describe('cache reload', () => {
+        beforeEach(() => {
+            holidayCache._sleep = jest.fn().mockResolvedValue();
+        });
+
+        it('should report holidays added and removed since they were cached', async () => {
+            holidayCache.set('US', 2024, mockHolidayData);
+            const juneteenth = { date: '2024-06-19', name: 'Juneteenth', countryCode: 'US', year: 2024, type: 'public' };
+            const fetcher = jest.fn().mockResolvedValue([mockHolidayData[0], juneteenth]);
+
+            const results = await holidayCache.reload(fetcher, ['US'], [2024]);
+
+            expect(results.refreshed).toBe(1);
+            expect(results.changed).toBe(1);
+            expect(results.changes).toEqual([{
+                countryCode: 'US',
+                year: 2024,
+                added: [juneteenth],
+                removed: [mockHolidayData[1]]
+            }]);
+            expect(holidayCache.get('US', 2024).data).toEqual([mockHolidayData[0], juneteenth]);
+        });
+
+        it('should not report changes for unchanged or newly fetched data', async () => {
+            holidayCache.set('US', 2024, mockHolidayData);
+            const fetcher = jest.fn().mockResolvedValue(mockHolidayData);
+
+            const results = await holidayCache.reload(fetcher, ['US', 'CA'], [2024]);
+
+            expect(results.refreshed).toBe(2);
+            expect(results.changed).toBe(0);
+            expect(results.changes).toEqual([]);
+            expect(holidayCache.has('CA', 2024)).toBe(true);
+        });
+
+        it('should keep cached data when a fetch fails', async () => {
+            holidayCache.set('US', 2024, mockHolidayData);
+            const fetcher = jest.fn().mockResolvedValue(null);
+
+            const results = await holidayCache.reload(fetcher, ['US'], [2024]);
+
+            expect(results.failed).toBe(1);
+            expect(results.errors).toContain('No holiday data for US 2024');
+            expect(holidayCache.get('US', 2024).data).toEqual(mockHolidayData);
+        });
+    });
+
     describe('cache clearing', () => {
         it('should clear all cached data', () => {
             holidayCache.set('US', 2024, mockHolidayData);
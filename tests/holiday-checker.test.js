@@ -5,6 +5,7 @@
 const HolidayChecker = require('../src/holiday-checker');
 const HolidayAPI = require('../src/holiday-api');
 const HolidayCache = require('../src/holiday-cache');
+const BlackoutCalendar = require('../src/blackout-calendar');
 
 // Mock the dependencies
 jest.mock('../src/holiday-api');
@@ -31,6 +32,7 @@ describe('HolidayChecker', () => {
             get: jest.fn(),
             set: jest.fn(),
             warmup: jest.fn(),
+            reload: jest.fn(),
             clear: jest.fn(),
             getStats: jest.fn().mockReturnValue({
                 hits: 0,
@@ -38,13 +40,16 @@ describe('HolidayChecker', () => {
                 hitRate: 0
             })
         };
+        // Without a backend, load is a local get
+        mockHolidayCache.load = jest.fn(async (countryCode, year) => mockHolidayCache.get(countryCode, year));
 
         // Mock constructors
         HolidayAPI.mockImplementation(() => mockHolidayAPI);
         HolidayCache.mockImplementation(() => mockHolidayCache);
 
         // Create holiday checker instance
-        holidayChecker = new HolidayChecker();
+        // Provider data only; locally computed holidays are covered under 'local rules'
+        holidayChecker = new HolidayChecker({ localRules: false });
 
         // Mock holiday data
         mockHolidayData = [
@@ -143,6 +148,22 @@ describe('HolidayChecker', () => {
             expect(holidayChecker.stats.cacheHits).toBe(1);
         });
 
+        it('should apply regional holidays only in their subdivisions', async () => {
+            mockHolidayCache.get.mockReturnValue({
+                data: [
+                    { date: '2024-01-01', name: 'New Year\'s Day', countryCode: 'DE', counties: null },
+                    { date: '2024-01-06', name: 'Epiphany', countryCode: 'DE', counties: ['DE-BW', 'DE-BY', 'DE-ST'] }
+                ]
+            });
+            const epiphany = new Date('2024-01-06');
+
+            expect(await holidayChecker.isPublicHoliday(epiphany, 'DE', 'DE-BY')).toBe(true);
+            expect(await holidayChecker.isPublicHoliday(epiphany, 'DE', 'by')).toBe(true);
+            expect(await holidayChecker.isPublicHoliday(epiphany, 'DE', 'DE-HH')).toBe(false);
+            expect(await holidayChecker.isPublicHoliday(epiphany, 'DE')).toBe(false);
+            expect(await holidayChecker.isPublicHoliday(new Date('2024-01-01'), 'DE', 'DE-HH')).toBe(true);
+        });
+
         it('should handle missing holiday data based on fallback behavior', async () => {
             mockHolidayCache.get.mockReturnValue(null);
             mockHolidayAPI.getHolidays.mockResolvedValue(null);
@@ -152,7 +173,7 @@ describe('HolidayChecker', () => {
             expect(result).toBe(false);
 
             // Test 'assume_holiday' behavior
-            const assumeHolidayChecker = new HolidayChecker({ fallbackBehavior: 'assume_holiday' });
+            const assumeHolidayChecker = new HolidayChecker({ fallbackBehavior: 'assume_holiday', localRules: false });
             assumeHolidayChecker.holidayAPI = mockHolidayAPI;
             assumeHolidayChecker.holidayCache = mockHolidayCache;
 
@@ -171,6 +192,159 @@ describe('HolidayChecker', () => {
         });
     });
 
+    describe('provider chain', () => {
+        const provider = (name, priority, result) => ({
+            name,
+            priority,
+            getHolidays: typeof result === 'function' ? jest.fn(result) : jest.fn().mockResolvedValue(result)
+        });
+
+        beforeEach(() => {
+            mockHolidayCache.get.mockReturnValue(null);
+        });
+
+        it('should use the Nager client when no providers are configured', async () => {
+            mockHolidayAPI.getHolidays.mockResolvedValue(mockHolidayData);
+
+            expect(await holidayChecker.isPublicHoliday(new Date('2024-07-04'), 'US')).toBe(true);
+            expect(mockHolidayAPI.getHolidays).toHaveBeenCalledWith('US', 2024);
+            expect(holidayChecker.getStats().providers).toEqual(['nager']);
+        });
+
+        it('should consult providers by priority until one has data', async () => {
+            const low = provider('low', 1, mockHolidayData);
+            const high = provider('high', 5, null);
+            const checker = new HolidayChecker({ providers: [low, high], localRules: false });
+
+            expect(await checker.isPublicHoliday(new Date('2024-12-25'), 'US')).toBe(true);
+            expect(high.getHolidays).toHaveBeenCalledWith('US', 2024);
+            expect(low.getHolidays).toHaveBeenCalledWith('US', 2024);
+            expect(mockHolidayCache.set).toHaveBeenCalledWith('US', 2024, mockHolidayData);
+            expect(checker.getStats().providers).toEqual(['high', 'low']);
+        });
+
+        it('should fall through failing providers', async () => {
+            const failing = provider('api', 1, () => Promise.reject(new Error('offline')));
+            const offline = provider('static', 0, mockHolidayData);
+            const checker = new HolidayChecker({ providers: [failing, offline], localRules: false });
+
+            expect(await checker.isPublicHoliday(new Date('2024-01-01'), 'US')).toBe(true);
+        });
+
+        it('should apply the fallback behavior when every provider fails', async () => {
+            const failing = provider('api', 0, () => Promise.reject(new Error('offline')));
+            const checker = new HolidayChecker({ providers: [failing], fallbackBehavior: 'assume_holiday', localRules: false });
+
+            expect(await checker.isPublicHoliday(new Date('2024-01-02'), 'US')).toBe(true);
+        });
+
+        it('should build providers from configurations', () => {
+            const checker = new HolidayChecker({ providers: [{ type: 'static' }, { type: 'ics', priority: 2 }] });
+
+            expect(checker.getStats().providers).toEqual(['ics', 'static']);
+            expect(() => new HolidayChecker({ providers: [{ type: 'unknown' }] }))
+                .toThrow('Unknown holiday provider type: unknown');
+        });
+    });
+
+    describe('local rules', () => {
+        let checker;
+
+        beforeEach(() => {
+            mockHolidayCache.get.mockReturnValue(null);
+            checker = new HolidayChecker();
+        });
+
+        it('should compute holidays for any year when the API fails', async () => {
+            mockHolidayAPI.getHolidays.mockRejectedValue(new Error('API error'));
+
+            expect(await checker.isPublicHoliday(new Date('2040-11-22'), 'US')).toBe(true); // Thanksgiving
+            expect(await checker.isPublicHoliday(new Date('2040-11-23'), 'US')).toBe(false);
+            expect(await checker.isPublicHoliday(new Date('2041-04-19'), 'DE')).toBe(true); // Good Friday
+            expect(checker.stats.errors).toBe(0);
+        });
+
+        it('should enrich local holidays with API data', async () => {
+            mockHolidayAPI.getHolidays.mockResolvedValue([
+                { date: '2031-08-05', name: 'Company Day', countryCode: 'US', year: 2031, type: 'public', counties: null }
+            ]);
+
+            expect(await checker.isPublicHoliday(new Date('2031-08-05'), 'US')).toBe(true);
+            expect(await checker.isPublicHoliday(new Date('2031-07-04'), 'US')).toBe(true);
+            expect(mockHolidayAPI.getHolidays).toHaveBeenCalledWith('US', 2031);
+        });
+
+        it('should find the next business day across a year boundary', async () => {
+            mockHolidayAPI.getHolidays.mockRejectedValue(new Error('API error'));
+
+            // New Year's Day 2033 is a Saturday, observed on Friday 31 December 2032
+            const result = await checker.getNextBusinessDay(new Date('2032-12-30'), 'US', true, true);
+
+            expect(result.toISOString().slice(0, 10)).toBe('2033-01-03');
+        });
+    });
+
+    describe('getHolidayInfo', () => {
+        beforeEach(() => {
+            mockHolidayCache.get.mockReturnValue(null);
+        });
+
+        it('should report partial-day holidays with their cutoff hour', async () => {
+            const checker = new HolidayChecker();
+            mockHolidayAPI.getHolidays.mockRejectedValue(new Error('API error'));
+
+            const info = await checker.getHolidayInfo(new Date('2026-12-24'), 'DE');
+
+            expect(info).toEqual({
+                isHoliday: true,
+                name: 'Christmas Eve',
+                partialDay: true,
+                cutoffHour: 14,
+                observed: false,
+                observedFrom: null
+            });
+            // Day-level checks stay conservative
+            expect(await checker.isPublicHoliday(new Date('2026-12-24'), 'DE')).toBe(true);
+        });
+
+        it('should keep local details when a provider replaces the entry', async () => {
+            const checker = new HolidayChecker();
+            mockHolidayAPI.getHolidays.mockResolvedValue([
+                { date: '2026-07-03', name: 'Independence Day', countryCode: 'US', year: 2026, type: 'public', counties: null }
+            ]);
+
+            const info = await checker.getHolidayInfo(new Date('2026-07-03'), 'US');
+
+            expect(info.name).toBe('Independence Day');
+            expect(info.observed).toBe(true);
+            expect(info.observedFrom).toBe('2026-07-04');
+        });
+
+        it('should prefer a full-day holiday and the earliest cutoff', async () => {
+            mockHolidayAPI.getHolidays.mockResolvedValue([
+                { date: '2026-12-31', name: 'Late Close', counties: null, cutoffHour: 16 },
+                { date: '2026-12-31', name: 'Early Close', counties: ['US-CA'], cutoffHour: 12 },
+                { date: '2026-12-24', name: 'Half Day', counties: null, cutoffHour: 12 },
+                { date: '2026-12-24', name: 'Closed', counties: null }
+            ]);
+
+            expect((await holidayChecker.getHolidayInfo(new Date('2026-12-31'), 'US', 'CA')).name).toBe('Early Close');
+            expect((await holidayChecker.getHolidayInfo(new Date('2026-12-31'), 'US')).cutoffHour).toBe(16);
+            expect(await holidayChecker.getHolidayInfo(new Date('2026-12-24'), 'US')).toEqual(expect.objectContaining({
+                name: 'Closed', partialDay: false, cutoffHour: null
+            }));
+        });
+
+        it('should apply the fallback behavior on errors', async () => {
+            const checker = new HolidayChecker({ localRules: false, fallbackBehavior: 'assume_holiday' });
+            mockHolidayAPI.getHolidays.mockRejectedValue(new Error('API error'));
+
+            expect(await checker.getHolidayInfo(new Date('2026-03-03'), 'US')).toEqual(expect.objectContaining({
+                isHoliday: true, partialDay: false, name: null
+            }));
+        });
+    });
+
     describe('isWeekend', () => {
         it('should identify weekend days correctly', () => {
             // Sunday (0)
@@ -192,6 +366,19 @@ describe('HolidayChecker', () => {
             expect(customChecker.isWeekend(new Date('2024-01-07'))).toBe(false); // Sunday
         });
 
+        it('should use the weekend of the given country', () => {
+            expect(holidayChecker.isWeekend(new Date('2024-01-05'), 'SA')).toBe(true); // Friday
+            expect(holidayChecker.isWeekend(new Date('2024-01-07'), 'SA')).toBe(false); // Sunday
+            expect(holidayChecker.isWeekend(new Date('2024-01-05'), 'IR')).toBe(true); // Friday
+            expect(holidayChecker.isWeekend(new Date('2024-01-06'), 'IR')).toBe(false); // Saturday
+            expect(holidayChecker.isWeekend(new Date('2024-01-06'), 'US')).toBe(true); // Saturday
+        });
+
+        it('should prefer explicit weekend days over the country table', () => {
+            expect(holidayChecker.isWeekend(new Date('2024-01-05'), 'SA', ['sunday'])).toBe(false); // Friday
+            expect(holidayChecker.isWeekend(new Date('2024-01-07'), 'SA', ['sunday'])).toBe(true); // Sunday
+        });
+
         it('should handle invalid dates', () => {
             expect(holidayChecker.isWeekend(new Date('invalid'))).toBe(false);
             expect(holidayChecker.isWeekend('not a date')).toBe(false);
@@ -219,6 +406,43 @@ describe('HolidayChecker', () => {
             expect(result).toBe(false);
         });
 
+        it('should use the country weekend and the weekendDays option', async () => {
+            const friday = new Date('2024-01-05');
+
+            expect(await holidayChecker.isBusinessDay(friday, 'IL', true, false)).toBe(false);
+            expect(await holidayChecker.isBusinessDay(friday, 'IL', true, false, { weekendDays: ['saturday'] })).toBe(true);
+        });
+
+        it('should only skip the configured holiday types', async () => {
+            mockHolidayCache.get.mockReturnValue({
+                data: [
+                    { date: '2024-02-14', name: 'Valentine\'s Day', type: 'observance', types: ['observance'] },
+                    { date: '2024-03-29', name: 'Good Friday', type: 'observance', types: ['bank', 'school'] }
+                ]
+            });
+            const publicOnly = { holidayTypes: ['public'] };
+
+            expect(await holidayChecker.isBusinessDay(new Date('2024-02-14'), 'US', false, true)).toBe(false);
+            expect(await holidayChecker.isBusinessDay(new Date('2024-02-14'), 'US', false, true, publicOnly)).toBe(true);
+            expect(await holidayChecker.isBusinessDay(new Date('2024-03-29'), 'US', false, true, publicOnly)).toBe(true);
+            expect(await holidayChecker.isBusinessDay(new Date('2024-03-29'), 'US', false, true, {
+                holidayTypes: ['bank']
+            })).toBe(false);
+        });
+
+        it('should return false for blackout dates of the journey and globally', async () => {
+            holidayChecker.blackoutCalendar = new BlackoutCalendar({
+                entries: [
+                    { id: 'b1', name: 'Freeze', type: 'date', date: '2024-01-03' },
+                    { id: 'b2', name: 'Launch', type: 'date', date: '2024-01-04', journeyId: 'journey-1' }
+                ]
+            });
+
+            expect(await holidayChecker.isBusinessDay(new Date('2024-01-03'), 'US', false, false)).toBe(false);
+            expect(await holidayChecker.isBusinessDay(new Date('2024-01-04'), 'US', true, true)).toBe(true);
+            expect(await holidayChecker.isBusinessDay(new Date('2024-01-04'), 'US', true, true, { journeyId: 'journey-1' })).toBe(false);
+        });
+
         it('should return true for holidays when skipHolidays is false', async () => {
             const result = await holidayChecker.isBusinessDay(new Date('2024-01-01'), 'US', false, false); // New Year
             expect(result).toBe(true);
@@ -327,6 +551,60 @@ describe('HolidayChecker', () => {
         });
     });
 
+    describe('calendar inspection', () => {
+        beforeEach(() => {
+            mockHolidayCache.get.mockReturnValue({ data: mockHolidayData });
+            holidayChecker.blackoutCalendar = new BlackoutCalendar({
+                entries: [
+                    { id: 'b1', name: 'Summer freeze', type: 'range', startDate: '2024-07-04', endDate: '2024-07-05' },
+                    { id: 'b2', name: 'EU launch', type: 'date', date: '2024-07-09', countries: ['DE'] }
+                ]
+            });
+        });
+
+        it('should merge holidays and blackout dates in the range', async () => {
+            const entries = await holidayChecker.getCalendar('US', new Date('2024-07-01'), new Date('2024-12-31'));
+
+            expect(entries.map(entry => [entry.date, entry.type, entry.name])).toEqual([
+                ['2024-07-04', 'holiday', 'Independence Day'],
+                ['2024-07-04', 'blackout', 'Summer freeze'],
+                ['2024-07-05', 'blackout', 'Summer freeze'],
+                ['2024-12-25', 'holiday', 'Christmas Day']
+            ]);
+            expect(entries[0]).toEqual(expect.objectContaining({ holidayTypes: ['public'], subdivisions: null, cutoffHour: null }));
+            expect(entries[1]).toEqual(expect.objectContaining({ blackoutId: 'b1', journeyId: null }));
+        });
+
+        it('should explain each day skipped before the next business day', async () => {
+            const result = await holidayChecker.explainNextBusinessDay(new Date('2024-07-04'), 'US');
+
+            expect(result).toEqual({
+                date: '2024-07-04',
+                businessDay: '2024-07-08',
+                daysAhead: 4,
+                found: true,
+                skippedDays: [
+                    {
+                        date: '2024-07-04',
+                        reasons: [
+                            { type: 'holiday', name: 'Independence Day', cutoffHour: null, observedFrom: null },
+                            { type: 'blackout', name: 'Summer freeze', blackoutId: 'b1' }
+                        ]
+                    },
+                    { date: '2024-07-05', reasons: [{ type: 'blackout', name: 'Summer freeze', blackoutId: 'b1' }] },
+                    { date: '2024-07-06', reasons: [{ type: 'weekend', name: 'Saturday' }] },
+                    { date: '2024-07-07', reasons: [{ type: 'weekend', name: 'Sunday' }] }
+                ]
+            });
+        });
+
+        it('should keep a date that is a business day', async () => {
+            const result = await holidayChecker.explainNextBusinessDay(new Date('2024-07-09'), 'US');
+
+            expect(result).toEqual({ date: '2024-07-09', businessDay: '2024-07-09', daysAhead: 0, found: true, skippedDays: [] });
+        });
+    });
+
     describe('getHolidays', () => {
         it('should get holidays for single year', async () => {
             mockHolidayCache.get.mockReturnValue({ data: mockHolidayData });
@@ -391,6 +669,25 @@ describe('HolidayChecker', () => {
         });
     });
 
+    describe('reloadCache', () => {
+        it('should delegate to cache reload', async () => {
+            const reloadResults = { refreshed: 2, failed: 0, changed: 0, changes: [], errors: [] };
+            mockHolidayCache.reload.mockResolvedValue(reloadResults);
+
+            const result = await holidayChecker.reloadCache(['US'], [2024, 2025]);
+
+            expect(result).toEqual(reloadResults);
+            expect(mockHolidayCache.reload).toHaveBeenCalledWith(expect.any(Function), ['US'], [2024, 2025]);
+        });
+
+        it('should return disabled message when disabled', async () => {
+            const disabledChecker = new HolidayChecker({ enabled: false });
+            const result = await disabledChecker.reloadCache();
+
+            expect(result.errors).toContain('Holiday checking is disabled');
+        });
+    });
+
     describe('utility methods', () => {
         it('should check API availability', async () => {
             mockHolidayAPI.isAPIAvailable.mockResolvedValue(true);
@@ -0,0 +1,333 @@
+/**
+ * Tests for Holiday Providers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    HolidayProvider,
+    NagerHolidayProvider,
+    StaticHolidayProvider,
+    IcsHolidayProvider,
+    RuleBasedHolidayProvider,
+    getEasterSunday,
+    getNthWeekday,
+    createHolidayProviders,
+    normalizeHolidayTypes,
+    matchesHolidayTypes,
+    toICalendar
+} = require('../src/holiday');
+
+const ICS_CALENDAR = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Example//Holidays//EN',
+    'BEGIN:VEVENT',
+    'UID:new-year@example.com',
+    'DTSTART;VALUE=DATE:20200101',
+    'DTEND;VALUE=DATE:20200102',
+    'RRULE:FREQ=YEARLY',
+    'SUMMARY:New Year\'s Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:thanksgiving@example.com',
+    'DTSTART;VALUE=DATE:20201126',
+    'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=4TH',
+    'SUMMARY:Thanksgiving Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:memorial@example.com',
+    'DTSTART;VALUE=DATE:20200525',
+    'RRULE:FREQ=YEARLY;BYMONTH=5;BYDAY=-1MO;UNTIL=20251231',
+    'SUMMARY:Memorial Day',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:shutdown@example.com',
+    'DTSTART;VALUE=DATE:20261224',
+    'DTEND;VALUE=DATE:20261227',
+    'SUMMARY:Winter shutdown\\, all',
+    '  offices',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:cancelled@example.com',
+    'DTSTART;VALUE=DATE:20260301',
+    'STATUS:CANCELLED',
+    'SUMMARY:Cancelled',
+    'END:VEVENT',
+    'END:VCALENDAR'
+].join('\r\n');
+
+describe('Holiday Providers', () => {
+    describe('HolidayProvider', () => {
+        test('should require getHolidays to be implemented', async () => {
+            const provider = new HolidayProvider('custom', { priority: 3 });
+
+            expect(provider.priority).toBe(3);
+            await expect(provider.getHolidays('US', 2026)).rejects.toThrow('does not implement getHolidays');
+        });
+    });
+
+    describe('NagerHolidayProvider', () => {
+        test('should delegate to the API client', async () => {
+            const client = {
+                getHolidays: jest.fn().mockResolvedValue([{ date: '2026-01-01' }]),
+                isAPIAvailable: jest.fn().mockResolvedValue(false)
+            };
+            const provider = new NagerHolidayProvider({ client });
+
+            expect(await provider.getHolidays('US', 2026)).toEqual([{ date: '2026-01-01' }]);
+            expect(client.getHolidays).toHaveBeenCalledWith('US', 2026);
+            expect(await provider.isAvailable()).toBe(false);
+        });
+    });
+
+    describe('StaticHolidayProvider', () => {
+        test('should serve the bundled dataset', async () => {
+            const provider = new StaticHolidayProvider();
+            const holidays = await provider.getHolidays('US', 2026);
+
+            expect(holidays).toContainEqual({
+                date: '2026-07-03',
+                name: 'Independence Day (observed)',
+                countryCode: 'US',
+                year: 2026,
+                type: 'public',
+                types: ['public'],
+                global: true,
+                counties: null,
+                launchYear: null,
+                cutoffHour: null,
+                observedFrom: null
+            });
+            expect((await provider.getHolidays('GB', 2026)).find(h => h.name === 'Easter Monday').counties)
+                .toEqual(['GB-ENG', 'GB-WLS', 'GB-NIR']);
+        });
+
+        test('should return null for countries and years it does not cover', async () => {
+            const provider = new StaticHolidayProvider();
+
+            expect(await provider.getHolidays('ZZ', 2026)).toBeNull();
+            expect(await provider.getHolidays('US', 1990)).toBeNull();
+        });
+
+        test('should merge datasets from a directory', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'holidays-'));
+            try {
+                fs.writeFileSync(path.join(dir, 'a.json'), JSON.stringify({
+                    countries: { NL: { 2026: [{ date: '2026-04-27', name: 'King\'s Day' }] } }
+                }));
+                fs.writeFileSync(path.join(dir, 'b.json'), JSON.stringify({
+                    countries: { nl: { 2027: [{ date: '2027-04-27', name: 'King\'s Day' }] } }
+                }));
+                const provider = new StaticHolidayProvider({ dataPath: dir });
+
+                expect(await provider.getHolidays('NL', 2026)).toHaveLength(1);
+                expect(await provider.getHolidays('NL', 2027)).toHaveLength(1);
+                expect(await provider.isAvailable()).toBe(true);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+    });
+
+    describe('IcsHolidayProvider', () => {
+        test('should expand single, multi-day and yearly events', async () => {
+            const provider = new IcsHolidayProvider({ calendars: [{ countryCode: 'us', content: ICS_CALENDAR }] });
+            const holidays = await provider.getHolidays('US', 2026);
+
+            expect(holidays.map(h => [h.date, h.name])).toEqual([
+                ['2026-01-01', 'New Year\'s Day'],
+                ['2026-11-26', 'Thanksgiving Day'],
+                ['2026-12-24', 'Winter shutdown, all offices'],
+                ['2026-12-25', 'Winter shutdown, all offices'],
+                ['2026-12-26', 'Winter shutdown, all offices']
+            ]);
+            expect(holidays[0].global).toBe(true);
+        });
+
+        test('should honor UNTIL and the last weekday of a month', async () => {
+            const provider = new IcsHolidayProvider({ calendars: [{ countryCode: 'US', content: ICS_CALENDAR }] });
+
+            expect((await provider.getHolidays('US', 2025)).map(h => h.date))
+                .toEqual(['2025-01-01', '2025-05-26', '2025-11-27']);
+            expect(await provider.getHolidays('US', 2019)).toBeNull();
+            expect(await provider.getHolidays('CA', 2026)).toBeNull();
+        });
+
+        test('should limit subdivision calendars and read files', async () => {
+            const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ics-'));
+            try {
+                const file = path.join(dir, 'scotland.ics');
+                fs.writeFileSync(file, [
+                    'BEGIN:VCALENDAR',
+                    'BEGIN:VEVENT',
+                    'DTSTART;VALUE=DATE:20261130',
+                    'SUMMARY:St Andrew\'s Day',
+                    'END:VEVENT',
+                    'END:VCALENDAR'
+                ].join('\n'));
+                const provider = new IcsHolidayProvider({
+                    calendars: [{ countryCode: 'GB', counties: ['gb-sct'], path: file }]
+                });
+
+                const [holiday] = await provider.getHolidays('GB', 2026);
+                expect(holiday.counties).toEqual(['GB-SCT']);
+                expect(holiday.global).toBe(false);
+            } finally {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+        });
+
+        test('should treat unreadable files as empty calendars', async () => {
+            const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+            const provider = new IcsHolidayProvider({ calendars: [{ countryCode: 'US', path: '/nonexistent/us.ics' }] });
+
+            expect(await provider.getHolidays('US', 2026)).toBeNull();
+            expect(await provider.isAvailable()).toBe(false);
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('toICalendar', () => {
+        const entries = [
+            { date: '2026-12-24', type: 'holiday', name: 'Christmas Eve', subdivisions: null, cutoffHour: 14 },
+            { date: '2026-12-31', type: 'blackout', name: 'Year-end freeze; all brands', blackoutId: 'b1', journeyId: null }
+        ];
+
+        test('should write all-day events with escaped text and folded lines', () => {
+            const content = toICalendar(entries, {
+                name: 'Non-sending days DE',
+                generatedAt: new Date('2026-10-19T10:17:30.123Z')
+            });
+            const lines = content.split('\r\n');
+
+            expect(lines).toEqual(expect.arrayContaining([
+                'X-WR-CALNAME:Non-sending days DE',
+                'UID:2026-12-24-holiday-christmas-eve@sto-activity',
+                'DTSTAMP:20261019T101730Z',
+                'DTSTART;VALUE=DATE:20261231',
+                'DTEND;VALUE=DATE:20270101',
+                'SUMMARY:Year-end freeze\\; all brands',
+                'DESCRIPTION:Business closes at 14:00'
+            ]));
+
+            const long = toICalendar([{ ...entries[0], name: 'x'.repeat(200) }]);
+            expect(long.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+            expect(long.replace(/\r\n /g, '')).toContain(`SUMMARY:${'x'.repeat(200)}\r\n`);
+        });
+
+        test('should be readable by the iCalendar provider', async () => {
+            const provider = new IcsHolidayProvider({ calendars: [{ countryCode: 'DE', content: toICalendar(entries) }] });
+
+            expect((await provider.getHolidays('DE', 2026)).map(h => [h.date, h.name])).toEqual([
+                ['2026-12-24', 'Christmas Eve'],
+                ['2026-12-31', 'Year-end freeze; all brands']
+            ]);
+        });
+    });
+
+    describe('RuleBasedHolidayProvider', () => {
+        const dates = holidays => holidays.map(h => `${h.date} ${h.name}`);
+
+        test('should compute Easter and nth weekdays', () => {
+            expect(getEasterSunday(2026).toISOString().slice(0, 10)).toBe('2026-04-05');
+            expect(getEasterSunday(2038).toISOString().slice(0, 10)).toBe('2038-04-25');
+            expect(getNthWeekday(2026, 11, 4, 4).toISOString().slice(0, 10)).toBe('2026-11-26');
+            expect(getNthWeekday(2026, 5, 1, 'last').toISOString().slice(0, 10)).toBe('2026-05-25');
+            expect(getNthWeekday(2026, 2, 1, 5)).toBeNull();
+        });
+
+        test('should compute the bundled rules for any year', async () => {
+            const provider = new RuleBasedHolidayProvider();
+            const us = await provider.getHolidays('US', 2050);
+
+            expect(dates(us)).toContain('2050-11-24 Thanksgiving Day');
+            expect(dates(us)).toContain('2050-07-04 Independence Day');
+            expect(dates(await provider.getHolidays('DE', 2050))).toContain('2050-05-19 Ascension Day');
+            expect(await provider.getHolidays('ZZ', 2050)).toBeNull();
+            expect(provider.hasRules('GB')).toBe(true);
+        });
+
+        test('should observe weekend holidays on the nearest weekday', async () => {
+            const provider = new RuleBasedHolidayProvider();
+
+            // 4 July 2026 is a Saturday; 1 January 2033 is a Saturday, observed in 2032
+            expect(dates(await provider.getHolidays('US', 2026))).toContain('2026-07-03 Independence Day (observed)');
+            expect(dates(await provider.getHolidays('US', 2032))).toContain('2032-12-31 New Year\'s Day (observed)');
+            expect(dates(await provider.getHolidays('US', 2033))).not.toContain('2033-01-03 New Year\'s Day (observed)');
+            expect((await provider.getHolidays('US', 2026)).find(h => h.date === '2026-07-03').observedFrom)
+                .toBe('2026-07-04');
+        });
+
+        test('should keep the cutoff hour of partial-day holidays', async () => {
+            const provider = new RuleBasedHolidayProvider();
+            const holidays = await provider.getHolidays('DE', 2026);
+
+            expect(holidays.find(h => h.date === '2026-12-24')).toEqual(expect.objectContaining({
+                name: 'Christmas Eve', cutoffHour: 14
+            }));
+            expect(holidays.find(h => h.date === '2026-12-25').cutoffHour).toBeNull();
+        });
+
+        test('should substitute the next free weekday', async () => {
+            const provider = new RuleBasedHolidayProvider();
+            const holidays = dates(await provider.getHolidays('GB', 2027));
+
+            // Christmas and Boxing Day fall on Saturday and Sunday
+            expect(holidays).toContain('2027-12-27 Christmas Day (observed)');
+            expect(holidays).toContain('2027-12-28 Boxing Day (observed)');
+            expect(holidays).toContain('2027-01-04 2 January (observed)');
+        });
+
+        test('should honor rule years and skip invalid rules', async () => {
+            const consoleSpy = jest.spyOn(console, 'warn').mockImplementation();
+            const provider = new RuleBasedHolidayProvider({
+                rules: {
+                    xx: [
+                        { name: 'Founders Day', month: 3, day: 2, fromYear: 2030, counties: ['xx-aa'] },
+                        { name: 'Broken', month: 13, day: 1 },
+                        { name: 'Leap Day', month: 2, day: 29 }
+                    ]
+                }
+            });
+
+            expect(await provider.getHolidays('XX', 2029)).toEqual([]);
+            expect(await provider.getHolidays('XX', 2030)).toEqual([expect.objectContaining({
+                date: '2030-03-02', counties: ['XX-AA'], global: false
+            })]);
+            expect(dates(await provider.getHolidays('XX', 2032))).toContain('2032-02-29 Leap Day');
+            expect(consoleSpy).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid holiday rule'), expect.any(String));
+            consoleSpy.mockRestore();
+        });
+    });
+
+    describe('holiday types', () => {
+        test('should normalize and validate type lists', () => {
+            expect(normalizeHolidayTypes(['Observance', 'public', 'public'])).toEqual(['public', 'observance']);
+            expect(normalizeHolidayTypes(['public', 'religious'])).toBeNull();
+            expect(normalizeHolidayTypes([])).toBeNull();
+            expect(normalizeHolidayTypes('public')).toBeNull();
+        });
+
+        test('should match holidays by any of their types', () => {
+            expect(matchesHolidayTypes({ types: ['public', 'bank'] }, ['bank'])).toBe(true);
+            expect(matchesHolidayTypes({ type: 'observance' }, ['public'])).toBe(false);
+            expect(matchesHolidayTypes({}, ['public'])).toBe(true);
+            expect(matchesHolidayTypes({ type: 'school' }, null)).toBe(true);
+        });
+    });
+
+    describe('createHolidayProviders', () => {
+        test('should order providers by priority and keep list order for ties', () => {
+            const custom = { name: 'custom', priority: 0, getHolidays: jest.fn() };
+            const providers = createHolidayProviders([
+                { type: 'static' },
+                custom,
+                { type: 'nager', priority: 10, client: {} }
+            ]);
+
+            expect(providers.map(p => p.name)).toEqual(['nager', 'static', 'custom']);
+        });
+    });
+});
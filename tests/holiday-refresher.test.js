@@ -0,0 +1,113 @@
+/**
+ * Tests for the scheduled Holiday Refresher and cron schedules
+ */
+
+const HolidayChecker = require('../src/holiday-checker');
+const { HolidayRefresher, parseCronSchedule, getNextRunTime } = require('../src/holiday');
+
+describe('Cron schedules', () => {
+    const from = new Date('2026-10-19T10:17:30Z');
+
+    test('should find the next matching minute in UTC', () => {
+        expect(getNextRunTime('0 3 * * *', from).toISOString()).toBe('2026-10-20T03:00:00.000Z');
+        expect(getNextRunTime('*/15 * * * *', from).toISOString()).toBe('2026-10-19T10:30:00.000Z');
+        expect(getNextRunTime('30 2 * * 1-5', new Date('2026-10-23T12:00:00Z')).toISOString()).toBe('2026-10-26T02:30:00.000Z');
+        expect(getNextRunTime('0 0 29 2 *', from).toISOString()).toBe('2028-02-29T00:00:00.000Z');
+        expect(getNextRunTime('@weekly', from).toISOString()).toBe('2026-10-25T00:00:00.000Z');
+    });
+
+    test('should run on days matching either restricted day field', () => {
+        expect(getNextRunTime('0 9 1 * 1', from).toISOString()).toBe('2026-10-26T09:00:00.000Z');
+        expect(getNextRunTime('0 9 1 * 7', from).toISOString()).toBe('2026-10-25T09:00:00.000Z');
+    });
+
+    test('should reject invalid expressions', () => {
+        expect(() => parseCronSchedule('0 3 * *')).toThrow('expected 5 fields');
+        expect(() => parseCronSchedule('61 * * * *')).toThrow('minute "61" is out of range');
+        expect(() => parseCronSchedule('0 3 * * mon')).toThrow('bad day of week "mon"');
+    });
+});
+
+describe('HolidayRefresher', () => {
+    const newYear = { date: '2026-01-01', name: 'New Year\'s Day', countryCode: 'US', year: 2026, type: 'public' };
+    const adHoc = { date: '2026-12-24', name: 'Christmas Eve', countryCode: 'US', year: 2026, type: 'public' };
+    let holidays;
+    let holidayChecker;
+    let refresher;
+
+    beforeEach(() => {
+        holidays = [newYear];
+        holidayChecker = new HolidayChecker({
+            localRules: false,
+            providers: [{
+                name: 'test',
+                getHolidays: jest.fn(async (countryCode, year) => (year === 2026 ? holidays : []))
+            }]
+        });
+        holidayChecker.holidayCache._sleep = jest.fn().mockResolvedValue();
+        refresher = new HolidayRefresher({ holidayChecker, countries: ['us'], yearsAhead: 0 });
+    });
+
+    afterEach(() => {
+        refresher.stop();
+        jest.useRealTimers();
+    });
+
+    test('should emit an event when holidays are added or removed', async () => {
+        const changes = [];
+        refresher.on('holidaysChanged', change => changes.push(change));
+        jest.useFakeTimers({ now: new Date('2026-06-01T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+
+        const first = await refresher.refreshNow();
+        holidays = [adHoc];
+        const second = await refresher.refreshNow();
+
+        expect(first.changed).toBe(0);
+        expect(second).toEqual(expect.objectContaining({ success: true, refreshed: 1, changed: 1, countries: ['US'], years: [2026] }));
+        expect(changes).toEqual([{ countryCode: 'US', year: 2026, added: [adHoc], removed: [newYear] }]);
+        expect(refresher.getStatus()).toEqual(expect.objectContaining({ runs: 2, lastReport: second }));
+    });
+
+    test('should run on the schedule', async () => {
+        jest.useFakeTimers({ now: new Date('2026-06-01T02:59:30Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        const reports = [];
+        refresher.on('refresh', report => reports.push(report));
+
+        refresher.start();
+        expect(refresher.getStatus()).toEqual(expect.objectContaining({
+            schedule: '0 3 * * *',
+            active: true,
+            nextRunAt: '2026-06-01T03:00:00.000Z',
+            lastReport: null
+        }));
+
+        jest.advanceTimersByTime(30000);
+        await refresher.running;
+
+        expect(reports).toHaveLength(1);
+        expect(refresher.getStatus().nextRunAt).toBe('2026-06-02T03:00:00.000Z');
+
+        refresher.stop();
+        expect(refresher.getStatus()).toEqual(expect.objectContaining({ active: false, nextRunAt: null }));
+    });
+
+    test('should report a failed run', async () => {
+        const consoleSpy = jest.spyOn(console, 'error').mockImplementation();
+        const errors = [];
+        refresher.on('error', error => errors.push(error));
+        holidayChecker.reloadCache = jest.fn().mockRejectedValue(new Error('Cache unavailable'));
+
+        const report = await refresher.refreshNow();
+
+        expect(report).toEqual(expect.objectContaining({ success: false, errors: ['Cache unavailable'] }));
+        expect(errors).toHaveLength(1);
+        consoleSpy.mockRestore();
+    });
+
+    test('should share a run in progress', async () => {
+        const [first, second] = await Promise.all([refresher.refreshNow(), refresher.refreshNow()]);
+
+        expect(first).toBe(second);
+        expect(refresher.getStatus().runs).toBe(1);
+    });
+});
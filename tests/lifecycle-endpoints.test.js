@@ -478,7 +478,7 @@ describe('Lifecycle Endpoints', () => {
             const mockProcessor = {
                 getStats: jest.fn().mockReturnValue(expectedStats.processor)
             };
-            jest.doMock('../src/execution/contact-processor', () => jest.fn(() => mockProcessor));
+            jest.doMock('../src/execution', () => ({ ContactProcessor: jest.fn(() => mockProcessor) }));
 
             mockLifecycleManager.getStats.mockReturnValue(expectedStats.lifecycle);
             mockErrorHandler.getErrorStats.mockReturnValue(expectedStats.errors);
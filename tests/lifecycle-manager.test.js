@@ -331,7 +331,7 @@ describe('ActivityLifecycleManager', () => {
                 timeWindows: [
                     { startHour: -1, endHour: 10, enabled: true }, // Invalid start hour
                     { startHour: 9, endHour: 25, enabled: true },  // Invalid end hour
-                    { startHour: 15, endHour: 10, enabled: true }  // Start > end
+                    { startHour: 10, endHour: 10, enabled: true }  // Start = end
                 ]
             };
 
@@ -340,7 +340,21 @@ describe('ActivityLifecycleManager', () => {
             expect(result.valid).toBe(false);
             expect(result.errors).toContain('Time window 1 has invalid hours (-1-10)');
             expect(result.errors).toContain('Time window 2 has invalid hours (9-25)');
-            expect(result.errors).toContain('Time window 3 has invalid hours (15-10)');
+            expect(result.errors).toContain('Time window 3 has invalid hours (10-10)');
+        });
+
+        it('should accept overnight time windows', () => {
+            const config = {
+                timeWindows: [
+                    { startHour: 22, endHour: 2, enabled: true },
+                    { startTime: '23:30', endTime: '00:15', enabled: true }
+                ]
+            };
+
+            const result = lifecycleManager.validateActivityConfiguration(config);
+
+            expect(result.valid).toBe(true);
+            expect(result.errors).toHaveLength(0);
         });
 
         it('should require at least one enabled time window', () => {
@@ -372,6 +386,138 @@ describe('ActivityLifecycleManager', () => {
             expect(result.errors).toContain('skipWeekends must be a boolean value');
             expect(result.errors).toContain('skipHolidays must be a boolean value');
         });
+
+        it('should accept HH:mm time windows and validate the slot granularity', () => {
+            const timeWindows = [
+                { startTime: '08:30', endTime: '09:45', enabled: true },
+                { startTime: '10:00', endTime: '10:00', enabled: true }
+            ];
+
+            const result = lifecycleManager.validateActivityConfiguration({ timeWindows, slotGranularity: 10 });
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([
+                'Time window 2 has invalid hours (10:00-10:00)',
+                'slotGranularity must be one of: 5, 15, 30, 60'
+            ]);
+            expect(lifecycleManager.validateActivityConfiguration({
+                timeWindows: [timeWindows[0]],
+                slotGranularity: 15
+            }).valid).toBe(true);
+        });
+
+        it('should validate the DST policy', () => {
+            const timeWindows = [{ startHour: 9, endHour: 10, enabled: true }];
+
+            const valid = lifecycleManager.validateActivityConfiguration({ timeWindows, dstPolicy: 'later' });
+            const invalid = lifecycleManager.validateActivityConfiguration({ timeWindows, dstPolicy: 'nearest' });
+
+            expect(valid.valid).toBe(true);
+            expect(invalid.valid).toBe(false);
+            expect(invalid.errors).toContain('dstPolicy must be one of: shift_forward, earlier, later');
+        });
+
+        it('should validate the weekend days override', () => {
+            const timeWindows = [{ startHour: 9, endHour: 10, enabled: true }];
+            const everyDay = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+            expect(lifecycleManager.validateActivityConfiguration({
+                timeWindows,
+                weekendDays: ['friday', 'saturday']
+            }).valid).toBe(true);
+            expect(lifecycleManager.validateActivityConfiguration({ timeWindows, weekendDays: ['fri'] }).errors)
+                .toContain('weekendDays must be an array of weekday names');
+            expect(lifecycleManager.validateActivityConfiguration({ timeWindows, weekendDays: everyDay }).errors)
+                .toContain('weekendDays cannot include every day of the week');
+        });
+
+        it('should validate the holiday types', () => {
+            const timeWindows = [{ startHour: 9, endHour: 10, enabled: true }];
+            const error = 'holidayTypes must be a non-empty array of: public, bank, school, optional, observance';
+
+            expect(lifecycleManager.validateActivityConfiguration({
+                timeWindows,
+                holidayTypes: ['public', 'bank']
+            }).valid).toBe(true);
+            expect(lifecycleManager.validateActivityConfiguration({ timeWindows, holidayTypes: ['religious'] }).errors)
+                .toContain(error);
+            expect(lifecycleManager.validateActivityConfiguration({ timeWindows, holidayTypes: [] }).errors)
+                .toContain(error);
+        });
+
+        it('should accept a weekly schedule in place of timeWindows', () => {
+            const result = lifecycleManager.validateActivityConfiguration({
+                weeklySchedule: {
+                    monday: [{ startHour: 9, endHour: 11, enabled: true }],
+                    Saturday: [{ startTime: '10:00', endTime: '12:00', enabled: true }],
+                    sunday: []
+                }
+            });
+
+            expect(result.valid).toBe(true);
+        });
+
+        it('should validate each day of the weekly schedule', () => {
+            const result = lifecycleManager.validateActivityConfiguration({
+                timeWindows: [{ startHour: 9, endHour: 10, enabled: true }],
+                weeklySchedule: {
+                    monday: [
+                        { startHour: 9, endHour: 11, enabled: true },
+                        { startHour: 14, endHour: 14, enabled: true }
+                    ],
+                    tuesday: { startHour: 9, endHour: 11, enabled: true },
+                    funday: []
+                }
+            });
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toEqual([
+                'Monday time window 2 has invalid hours (14-14)',
+                'Tuesday time windows must be an array',
+                'weeklySchedule has unknown weekday "funday"'
+            ]);
+        });
+
+        it('should reject a weekly schedule that closes every day', () => {
+            const closed = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+                .reduce((schedule, day) => ({ ...schedule, [day]: [] }), {});
+
+            const result = lifecycleManager.validateActivityConfiguration({ weeklySchedule: closed });
+
+            expect(result.valid).toBe(false);
+            expect(result.errors).toContain('weeklySchedule must have at least one day with an enabled time window');
+        });
+    });
+
+    describe('validateJourneyContext', () => {
+        const basePayload = {
+            activityObjectID: 'test-activity-123',
+            journeyId: 'test-journey-456',
+            outArguments: [{ convertedTime: '' }]
+        };
+        const missingBindingWarning = 'Missing geosegment and timezone bindings - timezone calculation will use defaults';
+
+        it('should warn when neither geosegment nor timezone is bound', () => {
+            const result = lifecycleManager.validateJourneyContext({
+                ...basePayload,
+                inArguments: [{ subscriberKey: '{{Contact.Key}}' }]
+            });
+
+            expect(result.warnings).toContain(missingBindingWarning);
+        });
+
+        it('should accept a timezone binding without geosegment', () => {
+            const result = lifecycleManager.validateJourneyContext({
+                ...basePayload,
+                inArguments: [{
+                    subscriberKey: '{{Contact.Key}}',
+                    timezone: '{{Contact.Attribute.Master_Subscriber.Timezone}}'
+                }]
+            });
+
+            expect(result.errors).toHaveLength(0);
+            expect(result.warnings).not.toContain(missingBindingWarning);
+        });
     });
 
     describe('getActivityState', () => {
@@ -0,0 +1,100 @@
+/**
+ * Test suite for PostalTimezoneResolver
+ */
+
+const moment = require('moment-timezone');
+const { PostalTimezoneResolver } = require('../src/postal-timezone-resolver');
+const { REGION_TIMEZONE_MAP } = require('../src/timezone-calculator');
+const dataset = require('../src/data/postal-timezones.json');
+
+describe('PostalTimezoneResolver', () => {
+    let resolver;
+    let mockLogger;
+
+    beforeEach(() => {
+        mockLogger = {
+            warn: jest.fn(),
+            error: jest.fn(),
+            info: jest.fn(),
+            debug: jest.fn()
+        };
+        resolver = new PostalTimezoneResolver({}, mockLogger);
+    });
+
+    describe('Supported Countries', () => {
+        test('should cover US, CA, AU, BR and MX', () => {
+            ['US', 'CA', 'AU', 'BR', 'MX'].forEach(code => {
+                expect(resolver.isCountrySupported(code)).toBe(true);
+            });
+            expect(resolver.isCountrySupported('gb')).toBe(false);
+            expect(resolver.isCountrySupported(null)).toBe(false);
+        });
+    });
+
+    describe('Postal Code Resolution', () => {
+        test('should resolve postal codes to regional timezones', () => {
+            const testCases = [
+                { postalCode: '90210', country: 'US', expectedTimezone: 'America/Los_Angeles', expectedRegion: 'US-CA' },
+                { postalCode: '10001', country: 'US', expectedTimezone: 'America/New_York', expectedRegion: 'US-NY' },
+                { postalCode: 'V6B 1A1', country: 'CA', expectedTimezone: 'America/Vancouver', expectedRegion: 'CA-BC' },
+                { postalCode: '6000', country: 'AU', expectedTimezone: 'Australia/Perth', expectedRegion: 'AU-WA' },
+                { postalCode: '69005-070', country: 'BR', expectedTimezone: 'America/Manaus', expectedRegion: 'BR-AM' },
+                { postalCode: '22000', country: 'MX', expectedTimezone: 'America/Tijuana', expectedRegion: 'MX-BCN' }
+            ];
+
+            testCases.forEach(({ postalCode, country, expectedTimezone, expectedRegion }) => {
+                const result = resolver.resolve(postalCode, country);
+                expect(result).not.toBeNull();
+                expect(result.timezone).toBe(expectedTimezone);
+                expect(result.regionCode).toBe(expectedRegion);
+                expect(result.source).toBe('region');
+            });
+        });
+
+        test('should apply overrides for areas that differ from their region', () => {
+            const panhandle = resolver.resolve('32501', 'US');
+            expect(panhandle.regionCode).toBe('US-FL');
+            expect(panhandle.timezone).toBe('America/Chicago');
+            expect(panhandle.source).toBe('override');
+
+            expect(resolver.resolve('79901', 'US').timezone).toBe('America/Denver');
+            expect(resolver.resolve('2880', 'AU').timezone).toBe('Australia/Broken_Hill');
+        });
+
+        test('should normalize common postal code formats', () => {
+            expect(resolver.normalizePostalCode('2134', 'US')).toBe('021');
+            expect(resolver.normalizePostalCode(2134, 'US')).toBe('021');
+            expect(resolver.normalizePostalCode('94105-1234', 'US')).toBe('941');
+            expect(resolver.normalizePostalCode('v6b1a1', 'CA')).toBe('V6B');
+            expect(resolver.normalizePostalCode('01310-100', 'BR')).toBe('01310');
+            expect(resolver.normalizePostalCode('800', 'AU')).toBe('0800');
+        });
+
+        test('should return null for unusable input', () => {
+            expect(resolver.resolve('', 'US')).toBeNull();
+            expect(resolver.resolve(null, 'US')).toBeNull();
+            expect(resolver.resolve('ABCDE', 'US')).toBeNull();
+            expect(resolver.resolve('SW1A 1AA', 'GB')).toBeNull();
+            expect(resolver.resolve('90210', null)).toBeNull();
+        });
+
+        test('should return null for prefixes outside the dataset', () => {
+            // 090-099 are military (APO/FPO) ZIP codes with no local timezone
+            expect(resolver.resolve('09001', 'US')).toBeNull();
+        });
+    });
+
+    describe('Bundled Dataset', () => {
+        test('should only reference valid timezones and known regions', () => {
+            Object.values(dataset.countries).forEach(country => {
+                country.overrides.forEach(entry => {
+                    expect(moment.tz.zone(entry.timezone)).not.toBeNull();
+                });
+                country.ranges.forEach(entry => {
+                    expect(REGION_TIMEZONE_MAP[entry.region]).toBeDefined();
+                    expect(entry.from <= entry.to).toBe(true);
+                });
+            });
+        });
+    });
+});
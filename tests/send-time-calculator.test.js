@@ -3,9 +3,12 @@
  * Tests for the core send time calculation algorithm
  */
 
+const moment = require('moment-timezone');
 const SendTimeCalculator = require('../src/execution/send-time-calculator');
 const { TimezoneEngine } = require('../src/timezone-engine');
 const HolidayChecker = require('../src/holiday-checker');
+const BlackoutCalendar = require('../src/blackout-calendar');
+const { SlotAllocator, MemoryAllocationStore } = require('../src/capacity');
 
 describe('SendTimeCalculator', () => {
     let calculator;
@@ -205,6 +208,1115 @@ describe('SendTimeCalculator', () => {
         });
     });
 
+    describe('regional timezones', () => {
+        const activityConfig = {
+            skipWeekends: false,
+            skipHolidays: false,
+            timeWindows: [{ startHour: 9, endHour: 17, enabled: true }]
+        };
+
+        it('should use the region timezone when a region is bound', async () => {
+            const contact = {
+                subscriberKey: 'region_test',
+                geosegment: 'AU',
+                region: 'AU-WA',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.regionCode).toBe('AU-WA');
+            expect(result.workflow.timezone.timezone).toBe('Australia/Perth');
+            expect(result.adjustments.some(adj => adj.type === 'timezone_region')).toBe(true);
+        });
+
+        it('should record a fallback adjustment for unknown regions', async () => {
+            const contact = {
+                subscriberKey: 'region_fallback_test',
+                geosegment: 'US',
+                region: 'Atlantis',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.regionCode).toBeNull();
+            expect(result.workflow.timezone.timezone).toBe('America/New_York');
+
+            const fallback = result.adjustments.find(adj => adj.type === 'timezone_region_fallback');
+            expect(fallback).toBeDefined();
+            expect(fallback.originalRegion).toBe('Atlantis');
+        });
+    });
+
+    describe('explicit contact timezones', () => {
+        const activityConfig = { skipWeekends: false, skipHolidays: false };
+
+        it('should use a valid contact timezone directly', async () => {
+            const getTimezoneInfoSpy = jest.spyOn(mockComponents.timezoneEngine, 'getTimezoneInfo');
+            const contact = {
+                subscriberKey: 'explicit_tz_test',
+                timezone: 'Europe/Lisbon',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.timezoneSource).toBe('explicit');
+            expect(result.workflow.timezone.timezone).toBe('Europe/Lisbon');
+            expect(result.workflow.timezone.countryCode).toBe('PT');
+            expect(getTimezoneInfoSpy).not.toHaveBeenCalled();
+        });
+
+        it('should keep the geosegment country when both are bound', async () => {
+            const contact = {
+                subscriberKey: 'explicit_tz_geo_test',
+                geosegment: 'US',
+                timezone: 'America/Denver',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.workflow.timezone.countryCode).toBe('US');
+            expect(result.workflow.timezone.timezone).toBe('America/Denver');
+        });
+
+        it('should fall back to the geosegment for invalid timezones', async () => {
+            const contact = {
+                subscriberKey: 'explicit_tz_invalid_test',
+                geosegment: 'JP',
+                timezone: 'Not/AZone',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.timezoneSource).toBe('country');
+            expect(result.workflow.timezone.timezone).toBe('Asia/Tokyo');
+
+            const fallback = result.adjustments.find(adj => adj.type === 'timezone_explicit_fallback');
+            expect(fallback).toBeDefined();
+            expect(fallback.originalTimezone).toBe('Not/AZone');
+        });
+    });
+
+    describe('postal code timezones', () => {
+        it('should prefer the postal code timezone over the country timezone', async () => {
+            const contact = {
+                subscriberKey: 'postal_test',
+                geosegment: 'US',
+                postalCode: '80202',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, {
+                skipWeekends: false,
+                skipHolidays: false
+            }, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.timezoneSource).toBe('postal_code');
+            expect(result.workflow.timezone.timezone).toBe('America/Denver');
+            expect(result.adjustments.some(adj => adj.type === 'timezone_postal_code')).toBe(true);
+        });
+
+        it('should check holidays for the subdivision resolved from the postal code', async () => {
+            const isPublicHoliday = jest.fn().mockResolvedValue(false);
+
+            const result = await calculator.calculateOptimalSendTime({
+                subscriberKey: 'postal_holiday_test',
+                geosegment: 'US',
+                postalCode: '80202',
+                entryTime: new Date()
+            }, {
+                skipWeekends: false,
+                skipHolidays: true
+            }, { ...mockComponents, holidayChecker: { isPublicHoliday } });
+
+            expect(result.success).toBe(true);
+            expect(isPublicHoliday).toHaveBeenCalledWith(expect.any(Date), 'US', 'US-CO', null);
+        });
+    });
+
+    describe('geosegment normalization', () => {
+        const activityConfig = { skipWeekends: false, skipHolidays: false };
+
+        it('should normalize alpha-3 geosegments and record the original value', async () => {
+            const contact = {
+                subscriberKey: 'normalization_test',
+                geosegment: 'JPN',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.workflow.timezone.countryCode).toBe('JP');
+            expect(result.workflow.timezone.timezone).toBe('Asia/Tokyo');
+            expect(result.adjustments.some(adj => adj.type === 'timezone_fallback')).toBe(false);
+
+            const normalization = result.adjustments.find(adj => adj.type === 'geosegment_normalization');
+            expect(normalization).toMatchObject({
+                originalValue: 'JPN',
+                normalizedValue: 'JP',
+                method: 'alpha3'
+            });
+        });
+
+        it('should normalize country names alongside an explicit timezone', async () => {
+            const contact = {
+                subscriberKey: 'normalization_explicit_test',
+                geosegment: 'United States',
+                timezone: 'America/Phoenix',
+                entryTime: new Date()
+            };
+
+            const result = await calculator.calculateOptimalSendTime(contact, activityConfig, mockComponents);
+
+            expect(result.workflow.timezone.countryCode).toBe('US');
+            const normalization = result.adjustments.find(adj => adj.type === 'geosegment_normalization');
+            expect(normalization.normalizedValue).toBe('US');
+            expect(normalization.method).toBe('name');
+        });
+
+        it('should not record a normalization for alpha-2 geosegments', async () => {
+            const result = await calculator.calculateOptimalSendTime({
+                subscriberKey: 'normalization_alpha2_test',
+                geosegment: 'jp',
+                entryTime: new Date()
+            }, activityConfig, mockComponents);
+
+            expect(result.adjustments.some(adj => adj.type === 'geosegment_normalization')).toBe(false);
+        });
+    });
+
+    describe('minute time windows', () => {
+        const entryAt = (time) => moment.tz('America/New_York').add(3, 'days')
+            .startOf('day').add(moment.duration(time)).toDate();
+
+        const calculate = (time, activityConfig) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'minute_window',
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime: entryAt(time)
+        }, {
+            skipWeekends: false,
+            skipHolidays: false,
+            ...activityConfig
+        }, mockComponents);
+
+        const localTime = (result) => moment.tz(result.optimalSendTime, 'America/New_York').format('HH:mm');
+
+        it('should move to the start of the next HH:mm window', async () => {
+            const result = await calculate('07:05', {
+                timeWindows: [{ startTime: '08:30', endTime: '09:45', enabled: true }]
+            });
+
+            expect(result.success).toBe(true);
+            expect(localTime(result)).toBe('08:30');
+        });
+
+        it('should keep in-window times without a slot granularity', async () => {
+            const result = await calculate('09:07', {
+                timeWindows: [{ startTime: '08:30', endTime: '09:45', enabled: true }]
+            });
+
+            expect(localTime(result)).toBe('09:07');
+        });
+
+        it('should align in-window times to the slot granularity', async () => {
+            const result = await calculate('09:07', {
+                timeWindows: [{ startTime: '08:30', endTime: '09:45', enabled: true }],
+                slotGranularity: 15
+            });
+
+            expect(localTime(result)).toBe('09:15');
+        });
+
+        it('should move to the next window when no slot is left in the current one', async () => {
+            const result = await calculate('09:35', {
+                timeWindows: [
+                    { startTime: '08:30', endTime: '09:45', enabled: true },
+                    { startTime: '13:20', endTime: '14:00', enabled: true }
+                ],
+                slotGranularity: 30
+            });
+
+            expect(localTime(result)).toBe('13:20');
+        });
+    });
+
+    describe('preferred send times', () => {
+        const windows = [
+            { startHour: 9, endHour: 11, enabled: true },
+            { startHour: 14, endHour: 16, enabled: true }
+        ];
+        const entryAt = (time) => moment.tz('America/New_York').add(3, 'days')
+            .startOf('day').add(moment.duration(time)).toDate();
+
+        const calculate = (time, contact = {}, activityConfig = {}, components = mockComponents) =>
+            calculator.calculateOptimalSendTime({
+                subscriberKey: 'preferred',
+                geosegment: 'US',
+                timezone: 'America/New_York',
+                entryTime: entryAt(time),
+                ...contact
+            }, {
+                skipWeekends: false,
+                skipHolidays: false,
+                timeWindows: windows,
+                ...activityConfig
+            }, components);
+
+        const localTime = (result) => moment.tz(result.optimalSendTime, 'America/New_York').format('HH:mm');
+
+        it('should send at a bound preferred hour within the windows', async () => {
+            const result = await calculate('07:05', { preferredHour: '14:30' });
+
+            expect(result.success).toBe(true);
+            expect(localTime(result)).toBe('14:30');
+            expect(result.workflow.timeWindow.preferredTime).toEqual({ hour: 14, minute: 30, source: 'attribute' });
+        });
+
+        it('should send near the hour learned from engagement history', async () => {
+            const engagementScorer = { getPreferredTime: jest.fn().mockReturnValue({ hour: 10, minute: 15, source: 'contact', events: 8 }) };
+
+            const result = await calculate('07:05', {}, {}, { ...mockComponents, engagementScorer });
+
+            expect(localTime(result)).toBe('10:15');
+            expect(engagementScorer.getPreferredTime).toHaveBeenCalledWith('preferred', 'America/New_York', 'US');
+        });
+
+        it('should use the nearest slot when the preferred time is outside the windows', async () => {
+            const result = await calculate('07:05', { preferredHour: 12, preferredMinute: 40 }, { slotGranularity: 30 });
+
+            expect(localTime(result)).toBe('14:00');
+        });
+
+        it('should not send earlier than the earliest allowed slot', async () => {
+            const result = await calculate('14:20', { preferredHour: 9 });
+
+            expect(localTime(result)).toBe('14:20');
+        });
+
+        it('should ignore preferences when engagement history is disabled', async () => {
+            const result = await calculate('07:05', { preferredHour: 14 }, { useEngagementHistory: false });
+
+            expect(localTime(result)).toBe('09:00');
+            expect(result.workflow.timeWindow.preferredTime).toBeNull();
+        });
+    });
+
+    describe('send time jitter', () => {
+        const entryTime = () => moment.tz('America/New_York').add(3, 'days').startOf('day').add(7, 'hours').toDate();
+
+        const calculate = (subscriberKey, activityConfig = {}) => calculator.calculateOptimalSendTime({
+            subscriberKey,
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime: entryTime()
+        }, {
+            skipWeekends: false,
+            skipHolidays: false,
+            timeWindows: [{ startTime: '09:00', endTime: '09:10', enabled: true }],
+            jitterMinutes: 15,
+            ...activityConfig
+        }, mockComponents);
+
+        const localTime = (result) => moment.tz(result.optimalSendTime, 'America/New_York').format('HH:mm:ss');
+
+        it('should give each subscriber a stable offset within the window', async () => {
+            const keys = ['subscriber-1', 'subscriber-2', 'subscriber-3', 'subscriber-4'];
+            const first = await Promise.all(keys.map(key => calculate(key)));
+            const retry = await Promise.all(keys.map(key => calculate(key)));
+
+            expect(retry.map(localTime)).toEqual(first.map(localTime));
+            expect(new Set(first.map(localTime)).size).toBe(keys.length);
+            first.forEach(result => {
+                expect(localTime(result) >= '09:00:00' && localTime(result) < '09:10:00').toBe(true);
+                expect(result.workflow.final.jitterSeconds).toBe(moment.tz(result.optimalSendTime, 'America/New_York').diff(
+                    moment.tz(result.optimalSendTime, 'America/New_York').startOf('day').add(9, 'hours'), 'seconds'
+                ));
+            });
+            expect(first[0].adjustments.some(adj => adj.type === 'future_time_adjustment')).toBe(false);
+        });
+
+        it('should send at the slot start without a jitter range', async () => {
+            const result = await calculate('subscriber-1', { jitterMinutes: 0 });
+
+            expect(localTime(result)).toBe('09:00:00');
+            expect(result.workflow.final.jitterSeconds).toBe(0);
+        });
+
+        it('should keep the offset inside the slot a send overflows to', async () => {
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+            const calculateWithCapacity = subscriberKey => calculator.calculateOptimalSendTime({
+                subscriberKey,
+                geosegment: 'US',
+                timezone: 'America/New_York',
+                entryTime: entryTime()
+            }, {
+                skipWeekends: false,
+                skipHolidays: false,
+                timeWindows: [{ startTime: '09:00', endTime: '10:00', enabled: true }],
+                slotGranularity: 15,
+                maxSendsPerSlot: 1,
+                jitterMinutes: 30
+            }, { ...mockComponents, slotAllocator }, { journeyId: 'journey-1' });
+
+            const first = await calculateWithCapacity('subscriber-1');
+            const second = await calculateWithCapacity('subscriber-2');
+
+            expect(localTime(first) >= '09:00:00' && localTime(first) < '09:15:00').toBe(true);
+            expect(localTime(second) > '09:15:00' && localTime(second) < '09:30:00').toBe(true);
+            expect(second.workflow.final.jitterSeconds).toBeGreaterThan(0);
+            expect(second.workflow.capacity.allocation.slotStart).toEqual(
+                moment.tz(second.optimalSendTime, 'America/New_York').startOf('day').add(9, 'hours').add(15, 'minutes').toDate()
+            );
+        });
+    });
+
+    describe('per-slot capacity', () => {
+        const entryTime = () => moment.tz('America/New_York').add(3, 'days').startOf('day').add(7, 'hours').toDate();
+
+        const calculate = (slotAllocator, activityConfig = {}) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'capacity',
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime: entryTime()
+        }, {
+            skipWeekends: false,
+            skipHolidays: false,
+            timeWindows: [
+                { startTime: '09:00', endTime: '09:30', enabled: true },
+                { startHour: 14, endHour: 15, enabled: true }
+            ],
+            slotGranularity: 15,
+            maxSendsPerSlot: 1,
+            ...activityConfig
+        }, { ...mockComponents, slotAllocator }, { journeyId: 'journey-1' });
+
+        const localTime = (result) => moment.tz(result.optimalSendTime, 'America/New_York').format('HH:mm');
+
+        it('should move sends past full slots of the journey', async () => {
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+
+            const first = await calculate(slotAllocator);
+            const second = await calculate(slotAllocator);
+            const third = await calculate(slotAllocator);
+
+            expect([first, second, third].map(localTime)).toEqual(['09:00', '09:15', '14:00']);
+            expect(first.adjustments.some(adj => adj.type === 'capacity_allocation')).toBe(false);
+            expect(third.adjustments.find(adj => adj.type === 'capacity_allocation')).toEqual(expect.objectContaining({
+                slotsFull: 2,
+                capacity: 1
+            }));
+            expect(third.workflow.capacity.allocation).toEqual(expect.objectContaining({ journeyId: 'journey-1', count: 1 }));
+        });
+
+        it('should keep the send time when capacity is not limited or the store fails', async () => {
+            const slotAllocator = { allocate: jest.fn().mockRejectedValue(new Error('Store unavailable')) };
+
+            const unlimited = await calculate(slotAllocator, { maxSendsPerSlot: undefined });
+            const failed = await calculate(slotAllocator);
+
+            expect(slotAllocator.allocate).toHaveBeenCalledTimes(1);
+            expect(localTime(unlimited)).toBe('09:00');
+            expect(localTime(failed)).toBe('09:00');
+            expect(failed.workflow.capacity.warning).toBe('Capacity allocation failed: Store unavailable');
+        });
+
+        it('should fail the contact when no slot has capacity left', async () => {
+            const slotAllocator = {
+                allocate: jest.fn().mockResolvedValue({ success: false, error: 'No slot with capacity left within 30 days' }),
+                reserve: jest.fn().mockResolvedValue({ success: false, error: 'Slot has no capacity left' })
+            };
+
+            const withoutFallback = await calculate(slotAllocator);
+            const immediate = await calculate(slotAllocator, { fallbackBehavior: 'immediate' });
+
+            [withoutFallback, immediate].forEach(result => {
+                expect(result.success).toBe(false);
+                expect(result.error).toBe('No slot with capacity left within 30 days');
+            });
+        });
+    });
+
+    describe('send deadlines', () => {
+        // Friday 2026-10-23 11:00 in New York
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2026-10-23T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const calculate = (contact, activityConfig = {}) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'deadline',
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime: new Date(),
+            ...contact
+        }, {
+            skipWeekends: true,
+            skipHolidays: false,
+            timeWindows: [
+                { startTime: '09:00', endTime: '09:30', enabled: true },
+                { startHour: 14, endHour: 15, enabled: true }
+            ],
+            slotGranularity: 15,
+            ...activityConfig
+        }, mockComponents);
+
+        const localTime = (result) => moment.tz(result.optimalSendTime, 'America/New_York').format('ddd HH:mm');
+
+        it('should move the send back to the last slot before the earlier deadline', async () => {
+            const result = await calculate(
+                { entryTime: new Date('2026-10-26T11:00:00Z'), sendDeadline: '2026-10-25' },
+                { sendBefore: '2026-10-30T12:00:00Z' }
+            );
+
+            expect(localTime(result)).toBe('Fri 14:45');
+            expect(result.processingStatus).toBe('completed');
+            expect(result.workflow.deadline).toEqual({
+                deadline: new Date('2026-10-26T04:00:00Z'),
+                source: 'contact',
+                policy: 'mark_missed',
+                applied: 'last_slot',
+                met: true
+            });
+            expect(result.adjustments.find(adj => adj.type === 'send_deadline')).toEqual(expect.objectContaining({
+                reason: 'Moved to the last slot before the send deadline'
+            }));
+
+            const early = await calculate({}, { sendBefore: '2026-10-30' });
+            expect(localTime(early)).toBe('Fri 14:00');
+            expect(early.adjustments.some(adj => adj.type === 'send_deadline')).toBe(false);
+        });
+
+        it('should allow sends on the day of a deadline given as a date', async () => {
+            const sameDay = await calculate({}, { sendBefore: '2026-10-23' });
+            const sfmcDate = await calculate({ sendDeadline: '10/23/2026' });
+
+            [sameDay, sfmcDate].forEach(result => {
+                expect(localTime(result)).toBe('Fri 14:00');
+                expect(result.processingStatus).toBe('completed');
+                expect(result.workflow.deadline).toEqual(expect.objectContaining({
+                    deadline: new Date('2026-10-24T04:00:00Z'),
+                    met: true
+                }));
+            });
+        });
+
+        it('should apply the deadline policy when no slot is left before the deadline', async () => {
+            const withPolicy = deadlinePolicy => calculate({ sendDeadline: '10/23/2026 1:00:00 PM' }, { deadlinePolicy });
+
+            const lastAllowed = await withPolicy('last_allowed');
+            const immediate = await withPolicy('immediate');
+            const missed = await withPolicy(undefined);
+
+            expect(localTime(lastAllowed)).toBe('Fri 12:59');
+            expect(localTime(immediate)).toBe('Fri 11:05');
+            expect([lastAllowed, immediate].map(result => result.processingStatus)).toEqual(['completed', 'completed']);
+
+            expect(localTime(missed)).toBe('Fri 14:00');
+            expect(missed.processingStatus).toBe('deadline_missed');
+            expect(missed.workflow.deadline).toEqual(expect.objectContaining({ applied: 'mark_missed', met: false }));
+            expect(missed.adjustments.some(adj => adj.type === 'send_deadline')).toBe(false);
+        });
+
+        it('should reserve capacity in the slot before the deadline, or mark the send missed when it is full', async () => {
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+            const calculateWithCapacity = () => calculator.calculateOptimalSendTime({
+                subscriberKey: 'deadline',
+                geosegment: 'US',
+                timezone: 'America/New_York',
+                entryTime: new Date('2026-10-26T11:00:00Z'),
+                sendDeadline: '2026-10-25'
+            }, {
+                skipWeekends: true,
+                skipHolidays: false,
+                timeWindows: [
+                    { startTime: '09:00', endTime: '09:30', enabled: true },
+                    { startHour: 14, endHour: 15, enabled: true }
+                ],
+                slotGranularity: 15,
+                maxSendsPerSlot: 1
+            }, { ...mockComponents, slotAllocator }, { journeyId: 'journey-1' });
+
+            const moved = await calculateWithCapacity();
+            const missed = await calculateWithCapacity();
+
+            expect(localTime(moved)).toBe('Fri 14:45');
+            expect(moved.workflow.capacity.allocation).toEqual(expect.objectContaining({
+                slotStart: new Date('2026-10-23T18:45:00Z'),
+                count: 1
+            }));
+            expect(localTime(missed)).toBe('Mon 09:00');
+            expect(missed.processingStatus).toBe('deadline_missed');
+            expect(missed.workflow.deadline).toEqual(expect.objectContaining({ applied: 'mark_missed', met: false }));
+            expect(await slotAllocator.getUsage('journey-1')).toEqual({
+                '2026-10-23T18:45:00.000Z': 1,
+                '2026-10-26T13:00:00.000Z': 1
+            });
+        });
+    });
+
+    describe('fallback behavior', () => {
+        // Friday 2026-10-23 11:00 in New York, 10:00 in Chicago
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2026-10-23T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const calculate = (contact, activityConfig = {}, components = {}) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'fallback',
+            geosegment: 'US',
+            entryTime: new Date(),
+            ...contact
+        }, {
+            skipWeekends: true,
+            skipHolidays: false,
+            timeWindows: [
+                { startTime: '09:00', endTime: '09:30', enabled: true },
+                { startHour: 14, endHour: 15, enabled: true }
+            ],
+            ...activityConfig
+        }, { ...mockComponents, ...components });
+
+        const outcome = (result, timezone) => [
+            moment.tz(result.optimalSendTime, timezone).format('ddd HH:mm'),
+            result.processingStatus,
+            result.adjustmentReason
+        ];
+
+        it('should apply each behavior when the timezone cannot be resolved', async () => {
+            const timezoneEngine = { getTimezoneInfo: jest.fn(() => { throw new Error('Engine unavailable'); }) };
+            const withBehavior = fallbackBehavior => calculate({}, { fallbackBehavior }, { timezoneEngine });
+
+            const failed = await withBehavior(undefined);
+            expect(failed.success).toBe(false);
+            expect(failed.error).toBe('Timezone conversion failed: Engine unavailable');
+
+            const nextBusinessDay = await withBehavior('next_business_day');
+            expect(outcome(nextBusinessDay, 'America/Chicago')).toEqual(['Mon 09:00', 'fallback_next_business_day', 'timezone_failure']);
+            expect(nextBusinessDay.workflow.timezone).toEqual(expect.objectContaining({ success: false, timezone: 'America/Chicago' }));
+            expect(nextBusinessDay.fallback).toEqual({
+                trigger: 'timezone_failure',
+                behavior: 'next_business_day',
+                error: 'Timezone conversion failed: Engine unavailable'
+            });
+
+            expect(outcome(await withBehavior('immediate'), 'America/Chicago')).toEqual(['Fri 10:05', 'fallback_immediate', 'timezone_failure']);
+            expect(outcome(await withBehavior('default_time'), 'America/Chicago')).toEqual(['Fri 14:00', 'fallback_default_time', 'timezone_failure']);
+        });
+
+        it('should treat a geosegment or explicit timezone that cannot be resolved as a timezone failure', async () => {
+            const unknownGeosegment = await calculate({ geosegment: 'XX' }, { fallbackBehavior: 'immediate' });
+            expect(outcome(unknownGeosegment, 'America/Chicago')).toEqual(['Fri 10:05', 'fallback_immediate', 'timezone_failure']);
+            expect(unknownGeosegment.fallback.error).toBe('Timezone could not be resolved: invalid geosegment "XX"');
+
+            const invalidTimezone = await calculate({ geosegment: undefined, timezone: 'Mars/Olympus' }, { fallbackBehavior: 'next_business_day' });
+            expect(outcome(invalidTimezone, 'America/Chicago')).toEqual(['Mon 09:00', 'fallback_next_business_day', 'timezone_failure']);
+            expect(invalidTimezone.fallback.error)
+                .toBe('Timezone could not be resolved: invalid timezone "Mars/Olympus" and no valid geosegment');
+
+            // A valid geosegment still resolves the timezone; without a behavior the default country is used
+            const geosegmentTimezone = await calculate({ geosegment: 'DE', timezone: 'Mars/Olympus' }, { fallbackBehavior: 'immediate' });
+            expect(geosegmentTimezone.processingStatus).toBe('completed');
+            expect(geosegmentTimezone.workflow.timezone.countryCode).toBe('DE');
+            expect((await calculate({ geosegment: 'XX' })).processingStatus).toBe('completed');
+        });
+
+        it('should apply the behavior when holiday data cannot be loaded', async () => {
+            const holidayChecker = {
+                getHolidayInfo: jest.fn(async () => ({ isHoliday: false, error: 'Holiday API unavailable' }))
+            };
+            const withBehavior = fallbackBehavior => calculate(
+                { timezone: 'America/New_York' },
+                { skipHolidays: true, fallbackBehavior },
+                { holidayChecker }
+            );
+
+            const ignored = await withBehavior(undefined);
+            expect(outcome(ignored, 'America/New_York')[0]).toBe('Fri 14:00');
+            expect(ignored.processingStatus).toBe('completed');
+            expect(ignored.adjustmentReason).toBe([...new Set(ignored.adjustments.map(adj => adj.type))].join(','));
+
+            holidayChecker.getHolidayInfo.mockClear();
+            const nextBusinessDay = await withBehavior('next_business_day');
+            expect(outcome(nextBusinessDay, 'America/New_York')).toEqual(['Mon 09:00', 'fallback_next_business_day', 'holiday_provider_failure']);
+            expect(holidayChecker.getHolidayInfo).toHaveBeenCalledTimes(1);
+            expect(nextBusinessDay.adjustments).toEqual([expect.objectContaining({
+                type: 'fallback',
+                reason: 'Holiday provider failed: Holiday API unavailable; applied next_business_day fallback'
+            })]);
+        });
+
+        it('should apply the behavior when no slot is found', async () => {
+            const noWindows = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+                .reduce((schedule, day) => ({ ...schedule, [day]: [] }), {});
+            const defaultTime = await calculate(
+                { timezone: 'America/New_York' },
+                { weeklySchedule: noWindows, fallbackBehavior: 'default_time' }
+            );
+            expect(outcome(defaultTime, 'America/New_York')).toEqual(['Fri 14:00', 'fallback_default_time', 'no_slot_found']);
+
+            const slotAllocator = { allocate: jest.fn().mockResolvedValue({ success: false, error: 'No slot with capacity left within 30 days' }) };
+            const immediate = await calculate(
+                { timezone: 'America/New_York' },
+                { maxSendsPerSlot: 1, fallbackBehavior: 'immediate' },
+                { slotAllocator }
+            );
+            expect(outcome(immediate, 'America/New_York')).toEqual(['Fri 11:05', 'fallback_immediate', 'no_slot_found']);
+            expect(immediate.fallback.error).toBe('No slot with capacity left within 30 days');
+        });
+
+        it('should apply capacity and the send deadline to the fallback send time', async () => {
+            const timezoneEngine = { getTimezoneInfo: jest.fn(() => { throw new Error('Engine unavailable'); }) };
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+            const withBehavior = (fallbackBehavior, contact = {}) => calculator.calculateOptimalSendTime({
+                subscriberKey: 'fallback',
+                geosegment: 'US',
+                entryTime: new Date(),
+                ...contact
+            }, {
+                skipWeekends: true,
+                skipHolidays: false,
+                timeWindows: [
+                    { startTime: '09:00', endTime: '09:30', enabled: true },
+                    { startHour: 14, endHour: 15, enabled: true }
+                ],
+                slotGranularity: 15,
+                maxSendsPerSlot: 1,
+                fallbackBehavior
+            }, { ...mockComponents, timezoneEngine, slotAllocator }, { journeyId: 'journey-1' });
+
+            const nextBusinessDay = [await withBehavior('next_business_day'), await withBehavior('next_business_day')];
+            expect(nextBusinessDay.map(result => outcome(result, 'America/Chicago'))).toEqual([
+                ['Mon 09:00', 'fallback_next_business_day', 'timezone_failure'],
+                ['Mon 09:15', 'fallback_next_business_day', 'timezone_failure']
+            ]);
+            expect(nextBusinessDay[1].adjustments.map(adj => adj.type)).toEqual(['fallback', 'capacity_allocation']);
+
+            // Immediate sends keep their own slot while it has capacity, then wait for the next free slot
+            const immediate = [await withBehavior('immediate'), await withBehavior('immediate')];
+            expect(immediate.map(result => outcome(result, 'America/Chicago')[0])).toEqual(['Fri 10:05', 'Fri 14:00']);
+
+            const missed = await withBehavior('immediate', { subscriberKey: 'missed', sendDeadline: '2026-10-23T15:00:00Z' });
+            expect(outcome(missed, 'America/Chicago')).toEqual(['Fri 14:15', 'deadline_missed', 'timezone_failure']);
+            expect(missed.fallback).toEqual(expect.objectContaining({ behavior: 'immediate' }));
+            expect(missed.workflow.deadline).toEqual(expect.objectContaining({ applied: 'mark_missed', met: false }));
+        });
+
+        it('should count immediate sends in the slot of a window that starts off the grid', async () => {
+            const timezoneEngine = { getTimezoneInfo: jest.fn(() => { throw new Error('Engine unavailable'); }) };
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+            const immediate = () => calculator.calculateOptimalSendTime({
+                subscriberKey: 'off-grid',
+                geosegment: 'US',
+                entryTime: new Date()
+            }, {
+                skipWeekends: true,
+                skipHolidays: false,
+                timeWindows: [{ startTime: '10:03', endTime: '12:00', enabled: true }],
+                slotGranularity: 60,
+                maxSendsPerSlot: 1,
+                fallbackBehavior: 'immediate'
+            }, { ...mockComponents, timezoneEngine, slotAllocator }, { journeyId: 'journey-1' });
+
+            const first = await immediate();
+            const second = await immediate();
+
+            expect([first, second].map(result => outcome(result, 'America/Chicago')[0])).toEqual(['Fri 10:05', 'Fri 11:00']);
+            expect(first.workflow.capacity.allocation).toEqual(expect.objectContaining({
+                slotStart: new Date('2026-10-23T15:03:00Z'),
+                slotEnd: new Date('2026-10-23T16:00:00Z')
+            }));
+            expect(await slotAllocator.getUsage('journey-1')).toEqual({
+                '2026-10-23T15:03:00.000Z': 1,
+                '2026-10-23T16:00:00.000Z': 1
+            });
+        });
+    });
+
+    describe('overnight time windows', () => {
+        const overnightConfig = {
+            skipWeekends: true,
+            skipHolidays: false,
+            timeWindows: [{ startHour: 22, endHour: 2, enabled: true }]
+        };
+
+        // Next local weekday at the given time, at least three days out
+        const nextLocal = (isoWeekday, time) => {
+            const day = moment.tz('America/New_York').add(3, 'days').startOf('day');
+            while (day.isoWeekday() !== isoWeekday) {
+                day.add(1, 'day');
+            }
+            return day.add(moment.duration(time)).toDate();
+        };
+
+        const calculate = (entryTime, activityConfig = overnightConfig) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'overnight_window',
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime
+        }, activityConfig, mockComponents);
+
+        it('should keep times after midnight that fall inside an overnight window', async () => {
+            const result = await calculate(nextLocal(2, '01:15'));
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(result.success).toBe(true);
+            expect(local.format('HH:mm')).toBe('01:15');
+            expect(result.adjustments.some(adj => adj.type === 'time_window_adjustment')).toBe(false);
+        });
+
+        it('should move daytime entries to the window start the same evening', async () => {
+            const entryTime = nextLocal(2, '10:00');
+            const result = await calculate(entryTime);
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.format('YYYY-MM-DD HH:mm'))
+                .toBe(moment.tz(entryTime, 'America/New_York').format('YYYY-MM-DD [22:00]'));
+        });
+
+        it('should align overnight times to slots across midnight', async () => {
+            const result = await calculate(nextLocal(2, '23:50'), {
+                ...overnightConfig,
+                slotGranularity: 30
+            });
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.format('HH:mm')).toBe('00:00');
+            expect(local.isoWeekday()).toBe(3);
+        });
+
+        it('should apply weekend exclusion to the day the send happens on', async () => {
+            // Friday night's after-midnight hours fall on Saturday
+            const result = await calculate(nextLocal(6, '01:00'));
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.isoWeekday()).toBe(1);
+            expect(local.format('HH:mm')).toBe('01:00');
+            expect(result.adjustments.find(adj => adj.type === 'weekend_exclusion').reason)
+                .toBe('Moved from Saturday to Monday');
+        });
+    });
+
+    describe('weekly schedules', () => {
+        const weekdayWindows = [
+            { startHour: 9, endHour: 11, enabled: true },
+            { startHour: 14, endHour: 16, enabled: true }
+        ];
+        const scheduleConfig = {
+            skipWeekends: false,
+            skipHolidays: false,
+            weeklySchedule: {
+                monday: weekdayWindows,
+                tuesday: weekdayWindows,
+                wednesday: weekdayWindows,
+                thursday: weekdayWindows,
+                friday: [{ startHour: 9, endHour: 11, enabled: true }],
+                saturday: [{ startTime: '10:00', endTime: '12:00', enabled: true }],
+                sunday: []
+            }
+        };
+
+        // Next local weekday at the given time, at least three days out
+        const nextLocal = (isoWeekday, time) => {
+            const day = moment.tz('America/New_York').add(3, 'days').startOf('day');
+            while (day.isoWeekday() !== isoWeekday) {
+                day.add(1, 'day');
+            }
+            return day.add(moment.duration(time)).toDate();
+        };
+
+        const calculate = (entryTime, activityConfig = scheduleConfig) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'weekly_schedule',
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime
+        }, activityConfig, mockComponents);
+
+        it('should use the windows of the local weekday', async () => {
+            const result = await calculate(nextLocal(3, '12:30'));
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(result.success).toBe(true);
+            expect(local.isoWeekday()).toBe(3);
+            expect(local.format('HH:mm')).toBe('14:00');
+        });
+
+        it('should move past a day whose windows are over to the next day\'s schedule', async () => {
+            // Friday has no afternoon window; Saturday opens at 10:00
+            const result = await calculate(nextLocal(5, '15:00'));
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.isoWeekday()).toBe(6);
+            expect(local.format('HH:mm')).toBe('10:00');
+        });
+
+        it('should skip days with an empty schedule', async () => {
+            const result = await calculate(nextLocal(6, '13:00'));
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.isoWeekday()).toBe(1);
+            expect(local.format('HH:mm')).toBe('09:00');
+        });
+
+        it('should fall back to timeWindows for days without a schedule', async () => {
+            const result = await calculate(nextLocal(2, '07:00'), {
+                skipWeekends: false,
+                skipHolidays: false,
+                timeWindows: [{ startHour: 18, endHour: 20, enabled: true }],
+                weeklySchedule: { monday: weekdayWindows }
+            });
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.isoWeekday()).toBe(2);
+            expect(local.format('HH:mm')).toBe('18:00');
+        });
+
+        it('should place weekend moves in the new day\'s windows', async () => {
+            // Saturday 11:30 is inside Saturday's window but after Monday's morning one
+            const result = await calculate(nextLocal(6, '11:30'), {
+                ...scheduleConfig,
+                skipWeekends: true
+            });
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(local.isoWeekday()).toBe(1);
+            expect(local.format('HH:mm')).toBe('14:00');
+        });
+    });
+
+    describe('DST transitions', () => {
+        // Uses the next America/New_York transition so the result passes the future-time checks
+        const nextTransitionDay = (type) => {
+            const zone = moment.tz.zone('America/New_York');
+            const earliest = Date.now() + 2 * 24 * 60 * 60 * 1000;
+            const index = zone.untils.findIndex((until, i) => until > earliest &&
+                (zone.offsets[i + 1] < zone.offsets[i]) === (type === 'gap'));
+            return moment.tz(zone.untils[index], 'America/New_York').startOf('day');
+        };
+
+        const calculateOnTransitionDay = (type, timeWindow, dstPolicy) => calculator.calculateOptimalSendTime({
+            subscriberKey: `dst_${type}`,
+            geosegment: 'US',
+            timezone: 'America/New_York',
+            entryTime: nextTransitionDay(type).add(30, 'minutes').toDate()
+        }, {
+            skipWeekends: false,
+            skipHolidays: false,
+            timeWindows: [{ ...timeWindow, enabled: true }],
+            dstPolicy
+        }, mockComponents);
+
+        it('should shift a window start in a DST gap forward by default', async () => {
+            const result = await calculateOnTransitionDay('gap', { startHour: 2, endHour: 4 });
+            const local = moment.tz(result.optimalSendTime, 'America/New_York');
+
+            expect(result.success).toBe(true);
+            expect(local.format('HH:mm')).toBe('03:00');
+            expect(result.adjustments.find(adj => adj.type === 'dst_adjustment')).toMatchObject({
+                type: 'dst_adjustment',
+                stage: 'time_window',
+                policy: 'shift_forward',
+                timezone: 'America/New_York'
+            });
+        });
+
+        it('should apply the activity DST policy to a gap', async () => {
+            const result = await calculateOnTransitionDay('gap', { startHour: 2, endHour: 4 }, 'earlier');
+
+            expect(moment.tz(result.optimalSendTime, 'America/New_York').format('HH:mm Z')).toBe('01:00 -05:00');
+        });
+
+        it('should pick the requested occurrence of a repeated local time', async () => {
+            const first = await calculateOnTransitionDay('overlap', { startHour: 1, endHour: 2 });
+            const second = await calculateOnTransitionDay('overlap', { startHour: 1, endHour: 2 }, 'later');
+
+            expect(second.optimalSendTime.getTime() - first.optimalSendTime.getTime()).toBe(60 * 60 * 1000);
+            expect(second.adjustments.find(adj => adj.type === 'dst_adjustment').type).toBe('dst_adjustment');
+            expect(moment.tz(second.optimalSendTime, 'America/New_York').format('HH:mm Z')).toBe('01:00 -05:00');
+        });
+
+        it('should not record DST adjustments outside transitions', async () => {
+            const result = await calculator.calculateOptimalSendTime({
+                subscriberKey: 'dst_none',
+                geosegment: 'US',
+                timezone: 'America/New_York',
+                entryTime: moment.tz('America/New_York').add(5, 'days').startOf('day').toDate()
+            }, {
+                skipWeekends: false,
+                skipHolidays: false,
+                timeWindows: [{ startHour: 9, endHour: 10, enabled: true }]
+            }, mockComponents);
+
+            expect(result.success).toBe(true);
+            expect(result.adjustments.some(adj => adj.type === 'dst_adjustment')).toBe(false);
+        });
+    });
+
+    describe('partial-day holidays', () => {
+        const windows = [
+            { startHour: 9, endHour: 11, enabled: true },
+            { startHour: 14, endHour: 16, enabled: true }
+        ];
+
+        // Next Christmas Eve falling on Monday to Thursday, at least three days out
+        const nextChristmasEve = (time) => {
+            const day = moment.tz('Europe/Berlin').add(3, 'days').startOf('day');
+            let year = day.year();
+            while (moment.tz(`${year}-12-24`, 'Europe/Berlin').isBefore(day) ||
+                moment.tz(`${year}-12-24`, 'Europe/Berlin').isoWeekday() > 4) {
+                year++;
+            }
+            return moment.tz(`${year}-12-24 ${time}`, 'Europe/Berlin').toDate();
+        };
+
+        const calculate = (entryTime, holidayChecker) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'partial_day',
+            geosegment: 'DE',
+            timezone: 'Europe/Berlin',
+            entryTime
+        }, {
+            skipWeekends: true,
+            skipHolidays: true,
+            timeWindows: windows
+        }, { ...mockComponents, holidayChecker });
+
+        it('should keep a morning slot before the cutoff', async () => {
+            const result = await calculate(nextChristmasEve('10:00'), new HolidayChecker({ providers: [] }));
+            const local = moment.tz(result.optimalSendTime, 'Europe/Berlin');
+
+            expect(result.success).toBe(true);
+            expect(local.format('MM-DD HH:mm')).toBe('12-24 10:00');
+            expect(result.adjustments.some(adj => adj.type === 'holiday_exclusion')).toBe(false);
+        });
+
+        it('should skip the day when no slot is left before the cutoff', async () => {
+            const result = await calculate(nextChristmasEve('13:00'), new HolidayChecker({ providers: [] }));
+            const local = moment.tz(result.optimalSendTime, 'Europe/Berlin');
+
+            // 25 and 26 December are holidays too
+            expect(local.date()).toBeGreaterThan(26);
+            expect(local.format('HH:mm')).toBe('14:00');
+            expect(result.adjustments.find(adj => adj.type === 'holiday_exclusion').holidaysAvoided[0])
+                .toEqual({ date: expect.stringMatching(/-12-24$/), name: 'Christmas Eve', cutoffHour: 14 });
+        });
+
+        it('should use the first slot of a half day reached from a holiday', async () => {
+            const entryTime = nextChristmasEve('15:00');
+            const halfDay = moment.tz(entryTime, 'Europe/Berlin').add(1, 'day').format('YYYY-MM-DD');
+            const getHolidayInfo = jest.fn(async (date) => {
+                const isHalfDay = date.toISOString().slice(0, 10) === halfDay;
+                return {
+                    isHoliday: true,
+                    name: isHalfDay ? 'Half Day' : 'Full Day',
+                    partialDay: isHalfDay,
+                    cutoffHour: isHalfDay ? 12 : null,
+                    observed: false,
+                    observedFrom: null
+                };
+            });
+
+            const result = await calculate(entryTime, { getHolidayInfo });
+            const local = moment.tz(result.optimalSendTime, 'Europe/Berlin');
+            const adjustment = result.adjustments.find(adj => adj.type === 'holiday_exclusion');
+
+            expect(local.format('YYYY-MM-DD HH:mm')).toBe(`${halfDay} 09:00`);
+            expect(adjustment.reason).toBe('Moved 1 days to avoid 1 holiday(s); Placed before the 12:00 cutoff of Half Day');
+        });
+    });
+
+    describe('blackout dates', () => {
+        // Friday 2026-10-23 11:00 in New York
+        beforeEach(() => {
+            jest.useFakeTimers({ now: new Date('2026-10-23T15:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        const createHolidayChecker = async () => {
+            const blackoutCalendar = new BlackoutCalendar();
+            await blackoutCalendar.create({ name: 'Release Freeze', type: 'date', date: '2026-10-26', journeyId: 'journey-1' });
+            await blackoutCalendar.create({ name: 'Month End', type: 'date', date: '2026-11-02', journeyId: 'journey-1' });
+            await blackoutCalendar.create({ name: 'EU Shutdown', type: 'date', date: '2026-10-27', countries: ['DE'] });
+            return new HolidayChecker({ enabled: false, blackoutCalendar });
+        };
+
+        const calculate = async (contact, activityConfig = {}, components = {}, journeyId = 'journey-1') =>
+            calculator.calculateOptimalSendTime({
+                subscriberKey: 'blackout',
+                geosegment: 'US',
+                timezone: 'America/New_York',
+                entryTime: new Date('2026-10-26T11:00:00Z'),
+                ...contact
+            }, {
+                skipWeekends: true,
+                skipHolidays: false,
+                timeWindows: [{ startHour: 9, endHour: 17, enabled: true }],
+                ...activityConfig
+            }, {
+                ...mockComponents,
+                holidayChecker: await createHolidayChecker(),
+                ...components
+            }, { journeyId });
+
+        const localTime = (result, timezone = 'America/New_York') => moment.tz(result.optimalSendTime, timezone).format('ddd HH:mm');
+
+        it('should skip blackout dates of the journey and country even when holidays are not skipped', async () => {
+            const result = await calculate({});
+
+            expect(localTime(result)).toBe('Tue 09:00');
+            expect(result.adjustments.find(adj => adj.type === 'holiday_exclusion')).toEqual(expect.objectContaining({
+                reason: 'Moved 1 days to avoid 1 blackout date(s)',
+                blackoutsAvoided: [expect.objectContaining({ date: '2026-10-26', name: 'Release Freeze' })]
+            }));
+            expect(result.workflow.holiday.blackoutsChecked).toBe(1);
+
+            expect(localTime(await calculate({}, {}, {}, 'journey-2'))).toBe('Mon 09:00');
+
+            const german = await calculate({ geosegment: 'DE', timezone: 'Europe/Berlin', entryTime: new Date('2026-10-27T06:00:00Z') });
+            expect(localTime(german, 'Europe/Berlin')).toBe('Wed 09:00');
+        });
+
+        it('should not move a send back onto a blackout date before the deadline', async () => {
+            const result = await calculate({ entryTime: new Date('2026-10-28T11:00:00Z'), sendDeadline: '2026-10-26' });
+
+            expect(localTime(result)).toBe('Fri 16:59');
+            expect(result.workflow.deadline).toEqual(expect.objectContaining({ applied: 'last_slot', met: true }));
+        });
+
+        it('should skip blackout dates when moving sends past full slots', async () => {
+            const slotAllocator = new SlotAllocator({ store: new MemoryAllocationStore() });
+            const calculateWithCapacity = () => calculate(
+                { entryTime: new Date('2026-10-30T12:00:00Z') },
+                { timeWindows: [{ startHour: 9, endHour: 10, enabled: true }], slotGranularity: 60, maxSendsPerSlot: 1 },
+                { slotAllocator }
+            );
+
+            const first = await calculateWithCapacity();
+            const second = await calculateWithCapacity();
+
+            expect(localTime(first)).toBe('Fri 09:00');
+            expect(localTime(second)).toBe('Tue 09:00');
+        });
+    });
+
     describe('getStats', () => {
         it('should return calculator statistics', () => {
             const stats = calculator.getStats();
@@ -252,6 +1364,45 @@ describe('SendTimeCalculator', () => {
                 expect(weekendAdjustment.daysAdjusted).toBeGreaterThan(0);
             }
         });
+
+        // Next local weekday in Riyadh at 10:00, at least three days out
+        const nextRiyadh = (isoWeekday) => {
+            const day = moment.tz('Asia/Riyadh').add(3, 'days').startOf('day');
+            while (day.isoWeekday() !== isoWeekday) {
+                day.add(1, 'day');
+            }
+            return day.hour(10).toDate();
+        };
+
+        const calculateRiyadh = (entryTime, activityConfig) => calculator.calculateOptimalSendTime({
+            subscriberKey: 'country_weekend',
+            geosegment: 'SA',
+            timezone: 'Asia/Riyadh',
+            entryTime
+        }, {
+            skipWeekends: true,
+            skipHolidays: false,
+            timeWindows: [{ startHour: 9, endHour: 17, enabled: true }],
+            ...activityConfig
+        }, mockComponents);
+
+        it('should use the weekend of the contact\'s country', async () => {
+            const friday = await calculateRiyadh(nextRiyadh(5));
+            const sunday = await calculateRiyadh(nextRiyadh(7));
+
+            expect(moment.tz(friday.optimalSendTime, 'Asia/Riyadh').isoWeekday()).toBe(7);
+            expect(friday.adjustments.find(adj => adj.type === 'weekend_exclusion').reason)
+                .toBe('Moved from Friday to Sunday');
+            expect(sunday.adjustments.some(adj => adj.type === 'weekend_exclusion')).toBe(false);
+        });
+
+        it('should let the activity override the weekend days', async () => {
+            const result = await calculateRiyadh(nextRiyadh(5), { weekendDays: ['friday'] });
+            const local = moment.tz(result.optimalSendTime, 'Asia/Riyadh');
+
+            expect(local.isoWeekday()).toBe(6);
+            expect(local.format('HH:mm')).toBe('10:00');
+        });
     });
 
     describe('time window processing', () => {
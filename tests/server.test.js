@@ -18,6 +18,16 @@ describe('Server Endpoints', () => {
         });
     });
 
+    describe('GET /holidays/refresh', () => {
+        it('should report the refresh as disabled while holiday checking is off', async () => {
+            const response = await request(app)
+                .get('/holidays/refresh')
+                .expect(200);
+
+            expect(response.body).toEqual(expect.objectContaining({ enabled: false }));
+        });
+    });
+
     describe('GET /', () => {
         it('should serve the configuration UI', async () => {
             const response = await request(app)
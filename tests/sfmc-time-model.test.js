@@ -0,0 +1,173 @@
+/**
+ * Test suite for the SFMC time model
+ * Send times are calculated in the contact's timezone and converted to the SFMC stack
+ * timezone for output, so the process TZ must never change the result.
+ */
+
+const moment = require('moment-timezone');
+const SendTimeCalculator = require('../src/execution/send-time-calculator');
+const { TimezoneEngine } = require('../src/timezone-engine');
+const { TimezoneCalculator } = require('../src/timezone-calculator');
+const HolidayChecker = require('../src/holiday-checker');
+
+const PROCESS_TIMEZONES = [
+    'UTC',
+    'America/Los_Angeles',
+    'America/Chicago',
+    'Europe/Berlin',
+    'Asia/Kolkata',
+    'Asia/Tokyo',
+    'Pacific/Kiritimati'
+];
+
+describe('SFMC Time Model', () => {
+    const originalTZ = process.env.TZ;
+    let mockLogger;
+
+    beforeEach(() => {
+        mockLogger = {
+            info: jest.fn(),
+            warn: jest.fn(),
+            error: jest.fn(),
+            debug: jest.fn()
+        };
+    });
+
+    afterEach(() => {
+        if (originalTZ === undefined) {
+            delete process.env.TZ;
+        } else {
+            process.env.TZ = originalTZ;
+        }
+    });
+
+    describe('SFMC Stack Timezone', () => {
+        test('should default to fixed CST without daylight saving', () => {
+            const calculator = new TimezoneCalculator({ sfmcTimezone: undefined });
+            const summer = new Date('2024-07-15T12:00:00Z');
+            const winter = new Date('2024-01-15T12:00:00Z');
+
+            expect(calculator.getSFMCUtcOffset(summer)).toBe(-6);
+            expect(calculator.getSFMCUtcOffset(winter)).toBe(-6);
+            expect(calculator.toSFMCTime(summer).toISOString()).toBe('2024-07-15T06:00:00.000Z');
+        });
+
+        test('should follow a configured stack timezone including daylight saving', () => {
+            const calculator = new TimezoneCalculator({ sfmcTimezone: 'America/Chicago' });
+            const summer = new Date('2024-07-15T12:00:00Z');
+
+            expect(calculator.sfmcTimezone.isDaylightSavingAdjusted).toBe(true);
+            expect(calculator.getSFMCUtcOffset(summer)).toBe(-5);
+            expect(calculator.toSFMCTime(summer).toISOString()).toBe('2024-07-15T07:00:00.000Z');
+            expect(calculator.getTimezoneOffsetFromSFMC('America/New_York', summer)).toBe(1);
+        });
+
+        test('should read the stack timezone from STO_SFMC_TIMEZONE', () => {
+            const original = process.env.STO_SFMC_TIMEZONE;
+            process.env.STO_SFMC_TIMEZONE = 'America/Denver';
+            try {
+                expect(new TimezoneCalculator().sfmcTimezone.timezone).toBe('America/Denver');
+            } finally {
+                if (original === undefined) {
+                    delete process.env.STO_SFMC_TIMEZONE;
+                } else {
+                    process.env.STO_SFMC_TIMEZONE = original;
+                }
+            }
+        });
+
+        test('should ignore an invalid stack timezone', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+            const calculator = new TimezoneCalculator({ sfmcTimezone: 'Not/AZone' });
+
+            expect(calculator.sfmcTimezone.utcOffset).toBe(-6);
+            expect(warnSpy).toHaveBeenCalled();
+            warnSpy.mockRestore();
+        });
+
+        test('should round-trip between instants and SFMC time', () => {
+            const calculator = new TimezoneCalculator({ sfmcTimezone: 'America/Chicago' });
+            const instant = new Date('2024-03-10T15:30:00Z');
+
+            expect(calculator.fromSFMCTime(calculator.toSFMCTime(instant)).getTime()).toBe(instant.getTime());
+            expect(() => calculator.toSFMCTime('invalid')).toThrow('Invalid time provided');
+        });
+    });
+
+    describe('Process TZ Independence', () => {
+        // A fixed entry time well in the future keeps the future-time step out of the way
+        const entryTime = moment.utc().add(40, 'days').startOf('day').hour(13).minute(37).toDate();
+
+        const contacts = [
+            { subscriberKey: 'tz_us', geosegment: 'US', entryTime },
+            { subscriberKey: 'tz_jp', geosegment: 'JP', entryTime },
+            { subscriberKey: 'tz_in', geosegment: 'IN', entryTime },
+            { subscriberKey: 'tz_au', geosegment: 'AU', region: 'AU-WA', entryTime },
+            { subscriberKey: 'tz_br', geosegment: 'BR', entryTime }
+        ];
+
+        const activityConfig = {
+            skipWeekends: true,
+            skipHolidays: false,
+            timeWindows: [
+                { startHour: 9, endHour: 10, enabled: true },
+                { startHour: 14, endHour: 16, enabled: true }
+            ]
+        };
+
+        const calculateAll = async () => {
+            const calculator = new SendTimeCalculator({ minFutureMinutes: 5 }, mockLogger);
+            const components = {
+                timezoneEngine: new TimezoneEngine(mockLogger, { logValidationIssues: false }),
+                holidayChecker: new HolidayChecker({ enabled: false })
+            };
+
+            const results = [];
+            for (const contact of contacts) {
+                const result = await calculator.calculateOptimalSendTime(contact, activityConfig, components);
+                results.push({
+                    subscriberKey: result.subscriberKey,
+                    optimalSendTime: result.optimalSendTime.toISOString(),
+                    sfmcSendTime: result.sfmcSendTime.toISOString(),
+                    localSendTime: result.localSendTime,
+                    timezone: result.workflow.timezone.timezone
+                });
+            }
+            return results;
+        };
+
+        let reference;
+
+        beforeAll(async () => {
+            process.env.TZ = 'UTC';
+            mockLogger = { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() };
+            reference = await calculateAll();
+        });
+
+        test('should place send times inside the windows in the contact timezone', () => {
+            reference.forEach(result => {
+                const local = moment.tz(result.optimalSendTime, result.timezone);
+                const hour = local.hour();
+
+                expect((hour >= 9 && hour < 10) || (hour >= 14 && hour < 16)).toBe(true);
+                expect([0, 6]).not.toContain(local.day());
+                expect(result.localSendTime).toBe(local.format());
+            });
+        });
+
+        test('should output SFMC time in the stack timezone', () => {
+            reference.forEach(result => {
+                const expected = new Date(new Date(result.optimalSendTime).getTime() - 6 * 60 * 60 * 1000);
+                expect(result.sfmcSendTime).toBe(expected.toISOString());
+            });
+        });
+
+        test.each(PROCESS_TIMEZONES)('should produce identical results under TZ=%s', async (timezone) => {
+            process.env.TZ = timezone;
+
+            const results = await calculateAll();
+
+            expect(results).toEqual(reference);
+        });
+    });
+});
@@ -0,0 +1,222 @@
+/**
+ * Tests for per-slot send capacity: the Slot Allocator and its allocation stores
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MemoryAllocationStore,
+    FileAllocationStore,
+    SlotAllocator,
+    createAllocationStore
+} = require('../src/capacity');
+
+describe('Allocation stores', () => {
+    describe('MemoryAllocationStore', () => {
+        test('should count sends up to the capacity and expire counters', async () => {
+            const store = new MemoryAllocationStore();
+            const expiresAt = Date.now() + 60000;
+
+            expect(await store.reserve('j|slot', 2, expiresAt)).toEqual({ reserved: true, count: 1 });
+            expect(await store.reserve('j|slot', 2, expiresAt)).toEqual({ reserved: true, count: 2 });
+            expect(await store.reserve('j|slot', 2, expiresAt)).toEqual({ reserved: false, count: 2 });
+            expect(await store.release('j|slot')).toBe(1);
+
+            await store.reserve('j|past', 2, Date.now() - 1);
+            expect(await store.getCounts('j|')).toEqual({ 'j|slot': 1 });
+        });
+    });
+
+    describe('FileAllocationStore', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'slot-allocations-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        test('should share counters between store instances without exceeding the capacity', async () => {
+            const filePath = path.join(tempDir, 'allocations.json');
+            const first = new FileAllocationStore({ filePath });
+            const second = new FileAllocationStore({ filePath });
+            const expiresAt = Date.now() + 60000;
+
+            const reservations = await Promise.all(
+                Array.from({ length: 8 }, (value, index) => (index % 2 ? first : second).reserve('j|slot', 3, expiresAt))
+            );
+
+            expect(reservations.filter(reservation => reservation.reserved)).toHaveLength(3);
+            expect(await new FileAllocationStore({ filePath }).getCounts()).toEqual({ 'j|slot': 3 });
+            expect(fs.existsSync(`${filePath}.lock`)).toBe(false);
+        });
+
+        test('should break a stale lock', async () => {
+            const filePath = path.join(tempDir, 'allocations.json');
+            fs.writeFileSync(`${filePath}.lock`, '');
+            const old = new Date(Date.now() - 60000);
+            fs.utimesSync(`${filePath}.lock`, old, old);
+
+            const store = new FileAllocationStore({ filePath });
+            expect(await store.reserve('j|slot', 1, Date.now() + 60000)).toEqual({ reserved: true, count: 1 });
+        });
+    });
+
+    test('should create stores from configuration and accept instances', () => {
+        const store = new MemoryAllocationStore();
+
+        expect(createAllocationStore({ type: 'memory' })).toBeInstanceOf(MemoryAllocationStore);
+        expect(createAllocationStore({ type: 'file', filePath: path.join(os.tmpdir(), 'a.json') })).toBeInstanceOf(FileAllocationStore);
+        expect(createAllocationStore(store)).toBe(store);
+        expect(() => createAllocationStore({ type: 'redis' })).toThrow('Unknown allocation store type: redis');
+    });
+});
+
+describe('SlotAllocator', () => {
+    const timeWindows = [
+        { startHour: 9, endHour: 10, enabled: true },
+        { startHour: 14, endHour: 15, enabled: true }
+    ];
+    // Wednesday
+    const targetDate = new Date('2026-10-21T12:00:00Z');
+    let allocator;
+
+    beforeEach(() => {
+        allocator = new SlotAllocator({ store: new MemoryAllocationStore(), maxPerSlot: 2 });
+    });
+
+    const allocateTimes = async (count, options = {}) => {
+        const times = [];
+        for (let index = 0; index < count; index++) {
+            const result = await allocator.allocate(targetDate, timeWindows, {
+                journeyId: 'journey-1',
+                timezone: 'UTC',
+                ...options
+            });
+            times.push(result.success ? result.sendTime.toISOString() : result.error);
+        }
+        return times;
+    };
+
+    test('should spread sends over later slots and days once slots are full', async () => {
+        expect(await allocateTimes(5)).toEqual([
+            '2026-10-21T09:00:00.000Z',
+            '2026-10-21T09:00:00.000Z',
+            '2026-10-21T14:00:00.000Z',
+            '2026-10-21T14:00:00.000Z',
+            '2026-10-22T09:00:00.000Z'
+        ]);
+        expect(await allocator.getUsage('journey-1')).toEqual({
+            '2026-10-21T09:00:00.000Z': 2,
+            '2026-10-21T14:00:00.000Z': 2,
+            '2026-10-22T09:00:00.000Z': 1
+        });
+
+        // Capacity is counted per journey
+        const other = await allocator.allocate(targetDate, timeWindows, { journeyId: 'journey-2', timezone: 'UTC' });
+        expect(other.sendTime.toISOString()).toBe('2026-10-21T09:00:00.000Z');
+    });
+
+    test('should skip slots known to be full without asking the store', async () => {
+        const reserve = jest.spyOn(allocator.store, 'reserve');
+
+        expect(await allocateTimes(5, { maxPerSlot: 1 })).toEqual([
+            '2026-10-21T09:00:00.000Z',
+            '2026-10-21T14:00:00.000Z',
+            '2026-10-22T09:00:00.000Z',
+            '2026-10-22T14:00:00.000Z',
+            '2026-10-23T09:00:00.000Z'
+        ]);
+        expect(reserve).toHaveBeenCalledTimes(5);
+
+        // A released send makes its slot available again
+        const first = await allocator.reserve(new Date('2026-10-24T09:00:00Z'), { journeyId: 'journey-1', maxPerSlot: 1 });
+        await allocator.release(first.allocation);
+        const again = await allocator.reserve(new Date('2026-10-24T09:00:00Z'), { journeyId: 'journey-1', maxPerSlot: 1 });
+        expect(again.success).toBe(true);
+    });
+
+    test('should start no earlier than the send time it is given', async () => {
+        const notBefore = new Date('2026-10-21T09:30:00Z');
+
+        expect(await allocateTimes(3, { notBefore, maxPerSlot: 1 })).toEqual([
+            '2026-10-21T09:30:00.000Z',
+            '2026-10-21T14:00:00.000Z',
+            '2026-10-22T09:00:00.000Z'
+        ]);
+    });
+
+    test('should skip weekends and excluded days when moving to later days', async () => {
+        const friday = new Date('2026-10-23T12:00:00Z');
+        const isDayExcluded = jest.fn(async date => date.toISOString().startsWith('2026-10-26'));
+        const options = {
+            journeyId: 'journey-1',
+            timezone: 'UTC',
+            maxPerSlot: 1,
+            skipWeekends: true,
+            weekendDays: [0, 6],
+            isDayExcluded
+        };
+
+        await allocator.allocate(friday, timeWindows, options);
+        await allocator.allocate(friday, timeWindows, options);
+        const overflow = await allocator.allocate(friday, timeWindows, options);
+
+        expect(overflow.sendTime.toISOString()).toBe('2026-10-27T09:00:00.000Z');
+        expect(overflow.allocation).toEqual(expect.objectContaining({ count: 1, capacity: 1, slotsFull: 2 }));
+    });
+
+    test('should report when no slot has capacity left', async () => {
+        const result = await allocator.allocate(targetDate, timeWindows, {
+            timezone: 'UTC',
+            maxPerSlot: 1,
+            maxDaysToCheck: 1,
+            notBefore: new Date('2026-10-21T15:00:00Z')
+        });
+
+        expect(result).toEqual(expect.objectContaining({
+            success: false,
+            error: 'No slot with capacity left within 1 days'
+        }));
+        await expect(allocator.allocate(targetDate, timeWindows, { maxPerSlot: 0 }))
+            .rejects.toThrow('Maximum sends per slot must be a positive integer');
+    });
+
+    test('should reserve one given slot without moving to the next', async () => {
+        const slotStart = new Date('2026-10-21T14:30:00Z');
+        const options = { journeyId: 'journey-1', maxPerSlot: 1, slotGranularity: 15 };
+
+        const reserved = await allocator.reserve(slotStart, options);
+        const full = await allocator.reserve(slotStart, options);
+
+        expect(reserved.allocation).toEqual(expect.objectContaining({
+            key: 'journey-1|2026-10-21T14:30:00.000Z',
+            slotStart,
+            slotEnd: new Date('2026-10-21T14:45:00Z'),
+            count: 1
+        }));
+        expect(full).toEqual({ success: false, error: 'Slot 2026-10-21T14:30:00.000Z has no capacity left' });
+    });
+
+    test('should end a slot that starts off the grid at the next grid point', async () => {
+        const offGrid = [{ startTime: '08:30', endTime: '10:00', enabled: true }];
+        const options = { journeyId: 'journey-1', timezone: 'UTC', maxPerSlot: 1 };
+
+        const first = await allocator.allocate(targetDate, offGrid, options);
+        const reserved = await allocator.reserve(first.allocation.slotStart, { ...options, slotEnd: first.allocation.slotEnd });
+        const second = await allocator.allocate(targetDate, offGrid, options);
+
+        expect(first.allocation).toEqual(expect.objectContaining({
+            slotStart: new Date('2026-10-21T08:30:00Z'),
+            slotEnd: new Date('2026-10-21T09:00:00Z')
+        }));
+        expect(reserved.success).toBe(false);
+        expect(second.allocation).toEqual(expect.objectContaining({
+            slotStart: new Date('2026-10-21T09:00:00Z'),
+            slotEnd: new Date('2026-10-21T10:00:00Z')
+        }));
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * Tests for Time Of Day Helpers
+ */
+
+const {
+    parseTimeOfDay,
+    formatTimeOfDay,
+    getWindowBounds,
+    getWindowDuration,
+    getWindowSegments,
+    windowContains,
+    getSlotBounds,
+    describeTimeWindow,
+    getWeekdayIndex,
+    isValidSlotGranularity
+} = require('../src/timewindow/time-of-day');
+
+describe('Time Of Day Helpers', () => {
+    describe('parseTimeOfDay', () => {
+        test('should parse HH:mm and H:mm times', () => {
+            expect(parseTimeOfDay('08:30')).toBe(510);
+            expect(parseTimeOfDay('8:30')).toBe(510);
+            expect(parseTimeOfDay('23:59')).toBe(1439);
+            expect(parseTimeOfDay('00:00')).toBe(0);
+        });
+
+        test('should reject malformed times', () => {
+            ['24:00', '8.30', '08:60', '0830', '', null, 830].forEach(value => {
+                expect(parseTimeOfDay(value)).toBeNull();
+            });
+        });
+    });
+
+    describe('formatTimeOfDay', () => {
+        test('should format minutes as HH:mm', () => {
+            expect(formatTimeOfDay(510)).toBe('08:30');
+            expect(formatTimeOfDay(1439)).toBe('23:59');
+        });
+    });
+
+    describe('getWindowBounds', () => {
+        test('should read hour and HH:mm windows', () => {
+            expect(getWindowBounds({ startHour: 9, endHour: 10 })).toEqual({ start: 540, end: 600 });
+            expect(getWindowBounds({ startHour: 9.5, endHour: 10 })).toEqual({ start: 570, end: 600 });
+            expect(getWindowBounds({ startTime: '08:30', endTime: '09:45' })).toEqual({ start: 510, end: 585 });
+        });
+
+        test('should prefer HH:mm times over hours', () => {
+            expect(getWindowBounds({ startHour: 9, startTime: '09:15', endHour: 10 })).toEqual({ start: 555, end: 600 });
+        });
+
+        test('should return null for incomplete or malformed windows', () => {
+            expect(getWindowBounds({ startHour: 9 })).toBeNull();
+            expect(getWindowBounds({ startTime: 'nine', endTime: '10:00' })).toBeNull();
+            expect(getWindowBounds(null)).toBeNull();
+        });
+    });
+
+    describe('getSlotBounds', () => {
+        test('should follow the grid from the window start to the window end', () => {
+            const window = { start: 510, end: 600 };
+
+            expect(getSlotBounds(525, 60, window)).toEqual({ start: 510, end: 540 });
+            expect(getSlotBounds(570, 60, window)).toEqual({ start: 540, end: 600 });
+            expect(getSlotBounds(525, 60)).toEqual({ start: 480, end: 540 });
+        });
+    });
+
+    describe('overnight windows', () => {
+        const overnight = { start: 22 * 60, end: 2 * 60 };
+
+        test('should measure and split windows that cross midnight', () => {
+            expect(getWindowDuration(overnight)).toBe(240);
+            expect(getWindowSegments(overnight)).toEqual([
+                { start: 1320, end: 1440 },
+                { start: 0, end: 120 }
+            ]);
+            expect(getWindowSegments({ start: 1320, end: 0 })).toEqual([{ start: 1320, end: 1440 }]);
+        });
+
+        test('should contain times on both sides of midnight', () => {
+            expect(windowContains(overnight, 23 * 60)).toBe(true);
+            expect(windowContains(overnight, 60)).toBe(true);
+            expect(windowContains(overnight, 120)).toBe(false);
+            expect(windowContains(overnight, 12 * 60)).toBe(false);
+        });
+    });
+
+    describe('describeTimeWindow', () => {
+        test('should describe windows as configured', () => {
+            expect(describeTimeWindow({ startHour: 9, endHour: 10 })).toBe('9:00-10:00');
+            expect(describeTimeWindow({ startTime: '08:30', endTime: '09:45' })).toBe('08:30-09:45');
+        });
+    });
+
+    describe('getWeekdayIndex', () => {
+        test('should map weekday names to day indexes', () => {
+            expect(getWeekdayIndex('sunday')).toBe(0);
+            expect(getWeekdayIndex('Monday')).toBe(1);
+            expect(getWeekdayIndex(' SATURDAY ')).toBe(6);
+            expect(getWeekdayIndex('mon')).toBe(-1);
+            expect(getWeekdayIndex(1)).toBe(-1);
+        });
+    });
+
+    describe('isValidSlotGranularity', () => {
+        test('should accept 5, 15, 30 and 60 minutes only', () => {
+            [5, 15, 30, 60].forEach(granularity => expect(isValidSlotGranularity(granularity)).toBe(true));
+            [0, 10, 45, '15'].forEach(granularity => expect(isValidSlotGranularity(granularity)).toBe(false));
+        });
+    });
+});
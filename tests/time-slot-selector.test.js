@@ -105,6 +105,119 @@ describe('TimeSlotSelector', () => {
             expect(result.selectedSlot.hour).toBe(15); // Latest available slot
             expect(result.selectedSlot.reason).toBe('Selected latest available time slot');
         });
+
+        test('should select minute slots from HH:mm windows', () => {
+            const result = selector.selectOptimalTimeSlot(testDate, [
+                { startTime: '08:30', endTime: '09:45', enabled: true }
+            ], {
+                slotGranularity: 15,
+                prioritizeEarlier: false,
+                timezone: 'UTC'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-01-15T09:30:00.000Z');
+        });
+
+        test('should select the slot nearest a preferred hour and minute', () => {
+            const result = selector.selectOptimalTimeSlot(testDate, timeWindows, {
+                preferredHour: 14,
+                preferredMinute: 40,
+                slotGranularity: 15,
+                timezone: 'UTC'
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-01-15T14:45:00.000Z');
+            expect(result.selectedSlot.reason).toBe('Selected slot nearest preferred time 14:40');
+        });
+
+        test('should place after-midnight slots of overnight windows on the next day', () => {
+            const result = selector.selectOptimalTimeSlot(testDate, [
+                { startHour: 22, endHour: 2, enabled: true }
+            ], {
+                prioritizeEarlier: false,
+                timezone: 'America/New_York'
+            });
+
+            expect(result.selectedSlot.hour).toBe(1);
+            expect(result.selectedSlot.dayOffset).toBe(1);
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-01-16T06:00:00.000Z');
+        });
+
+        test('should drop excluded day offsets', () => {
+            const result = selector.selectOptimalTimeSlot(testDate, [
+                { startHour: 22, endHour: 2, enabled: true }
+            ], {
+                prioritizeEarlier: false,
+                excludedDayOffsets: [1]
+            });
+
+            expect(result.selectedSlot.hour).toBe(23);
+            expect(result.selectedSlot.dayOffset).toBe(0);
+        });
+
+        test('should read slot hours in the given timezone', () => {
+            const result = selector.selectOptimalTimeSlot(testDate, timeWindows, {
+                timezone: 'Asia/Tokyo'
+            });
+
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-01-15T00:00:00.000Z');
+            expect(result.selectedSlot.dstAdjustment).toBeNull();
+            expect(result.adjustments).toEqual([]);
+        });
+
+        test('should shift a slot in a DST gap forward and record the adjustment', () => {
+            // America/New_York has no 02:00 on 2024-03-10
+            const gapDate = new Date('2024-03-10T12:00:00Z');
+            const gapWindows = [{ startHour: 2, endHour: 4, enabled: true }];
+
+            const result = selector.selectOptimalTimeSlot(gapDate, gapWindows, {
+                timezone: 'America/New_York'
+            });
+
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-03-10T07:00:00.000Z');
+            expect(result.adjustments).toHaveLength(1);
+            expect(result.adjustments[0]).toMatchObject({
+                type: 'dst_adjustment',
+                stage: 'time_slot_selection',
+                policy: 'shift_forward',
+                requestedLocalTime: '2024-03-10T02:00',
+                resolvedLocalTime: '2024-03-10T03:00'
+            });
+        });
+
+        test('should apply the configured policy to a gap slot', () => {
+            const gapDate = new Date('2024-03-10T12:00:00Z');
+            const gapWindows = [{ startHour: 2, endHour: 4, enabled: true }];
+
+            const result = selector.selectOptimalTimeSlot(gapDate, gapWindows, {
+                timezone: 'America/New_York',
+                dstPolicy: 'earlier'
+            });
+
+            expect(result.selectedSlot.datetime.toISOString()).toBe('2024-03-10T06:00:00.000Z');
+            expect(result.selectedSlot.dstAdjustment.resolvedLocalTime).toBe('2024-03-10T01:00');
+        });
+
+        test('should pick the later occurrence of an overlap slot when configured', () => {
+            // 01:00 occurs twice in America/New_York on 2024-11-03
+            const overlapDate = new Date('2024-11-03T12:00:00Z');
+            const overlapWindows = [{ startHour: 1, endHour: 2, enabled: true }];
+
+            const first = selector.selectOptimalTimeSlot(overlapDate, overlapWindows, {
+                timezone: 'America/New_York'
+            });
+            const second = selector.selectOptimalTimeSlot(overlapDate, overlapWindows, {
+                timezone: 'America/New_York',
+                dstPolicy: 'later'
+            });
+
+            expect(first.selectedSlot.datetime.toISOString()).toBe('2024-11-03T05:00:00.000Z');
+            expect(second.selectedSlot.datetime.toISOString()).toBe('2024-11-03T06:00:00.000Z');
+            expect(second.adjustments[0].type).toBe('dst_adjustment');
+            expect(second.adjustments[0].resolvedUtcOffset).toBe('-05:00');
+        });
     });
 
     describe('getAvailableTimeSlots', () => {
@@ -153,6 +266,52 @@ describe('TimeSlotSelector', () => {
             });
         });
 
+        test('should generate slots for HH:mm windows at the given granularity', () => {
+            const slots = selector.getAvailableTimeSlots(
+                [{ startTime: '08:30', endTime: '09:45', enabled: true }],
+                [],
+                15
+            );
+
+            expect(slots.map(slot => `${slot.hour}:${slot.minute}`))
+                .toEqual(['8:30', '8:45', '9:0', '9:15', '9:30']);
+            expect(slots[0]).toEqual({
+                hour: 8,
+                minute: 30,
+                window: 0,
+                windowStart: '08:30',
+                windowEnd: '09:45'
+            });
+        });
+
+        test('should start off-grid windows at the window start', () => {
+            const slots = selector.getAvailableTimeSlots(
+                [{ startTime: '08:10', endTime: '09:00', enabled: true }],
+                [],
+                30
+            );
+
+            expect(slots.map(slot => slot.minute)).toEqual([10, 30]);
+        });
+
+        test('should fall back to hourly slots for unsupported granularities', () => {
+            const slots = selector.getAvailableTimeSlots(
+                [{ startHour: 9, endHour: 11, enabled: true }],
+                [],
+                7
+            );
+
+            expect(slots).toHaveLength(2);
+        });
+
+        test('should continue overnight windows past midnight on the next day', () => {
+            const slots = selector.getAvailableTimeSlots([{ startHour: 22, endHour: 2, enabled: true }]);
+
+            expect(slots.map(slot => [slot.hour, slot.dayOffset || 0])).toEqual([
+                [22, 0], [23, 0], [0, 1], [1, 1]
+            ]);
+        });
+
         test('should sort slots by time', () => {
             const mixedWindows = [
                 { startHour: 14, endHour: 15, enabled: true },
@@ -179,6 +338,14 @@ describe('TimeSlotSelector', () => {
             expect(result.reason).toBe('Selected preferred hour 14:00');
         });
 
+        test('should select the slot nearest a preferred time of day', () => {
+            expect(selector.selectBestSlot(availableSlots, 14, true, 0).reason).toBe('Selected preferred time 14:00');
+            expect(selector.selectBestSlot(availableSlots, 12, true, 0).hour).toBe(14);
+            expect(selector.selectBestSlot(availableSlots, 14, true, 30).hour).toBe(14);
+            expect(selector.selectBestSlot(availableSlots, 14, false, 30).hour).toBe(15);
+            expect(selector.selectBestSlot(availableSlots, 2, true, 0).hour).toBe(9);
+        });
+
         test('should select earliest when prioritizeEarlier is true', () => {
             const result = selector.selectBestSlot(availableSlots, null, true);
 
@@ -238,6 +405,27 @@ describe('TimeSlotSelector', () => {
             expect(result.daysAdjusted).toBe(3); // Skip Sat, Sun, find on Monday
         });
 
+        test('should apply weekend skipping to the day an overnight slot is sent on', () => {
+            const overnightWindows = [{ startHour: 22, endHour: 2, enabled: true }];
+            const saturdayDate = new Date(2024, 0, 13, 12); // Saturday, host time
+
+            const fromFriday = selector.findNextAvailableSlot(new Date(2024, 0, 12, 12), overnightWindows, [], {
+                skipWeekends: true,
+                prioritizeEarlier: false
+            });
+            const fromSaturday = selector.findNextAvailableSlot(saturdayDate, overnightWindows, [], {
+                skipWeekends: true
+            });
+
+            // Friday night may only use the hours before midnight
+            expect(fromFriday.selectedSlot.hour).toBe(23);
+            expect(fromFriday.daysAdjusted).toBe(0);
+            // Sunday night's after-midnight hours fall on Monday
+            expect(fromSaturday.daysAdjusted).toBe(1);
+            expect(fromSaturday.selectedSlot.hour).toBe(0);
+            expect(fromSaturday.selectedSlot.datetime.getDay()).toBe(1);
+        });
+
         test('should fail when no slots found within max days', () => {
             const unavailableSlots = [];
             // Create unavailable slots for many days
@@ -313,6 +501,16 @@ describe('TimeSlotSelector', () => {
             expect(result.isValid).toBe(false);
             expect(result.errors).toContain('Preferred hour must be a number between 0 and 23');
         });
+
+        test('should fail for invalid preferred minute', () => {
+            const result = selector.validateSelectionParameters(testDate, timeWindows, {
+                preferredHour: 14,
+                preferredMinute: 60
+            });
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Preferred minute must be an integer between 0 and 59');
+        });
     });
 
     describe('getAvailabilityStats', () => {
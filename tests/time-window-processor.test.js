@@ -61,6 +61,27 @@ describe('TimeWindowProcessor', () => {
             expect(result.adjustments.daysAdjusted).toBe(1);
         });
 
+        test('should keep overnight slots off a holiday on the following day', async () => {
+            const monday = new Date('2024-01-15T08:00:00Z'); // Monday
+            mockHolidayChecker.isPublicHoliday
+                .mockResolvedValueOnce(false) // Monday is available
+                .mockResolvedValueOnce(true); // Tuesday is a holiday
+
+            const result = await processor.processTimeWindow(monday, [
+                { startHour: 22, endHour: 2, enabled: true }
+            ], {
+                skipHolidays: true,
+                holidayChecker: mockHolidayChecker
+            }, {
+                prioritizeEarlier: false
+            });
+
+            expect(result.success).toBe(true);
+            expect(result.adjustments.timeSlotSelected.hour).toBe(23);
+            expect(result.adjustments.timeSlotSelected.dayOffset).toBe(0);
+            expect(mockHolidayChecker.isPublicHoliday).toHaveBeenCalledTimes(2);
+        });
+
         test('should respect time slot preferences', async () => {
             const monday = new Date('2024-01-15T08:00:00Z');
             const result = await processor.processTimeWindow(monday, validTimeWindows, {}, {
@@ -74,7 +95,7 @@ describe('TimeWindowProcessor', () => {
 
         test('should fail with invalid time windows', async () => {
             const invalidTimeWindows = [
-                { startHour: 10, endHour: 9, enabled: true } // Invalid: start > end
+                { startHour: 10, endHour: 10, enabled: true } // Invalid: empty window
             ];
 
             const targetDate = new Date('2024-01-15T08:00:00Z');
@@ -82,7 +103,7 @@ describe('TimeWindowProcessor', () => {
 
             expect(result.success).toBe(false);
             expect(result.error).toBe('Invalid time windows configuration');
-            expect(result.details).toContain('Time window at index 0: startHour must be less than endHour');
+            expect(result.details).toContain('Time window at index 0: startHour and endHour must differ');
         });
 
         test('should fail when no dates are available', async () => {
@@ -168,13 +189,13 @@ describe('TimeWindowProcessor', () => {
 
         test('should return error for invalid time windows', () => {
             const invalidTimeWindows = [
-                { startHour: 10, endHour: 9, enabled: true }
+                { startHour: 10, endHour: 10, enabled: true }
             ];
 
             const stats = processor.getAvailabilityStats(invalidTimeWindows);
 
             expect(stats.error).toBe('Invalid time windows');
-            expect(stats.details).toContain('Time window at index 0: startHour must be less than endHour');
+            expect(stats.details).toContain('Time window at index 0: startHour and endHour must differ');
         });
     });
 });
\ No newline at end of file
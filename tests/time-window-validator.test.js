@@ -62,6 +62,34 @@ describe('TimeWindowValidator', () => {
             expect(result.isValid).toBe(true);
             expect(result.warnings).toContain('Time windows 9:00-11:00 and 10:00-12:00 overlap');
         });
+
+        test('should validate HH:mm time windows', () => {
+            const timeWindows = [
+                { startTime: '08:30', endTime: '09:45', enabled: true },
+                { startTime: '09:30', endTime: '10:00', enabled: true }
+            ];
+
+            const result = validator.validateTimeWindows(timeWindows);
+
+            expect(result.isValid).toBe(true);
+            expect(result.warnings).toContain('Time windows 08:30-09:45 and 09:30-10:00 overlap');
+            expect(result.warnings).toContain('Time window at index 1: Very short time window (less than 1 hour)');
+        });
+
+        test('should reject malformed or reversed HH:mm time windows', () => {
+            const timeWindows = [
+                { startTime: '8.30', endTime: '09:45', enabled: true },
+                { startTime: '10:15', endTime: '10:15', enabled: true },
+                { startTime: '09:00', endTime: '24:00', enabled: true }
+            ];
+
+            const result = validator.validateTimeWindows(timeWindows);
+
+            expect(result.isValid).toBe(false);
+            expect(result.errors).toContain('Time window at index 0: startTime must be a time in HH:mm format');
+            expect(result.errors).toContain('Time window at index 1: startTime and endTime must differ');
+            expect(result.errors).toContain('Time window at index 2: endTime must be a time in HH:mm format');
+        });
     });
 
     describe('validateSingleTimeWindow', () => {
@@ -89,12 +117,22 @@ describe('TimeWindowValidator', () => {
             expect(result.errors).toContain('Time window at index 0: endHour must be between 0 and 23');
         });
 
-        test('should fail when startHour >= endHour', () => {
-            const window = { startHour: 10, endHour: 9, enabled: true };
+        test('should fail when startHour equals endHour', () => {
+            const window = { startHour: 10, endHour: 10, enabled: true };
             const result = validator.validateSingleTimeWindow(window, 0);
 
             expect(result.isValid).toBe(false);
-            expect(result.errors).toContain('Time window at index 0: startHour must be less than endHour');
+            expect(result.errors).toContain('Time window at index 0: startHour and endHour must differ');
+        });
+
+        test('should accept overnight windows that cross midnight', () => {
+            const result = validator.validateSingleTimeWindow({ startHour: 22, endHour: 2, enabled: true }, 0);
+            const short = validator.validateSingleTimeWindow({ startTime: '23:45', endTime: '00:15', enabled: true }, 1);
+
+            expect(result.isValid).toBe(true);
+            expect(result.warnings).toHaveLength(0);
+            expect(short.isValid).toBe(true);
+            expect(short.warnings).toContain('Time window at index 1: Very short time window (less than 1 hour)');
         });
 
         test('should fail for non-boolean enabled flag', () => {
@@ -134,6 +172,15 @@ describe('TimeWindowValidator', () => {
 
             expect(validator.doTimeWindowsOverlap(window1, window2)).toBe(false);
         });
+
+        test('should compare overnight windows on both sides of midnight', () => {
+            const overnight = { startHour: 22, endHour: 2 };
+
+            expect(validator.doTimeWindowsOverlap(overnight, { startHour: 1, endHour: 3 })).toBe(true);
+            expect(validator.doTimeWindowsOverlap(overnight, { startHour: 23, endHour: 23.5 })).toBe(true);
+            expect(validator.doTimeWindowsOverlap(overnight, { startHour: 2, endHour: 22 })).toBe(false);
+            expect(validator.doTimeWindowsOverlap(overnight, { startTime: '23:00', endTime: '01:00' })).toBe(true);
+        });
     });
 
     describe('resolveTimeWindowConflicts', () => {
@@ -163,9 +210,20 @@ describe('TimeWindowValidator', () => {
             expect(resolved[0]).toEqual({ startHour: 9, endHour: 11, enabled: true });
         });
 
+        test('should keep overnight windows as configured', () => {
+            const timeWindows = [
+                { startHour: 9, endHour: 10, enabled: true },
+                { startHour: 22, endHour: 2, enabled: true }
+            ];
+
+            const resolved = validator.resolveTimeWindowConflicts(timeWindows);
+
+            expect(resolved).toEqual(timeWindows);
+        });
+
         test('should throw error for invalid time windows', () => {
             const timeWindows = [
-                { startHour: 10, endHour: 9, enabled: true } // Invalid: start > end
+                { startHour: 10, endHour: 10, enabled: true } // Invalid: empty window
             ];
 
             expect(() => {
@@ -2,7 +2,7 @@
  * Test suite for TimezoneCalculator
  */
 
-const { TimezoneCalculator, COUNTRY_TIMEZONE_MAP, SFMC_TIMEZONE } = require('../src/timezone-calculator');
+const { TimezoneCalculator, COUNTRY_TIMEZONE_MAP, REGION_TIMEZONE_MAP, SFMC_TIMEZONE } = require('../src/timezone-calculator');
 
 describe('TimezoneCalculator', () => {
     let calculator;
@@ -70,6 +70,145 @@ describe('TimezoneCalculator', () => {
         });
     });
 
+    describe('Full ISO 3166-1 Coverage', () => {
+        test('should cover countries beyond the curated list', () => {
+            const testCases = [
+                { code: 'CO', expectedTimezone: 'America/Bogota' },
+                { code: 'SA', expectedTimezone: 'Asia/Riyadh' },
+                { code: 'AE', expectedTimezone: 'Asia/Dubai' },
+                { code: 'VN', expectedTimezone: 'Asia/Ho_Chi_Minh' },
+                { code: 'ID', expectedTimezone: 'Asia/Jakarta' },
+                { code: 'CH', expectedTimezone: 'Europe/Zurich' },
+                { code: 'NG', expectedTimezone: 'Africa/Lagos' }
+            ];
+
+            testCases.forEach(({ code, expectedTimezone }) => {
+                const info = calculator.getTimezoneInfo(code);
+                expect(info).not.toBeNull();
+                expect(info.primaryTimezone).toBe(expectedTimezone);
+                expect(info.businessTimezone).toBe(expectedTimezone);
+            });
+        });
+
+        test('should prefer zones exclusive to the country over shared zones', () => {
+            expect(calculator.getPrimaryTimezone('AO')).toBe('Africa/Luanda');
+            expect(calculator.getPrimaryTimezone('DK')).toBe('Europe/Copenhagen');
+        });
+
+        test('should generate country names and standard offsets', () => {
+            const info = calculator.getTimezoneInfo('NP');
+            expect(info.countryName).toBe('Nepal');
+            expect(info.utcOffset).toBe(5.75);
+        });
+
+        test('should keep curated entries for multi-zone countries', () => {
+            expect(calculator.getPrimaryTimezone('US')).toBe('America/New_York');
+            expect(calculator.getPrimaryTimezone('RU')).toBe('Europe/Moscow');
+            expect(calculator.getSupportedCountries().length).toBeGreaterThanOrEqual(240);
+        });
+    });
+
+    describe('Country Timezone Overrides', () => {
+        test('should apply overrides passed as options', () => {
+            const overridden = new TimezoneCalculator({
+                countryTimezoneOverrides: { us: 'America/Chicago', CO: 'America/Bogota' }
+            });
+
+            const info = overridden.getTimezoneInfo('US');
+            expect(info.primaryTimezone).toBe('America/Chicago');
+            expect(info.countryName).toBe('United States');
+            expect(info.utcOffset).toBe(-6);
+            expect(info.isOverride).toBe(true);
+
+            // Other instances keep the defaults
+            expect(calculator.getPrimaryTimezone('US')).toBe('America/New_York');
+        });
+
+        test('should read overrides from STO_COUNTRY_TIMEZONE_OVERRIDES', () => {
+            const original = process.env.STO_COUNTRY_TIMEZONE_OVERRIDES;
+            process.env.STO_COUNTRY_TIMEZONE_OVERRIDES = 'BR=America/Manaus, AU=Australia/Perth';
+
+            try {
+                const overridden = new TimezoneCalculator();
+                expect(overridden.getPrimaryTimezone('BR')).toBe('America/Manaus');
+                expect(overridden.getPrimaryTimezone('AU')).toBe('Australia/Perth');
+            } finally {
+                if (original === undefined) {
+                    delete process.env.STO_COUNTRY_TIMEZONE_OVERRIDES;
+                } else {
+                    process.env.STO_COUNTRY_TIMEZONE_OVERRIDES = original;
+                }
+            }
+        });
+
+        test('should ignore invalid overrides', () => {
+            const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+            const overridden = new TimezoneCalculator({
+                countryTimezoneOverrides: { US: 'Not/AZone', USA: 'America/Chicago' }
+            });
+
+            expect(overridden.getPrimaryTimezone('US')).toBe('America/New_York');
+            expect(overridden.isCountrySupported('USA')).toBe(false);
+            expect(warnSpy).toHaveBeenCalledTimes(2);
+
+            warnSpy.mockRestore();
+        });
+    });
+
+    describe('Region to Timezone Mapping', () => {
+        test('should resolve ISO 3166-2 codes to regional timezones', () => {
+            const testCases = [
+                { region: 'US-CA', country: 'US', expectedTimezone: 'America/Los_Angeles' },
+                { region: 'AU-WA', country: 'AU', expectedTimezone: 'Australia/Perth' },
+                { region: 'CA-BC', country: 'CA', expectedTimezone: 'America/Vancouver' },
+                { region: 'BR-AM', country: 'BR', expectedTimezone: 'America/Manaus' },
+                { region: 'MX-BCN', country: 'MX', expectedTimezone: 'America/Tijuana' }
+            ];
+
+            testCases.forEach(({ region, country, expectedTimezone }) => {
+                const info = calculator.getRegionTimezoneInfo(region, country);
+                expect(info).not.toBeNull();
+                expect(info.regionCode).toBe(region);
+                expect(info.timezone).toBe(expectedTimezone);
+            });
+        });
+
+        test('should qualify bare subdivision codes with the country code', () => {
+            expect(calculator.normalizeRegionCode('ca', 'US')).toBe('US-CA');
+            expect(calculator.normalizeRegionCode('us_ca', 'US')).toBe('US-CA');
+            expect(calculator.getRegionTimezoneInfo('wa', 'AU').timezone).toBe('Australia/Perth');
+            expect(calculator.getRegionTimezoneInfo('WA', 'US').timezone).toBe('America/Los_Angeles');
+        });
+
+        test('should reject regions that do not belong to the country', () => {
+            expect(calculator.getRegionTimezoneInfo('US-CA', 'CA')).toBeNull();
+            expect(calculator.getRegionTimezoneInfo('US-ZZ', 'US')).toBeNull();
+            expect(calculator.getRegionTimezoneInfo(null, 'US')).toBeNull();
+            expect(calculator.getRegionTimezoneInfo('CA', null)).toBeNull();
+        });
+
+        test('should report standard offsets for regional timezones', () => {
+            expect(calculator.getRegionTimezoneInfo('US-CA', 'US').utcOffset).toBe(-8);
+            expect(calculator.getRegionTimezoneInfo('AU-NSW', 'AU').utcOffset).toBe(10);
+        });
+
+        test('should only reference valid IANA timezones', () => {
+            const moment = require('moment-timezone');
+
+            Object.values(REGION_TIMEZONE_MAP).forEach(({ timezone }) => {
+                expect(moment.tz.zone(timezone)).not.toBeNull();
+            });
+        });
+
+        test('should list supported regions per country', () => {
+            const auRegions = calculator.getSupportedRegions('AU');
+            expect(auRegions).toHaveLength(8);
+            expect(auRegions.every(region => region.startsWith('AU-'))).toBe(true);
+            expect(calculator.getSupportedRegions().length).toBeGreaterThan(auRegions.length);
+        });
+    });
+
     describe('Timezone Offset Calculations', () => {
         test('should return correct UTC offsets for known countries', () => {
             const testCases = [
@@ -25,6 +25,16 @@ describe('TimezoneEngine', () => {
             expect(stats.configuration.logValidationIssues).toBe(true);
         });
 
+        test('should share country timezone overrides with the validator', () => {
+            const customEngine = new TimezoneEngine(mockLogger, {
+                countryTimezoneOverrides: { MX: 'America/Tijuana' }
+            });
+
+            const result = customEngine.getTimezoneInfo('MX');
+            expect(result.timezone.primaryTimezone).toBe('America/Tijuana');
+            expect(customEngine.validator.timezoneCalculator).toBe(customEngine.calculator);
+        });
+
         test('should initialize with custom options', () => {
             const customEngine = new TimezoneEngine(mockLogger, {
                 defaultFallbackCountry: 'BR',
@@ -70,6 +80,104 @@ describe('TimezoneEngine', () => {
         });
     });
 
+    describe('Regional Timezone Resolution', () => {
+        test('should prefer the region timezone over the country timezone', () => {
+            const result = engine.getTimezoneInfo('US', {}, { region: 'US-CA' });
+
+            expect(result.success).toBe(true);
+            expect(result.countryCode).toBe('US');
+            expect(result.timezone.primaryTimezone).toBe('America/Los_Angeles');
+            expect(result.timezone.regionCode).toBe('US-CA');
+            expect(result.region.resolved).toBe(true);
+        });
+
+        test('should fall back to the country timezone for unknown regions', () => {
+            const result = engine.getTimezoneInfo('AU', {}, { region: 'AU-XX' });
+
+            expect(result.timezone.primaryTimezone).toBe('Australia/Sydney');
+            expect(result.region.resolved).toBe(false);
+            expect(result.region.requested).toBe('AU-XX');
+            expect(mockLogger.warn).toHaveBeenCalled();
+        });
+
+        test('should ignore the region when the country falls back', () => {
+            const result = engine.getTimezoneInfo('XX', {}, { region: 'CA-BC' });
+
+            expect(result.countryCode).toBe('US');
+            expect(result.timezone.primaryTimezone).toBe('America/New_York');
+            expect(result.region.resolved).toBe(false);
+        });
+
+        test('should not report region details when no region is supplied', () => {
+            const result = engine.getTimezoneInfo('CA');
+
+            expect(result.region).toBeNull();
+            expect(result.timezone.primaryTimezone).toBe('America/Toronto');
+        });
+
+        test('should use the region timezone for the SFMC offset', () => {
+            const winter = new Date('2024-01-15T12:00:00Z');
+            const result = engine.convertToSFMCTime(winter, 'CA', {}, { region: 'BC' });
+
+            expect(result.success).toBe(true);
+            expect(result.timezone.primaryTimezone).toBe('America/Vancouver');
+            expect(result.offsetFromSFMC).toBe(-2); // PST (-8) vs SFMC (-6)
+        });
+    });
+
+    describe('Explicit Timezone Resolution', () => {
+        test('should accept valid IANA timezones and derive the country', () => {
+            const result = engine.getExplicitTimezoneInfo('Europe/Lisbon');
+
+            expect(result.success).toBe(true);
+            expect(result.countryCode).toBe('PT');
+            expect(result.timezone.primaryTimezone).toBe('Europe/Lisbon');
+            expect(result.timezoneSource).toBe('explicit');
+        });
+
+        test('should reject invalid timezones', () => {
+            const result = engine.getExplicitTimezoneInfo('Mars/Olympus_Mons');
+
+            expect(result.success).toBe(false);
+            expect(result.message).toContain('not a valid IANA timezone');
+            expect(mockLogger.warn).toHaveBeenCalled();
+        });
+
+        test('should not derive a country for non-geographic timezones', () => {
+            const result = engine.getExplicitTimezoneInfo('Etc/UTC');
+
+            expect(result.success).toBe(true);
+            expect(result.countryCode).toBeNull();
+        });
+    });
+
+    describe('Postal Code Timezone Resolution', () => {
+        test('should prefer the postal code over region and country', () => {
+            const result = engine.getTimezoneInfo('US', {}, { region: 'US-NY', postalCode: '98101' });
+
+            expect(result.timezoneSource).toBe('postal_code');
+            expect(result.timezone.primaryTimezone).toBe('America/Los_Angeles');
+            expect(result.timezone.regionCode).toBe('US-WA');
+            expect(result.postalCode.resolved).toBe(true);
+        });
+
+        test('should fall back to the region when the postal code cannot be resolved', () => {
+            const result = engine.getTimezoneInfo('CA', {}, { region: 'CA-AB', postalCode: '!!!' });
+
+            expect(result.timezoneSource).toBe('region');
+            expect(result.timezone.primaryTimezone).toBe('America/Edmonton');
+            expect(result.postalCode.resolved).toBe(false);
+        });
+
+        test('should report countries without postal code data', () => {
+            const result = engine.getTimezoneInfo('GB', {}, { postalCode: 'SW1A 1AA' });
+
+            expect(result.timezoneSource).toBe('country');
+            expect(result.timezone.primaryTimezone).toBe('Europe/London');
+            expect(result.postalCode.message).toContain('not available');
+        });
+    });
+
     describe('SFMC Time Conversion', () => {
         test('should convert local time to SFMC time successfully', () => {
             const localTime = new Date('2024-01-15T12:00:00Z');
@@ -80,7 +80,7 @@ describe('TimezoneValidator', () => {
         });
 
         test('should handle incorrect length country codes', () => {
-            const incorrectLengthCodes = ['U', 'USA', 'UNITED'];
+            const incorrectLengthCodes = ['U', 'XYZ', 'UNITED'];
             
             incorrectLengthCodes.forEach(code => {
                 const result = validator.validateCountryCode(code);
@@ -112,6 +112,35 @@ describe('TimezoneValidator', () => {
             });
         });
 
+        test('should normalize alpha-3, numeric, name and alias inputs to alpha-2', () => {
+            const testCases = [
+                { input: 'USA', expected: 'US', method: 'alpha3' },
+                { input: '840', expected: 'US', method: 'numeric' },
+                { input: 840, expected: 'US', method: 'numeric' },
+                { input: 'United Kingdom', expected: 'GB', method: 'name' },
+                { input: 'Deutschland', expected: 'DE' },
+                { input: 'UK', expected: 'GB', method: 'alias' }
+            ];
+
+            testCases.forEach(({ input, expected, method }) => {
+                const result = validator.validateCountryCode(input);
+                expect(result.isValid).toBe(true);
+                expect(result.fallbackUsed).toBe(false);
+                expect(result.countryCode).toBe(expected);
+                expect(result.normalization.original).toBe(input);
+                expect(result.normalization.normalized).toBe(expected);
+                if (method) {
+                    expect(result.normalization.method).toBe(method);
+                }
+            });
+        });
+
+        test('should not attach normalization details to alpha-2 inputs', () => {
+            const result = validator.validateCountryCode('gb');
+            expect(result.countryCode).toBe('GB');
+            expect(result.normalization).toBeUndefined();
+        });
+
         test('should use custom fallback country', () => {
             const result = validator.validateCountryCode('XX', { fallbackCountry: 'BR' });
             expect(result.isValid).toBe(false);
@@ -450,11 +450,14 @@ describe('Wait By Attribute Integration Tests', () => {
 
         test('should handle weekend and holiday adjustments for Wait By Attribute', async () => {
             // Mock holiday checker to return a holiday
-            jest.spyOn(holidayChecker, 'isPublicHoliday')
+            jest.spyOn(holidayChecker, 'getHolidayInfo')
                 .mockResolvedValue({
                     isHoliday: true,
-                    holidayName: 'Test Holiday',
-                    countryCode: 'US'
+                    name: 'Test Holiday',
+                    partialDay: false,
+                    cutoffHour: null,
+                    observed: false,
+                    observedFrom: null
                 });
 
             // Set up a Saturday entry time
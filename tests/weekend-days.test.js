@@ -0,0 +1,55 @@
+/**
+ * Tests for Weekend Days
+ */
+
+const {
+    DEFAULT_WEEKEND_DAYS,
+    normalizeWeekendDays,
+    getWeekendDays,
+    getDayName
+} = require('../src/weekend-days');
+
+describe('Weekend Days', () => {
+    describe('normalizeWeekendDays', () => {
+        test('should accept weekday names and day indexes', () => {
+            expect(normalizeWeekendDays(['Saturday', 'friday'])).toEqual([5, 6]);
+            expect(normalizeWeekendDays([0, 6, 6])).toEqual([0, 6]);
+            expect(normalizeWeekendDays([])).toEqual([]);
+        });
+
+        test('should reject anything else', () => {
+            expect(normalizeWeekendDays('friday')).toBeNull();
+            expect(normalizeWeekendDays(['fri'])).toBeNull();
+            expect(normalizeWeekendDays([7])).toBeNull();
+        });
+    });
+
+    describe('getWeekendDays', () => {
+        test('should look up the country weekend', () => {
+            expect(getWeekendDays('SA')).toEqual([5, 6]);
+            expect(getWeekendDays('il')).toEqual([5, 6]);
+            expect(getWeekendDays('IR')).toEqual([5]);
+            expect(getWeekendDays('AE')).toEqual(DEFAULT_WEEKEND_DAYS);
+            expect(getWeekendDays('US')).toEqual([0, 6]);
+        });
+
+        test('should use the fallback for unknown countries', () => {
+            expect(getWeekendDays(null)).toEqual([0, 6]);
+            expect(getWeekendDays('XX', null, [4, 5])).toEqual([4, 5]);
+            expect(getWeekendDays('SA', null, [4, 5])).toEqual([5, 6]);
+        });
+
+        test('should prefer a valid override', () => {
+            expect(getWeekendDays('SA', ['sunday'])).toEqual([0]);
+            expect(getWeekendDays('US', [])).toEqual([]);
+            expect(getWeekendDays('SA', ['fri'])).toEqual([5, 6]);
+        });
+    });
+
+    describe('getDayName', () => {
+        test('should capitalize day names', () => {
+            expect(getDayName(0)).toBe('Sunday');
+            expect(getDayName(5)).toBe('Friday');
+        });
+    });
+});